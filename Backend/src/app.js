@@ -5,7 +5,6 @@
  */
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { dbManager } = require('./config/database');
 const { queueManager } = require('./services/queueManager');
 const { auth0Service } = require('./services/auth0Service');
@@ -161,6 +160,7 @@ class FixRxApplication {
     // API Routes
     this.setupAuthRoutes();
     this.setupUserRoutes();
+    this.setupAdminRoutes();
     this.setupVendorRoutes();
     this.setupConsumerRoutes();
     this.setupSearchRoutes();
@@ -168,6 +168,10 @@ class FixRxApplication {
     this.setupContactRoutes();
     this.setupInvitationRoutes();
     this.setupMessagingRoutes();
+    this.setupAppointmentRoutes();
+    this.setupCalendarRoutes();
+    this.setupQuoteRoutes();
+    this.setupJobRoutes();
     this.setupMonitoringRoutes();
     this.setupSystemRoutes();
     this.setupMobileAppRoutes();
@@ -189,109 +193,17 @@ class FixRxApplication {
     const oauthRoutes = require('./routes/oauthRoutes');
     this.app.use('/api/v1/auth/oauth', oauthRoutes);
 
-    // Authentication routes
-    this.app.post('/api/v1/auth/register', async (req, res, next) => {
-      try {
-        const { email, password, firstName, lastName, userType, phone, metroArea } = req.body;
-        
-        // Track business metric
-        await monitoringService.trackBusinessMetric('user_registration', 1, { userType });
-        
-        const result = await auth0Service.createUser({
-          email, password, firstName, lastName, userType, phone, metroArea
-        });
-
-        res.status(201).json({
-          success: true,
-          message: 'User registered successfully',
-          data: {
-            user: {
-              id: result.localUser.id,
-              email: result.localUser.email,
-              firstName: result.localUser.first_name,
-              lastName: result.localUser.last_name,
-              role: result.localUser.role
-            }
-          }
-        });
-
-      } catch (error) {
-        await monitoringService.trackError({ error, request: req, severity: 'medium' });
-        next(error);
-      }
-    });
+    // TOTP two-factor enrollment and the post-login challenge
+    const twoFactorRoutes = require('./routes/twoFactorRoutes');
+    this.app.use('/api/v1/auth/2fa', twoFactorRoutes);
 
-    this.app.post('/api/v1/auth/login', async (req, res, next) => {
-      try {
-        const { email, password } = req.body;
-        
-        // Mock login (in production, use Auth0 authentication)
-        const user = await auth0Service.getUserByEmail(email);
-        
-        if (!user) {
-          return res.status(401).json({
-            success: false,
-            error: { code: 'INVALID_CREDENTIALS', message: 'Invalid email or password' }
-          });
-        }
-
-        // Create session
-        const sessionId = await auth0Service.createSession(user.id, {
-          ip: req.ip,
-          userAgent: req.get('User-Agent')
-        });
-
-        // Generate JWT token
-        const token = jwt.sign(
-          { 
-            userId: user.id,
-            email: user.email,
-            role: user.role 
-          },
-          process.env.JWT_SECRET,
-          { expiresIn: '24h' }
-        );
-
-        // Track user activity
-        await monitoringService.trackUserActivity(user.id, 'login', { userType: user.role });
-
-        res.json({
-          success: true,
-          message: 'Login successful',
-          data: {
-            token: token,
-            sessionId: sessionId,
-            user: {
-              id: user.id,
-              email: user.email,
-              firstName: user.first_name,
-              lastName: user.last_name,
-              role: user.role
-            },
-            sessionId
-          }
-        });
+    // Linked phone, email and Google identities
+    const identityRoutes = require('./routes/identityRoutes');
+    this.app.use('/api/v1/auth/identities', identityRoutes);
 
-      } catch (error) {
-        await monitoringService.trackError({ error, request: req, severity: 'medium' });
-        next(error);
-      }
-    });
-
-    this.app.post('/api/v1/auth/logout', authenticateToken, async (req, res, next) => {
-      try {
-        await auth0Service.revokeToken(req.token);
-        
-        res.json({
-          success: true,
-          message: 'Logout successful'
-        });
-
-      } catch (error) {
-        await monitoringService.trackError({ error, request: req, user: req.user });
-        next(error);
-      }
-    });
+    // Email/password authentication, token refresh, logout and device sessions
+    const authRoutes = require('./routes/authRoutes');
+    this.app.use('/api/v1/auth', authRoutes);
   }
 
   setupUserRoutes() {
@@ -300,68 +212,35 @@ class FixRxApplication {
     this.app.use('/api/v1/users', userRoutes);
   }
 
-  setupVendorRoutes() {
-    // Vendor management routes
-    this.app.post('/api/v1/vendors/profile', authenticateToken, requireRole('vendor'), async (req, res, next) => {
-      try {
-        const profileData = req.body;
-        
-        // Create vendor profile in database
-        const result = await dbManager.query(`
-          INSERT INTO vendor_profiles (
-            vendor_id, business_name, business_description, business_phone, 
-            business_email, service_categories, hourly_rate_min, hourly_rate_max
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-          RETURNING *
-        `, [
-          req.user.id, profileData.businessName, profileData.businessDescription,
-          profileData.businessPhone, profileData.businessEmail, profileData.serviceCategories,
-          profileData.hourlyRateMin, profileData.hourlyRateMax
-        ]);
-
-        // Track business metric
-        await monitoringService.trackBusinessMetric('vendor_profile_created', 1);
-
-        res.status(201).json({
-          success: true,
-          message: 'Vendor profile created successfully',
-          data: { profile: result.rows[0] }
-        });
+  setupAdminRoutes() {
+    // License and insurance review queue; mounted ahead of the admin router so
+    // reviewers granted vendors:approve get in without the admin role
+    const verificationRoutes = require('./routes/verificationRoutes');
+    this.app.use('/api/v1/admin/verifications', verificationRoutes);
 
-      } catch (error) {
-        await monitoringService.trackError({ error, request: req, user: req.user });
-        next(error);
-      }
-    });
+    // Administrative account management (suspension)
+    const adminRoutes = require('./routes/adminRoutes');
+    this.app.use('/api/v1/admin', adminRoutes);
 
-    this.app.get('/api/v1/vendors/:vendorId/profile', optionalAuth, async (req, res, next) => {
-      try {
-        const { vendorId } = req.params;
-        
-        const result = await dbManager.query(`
-          SELECT vp.*, u.first_name, u.last_name, u.email, u.profile_image
-          FROM vendor_profiles vp
-          JOIN users u ON vp.vendor_id = u.id
-          WHERE vp.vendor_id = $1
-        `, [vendorId]);
-
-        if (result.rows.length === 0) {
-          return res.status(404).json({
-            success: false,
-            error: { code: 'VENDOR_NOT_FOUND', message: 'Vendor profile not found' }
-          });
-        }
+    // Roles, permissions and user-role grants
+    const accessRoutes = require('./routes/accessRoutes');
+    this.app.use('/api/v1/access', accessRoutes);
+  }
 
-        res.json({
-          success: true,
-          data: { vendor: result.rows[0] }
-        });
+  setupVendorRoutes() {
+    // Vendor profile, onboarding and portfolio routes
+    const vendorRoutes = require('./routes/vendorRoutes');
+    this.app.use('/api/v1/vendors', vendorRoutes);
+
+    // Portfolio photos stored by the local storage driver
+    const { getStorage } = require('./services/storageService');
+    const storage = getStorage();
+    if (storage.name === 'local') {
+      this.app.use('/media', express.static(storage.rootDir, { maxAge: '365d', immutable: true, index: false }));
+    }
 
-      } catch (error) {
-        await monitoringService.trackError({ error, request: req, user: req.user });
-        next(error);
-      }
-    });
+    // Fail at startup, not on the first verification upload, when private storage is misconfigured
+    getStorage('private');
   }
 
   setupConsumerRoutes() {
@@ -389,106 +268,9 @@ class FixRxApplication {
   }
 
   setupSearchRoutes() {
-    // Geographic search routes
-    this.app.post('/api/v1/search/vendors', optionalAuth, async (req, res, next) => {
-      try {
-        const { serviceType, location, radiusKm = 10, limit = 20 } = req.body;
-        
-        // Simple database-based vendor search
-        const searchQuery = `
-          SELECT DISTINCT u.id, u.first_name, u.last_name, u.email, u.phone, 
-                 u.metro_area, u.profile_image_url, u.created_at,
-                 COALESCE(AVG(r.overall_rating), 0) as avg_rating,
-                 COUNT(DISTINCT r.id) as review_count
-          FROM users u
-          LEFT JOIN vendor_services vs ON u.id = vs.vendor_id
-          LEFT JOIN services s ON vs.service_id = s.id
-          LEFT JOIN service_categories sc ON s.category_id = sc.id
-          LEFT JOIN ratings r ON u.id = r.rated_id
-          WHERE u.user_type = 'VENDOR' 
-            AND u.is_active = true
-            ${serviceType ? "AND (sc.name ILIKE $1 OR s.name ILIKE $1)" : ""}
-          GROUP BY u.id, u.first_name, u.last_name, u.email, u.phone, 
-                   u.metro_area, u.profile_image_url, u.created_at
-          ORDER BY avg_rating DESC, review_count DESC
-          LIMIT $${serviceType ? '2' : '1'}
-        `;
-
-        const params = serviceType ? [`%${serviceType}%`, limit] : [limit];
-        const result = await dbManager.query(searchQuery, params);
-
-        res.json({
-          success: true,
-          data: {
-            vendors: result.rows,
-            searchParams: {
-              serviceType,
-              location,
-              radiusKm,
-              resultsCount: result.rows.length
-            }
-          }
-        });
-
-      } catch (error) {
- console.error('Vendor search error:', error); 
-        res.status(500).json({
-          success: false,
-          error: {
-            code: 'SEARCH_ERROR',
-            message: 'Failed to search vendors',
-            details: error.message
-          }
-        });
-      }
-    });
-
-    this.app.get('/api/v1/search/nearby', optionalAuth, async (req, res, next) => {
-      try {
-        const { lat, lng, radius = 10, limit = 20 } = req.query;
-        
-        // Simple nearby vendor search (without actual geo calculations for now)
-        const nearbyQuery = `
-          SELECT u.id, u.first_name, u.last_name, u.email, u.phone, 
-                 u.metro_area, u.profile_image_url,
-                 COALESCE(AVG(r.overall_rating), 0) as avg_rating,
-                 COUNT(DISTINCT r.id) as review_count
-          FROM users u
-          LEFT JOIN vendor_services vs ON u.id = vs.vendor_id
-          LEFT JOIN services s ON vs.service_id = s.id
-          LEFT JOIN service_categories sc ON s.category_id = sc.id
-          LEFT JOIN ratings r ON u.id = r.rated_id
-          WHERE u.user_type = 'VENDOR' 
-            AND u.is_active = true
-          GROUP BY u.id, u.first_name, u.last_name, u.email, u.phone, 
-                   u.metro_area, u.profile_image_url
-          ORDER BY avg_rating DESC, review_count DESC
-          LIMIT $1
-        `;
-
-        const result = await dbManager.query(nearbyQuery, [parseInt(limit)]);
-
-        res.json({
-          success: true,
-          data: { 
-            vendors: result.rows,
-            location: { lat: parseFloat(lat), lng: parseFloat(lng) },
-            radius: parseInt(radius)
-          }
-        });
-
-      } catch (error) {
- console.error('Nearby search error:', error); 
-        res.status(500).json({
-          success: false,
-          error: {
-            code: 'SEARCH_ERROR',
-            message: 'Failed to find nearby vendors',
-            details: error.message
-          }
-        });
-      }
-    });
+    // Public vendor search (radius, filters and cursor pagination) backed by geoSearchService
+    const searchRoutes = require('./routes/searchRoutes');
+    this.app.use('/api/v1/search', searchRoutes);
   }
 
   setupContactRoutes() {
@@ -508,6 +290,30 @@ class FixRxApplication {
     this.app.use('/api/v1/messages', rateLimiters.api, messagingRoutes);
   }
 
+  setupAppointmentRoutes() {
+    // Site visits and job slots booked on accepted connection requests
+    const appointmentRoutes = require('./routes/appointmentRoutes');
+    this.app.use('/api/v1/appointments', appointmentRoutes);
+  }
+
+  setupCalendarRoutes() {
+    // iCalendar feeds polled by vendors' calendar apps
+    const calendarRoutes = require('./routes/calendarRoutes');
+    this.app.use('/api/v1/calendar', calendarRoutes);
+  }
+
+  setupQuoteRoutes() {
+    // Itemized quotes on connection requests (/connections/requests/:id/quotes and /quotes/:id)
+    const quoteRoutes = require('./routes/quoteRoutes');
+    this.app.use('/api/v1', quoteRoutes);
+  }
+
+  setupJobRoutes() {
+    // Service job lifecycle behind each connection request
+    const jobRoutes = require('./routes/jobRoutes');
+    this.app.use('/api/v1/jobs', jobRoutes);
+  }
+
   setupCommunicationRoutes() {
     // SMS and Email routes using queue system
     this.app.post('/api/v1/communications/sms/send', authenticateToken, async (req, res, next) => {
@@ -0,0 +1,229 @@
+/**
+ * Access Controller for FixRx
+ * Manages roles, their permissions and the extra roles granted to users
+ */
+
+const Joi = require('joi');
+const accessControlService = require('../services/accessControlService');
+const { logger } = require('../utils/logger');
+
+const permissionList = Joi.array().items(Joi.string().max(100)).unique().max(200);
+
+class AccessController {
+  /**
+   * The current user's roles and permissions
+   * GET /api/v1/access/user/permissions
+   */
+  async getMyPermissions(req, res) {
+    try {
+      const access = await accessControlService.getUserAccess(req.user.id, req.user.role);
+
+      return res.json({
+        success: true,
+        data: {
+          userId: req.user.id,
+          email: req.user.email,
+          role: req.user.role,
+          roles: access.roles,
+          permissions: access.permissions
+        }
+      });
+    } catch (error) {
+      logger.error('Get permissions error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to load permissions. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * List roles with their permissions
+   * GET /api/v1/access/roles
+   */
+  async listRoles(req, res) {
+    const result = await accessControlService.listRoles();
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * List every known permission
+   * GET /api/v1/access/permissions
+   */
+  async listPermissions(req, res) {
+    const result = await accessControlService.listPermissions();
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Create a role
+   * POST /api/v1/access/roles
+   */
+  async createRole(req, res) {
+    const schema = Joi.object({
+      name: Joi.string().pattern(/^[a-z][a-z0-9_]{1,49}$/).required().messages({
+        'string.pattern.base': 'Role names use lowercase letters, digits and underscores'
+      }),
+      displayName: Joi.string().max(100).required(),
+      description: Joi.string().max(500).optional().allow(''),
+      permissions: permissionList.default([])
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await accessControlService.createRole(value, { actorId: req.user.id });
+    return res.status(result.success ? 201 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Update a role's description or replace its permissions
+   * PATCH /api/v1/access/roles/:name
+   */
+  async updateRole(req, res) {
+    const schema = Joi.object({
+      displayName: Joi.string().max(100).optional(),
+      description: Joi.string().max(500).optional().allow(''),
+      permissions: permissionList.optional()
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await accessControlService.updateRole(req.params.name, value, { actorId: req.user.id });
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Delete a custom role
+   * DELETE /api/v1/access/roles/:name
+   */
+  async deleteRole(req, res) {
+    const result = await accessControlService.deleteRole(req.params.name, { actorId: req.user.id });
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * A user's base role, granted roles and effective permissions
+   * GET /api/v1/access/users/:userId/roles
+   */
+  async listUserRoles(req, res) {
+    const { error } = Joi.string().guid().required().validate(req.params.userId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await accessControlService.listUserRoles(req.params.userId);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Grant a role to a user
+   * POST /api/v1/access/users/:userId/roles
+   */
+  async grantRole(req, res) {
+    const schema = Joi.object({
+      role: Joi.string().max(50).required(),
+      reason: Joi.string().max(500).optional().allow('')
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    const { error: idError } = Joi.string().guid().required().validate(req.params.userId);
+    if (error || idError) {
+      return res.status(400).json({
+        success: false,
+        message: error ? error.details[0].message : 'Invalid user id',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await accessControlService.grantRole(req.params.userId, value.role, {
+      actorId: req.user.id,
+      reason: value.reason || null
+    });
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Revoke a granted role
+   * DELETE /api/v1/access/users/:userId/roles/:role
+   */
+  async revokeRole(req, res) {
+    const { error } = Joi.string().guid().required().validate(req.params.userId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await accessControlService.revokeRole(req.params.userId, req.params.role, {
+      actorId: req.user.id,
+      reason: (req.body && req.body.reason) || null
+    });
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Role and grant change history
+   * GET /api/v1/access/logs
+   */
+  async listAuditLog(req, res) {
+    const schema = Joi.object({
+      userId: Joi.string().guid().optional(),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      offset: Joi.number().integer().min(0).default(0)
+    });
+
+    const { error, value } = schema.validate(req.query || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await accessControlService.listAuditLog(value);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'INVALID_ROLE':
+      case 'UNKNOWN_PERMISSION':
+      case 'SYSTEM_ROLE':
+        return 400;
+      case 'ROLE_NOT_FOUND':
+      case 'ROLE_NOT_GRANTED':
+      case 'USER_NOT_FOUND':
+        return 404;
+      case 'ROLE_EXISTS':
+      case 'ROLE_ALREADY_GRANTED':
+        return 409;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new AccessController();
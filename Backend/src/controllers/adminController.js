@@ -0,0 +1,169 @@
+/**
+ * Admin Controller for FixRx
+ * Handles administrative actions on user accounts
+ */
+
+const Joi = require('joi');
+const userAccountService = require('../services/userAccountService');
+const identityService = require('../services/identityService');
+const { logger } = require('../utils/logger');
+
+class AdminController {
+  /**
+   * Suspend a user account
+   * POST /api/v1/admin/users/:id/suspend
+   */
+  async suspendUser(req, res) {
+    try {
+      const schema = Joi.object({
+        reason: Joi.string().max(500).optional().allow('')
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      const { error: idError } = Joi.string().guid().required().validate(req.params.id);
+      if (error || idError) {
+        return res.status(400).json({
+          success: false,
+          message: error ? error.details[0].message : 'Invalid user id',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot suspend your own account',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await userAccountService.suspendUser(req.params.id, {
+        reason: value.reason || null,
+        actorId: req.user.id
+      });
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Suspend user error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to suspend user. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Reinstate a suspended user account
+   * POST /api/v1/admin/users/:id/reinstate
+   */
+  async reinstateUser(req, res) {
+    try {
+      const { error } = Joi.string().guid().required().validate(req.params.id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user id',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await userAccountService.reinstateUser(req.params.id, { actorId: req.user.id });
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Reinstate user error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to reinstate user. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * List accounts that look like duplicates of one another (shared phone number)
+   * GET /api/v1/admin/users/duplicates
+   */
+  async listDuplicateUsers(req, res) {
+    try {
+      const duplicates = await identityService.findDuplicateCandidates();
+
+      return res.json({
+        success: true,
+        data: { duplicates }
+      });
+    } catch (error) {
+      logger.error('List duplicate users error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to list duplicate users. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Merge a duplicate account into another
+   * POST /api/v1/admin/users/:id/merge
+   */
+  async mergeUser(req, res) {
+    try {
+      const schema = Joi.object({
+        targetUserId: Joi.string().guid().required().messages({
+          'any.required': 'Target user id is required'
+        })
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      const { error: idError } = Joi.string().guid().required().validate(req.params.id);
+      if (error || idError) {
+        return res.status(400).json({
+          success: false,
+          message: error ? error.details[0].message : 'Invalid user id',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await identityService.mergeUsers(req.params.id, value.targetUserId, { actorId: req.user.id });
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Merge user error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to merge accounts. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'INVALID_MERGE':
+        return 400;
+      case 'USER_NOT_FOUND':
+        return 404;
+      case 'ALREADY_MERGED':
+      case 'MERGE_CONFLICT':
+        return 409;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new AdminController();
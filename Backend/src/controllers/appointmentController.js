@@ -0,0 +1,215 @@
+/**
+ * Appointment Controller for FixRx
+ * Handles booking, rescheduling and cancelling site visits and job slots
+ */
+
+const Joi = require('joi');
+const appointmentService = require('../services/appointmentService');
+
+const MAX_DURATION_MINUTES = 12 * 60;
+
+// The end is given either directly or as a duration from the start
+const timeFields = {
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).messages({
+    'date.greater': 'endsAt must be after startsAt'
+  }),
+  durationMinutes: Joi.number().integer().min(15).max(MAX_DURATION_MINUTES)
+};
+
+const bookSchema = Joi.object({
+  connectionRequestId: Joi.string().guid().required(),
+  type: Joi.string().valid('site_visit', 'job').default('site_visit'),
+  notes: Joi.string().trim().max(2000).allow('', null),
+  ...timeFields
+}).oxor('endsAt', 'durationMinutes');
+
+const rescheduleSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(1000).required(),
+  ...timeFields
+}).oxor('endsAt', 'durationMinutes');
+
+const cancelSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(1000).required()
+});
+
+const listSchema = Joi.object({
+  scope: Joi.string().valid('upcoming', 'past', 'all').default('upcoming'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const idSchema = Joi.string().guid().required();
+
+class AppointmentController {
+  validate(schema, input) {
+    const { error, value } = schema.validate(input || {}, { stripUnknown: true });
+    if (error) {
+      return {
+        error: {
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      };
+    }
+    return { value };
+  }
+
+  validateId(req, res) {
+    const { error } = idSchema.validate(req.params.id);
+    if (error) {
+      res.status(400).json({ success: false, message: 'Invalid appointment id', code: 'VALIDATION_ERROR' });
+      return null;
+    }
+    return req.params.id;
+  }
+
+  /**
+   * Resolve endsAt from durationMinutes. Without either, bookings last
+   * defaultMinutes and reschedules (defaultMinutes null) keep their length.
+   */
+  withEnd({ durationMinutes, ...value }, { defaultMinutes = 60 } = {}) {
+    if (value.endsAt) {
+      const minutes = (value.endsAt - value.startsAt) / (60 * 1000);
+      if (minutes > MAX_DURATION_MINUTES) {
+        return {
+          error: {
+            success: false,
+            message: `Appointments can last at most ${MAX_DURATION_MINUTES / 60} hours`,
+            code: 'VALIDATION_ERROR'
+          }
+        };
+      }
+      return { value };
+    }
+    const minutes = durationMinutes || defaultMinutes;
+    if (!minutes) {
+      return { value };
+    }
+    return { value: { ...value, endsAt: new Date(value.startsAt.getTime() + minutes * 60 * 1000) } };
+  }
+
+  send(res, result, successStatus = 200) {
+    return res.status(result.success ? successStatus : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Your appointments
+   * GET /api/v1/appointments?scope=upcoming|past|all
+   */
+  async listAppointments(req, res) {
+    const { error, value } = this.validate(listSchema, req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await appointmentService.listAppointments(req.user.id, value));
+  }
+
+  /**
+   * Book an appointment on an accepted connection request
+   * POST /api/v1/appointments
+   */
+  async bookAppointment(req, res) {
+    const validated = this.validate(bookSchema, req.body);
+    const { error, value } = validated.error ? validated : this.withEnd(validated.value);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await appointmentService.bookAppointment(req.user.id, value), 201);
+  }
+
+  /**
+   * One appointment with its history
+   * GET /api/v1/appointments/:id
+   */
+  async getAppointment(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    return this.send(res, await appointmentService.getAppointment(id, req.user.id));
+  }
+
+  /**
+   * One appointment as an .ics file
+   * GET /api/v1/appointments/:id/ics
+   */
+  async downloadCalendar(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    const result = await appointmentService.getAppointmentCalendar(id, req.user.id);
+    if (!result.success) {
+      return this.send(res, result);
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${result.data.filename}"`);
+    return res.send(result.data.calendar);
+  }
+
+  /**
+   * Move an appointment
+   * POST /api/v1/appointments/:id/reschedule
+   */
+  async rescheduleAppointment(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    const validated = this.validate(rescheduleSchema, req.body);
+    const { error, value } = validated.error ? validated : this.withEnd(validated.value, { defaultMinutes: null });
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await appointmentService.rescheduleAppointment(id, req.user.id, value));
+  }
+
+  /**
+   * Cancel an appointment
+   * POST /api/v1/appointments/:id/cancel
+   */
+  async cancelAppointment(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(cancelSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await appointmentService.cancelAppointment(id, req.user.id, value));
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'VALIDATION_ERROR':
+      case 'APPOINTMENT_IN_PAST':
+        return 400;
+      case 'CONNECTION_NOT_FOUND':
+      case 'APPOINTMENT_NOT_FOUND':
+        return 404;
+      case 'CONNECTION_NOT_ACCEPTED':
+      case 'APPOINTMENT_CONFLICT':
+      case 'OUTSIDE_AVAILABILITY':
+      case 'APPOINTMENT_CANCELLED':
+      case 'APPOINTMENT_ENDED':
+        return 409;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new AppointmentController();
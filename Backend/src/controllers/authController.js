@@ -0,0 +1,328 @@
+/**
+ * Authentication Controller for FixRx
+ * Handles email/password registration, login, logout, password changes,
+ * token refresh and device sessions
+ */
+
+const Joi = require('joi');
+const passwordAuthService = require('../services/passwordAuthService');
+const tokenService = require('../services/tokenService');
+const { monitoringService } = require('../services/monitoringService');
+const { logger } = require('../utils/logger');
+
+class AuthController {
+  /**
+   * Register a user with email and password
+   * POST /api/v1/auth/register
+   */
+  async register(req, res) {
+    try {
+      const schema = Joi.object({
+        email: Joi.string().email().required().messages({
+          'string.email': 'Please provide a valid email address',
+          'any.required': 'Email is required'
+        }),
+        password: Joi.string().min(8).max(128).required().messages({
+          'string.min': 'Password must be at least 8 characters',
+          'any.required': 'Password is required'
+        }),
+        firstName: Joi.string().min(1).max(100).required(),
+        lastName: Joi.string().min(1).max(100).required(),
+        userType: Joi.string().valid('consumer', 'vendor', 'CONSUMER', 'VENDOR').default('consumer'),
+        phone: Joi.string().optional().allow(null, ''),
+        metroArea: Joi.string().optional().allow(null, '')
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await passwordAuthService.register({
+        ...value,
+        phone: value.phone || null,
+        metroArea: value.metroArea || null
+      });
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      await monitoringService.trackBusinessMetric('user_registration', 1, { userType: value.userType.toLowerCase() });
+
+      return res.status(201).json(result);
+    } catch (error) {
+      logger.error('Registration error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to register user. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Log in with email and password
+   * POST /api/v1/auth/login
+   */
+  async login(req, res) {
+    try {
+      const schema = Joi.object({
+        email: Joi.string().email().required().messages({
+          'string.email': 'Please provide a valid email address',
+          'any.required': 'Email is required'
+        }),
+        password: Joi.string().required().messages({
+          'any.required': 'Password is required'
+        })
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const ipAddress = req.ip || req.connection?.remoteAddress || '';
+      const userAgent = req.get('User-Agent') || '';
+      const deviceName = req.get('X-Device-Name') || null;
+
+      const result = await passwordAuthService.login(value.email, value.password, ipAddress, userAgent, deviceName);
+
+      if (!result.success) {
+        if (result.code === 'ACCOUNT_LOCKED') {
+          res.set('Retry-After', String(result.retryAfterSeconds));
+        }
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      await monitoringService.trackUserActivity(result.data.user.id, 'login', { userType: result.data.user.role });
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Login error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to log in. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * POST /api/v1/auth/refresh
+   */
+  async refresh(req, res) {
+    try {
+      const schema = Joi.object({
+        refreshToken: Joi.string().required().messages({
+          'any.required': 'Refresh token is required'
+        })
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await tokenService.rotateRefreshToken(value.refreshToken, {
+        ipAddress: req.ip || req.connection?.remoteAddress || null,
+        userAgent: req.get('User-Agent') || null
+      });
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Token refresh error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to refresh token. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Log out: denylist the presented access token and end its device session
+   * POST /api/v1/auth/logout
+   */
+  async logout(req, res) {
+    try {
+      await tokenService.denyDecodedToken(req.tokenPayload, 'logout');
+
+      if (req.sessionId) {
+        await tokenService.revokeSession(req.sessionId, 'logout');
+      }
+
+      return res.json({
+        success: true,
+        message: 'Logout successful'
+      });
+    } catch (error) {
+      logger.error('Logout error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to log out. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Change the current user's password and sign out every device
+   * POST /api/v1/auth/password/change
+   */
+  async changePassword(req, res) {
+    try {
+      const schema = Joi.object({
+        currentPassword: Joi.string().optional().allow(''),
+        newPassword: Joi.string().min(8).max(128).required().messages({
+          'string.min': 'Password must be at least 8 characters',
+          'any.required': 'New password is required'
+        })
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await passwordAuthService.changePassword(req.user.id, value.currentPassword, value.newPassword);
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      await tokenService.denyDecodedToken(req.tokenPayload, 'password_change');
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Change password error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to change password. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * List the current user's active device sessions
+   * GET /api/v1/auth/sessions
+   */
+  async listSessions(req, res) {
+    try {
+      const sessions = await tokenService.listSessions(req.user.id, req.sessionId);
+
+      return res.json({
+        success: true,
+        data: { sessions }
+      });
+    } catch (error) {
+      logger.error('List sessions error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to load sessions. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Sign out a single device
+   * DELETE /api/v1/auth/sessions/:id
+   */
+  async revokeSession(req, res) {
+    try {
+      const { error, value } = Joi.string().guid().required().validate(req.params.id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session id',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await tokenService.revokeUserSession(req.user.id, value);
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke session. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Sign out of every device, including the current one
+   * DELETE /api/v1/auth/sessions
+   */
+  async revokeAllSessions(req, res) {
+    try {
+      const result = await tokenService.revokeAllSessions(req.user.id);
+
+      await monitoringService.trackUserActivity(req.user.id, 'sign_out_everywhere', {
+        revokedSessions: result.data.revokedSessions
+      });
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Revoke all sessions error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to sign out of all devices. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'INVALID_CREDENTIALS':
+      case 'USER_INACTIVE':
+      case 'INVALID_REFRESH_TOKEN':
+      case 'REFRESH_TOKEN_EXPIRED':
+      case 'REFRESH_TOKEN_REUSED':
+      case 'SESSION_REVOKED':
+        return 401;
+      case 'SESSION_NOT_FOUND':
+      case 'USER_NOT_FOUND':
+        return 404;
+      case 'USER_ALREADY_EXISTS':
+        return 409;
+      case 'ACCOUNT_LOCKED':
+        return 429;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,71 @@
+/**
+ * Calendar Controller for FixRx
+ * Handles the vendor's secret-token iCalendar feed
+ */
+
+const Joi = require('joi');
+const calendarService = require('../services/calendarService');
+
+const tokenSchema = Joi.string().hex().length(64).required();
+
+class CalendarController {
+  send(res, result, successStatus = 200) {
+    return res.status(result.success ? successStatus : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Whether the signed-in vendor has a feed
+   * GET /api/v1/vendors/calendar-feed
+   */
+  async getFeedStatus(req, res) {
+    return this.send(res, await calendarService.getFeedStatus(req.user.id));
+  }
+
+  /**
+   * Create or replace the feed URL
+   * POST /api/v1/vendors/calendar-feed
+   */
+  async createFeed(req, res) {
+    return this.send(res, await calendarService.createFeed(req.user.id), 201);
+  }
+
+  /**
+   * Stop the feed URL from working
+   * DELETE /api/v1/vendors/calendar-feed
+   */
+  async revokeFeed(req, res) {
+    return this.send(res, await calendarService.revokeFeed(req.user.id));
+  }
+
+  /**
+   * The feed itself, polled by calendar apps
+   * GET /api/v1/calendar/feeds/:token.ics
+   */
+  async getFeed(req, res) {
+    const { error } = tokenSchema.validate(req.params.token);
+    if (error) {
+      return res.status(404).json({ success: false, message: 'Calendar feed not found', code: 'FEED_NOT_FOUND' });
+    }
+
+    const result = await calendarService.renderFeed(req.params.token);
+    if (!result.success) {
+      return this.send(res, result);
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    return res.send(result.data.calendar);
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'FEED_NOT_FOUND':
+        return 404;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new CalendarController();
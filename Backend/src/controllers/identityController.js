@@ -0,0 +1,300 @@
+/**
+ * Identity Controller for FixRx
+ * Lists, links and unlinks the phone numbers, emails and social accounts a
+ * user can sign in with. Every identifier is re-verified before it is linked.
+ */
+
+const Joi = require('joi');
+const identityService = require('../services/identityService');
+const otpService = require('../services/otpService');
+const magicLinkService = require('../services/magicLinkService');
+const oauthProviderService = require('../services/oauthProviderService');
+const { logger } = require('../utils/logger');
+
+class IdentityController {
+  /**
+   * List linked identities
+   * GET /api/v1/auth/identities
+   */
+  async listIdentities(req, res) {
+    try {
+      const identities = await identityService.listIdentities(req.user.id);
+
+      return res.json({
+        success: true,
+        data: { identities }
+      });
+    } catch (error) {
+      logger.error('List identities error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to load linked accounts. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Send a code to the phone number being linked
+   * POST /api/v1/auth/identities/phone
+   */
+  async startPhoneLink(req, res) {
+    try {
+      const schema = Joi.object({
+        phone: Joi.string().required().messages({
+          'any.required': 'Phone number is required'
+        })
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await otpService.sendOtp(value.phone, 'LINK', req.ip, req.get('User-Agent'));
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Start phone link error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification code. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Link a phone number after checking the code sent to it
+   * POST /api/v1/auth/identities/phone/verify
+   */
+  async confirmPhoneLink(req, res) {
+    try {
+      const schema = Joi.object({
+        phone: Joi.string().required(),
+        code: Joi.string().pattern(/^\d{4,8}$/).required().messages({
+          'string.pattern.base': 'Verification code must be numeric'
+        })
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const verification = await otpService.verifyPhoneOwnership(value.phone, value.code);
+      if (!verification.success) {
+        return res.status(this.mapErrorToStatus(verification.code)).json(verification);
+      }
+
+      const result = await identityService.linkIdentity(req.user.id, 'phone', verification.data.phone);
+
+      return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+    } catch (error) {
+      logger.error('Confirm phone link error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to link phone number. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Email a verification link to the address being linked
+   * POST /api/v1/auth/identities/email
+   */
+  async startEmailLink(req, res) {
+    try {
+      const schema = Joi.object({
+        email: Joi.string().email().required().messages({
+          'string.email': 'Please provide a valid email address',
+          'any.required': 'Email is required'
+        })
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await magicLinkService.sendIdentityLink(
+        req.user.id,
+        value.email.toLowerCase(),
+        req.get('User-Agent') || '',
+        req.ip
+      );
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Start email link error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification link. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Link an email once the user opens the verification link
+   * POST /api/v1/auth/identities/email/verify
+   */
+  async confirmEmailLink(req, res) {
+    try {
+      const schema = Joi.object({
+        token: Joi.string().required(),
+        email: Joi.string().email().required()
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const verification = await magicLinkService.consumeIdentityLink(value.token, value.email, req.user.id);
+      if (!verification.success) {
+        return res.status(this.mapErrorToStatus(verification.code)).json(verification);
+      }
+
+      const result = await identityService.linkIdentity(req.user.id, 'email', verification.data.email);
+
+      return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+    } catch (error) {
+      logger.error('Confirm email link error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to link email. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Link a Google, Apple or Microsoft account with a fresh ID token
+   * POST /api/v1/auth/identities/oauth/:provider
+   */
+  async linkOAuthAccount(req, res) {
+    try {
+      const schema = Joi.object({
+        idToken: Joi.string().required().messages({
+          'any.required': 'ID token is required'
+        }),
+        nonce: Joi.string().max(255).optional()
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { provider } = req.params;
+      const verification = await oauthProviderService.verifyIdToken(provider, value.idToken, { nonce: value.nonce || null });
+      if (!verification.success) {
+        return res.status(this.mapErrorToStatus(verification.code)).json(verification);
+      }
+
+      const profile = verification.data;
+      const result = await identityService.linkIdentity(req.user.id, provider, profile.subject, { email: profile.email });
+
+      return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+    } catch (error) {
+      logger.error('Link OAuth account error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to link account. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Unlink an identity
+   * DELETE /api/v1/auth/identities/:id
+   */
+  async unlinkIdentity(req, res) {
+    try {
+      const { error } = Joi.string().guid().validate(req.params.id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid identity id',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await identityService.unlinkIdentity(req.user.id, req.params.id);
+
+      return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+    } catch (error) {
+      logger.error('Unlink identity error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to unlink account. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'INVALID_PHONE':
+      case 'INVALID_EMAIL':
+      case 'INVALID_CODE':
+      case 'OTP_EXPIRED':
+      case 'VERIFICATION_NOT_FOUND':
+      case 'INVALID_LINK':
+      case 'LINK_USED':
+      case 'LINK_EXPIRED':
+      case 'TOKEN_VERIFICATION_ERROR':
+      case 'UNSUPPORTED_PROVIDER':
+      case 'LAST_IDENTITY':
+      case 'PRIMARY_EMAIL':
+        return 400;
+      case 'IDENTITY_NOT_FOUND':
+        return 404;
+      case 'IDENTITY_IN_USE':
+        return 409;
+      case 'TOO_MANY_ATTEMPTS':
+      case 'RATE_LIMIT':
+      case 'RATE_LIMIT_EXCEEDED':
+        return 429;
+      case 'OAUTH_NOT_CONFIGURED':
+      case 'OAUTH_PROVIDER_UNAVAILABLE':
+        return 503;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new IdentityController();
@@ -0,0 +1,260 @@
+/**
+ * Job Controller for FixRx
+ * Handles listing service jobs, moving them through their lifecycle and the
+ * completion proof the consumer signs off on
+ */
+
+const Joi = require('joi');
+const multer = require('multer');
+const jobService = require('../services/jobService');
+const jobCompletionService = require('../services/jobCompletionService');
+const { STATUSES } = require('../utils/jobLifecycle');
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_PHOTOS_PER_KIND = 10;
+
+// Kept in memory: every photo is re-encoded before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: MAX_PHOTOS_PER_KIND * 2
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype && file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+}).fields([
+  { name: 'before', maxCount: MAX_PHOTOS_PER_KIND },
+  { name: 'after', maxCount: MAX_PHOTOS_PER_KIND }
+]);
+
+const listSchema = Joi.object({
+  status: Joi.string().valid(...STATUSES),
+  connectionRequestId: Joi.string().guid(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const transitionSchema = Joi.object({
+  status: Joi.string().valid(...STATUSES).required(),
+  reason: Joi.string().trim().max(2000).allow('', null)
+});
+
+const completionSchema = Joi.object({
+  notes: Joi.string().trim().max(5000).allow('', null)
+});
+
+const disputeSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(2000).required()
+});
+
+const idSchema = Joi.string().guid().required();
+
+class JobController {
+  validate(schema, input) {
+    const { error, value } = schema.validate(input || {}, { stripUnknown: true });
+    if (error) {
+      return {
+        error: {
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      };
+    }
+    return { value };
+  }
+
+  validateId(req, res) {
+    const { error } = idSchema.validate(req.params.id);
+    if (error) {
+      res.status(400).json({ success: false, message: 'Invalid job id', code: 'VALIDATION_ERROR' });
+      return null;
+    }
+    return req.params.id;
+  }
+
+  send(res, result, successStatus = 200) {
+    return res.status(result.success ? successStatus : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Your jobs as consumer or vendor
+   * GET /api/v1/jobs
+   */
+  async listJobs(req, res) {
+    const { error, value } = this.validate(listSchema, req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await jobService.listJobs(req.user, value));
+  }
+
+  /**
+   * A job with its audit trail
+   * GET /api/v1/jobs/:id
+   */
+  async getJob(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    return this.send(res, await jobService.getJob(id, req.user));
+  }
+
+  /**
+   * Move a job to a new status
+   * POST /api/v1/jobs/:id/transitions
+   */
+  async transitionJob(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(transitionSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await jobService.transition(id, req.user, value));
+  }
+
+  /**
+   * Complete an in-progress job with photos (multipart fields "before" and
+   * "after", at least one after) and optional "notes"
+   * POST /api/v1/jobs/:id/completion
+   */
+  submitCompletion(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    return upload(req, res, async (uploadError) => {
+      if (uploadError) {
+        const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: tooLarge ? `Images must be ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB or smaller` : uploadError.message,
+          code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD'
+        });
+      }
+
+      const { error, value } = this.validate(completionSchema, req.body);
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      const result = await jobCompletionService.submitCompletion(id, req.user, {
+        notes: value.notes || null,
+        files: req.files || {}
+      });
+      return this.send(res, result, 201);
+    });
+  }
+
+  /**
+   * Completion notes and photos
+   * GET /api/v1/jobs/:id/completion
+   */
+  async getCompletion(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    return this.send(res, await jobCompletionService.getCompletion(id, req.user));
+  }
+
+  /**
+   * One completion photo, or its thumbnail with ?size=thumbnail
+   * GET /api/v1/jobs/:id/completion/photos/:photoId
+   */
+  async getCompletionPhoto(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+    if (idSchema.validate(req.params.photoId).error) {
+      return res.status(400).json({ success: false, message: 'Invalid photo id', code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await jobCompletionService.getPhoto(id, req.params.photoId, req.user, {
+      thumbnail: req.query.size === 'thumbnail'
+    });
+    if (!result.success) {
+      return this.send(res, result);
+    }
+
+    res.set({
+      'Content-Type': result.data.contentType,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    return res.send(result.data.buffer);
+  }
+
+  /**
+   * Consumer accepts the finished work
+   * POST /api/v1/jobs/:id/completion/confirm
+   */
+  async confirmCompletion(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    return this.send(res, await jobCompletionService.confirmCompletion(id, req.user));
+  }
+
+  /**
+   * Consumer disputes the finished work within the confirmation window
+   * POST /api/v1/jobs/:id/completion/dispute
+   */
+  async disputeCompletion(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(disputeSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await jobService.transition(id, req.user, { status: 'disputed', reason: value.reason }));
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'VALIDATION_ERROR':
+      case 'REASON_REQUIRED':
+      case 'PHOTOS_REQUIRED':
+      case 'INVALID_IMAGE':
+        return 400;
+      case 'FORBIDDEN':
+        return 403;
+      case 'JOB_NOT_FOUND':
+      case 'COMPLETION_NOT_FOUND':
+      case 'PHOTO_NOT_FOUND':
+        return 404;
+      case 'INVALID_TRANSITION':
+      case 'COMPLETION_PROOF_REQUIRED':
+      case 'CONFIRMATION_WINDOW_CLOSED':
+      case 'JOB_NOT_COMPLETED':
+      case 'ALREADY_CONFIRMED':
+        return 409;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new JobController();
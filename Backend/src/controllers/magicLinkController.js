@@ -136,7 +136,8 @@ class MagicLinkController {
         token,
         email.toLowerCase().trim(),
         userAgent,
-        ipAddress
+        ipAddress,
+        req.get('X-Device-Name') || null
       );
 
       if (!result.success) {
@@ -167,12 +168,26 @@ class MagicLinkController {
         ipAddress
       });
 
+      // No tokens yet: the client completes POST /api/v1/auth/2fa/challenge
+      if (result.requiresTwoFactor) {
+        return res.status(200).json({
+          success: true,
+          message: result.message,
+          data: {
+            user: result.user,
+            requiresTwoFactor: true,
+            challengeToken: result.challengeToken,
+            isNewUser: result.isNewUser
+          }
+        });
+      }
+
       // Set secure HTTP-only cookie for refresh token
       res.cookie('refreshToken', result.refreshToken, {
         httpOnly: true,
         secure: process.env.NODE_ENV === 'production',
         sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
       });
 
       res.status(200).json({
@@ -181,6 +196,7 @@ class MagicLinkController {
         data: {
           user: result.user,
           token: result.token,
+          refreshToken: result.refreshToken,
           isNewUser: result.isNewUser,
           expiresIn: 15 * 60 // 15 minutes in seconds
         }
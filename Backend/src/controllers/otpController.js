@@ -72,8 +72,9 @@ class OtpController {
       const { phone, code, userType } = value;
       const ipAddress = req.ip || req.connection?.remoteAddress || '';
       const userAgent = req.get('User-Agent') || '';
+      const deviceName = req.get('X-Device-Name') || null;
 
-      const result = await otpService.verifyOtp(phone, code, ipAddress, userAgent, userType);
+      const result = await otpService.verifyOtp(phone, code, ipAddress, userAgent, userType, deviceName);
 
       if (!result.success) {
         const statusCode = this.mapErrorToStatus(result.code);
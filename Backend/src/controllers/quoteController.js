@@ -0,0 +1,217 @@
+/**
+ * Quote Controller for FixRx
+ * Handles itemized quotes on connection requests: sending and revising
+ * (vendor) and accepting, countering or rejecting (consumer)
+ */
+
+const Joi = require('joi');
+const quoteService = require('../services/quoteService');
+const { CATEGORIES } = require('../utils/quoteTotals');
+
+const MAX_VALID_DAYS = 90;
+
+const lineItemSchema = Joi.object({
+  category: Joi.string().valid(...CATEGORIES).required(),
+  description: Joi.string().trim().min(1).max(500).required(),
+  quantity: Joi.number().positive().max(100000).precision(2).default(1),
+  unitPrice: Joi.number().min(0).max(1000000).precision(2).required(),
+  taxable: Joi.boolean().default(true)
+});
+
+// Pricing shared by new quotes and revisions; expiry is a date or a number of days
+const pricingFields = {
+  lineItems: Joi.array().items(lineItemSchema).min(1).max(100).required(),
+  taxRate: Joi.number().min(0).max(30).precision(3).default(0),
+  notes: Joi.string().trim().max(5000).allow('', null),
+  expiresAt: Joi.date().iso().greater('now').max(Joi.ref('$maxExpiry')).messages({
+    'date.greater': 'expiresAt must be in the future',
+    'date.max': `Quotes can be valid for at most ${MAX_VALID_DAYS} days`
+  }),
+  validDays: Joi.number().integer().min(1).max(MAX_VALID_DAYS)
+};
+
+const createSchema = Joi.object({
+  ...pricingFields,
+  currency: Joi.string().uppercase().length(3).default('USD')
+}).oxor('expiresAt', 'validDays');
+
+const reviseSchema = Joi.object(pricingFields).oxor('expiresAt', 'validDays');
+
+const acceptSchema = Joi.object({
+  revision: Joi.number().integer().min(1).required()
+});
+
+const counterSchema = Joi.object({
+  message: Joi.string().trim().min(1).max(2000).required(),
+  proposedTotal: Joi.number().min(0).max(99999999.99).precision(2)
+});
+
+const rejectSchema = Joi.object({
+  reason: Joi.string().trim().max(2000).allow('', null)
+});
+
+const idSchema = Joi.string().guid().required();
+
+class QuoteController {
+  validate(schema, input) {
+    const { error, value } = schema.validate(input || {}, {
+      stripUnknown: true,
+      context: { maxExpiry: new Date(Date.now() + MAX_VALID_DAYS * 24 * 60 * 60 * 1000) }
+    });
+    if (error) {
+      return {
+        error: {
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      };
+    }
+    return { value };
+  }
+
+  validateId(id, res, label) {
+    const { error } = idSchema.validate(id);
+    if (error) {
+      res.status(400).json({ success: false, message: `Invalid ${label} id`, code: 'VALIDATION_ERROR' });
+      return false;
+    }
+    return true;
+  }
+
+  send(res, result, successStatus = 200) {
+    return res.status(result.success ? successStatus : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Quotes on a connection request
+   * GET /api/v1/connections/requests/:requestId/quotes
+   */
+  async listQuotes(req, res) {
+    if (!this.validateId(req.params.requestId, res, 'request')) {
+      return undefined;
+    }
+
+    return this.send(res, await quoteService.listQuotes(req.params.requestId, req.user.id));
+  }
+
+  /**
+   * Send a quote
+   * POST /api/v1/connections/requests/:requestId/quotes
+   */
+  async createQuote(req, res) {
+    if (!this.validateId(req.params.requestId, res, 'request')) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(createSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await quoteService.createQuote(req.user.id, req.params.requestId, value), 201);
+  }
+
+  /**
+   * A quote with its revisions and history
+   * GET /api/v1/quotes/:quoteId
+   */
+  async getQuote(req, res) {
+    if (!this.validateId(req.params.quoteId, res, 'quote')) {
+      return undefined;
+    }
+
+    return this.send(res, await quoteService.getQuote(req.params.quoteId, req.user.id));
+  }
+
+  /**
+   * Revise an open quote
+   * POST /api/v1/quotes/:quoteId/revisions
+   */
+  async reviseQuote(req, res) {
+    if (!this.validateId(req.params.quoteId, res, 'quote')) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(reviseSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await quoteService.reviseQuote(req.params.quoteId, req.user.id, value), 201);
+  }
+
+  /**
+   * Accept a revision
+   * POST /api/v1/quotes/:quoteId/accept
+   */
+  async acceptQuote(req, res) {
+    if (!this.validateId(req.params.quoteId, res, 'quote')) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(acceptSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await quoteService.acceptQuote(req.params.quoteId, req.user.id, value));
+  }
+
+  /**
+   * Ask for changes
+   * POST /api/v1/quotes/:quoteId/counter
+   */
+  async counterQuote(req, res) {
+    if (!this.validateId(req.params.quoteId, res, 'quote')) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(counterSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await quoteService.counterQuote(req.params.quoteId, req.user.id, value));
+  }
+
+  /**
+   * Turn a quote down
+   * POST /api/v1/quotes/:quoteId/reject
+   */
+  async rejectQuote(req, res) {
+    if (!this.validateId(req.params.quoteId, res, 'quote')) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(rejectSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await quoteService.rejectQuote(req.params.quoteId, req.user.id, value));
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'VALIDATION_ERROR':
+        return 400;
+      case 'FORBIDDEN':
+        return 403;
+      case 'CONNECTION_NOT_FOUND':
+      case 'QUOTE_NOT_FOUND':
+        return 404;
+      case 'CONNECTION_CLOSED':
+      case 'QUOTE_ALREADY_OPEN':
+      case 'QUOTE_CLOSED':
+      case 'QUOTE_EXPIRED':
+      case 'QUOTE_REVISED':
+        return 409;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new QuoteController();
@@ -0,0 +1,220 @@
+/**
+ * Search Controller for FixRx
+ * Handles the public vendor search endpoints, backed by geoSearchService,
+ * and the offline ZIP / metro-area lookups
+ */
+
+const Joi = require('joi');
+const { geoSearchService } = require('../services/geoSearchService');
+const geocodingService = require('../services/geocodingService');
+const { logger } = require('../utils/logger');
+
+const MAX_RADIUS_KM = 200;
+// Point and ZIP searches; metro searches default to the metro's own radius
+const DEFAULT_RADIUS_KM = 10;
+const MAX_PAGE_SIZE = 50;
+const SORTS = ['relevance', 'distance', 'rating', 'price_low', 'price_high', 'newest'];
+
+const latitude = Joi.number().min(-90).max(90);
+const longitude = Joi.number().min(-180).max(180);
+const zip = Joi.string().trim().pattern(/^\d{5}(-?\d{4})?$/).messages({
+  'string.pattern.base': 'zip must be a 5-digit US ZIP code'
+});
+const metroArea = Joi.string().trim().min(2).max(100);
+
+const pageFields = {
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(20),
+  cursor: Joi.string().max(500),
+  includeUnlocated: Joi.boolean().default(false)
+};
+
+const vendorSearchSchema = Joi.object({
+  location: Joi.alternatives().try(
+    Joi.object({ lat: latitude.required(), lng: longitude.required() }),
+    Joi.object({ zip: zip.required() }),
+    Joi.object({ metroArea: metroArea.required() })
+  ),
+  radiusKm: Joi.number().positive().max(MAX_RADIUS_KM),
+  // Free text, e.g. "leaky faucet"
+  q: Joi.string().trim().max(200),
+  // Single category, kept for older clients
+  serviceType: Joi.string().trim().max(100),
+  serviceCategories: Joi.array().items(Joi.string().trim().max(100)).max(20).default([]),
+  minRating: Joi.number().min(0).max(5).default(0),
+  priceRange: Joi.object({
+    min: Joi.number().min(0).default(0),
+    // Omit for an open-ended range, e.g. the top price band
+    max: Joi.number().min(Joi.ref('min')).allow(null)
+  }),
+  verified: Joi.boolean(),
+  availability: Joi.object({
+    datetime: Joi.date().iso(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().greater(Joi.ref('from')),
+    durationMinutes: Joi.number().integer().min(15).max(12 * 60)
+  }).xor('datetime', 'from'),
+  // relevance with q, distance without
+  sortBy: Joi.string().valid(...SORTS),
+  // Add filter chip counts (see getFacets)
+  facets: Joi.boolean().default(false),
+  ...pageFields
+});
+
+const nearbySchema = Joi.object({
+  lat: latitude,
+  lng: longitude,
+  zip,
+  metroArea,
+  radius: Joi.number().positive().max(MAX_RADIUS_KM),
+  ...pageFields
+}).and('lat', 'lng').xor('lat', 'zip', 'metroArea');
+
+const geocodeSchema = Joi.object({ zip, metroArea }).xor('zip', 'metroArea');
+
+// Metro searches leave radiusKm unset so the metro's radius applies
+const radiusFor = (radiusKm, place) => radiusKm ?? (place.metroArea ? undefined : DEFAULT_RADIUS_KM);
+
+// Service parameters for a validated vendorSearchSchema body
+const toSearchParams = (value) => {
+  const location = value.location || {};
+  return {
+    lat: location.lat ?? null,
+    lng: location.lng ?? null,
+    zip: location.zip || null,
+    metroArea: location.metroArea || null,
+    radiusKm: radiusFor(value.radiusKm, location),
+    q: value.q || null,
+    serviceCategories: value.serviceType ? [...value.serviceCategories, value.serviceType] : value.serviceCategories,
+    minRating: value.minRating,
+    priceRange: value.priceRange || null,
+    verified: value.verified === undefined ? null : value.verified,
+    availability: value.availability || null,
+    sortBy: value.sortBy || null,
+    includeUnlocated: value.includeUnlocated,
+    maxResults: value.limit,
+    cursor: value.cursor || null
+  };
+};
+
+class SearchController {
+  validate(schema, input) {
+    const { error, value } = schema.validate(input || {}, { stripUnknown: true });
+    if (error) {
+      return {
+        error: {
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      };
+    }
+    return { value };
+  }
+
+  /**
+   * Run a search and answer with the shared response shape, plus facets when asked
+   */
+  async respond(res, searchParams, { facets = false } = {}) {
+    try {
+      const [result, facetResult] = await Promise.all([
+        geoSearchService.searchVendors(searchParams),
+        facets ? geoSearchService.getFacets(searchParams) : null
+      ]);
+      return res.json({ success: true, data: facetResult ? { ...result, facets: facetResult.facets } : result });
+    } catch (error) {
+      return this.fail(res, error);
+    }
+  }
+
+  fail(res, error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ success: false, message: error.message, code: 'INVALID_CURSOR' });
+    }
+    if (error.code === 'LOCATION_NOT_FOUND') {
+      return res.status(404).json({ success: false, message: error.message, code: 'LOCATION_NOT_FOUND' });
+    }
+    logger.error('Vendor search error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to search vendors', code: 'SEARCH_ERROR' });
+  }
+
+  /**
+   * Filtered vendor search; without a location results are ordered by rating
+   * POST /api/v1/search/vendors
+   */
+  async searchVendors(req, res) {
+    const { error, value } = this.validate(vendorSearchSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.respond(res, toSearchParams(value), { facets: value.facets });
+  }
+
+  /**
+   * Filter chip counts for a search, without the vendors
+   * POST /api/v1/search/facets
+   */
+  async getFacets(req, res) {
+    const { error, value } = this.validate(vendorSearchSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    try {
+      const result = await geoSearchService.getFacets(toSearchParams(value));
+      return res.json({ success: true, data: result });
+    } catch (searchError) {
+      return this.fail(res, searchError);
+    }
+  }
+
+  /**
+   * Closest vendors around a point, ZIP or metro
+   * GET /api/v1/search/nearby
+   */
+  async searchNearby(req, res) {
+    const { error, value } = this.validate(nearbySchema, req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.respond(res, {
+      lat: value.lat ?? null,
+      lng: value.lng ?? null,
+      zip: value.zip || null,
+      metroArea: value.metroArea || null,
+      radiusKm: radiusFor(value.radius, value),
+      sortBy: 'distance',
+      includeUnlocated: value.includeUnlocated,
+      maxResults: value.limit,
+      cursor: value.cursor || null
+    });
+  }
+
+  /**
+   * Center and suggested radius for a ZIP or metro name, from the bundled dataset
+   * GET /api/v1/search/geocode
+   */
+  async geocode(req, res) {
+    const { error, value } = this.validate(geocodeSchema, req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const location = geocodingService.resolve(value);
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found', code: 'LOCATION_NOT_FOUND' });
+    }
+    return res.json({ success: true, data: { location } });
+  }
+
+  /**
+   * Metro areas search understands, with their centers
+   * GET /api/v1/search/metro-areas
+   */
+  async listMetroAreas(req, res) {
+    return res.json({ success: true, data: { metroAreas: geocodingService.listMetroAreas() } });
+  }
+}
+
+module.exports = new SearchController();
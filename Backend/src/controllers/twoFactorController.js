@@ -0,0 +1,246 @@
+/**
+ * Two-Factor Authentication Controller for FixRx
+ * Handles TOTP enrollment, recovery codes and the post-login challenge
+ */
+
+const Joi = require('joi');
+const twoFactorService = require('../services/twoFactorService');
+const { monitoringService } = require('../services/monitoringService');
+const { logger } = require('../utils/logger');
+
+const totpCode = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Code must be 6 digits'
+});
+
+class TwoFactorController {
+  /**
+   * Get the current user's two-factor status
+   * GET /api/v1/auth/2fa/status
+   */
+  async getStatus(req, res) {
+    try {
+      const result = await twoFactorService.getStatus(req.user.id);
+      return res.json(result);
+    } catch (error) {
+      logger.error('Two-factor status error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to load two-factor status. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Start enrollment and return the otpauth:// provisioning URI
+   * POST /api/v1/auth/2fa/enroll
+   */
+  async startEnrollment(req, res) {
+    try {
+      const result = await twoFactorService.startEnrollment(req.user);
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Two-factor enrollment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to start two-factor enrollment. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * POST /api/v1/auth/2fa/enroll/verify
+   */
+  async confirmEnrollment(req, res) {
+    try {
+      const schema = Joi.object({
+        code: totpCode.required()
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await twoFactorService.confirmEnrollment(req.user.id, value.code);
+
+      if (!result.success) {
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      await monitoringService.trackUserActivity(req.user.id, 'two_factor_enabled');
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Two-factor confirmation error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to enable two-factor authentication. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Disable two-factor authentication (requires a current code or a recovery code)
+   * POST /api/v1/auth/2fa/disable
+   */
+  async disable(req, res) {
+    try {
+      const schema = Joi.object({
+        code: totpCode,
+        recoveryCode: Joi.string().max(32)
+      }).xor('code', 'recoveryCode');
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await twoFactorService.disable(req.user.id, value);
+
+      if (!result.success) {
+        if (result.code === 'TOO_MANY_TWO_FACTOR_ATTEMPTS') {
+          res.set('Retry-After', String(result.retryAfterSeconds));
+        }
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      await monitoringService.trackUserActivity(req.user.id, 'two_factor_disabled');
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Two-factor disable error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to disable two-factor authentication. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Replace the recovery codes (requires a current code)
+   * POST /api/v1/auth/2fa/recovery-codes
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const schema = Joi.object({
+        code: totpCode.required()
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, value.code);
+
+      if (!result.success) {
+        if (result.code === 'TOO_MANY_TWO_FACTOR_ATTEMPTS') {
+          res.set('Retry-After', String(result.retryAfterSeconds));
+        }
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Recovery code regeneration error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to regenerate recovery codes. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Complete the login challenge returned by OTP, magic link, Google or password login
+   * POST /api/v1/auth/2fa/challenge
+   */
+  async completeChallenge(req, res) {
+    try {
+      const schema = Joi.object({
+        challengeToken: Joi.string().required().messages({
+          'any.required': 'Challenge token is required'
+        }),
+        code: totpCode,
+        recoveryCode: Joi.string().max(32)
+      }).xor('code', 'recoveryCode');
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const result = await twoFactorService.completeChallenge(value.challengeToken, {
+        code: value.code || null,
+        recoveryCode: value.recoveryCode || null,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      if (!result.success) {
+        if (result.code === 'TOO_MANY_TWO_FACTOR_ATTEMPTS') {
+          res.set('Retry-After', String(result.retryAfterSeconds));
+        }
+        return res.status(this.mapErrorToStatus(result.code)).json(result);
+      }
+
+      await monitoringService.trackUserActivity(result.data.user.id, 'login', { method: 'two_factor' });
+
+      return res.json(result);
+    } catch (error) {
+      logger.error('Two-factor challenge error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to verify code. Please try again.',
+        code: 'SERVER_ERROR'
+      });
+    }
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'INVALID_TWO_FACTOR_CODE':
+      case 'INVALID_TWO_FACTOR_CHALLENGE':
+      case 'USER_INACTIVE':
+        return 401;
+      case 'TWO_FACTOR_NOT_ENABLED':
+      case 'TWO_FACTOR_NOT_STARTED':
+        return 400;
+      case 'TWO_FACTOR_ALREADY_ENABLED':
+        return 409;
+      case 'TOO_MANY_TWO_FACTOR_ATTEMPTS':
+        return 429;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
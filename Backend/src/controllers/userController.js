@@ -1,6 +1,7 @@
 const Joi = require('joi');
 const { dbManager } = require('../config/database');
 const { logger } = require('../utils/logger');
+const geocodingService = require('../services/geocodingService');
 
 class UserController {
   /**
@@ -144,7 +145,7 @@ class UserController {
       }
       if (value.metroArea !== undefined) {
         updates.push(`metro_area = $${paramIndex++}`);
-        values.push(value.metroArea);
+        values.push(geocodingService.normalizeMetroArea(value.metroArea));
       }
 
       if (updates.length === 0) {
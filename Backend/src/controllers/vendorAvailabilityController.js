@@ -0,0 +1,144 @@
+/**
+ * Vendor Availability Controller for FixRx
+ * Handles weekly working hours, time off and the public open-slot calendar
+ */
+
+const Joi = require('joi');
+const { availabilitySchedule, timezone } = require('../utils/vendorProfileValidation');
+const vendorAvailabilityService = require('../services/vendorAvailabilityService');
+
+const scheduleSchema = Joi.object({
+  availabilitySchedule: availabilitySchedule.allow(null),
+  timezone: timezone.allow(null),
+  version: Joi.number().integer().min(1)
+}).or('availabilitySchedule', 'timezone');
+
+const timeOffSchema = Joi.object({
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required().messages({
+    'date.greater': 'endsAt must be after startsAt'
+  }),
+  reason: Joi.string().trim().max(255).allow('', null)
+});
+
+const slotsSchema = Joi.object({
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().required(),
+  slotMinutes: Joi.number().integer().min(15).max(480).default(60)
+});
+
+const idSchema = Joi.string().guid().required();
+
+class VendorAvailabilityController {
+  validate(schema, input) {
+    const { error, value } = schema.validate(input || {}, { stripUnknown: true });
+    if (error) {
+      return {
+        error: {
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      };
+    }
+    return { value };
+  }
+
+  validateId(id, res) {
+    const { error } = idSchema.validate(id);
+    if (error) {
+      res.status(400).json({ success: false, message: 'Invalid id', code: 'VALIDATION_ERROR' });
+      return false;
+    }
+    return true;
+  }
+
+  send(res, result, successStatus = 200) {
+    return res.status(result.success ? successStatus : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * The signed-in vendor's working hours, timezone and upcoming time off
+   * GET /api/v1/vendors/availability
+   */
+  async getMySchedule(req, res) {
+    return this.send(res, await vendorAvailabilityService.getSchedule(req.user.id));
+  }
+
+  /**
+   * Set weekly working hours and/or timezone
+   * PUT /api/v1/vendors/availability
+   */
+  async updateSchedule(req, res) {
+    const { error, value } = this.validate(scheduleSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const { version, ...fields } = value;
+    return this.send(res, await vendorAvailabilityService.updateSchedule(req.user.id, fields, {
+      actorId: req.user.id,
+      expectedVersion: version ?? null
+    }));
+  }
+
+  /**
+   * Block out time off
+   * POST /api/v1/vendors/availability/time-off
+   */
+  async addTimeOff(req, res) {
+    const { error, value } = this.validate(timeOffSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await vendorAvailabilityService.addTimeOff(req.user.id, value), 201);
+  }
+
+  /**
+   * Remove a time-off block
+   * DELETE /api/v1/vendors/availability/time-off/:timeOffId
+   */
+  async removeTimeOff(req, res) {
+    if (!this.validateId(req.params.timeOffId, res)) {
+      return undefined;
+    }
+
+    return this.send(res, await vendorAvailabilityService.removeTimeOff(req.user.id, req.params.timeOffId));
+  }
+
+  /**
+   * Open slots of a vendor between from and to
+   * GET /api/v1/vendors/:vendorId/availability?from&to&slotMinutes
+   */
+  async getOpenSlots(req, res) {
+    if (!this.validateId(req.params.vendorId, res)) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(slotsSchema, req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await vendorAvailabilityService.getOpenSlots(req.params.vendorId, value));
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'VALIDATION_ERROR':
+      case 'INVALID_RANGE':
+        return 400;
+      case 'PROFILE_NOT_FOUND':
+      case 'TIME_OFF_NOT_FOUND':
+        return 404;
+      case 'VERSION_CONFLICT':
+        return 409;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new VendorAvailabilityController();
@@ -0,0 +1,192 @@
+/**
+ * Vendor Controller for FixRx
+ * Handles vendor business profiles: creation, full and partial updates,
+ * change history and the public profile view
+ */
+
+const Joi = require('joi');
+const { profileFields } = require('../utils/vendorProfileValidation');
+const vendorProfileService = require('../services/vendorProfileService');
+const { monitoringService } = require('../services/monitoringService');
+const { dbManager } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const createSchema = Joi.object({
+  ...profileFields,
+  businessName: profileFields.businessName.required()
+}).fork(['version'], field => field.forbidden());
+
+const replaceSchema = Joi.object({
+  ...profileFields,
+  businessName: profileFields.businessName.required()
+});
+
+const patchSchema = Joi.object(profileFields).min(1);
+
+class VendorController {
+  validate(schema, body) {
+    const { error, value } = schema.validate(body || {}, { stripUnknown: true });
+    if (error) {
+      return {
+        error: {
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      };
+    }
+
+    const { version, ...fields } = value;
+    return { fields, expectedVersion: version ?? null };
+  }
+
+  /**
+   * The signed-in vendor's profile
+   * GET /api/v1/vendors/profile
+   */
+  async getMyProfile(req, res) {
+    const result = await vendorProfileService.getProfile(req.user.id);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Create the signed-in vendor's profile
+   * POST /api/v1/vendors/profile
+   */
+  async createProfile(req, res) {
+    const { error, fields } = this.validate(createSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const result = await vendorProfileService.createProfile(req.user.id, fields, { actorId: req.user.id });
+    if (!result.success) {
+      return res.status(this.mapErrorToStatus(result.code)).json(result);
+    }
+
+    await this.trackProfileCreated(result);
+    return res.status(201).json(result);
+  }
+
+  /**
+   * Replace the profile (fields left out are cleared); creates it if missing
+   * PUT /api/v1/vendors/profile
+   */
+  async replaceProfile(req, res) {
+    const { error, fields, expectedVersion } = this.validate(replaceSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const result = await vendorProfileService.replaceProfile(req.user.id, fields, {
+      actorId: req.user.id,
+      expectedVersion
+    });
+    if (!result.success) {
+      return res.status(this.mapErrorToStatus(result.code)).json(result);
+    }
+
+    await this.trackProfileCreated(result);
+    return res.status(result.data.created ? 201 : 200).json(result);
+  }
+
+  /**
+   * Update only the fields sent
+   * PATCH /api/v1/vendors/profile
+   */
+  async updateProfile(req, res) {
+    const { error, fields, expectedVersion } = this.validate(patchSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const result = await vendorProfileService.updateProfile(req.user.id, fields, {
+      actorId: req.user.id,
+      expectedVersion
+    });
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Versioned change history of the signed-in vendor's profile
+   * GET /api/v1/vendors/profile/history
+   */
+  async getProfileHistory(req, res) {
+    const { error, value } = Joi.object({
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      offset: Joi.number().integer().min(0).default(0)
+    }).validate(req.query || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await vendorProfileService.getHistory(req.user.id, value);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Public vendor profile
+   * GET /api/v1/vendors/:vendorId/profile
+   */
+  async getPublicProfile(req, res, next) {
+    try {
+      const { vendorId } = req.params;
+
+      const result = await dbManager.query(`
+        SELECT vp.*, u.first_name, u.last_name, u.email, u.profile_image
+        FROM vendor_profiles vp
+        JOIN users u ON vp.vendor_id = u.id
+        WHERE vp.vendor_id = $1
+      `, [vendorId]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'VENDOR_NOT_FOUND', message: 'Vendor profile not found' }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { vendor: result.rows[0] }
+      });
+    } catch (error) {
+      await monitoringService.trackError({ error, request: req, user: req.user });
+      next(error);
+    }
+  }
+
+  async trackProfileCreated(result) {
+    if (!result.data.created) {
+      return;
+    }
+
+    try {
+      await monitoringService.trackBusinessMetric('vendor_profile_created', 1);
+    } catch (error) {
+      logger.warn('Vendor profile metric failed', { error: error.message });
+    }
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'VALIDATION_ERROR':
+      case 'INVALID_RATE_RANGE':
+        return 400;
+      case 'PROFILE_NOT_FOUND':
+        return 404;
+      case 'PROFILE_EXISTS':
+      case 'VERSION_CONFLICT':
+        return 409;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new VendorController();
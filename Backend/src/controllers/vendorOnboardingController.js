@@ -0,0 +1,124 @@
+/**
+ * Vendor Onboarding Controller for FixRx
+ * Handles the guided onboarding steps a vendor completes before appearing in search
+ */
+
+const Joi = require('joi');
+const vendorOnboardingService = require('../services/vendorOnboardingService');
+const { monitoringService } = require('../services/monitoringService');
+const { logger } = require('../utils/logger');
+
+const paramsSchema = Joi.object({
+  onboardingId: Joi.string().guid().required(),
+  stepNumber: Joi.number().integer().min(1)
+});
+
+class VendorOnboardingController {
+  validateParams(params) {
+    const { error, value } = paramsSchema.validate(params);
+    if (error) {
+      return {
+        error: {
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      };
+    }
+    return { value };
+  }
+
+  /**
+   * Start onboarding, or resume the one already in progress
+   * POST /api/v1/vendors/onboarding/start
+   */
+  async startOnboarding(req, res) {
+    const result = await vendorOnboardingService.startOnboarding(req.user.id);
+    if (!result.success) {
+      return res.status(this.mapErrorToStatus(result.code)).json(result);
+    }
+
+    if (result.data.created) {
+      await this.trackMetric('vendor_onboarding_started');
+    }
+    return res.status(result.data.created ? 201 : 200).json(result);
+  }
+
+  /**
+   * The signed-in vendor's onboarding progress
+   * GET /api/v1/vendors/onboarding
+   */
+  async getMyOnboarding(req, res) {
+    const result = await vendorOnboardingService.getOnboarding(req.user.id);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Onboarding progress by id
+   * GET /api/v1/vendors/onboarding/:onboardingId
+   */
+  async getOnboarding(req, res) {
+    const { error, value } = this.validateParams(req.params);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const result = await vendorOnboardingService.getOnboarding(req.user.id, value.onboardingId);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Submit one onboarding step
+   * PUT /api/v1/vendors/onboarding/:onboardingId/step/:stepNumber
+   */
+  async submitStep(req, res) {
+    const { error, value } = this.validateParams(req.params);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const result = await vendorOnboardingService.submitStep(
+      req.user.id,
+      value.onboardingId,
+      value.stepNumber,
+      req.body || {},
+      { actorId: req.user.id }
+    );
+    if (!result.success) {
+      return res.status(this.mapErrorToStatus(result.code)).json(result);
+    }
+
+    if (result.data.completedNow) {
+      await this.trackMetric('vendor_onboarding_completed');
+    }
+    return res.json(result);
+  }
+
+  async trackMetric(name) {
+    try {
+      await monitoringService.trackBusinessMetric(name, 1);
+    } catch (error) {
+      logger.warn('Vendor onboarding metric failed', { metric: name, error: error.message });
+    }
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'VALIDATION_ERROR':
+      case 'INVALID_RATE_RANGE':
+      case 'INVALID_STEP':
+      case 'STEP_REQUIRED':
+        return 400;
+      case 'ONBOARDING_NOT_FOUND':
+      case 'PROFILE_NOT_FOUND':
+        return 404;
+      case 'STEP_OUT_OF_ORDER':
+        return 409;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new VendorOnboardingController();
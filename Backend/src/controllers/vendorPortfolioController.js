@@ -0,0 +1,160 @@
+/**
+ * Vendor Portfolio Controller for FixRx
+ * Handles portfolio photo upload, captions, ordering and deletion
+ */
+
+const Joi = require('joi');
+const multer = require('multer');
+const vendorPortfolioService = require('../services/vendorPortfolioService');
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Kept in memory: every photo is re-encoded before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype && file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+});
+
+const captionSchema = Joi.string().trim().max(500).allow('', null);
+const itemIdSchema = Joi.string().guid().required();
+
+class VendorPortfolioController {
+  validationError(error) {
+    return {
+      success: false,
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    };
+  }
+
+  /**
+   * The signed-in vendor's portfolio
+   * GET /api/v1/vendors/portfolio
+   */
+  async getMyPortfolio(req, res) {
+    const result = await vendorPortfolioService.listItems(req.user.id);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Public portfolio of a vendor
+   * GET /api/v1/vendors/:vendorId/portfolio
+   */
+  async getPublicPortfolio(req, res) {
+    const { error } = itemIdSchema.validate(req.params.vendorId);
+    if (error) {
+      return res.status(400).json(this.validationError(error));
+    }
+
+    const result = await vendorPortfolioService.listItems(req.params.vendorId);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Upload one photo (multipart field "image", optional "caption")
+   * POST /api/v1/vendors/portfolio
+   */
+  uploadImage(req, res) {
+    upload.single('image')(req, res, async (uploadError) => {
+      if (uploadError) {
+        const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: tooLarge ? `Images must be ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB or smaller` : uploadError.message,
+          code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD'
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No image uploaded',
+          code: 'INVALID_UPLOAD'
+        });
+      }
+
+      const { error, value: caption } = captionSchema.validate(req.body ? req.body.caption : undefined);
+      if (error) {
+        return res.status(400).json(this.validationError(error));
+      }
+
+      const result = await vendorPortfolioService.uploadItem(req.user.id, req.file, { caption: caption || null });
+      return res.status(result.success ? 201 : this.mapErrorToStatus(result.code)).json(result);
+    });
+  }
+
+  /**
+   * Change a photo's caption
+   * PATCH /api/v1/vendors/portfolio/:itemId
+   */
+  async updateCaption(req, res) {
+    const { error, value } = Joi.object({
+      itemId: itemIdSchema,
+      caption: captionSchema.required()
+    }).validate({ itemId: req.params.itemId, caption: req.body ? req.body.caption : undefined });
+    if (error) {
+      return res.status(400).json(this.validationError(error));
+    }
+
+    const result = await vendorPortfolioService.updateCaption(req.user.id, value.itemId, value.caption || null);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Set the display order of every photo
+   * PUT /api/v1/vendors/portfolio/order
+   */
+  async reorderPortfolio(req, res) {
+    const { error, value } = Joi.object({
+      itemIds: Joi.array().items(Joi.string().guid()).unique().required()
+    }).validate(req.body || {}, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json(this.validationError(error));
+    }
+
+    const result = await vendorPortfolioService.reorderItems(req.user.id, value.itemIds);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * Delete a photo and its stored files
+   * DELETE /api/v1/vendors/portfolio/:itemId
+   */
+  async deleteImage(req, res) {
+    const { error, value: itemId } = itemIdSchema.validate(req.params.itemId);
+    if (error) {
+      return res.status(400).json(this.validationError(error));
+    }
+
+    const result = await vendorPortfolioService.deleteItem(req.user.id, itemId);
+    return res.status(result.success ? 200 : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'VALIDATION_ERROR':
+      case 'INVALID_IMAGE':
+      case 'INVALID_ORDER':
+        return 400;
+      case 'PORTFOLIO_ITEM_NOT_FOUND':
+        return 404;
+      case 'PORTFOLIO_FULL':
+        return 409;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new VendorPortfolioController();
@@ -0,0 +1,122 @@
+/**
+ * Vendor Service Area Controller for FixRx
+ * Handles the radius and polygon areas a vendor covers
+ */
+
+const Joi = require('joi');
+const vendorServiceAreaService = require('../services/vendorServiceAreaService');
+
+const MAX_AREAS = 20;
+const MAX_RADIUS_KM = 200;
+const MAX_POLYGON_POINTS = 500;
+
+// GeoJSON order: [lng, lat]
+const position = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+).length(2);
+
+const areaSchema = Joi.object({
+  type: Joi.string().valid('radius', 'polygon').required(),
+  label: Joi.string().trim().max(100).allow('', null),
+  center: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required()
+  }).when('type', { is: 'radius', then: Joi.required(), otherwise: Joi.forbidden() }),
+  radiusKm: Joi.number().positive().max(MAX_RADIUS_KM)
+    .when('type', { is: 'radius', then: Joi.required(), otherwise: Joi.forbidden() }),
+  coordinates: Joi.array().items(position.required()).min(3).max(MAX_POLYGON_POINTS)
+    .when('type', { is: 'polygon', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const areasSchema = Joi.object({
+  areas: Joi.array().items(areaSchema).max(MAX_AREAS).required()
+});
+
+const idSchema = Joi.string().guid().required();
+
+class VendorServiceAreaController {
+  validate(schema, input) {
+    const { error, value } = schema.validate(input || {}, { stripUnknown: true });
+    if (error) {
+      return {
+        error: {
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      };
+    }
+    return { value };
+  }
+
+  validateId(id, res) {
+    const { error } = idSchema.validate(id);
+    if (error) {
+      res.status(400).json({ success: false, message: 'Invalid id', code: 'VALIDATION_ERROR' });
+      return false;
+    }
+    return true;
+  }
+
+  send(res, result, successStatus = 200) {
+    return res.status(result.success ? successStatus : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * The signed-in vendor's service areas
+   * GET /api/v1/vendors/service-areas
+   */
+  async getMyAreas(req, res) {
+    return this.send(res, await vendorServiceAreaService.listAreas(req.user.id));
+  }
+
+  /**
+   * Replace the signed-in vendor's service areas
+   * PUT /api/v1/vendors/service-areas
+   */
+  async replaceAreas(req, res) {
+    const { error, value } = this.validate(areasSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    // A closing point that repeats the first one does not count towards the three
+    const open = value.areas.find(area => area.type === 'polygon'
+      && new Set(area.coordinates.map(point => point.join(','))).size < 3);
+    if (open) {
+      return res.status(400).json({
+        success: false,
+        message: 'A polygon needs at least 3 distinct points',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    return this.send(res, await vendorServiceAreaService.replaceAreas(req.user.id, value.areas));
+  }
+
+  /**
+   * A vendor's service areas, for drawing coverage on a map
+   * GET /api/v1/vendors/:vendorId/service-areas
+   */
+  async getPublicAreas(req, res) {
+    if (!this.validateId(req.params.vendorId, res)) {
+      return undefined;
+    }
+
+    return this.send(res, await vendorServiceAreaService.listAreas(req.params.vendorId));
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'VALIDATION_ERROR':
+      case 'INVALID_AREA':
+        return 400;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new VendorServiceAreaController();
@@ -0,0 +1,272 @@
+/**
+ * Vendor Verification Controller for FixRx
+ * Handles license and insurance submissions from vendors and the admin
+ * review queue
+ */
+
+const Joi = require('joi');
+const multer = require('multer');
+const vendorVerificationService = require('../services/vendorVerificationService');
+
+const MAX_CERTIFICATE_BYTES = 10 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_CERTIFICATE_BYTES,
+    files: 1
+  }
+});
+
+const licenseSchema = Joi.object({
+  licenseNumber: Joi.string().trim().min(3).max(100).required(),
+  licenseType: Joi.string().trim().max(100).allow(null),
+  state: Joi.string().trim().length(2).pattern(/^[A-Za-z]{2}$/).required().messages({
+    'string.pattern.base': 'state must be a two-letter state code'
+  }),
+  expiresAt: Joi.date().iso().greater('now').allow(null)
+});
+
+const insuranceSchema = Joi.object({
+  provider: Joi.string().trim().max(255).required(),
+  policyNumber: Joi.string().trim().max(100).required(),
+  coverageAmount: Joi.number().positive().max(1000000000).allow(null),
+  expiresAt: Joi.date().iso().greater('now').required()
+});
+
+const queueSchema = Joi.object({
+  status: Joi.string().valid('pending', 'in_review', 'approved', 'rejected', 'expiring'),
+  documentType: Joi.string().valid('license', 'insurance'),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const reviewSchema = Joi.object({
+  decision: Joi.string().valid('in_review', 'approved', 'rejected').required(),
+  notes: Joi.string().trim().max(2000).allow(null),
+  expiresAt: Joi.date().iso().allow(null)
+});
+
+const noteSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(2000).required()
+});
+
+const idSchema = Joi.string().guid().required();
+
+class VendorVerificationController {
+  validate(schema, input) {
+    const { error, value } = schema.validate(input || {}, { stripUnknown: true });
+    if (error) {
+      return {
+        error: {
+          success: false,
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      };
+    }
+    return { value };
+  }
+
+  validateId(req, res) {
+    const { error } = idSchema.validate(req.params.id);
+    if (error) {
+      res.status(400).json({ success: false, message: 'Invalid verification id', code: 'VALIDATION_ERROR' });
+      return null;
+    }
+    return req.params.id;
+  }
+
+  send(res, result, successStatus = 200) {
+    return res.status(result.success ? successStatus : this.mapErrorToStatus(result.code)).json(result);
+  }
+
+  /**
+   * The signed-in vendor's verification status and current submissions
+   * GET /api/v1/vendors/verification
+   */
+  async getMyVerification(req, res) {
+    return this.send(res, await vendorVerificationService.getVendorVerification(req.user.id));
+  }
+
+  /**
+   * Submit a contractor license
+   * POST /api/v1/vendors/verification/license
+   */
+  async submitLicense(req, res) {
+    const { error, value } = this.validate(licenseSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await vendorVerificationService.submitLicense(req.user.id, value), 201);
+  }
+
+  /**
+   * Submit an insurance certificate (multipart field "certificate")
+   * POST /api/v1/vendors/verification/insurance
+   */
+  submitInsurance(req, res) {
+    upload.single('certificate')(req, res, async (uploadError) => {
+      if (uploadError) {
+        const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: tooLarge ? `Certificates must be ${MAX_CERTIFICATE_BYTES / (1024 * 1024)}MB or smaller` : uploadError.message,
+          code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD'
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'An insurance certificate is required',
+          code: 'INVALID_UPLOAD'
+        });
+      }
+
+      const { error, value } = this.validate(insuranceSchema, req.body);
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      return this.send(res, await vendorVerificationService.submitInsurance(req.user.id, value, req.file), 201);
+    });
+  }
+
+  /**
+   * Review queue
+   * GET /api/v1/admin/verifications
+   */
+  async listQueue(req, res) {
+    const { error, value } = this.validate(queueSchema, req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await vendorVerificationService.listQueue(value));
+  }
+
+  /**
+   * One submission with its review history
+   * GET /api/v1/admin/verifications/:id
+   */
+  async getVerification(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    return this.send(res, await vendorVerificationService.getVerification(id));
+  }
+
+  /**
+   * Download the submitted certificate
+   * GET /api/v1/admin/verifications/:id/document
+   */
+  async getDocument(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    const result = await vendorVerificationService.getDocument(id);
+    if (!result.success) {
+      return this.send(res, result);
+    }
+
+    res.set({
+      'Content-Type': result.data.contentType,
+      'Content-Disposition': `attachment; filename="${result.data.filename}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    return res.send(result.data.buffer);
+  }
+
+  /**
+   * Add a reviewer note without changing the status
+   * POST /api/v1/admin/verifications/:id/notes
+   */
+  async addNote(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(noteSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await vendorVerificationService.addNote(id, req.user.id, value.note), 201);
+  }
+
+  /**
+   * Take a review decision
+   * POST /api/v1/admin/verifications/:id/review
+   */
+  async reviewVerification(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    const { error, value } = this.validate(reviewSchema, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await vendorVerificationService.reviewVerification(id, req.user.id, value));
+  }
+
+  /**
+   * Re-run the state registry lookup for a license
+   * POST /api/v1/admin/verifications/:id/registry-check
+   */
+  async runRegistryCheck(req, res) {
+    const id = this.validateId(req, res);
+    if (!id) {
+      return undefined;
+    }
+
+    return this.send(res, await vendorVerificationService.runRegistryCheck(id));
+  }
+
+  /**
+   * Run the expiry sweep now instead of waiting for the daily job
+   * POST /api/v1/admin/verifications/expirations/check
+   */
+  async checkExpirations(req, res) {
+    const { error, value } = this.validate(Joi.object({
+      warningDays: Joi.number().integer().min(1).max(365)
+    }), req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    return this.send(res, await vendorVerificationService.checkExpirations(value));
+  }
+
+  mapErrorToStatus(code) {
+    switch (code) {
+      case 'VALIDATION_ERROR':
+      case 'INVALID_DOCUMENT':
+      case 'NOTES_REQUIRED':
+      case 'EXPIRY_REQUIRED':
+        return 400;
+      case 'VERIFICATION_NOT_FOUND':
+      case 'DOCUMENT_NOT_FOUND':
+        return 404;
+      case 'INVALID_TRANSITION':
+      case 'VERIFICATION_SUPERSEDED':
+        return 409;
+      case 'REGISTRY_UNAVAILABLE':
+        return 503;
+      case 'SERVER_ERROR':
+      default:
+        return 500;
+    }
+  }
+}
+
+module.exports = new VendorVerificationController();
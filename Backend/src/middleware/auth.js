@@ -1,159 +1,272 @@
 const jwt = require('jsonwebtoken');
 const { dbManager } = require('../config/database');
+const tokenService = require('../services/tokenService');
+const { auth0Service } = require('../services/auth0Service');
+const impersonationService = require('../services/impersonationService');
+const accessControlService = require('../services/accessControlService');
 
 /**
- * Authenticate JWT Token Middleware for OTP-based authentication
+ * Authentication pipeline shared by every router and the WebSocket server.
+ *
+ * A token is handed to the first registered strategy that claims it. The
+ * strategy verifies the signature and names the local user; the pipeline then
+ * applies the common checks (jti denylist, device session, account status,
+ * token cutoff) and builds a single req.user shape.
+ *
+ * There is no development identity fallback: to act as another user, an admin
+ * sends X-Impersonate-User (see impersonationService), which is audited and
+ * unavailable in production.
  */
-const authenticateToken = async (req, res, next) => {
-  try {
-    // DON'T BYPASS AUTH - Always verify the JWT token
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided',
-        code: 'NO_TOKEN'
-      });
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Refresh and 2FA challenge tokens are signed by this API too but never grant access
+const NON_ACCESS_TOKEN_TYPES = ['refresh', '2fa_challenge'];
+
+class AuthError extends Error {
+  constructor(message, code, status = 401, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Tokens issued by this API (OTP, magic link, Google, password login)
+ */
+const localJwtStrategy = {
+  name: 'local',
+
+  supports(claims) {
+    return Boolean(claims.userId || claims.id);
+  },
+
+  async verify(token) {
+    const claims = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+    if (NON_ACCESS_TOKEN_TYPES.includes(claims.type)) {
+      throw new AuthError('Token cannot be used for access', 'INVALID_TOKEN_TYPE');
+    }
+
+    return { userId: claims.userId || claims.id, claims };
+  }
+};
+
+/**
+ * Tokens minted through the Auth0 integration, identified by `sub`
+ */
+const auth0Strategy = {
+  name: 'auth0',
+
+  supports(claims) {
+    return Boolean(claims.sub) && !claims.userId && !claims.id;
+  },
+
+  async verify(token) {
+    const claims = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+    // Tokens revoked through auth0Service.revokeToken are cached by raw value
+    if (await dbManager.getCache(`token_blacklist:${token}`)) {
+      throw new AuthError('Token has been revoked', 'TOKEN_REVOKED');
     }
 
-    const token = authHeader.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token format is invalid',
-        code: 'INVALID_TOKEN_FORMAT'
-      });
+    if (UUID_PATTERN.test(claims.sub)) {
+      return { userId: claims.sub, claims };
     }
 
-    try {
-      // Verify JWT token
-      const jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
-      const decoded = jwt.verify(token, jwtSecret);
-      
-      // Get user ID from token (support both userId and id fields)
-      let userId = decoded.userId || decoded.id;
-      
-      // Development bypass - only use hardcoded user if no valid token provided
-      if (process.env.NODE_ENV === 'development' && !userId) {
-        console.log('Development: No valid user ID in token, using default test user');
-        userId = '7bf186e2-fe2a-4133-9ebb-e6b323078d52'; // john.consumer@example.com
-      }
-      
-      if (!userId) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token payload',
-          code: 'INVALID_TOKEN_PAYLOAD'
-        });
-      }
-
-      // In development, we can skip the database lookup if we have a valid token
-      if (process.env.NODE_ENV === 'development' && decoded.email) {
-        console.log('Development: Using token user without database lookup');
-        req.user = {
-          id: userId,
-          userId: userId,
-          email: decoded.email,
-          user_type: decoded.user_type || 'user',
-          is_active: true,
-          first_name: decoded.first_name || 'Development',
-          last_name: decoded.last_name || 'User'
-        };
-        return next();
-      }
-
-      // Get user from database (production or when needed in development)
-      const result = await dbManager.query(
-        `SELECT 
-          id, 
-          email, 
-          first_name, 
-          last_name, 
-          user_type, 
-          phone, 
-          phone_verified_at,
-          email_verified_at,
-          is_verified,
-          is_active,
-          created_at, 
-          updated_at
-         FROM users 
-         WHERE id = $1`,
-        [userId]
-      );
-      
-      if (result.rows.length === 0) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found',
-          code: 'USER_NOT_FOUND'
-        });
-      }
-
-      const user = result.rows[0];
-      
-      if (!user.is_active) {
-        return res.status(401).json({
-          success: false,
-          message: 'User account is inactive',
-          code: 'USER_INACTIVE'
-        });
-      }
-
-      // Attach user to request with consistent format
-      req.user = {
-        id: user.id,
-        userId: user.id, // For backward compatibility
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        userType: user.user_type,
-        phone: user.phone,
-        phoneVerified: !!user.phone_verified_at, // Convert timestamp to boolean
-        emailVerified: !!user.email_verified_at, // Convert timestamp to boolean
-        isVerified: user.is_verified,
-        isActive: user.is_active,
-        createdAt: user.created_at,
-        updatedAt: user.updated_at
-      };
-      
-      // Add token to request for rate limiting and logging
-      req.token = token;
-      
-      next();
-      
-    } catch (tokenError) {
-      console.error('Token verification error:', tokenError);
-      
-      if (tokenError.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token has expired',
-          code: 'TOKEN_EXPIRED',
-          expiredAt: tokenError.expiredAt
-        });
-      }
-      
-      if (tokenError.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token',
-          code: 'INVALID_TOKEN',
-          error: tokenError.message
-        });
-      }
-      
-      // Handle other JWT errors
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication failed',
-        code: 'AUTH_FAILED',
-        error: tokenError.message
-      });
+    const user = await auth0Service.getUserByAuth0Id(claims.sub);
+    if (!user) {
+      throw new AuthError('User not found', 'USER_NOT_FOUND');
     }
-    
+
+    return { userId: user.id, claims };
+  }
+};
+
+const strategies = [localJwtStrategy, auth0Strategy];
+
+/**
+ * Register an additional token strategy; it is consulted before the built-in ones
+ */
+const registerAuthStrategy = (strategy) => {
+  if (!strategy || !strategy.name || typeof strategy.supports !== 'function' || typeof strategy.verify !== 'function') {
+    throw new Error('Auth strategy must provide name, supports() and verify()');
+  }
+  strategies.unshift(strategy);
+};
+
+const extractBearerToken = (authHeader) => {
+  if (!authHeader) {
+    throw new AuthError('No token provided', 'NO_TOKEN');
+  }
+
+  const [scheme, token] = authHeader.split(' ');
+  if (!token || scheme.toLowerCase() !== 'bearer') {
+    throw new AuthError('Token format is invalid', 'INVALID_TOKEN_FORMAT');
+  }
+
+  return token;
+};
+
+const loadActiveUser = async (userId) => {
+  const result = await dbManager.query('SELECT * FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+
+  if (!user) {
+    throw new AuthError('User not found', 'USER_NOT_FOUND');
+  }
+
+  if (user.is_active === false || user.status === 'suspended' || user.status === 'deleted') {
+    throw new AuthError('User account is inactive', 'USER_INACTIVE');
+  }
+
+  return user;
+};
+
+const toRequestUser = async (user, { strategy, sessionId, twoFactorVerified = false, impersonatedBy = null }) => {
+  const role = (user.role || user.user_type || 'guest').toLowerCase();
+  const access = await accessControlService.getUserAccess(user.id, role);
+
+  return {
+    id: user.id,
+    userId: user.id, // For backward compatibility
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    userType: user.user_type,
+    role,
+    roles: access.roles,
+    permissions: access.permissions,
+    phone: user.phone,
+    phoneVerified: !!user.phone_verified_at,
+    emailVerified: !!user.email_verified_at,
+    isVerified: user.is_verified,
+    isActive: user.is_active,
+    sessionId,
+    twoFactorVerified,
+    authProvider: strategy,
+    impersonatedBy,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at
+  };
+};
+
+/**
+ * Swap the authenticated admin for the user they asked to act as
+ */
+const applyImpersonation = async (identity, targetUserId, context) => {
+  if (!impersonationService.isEnabled()) {
+    throw new AuthError('Impersonation is not enabled', 'IMPERSONATION_DISABLED', 403);
+  }
+
+  if (identity.user.role !== 'admin') {
+    throw new AuthError('Only admins can impersonate users', 'IMPERSONATION_FORBIDDEN', 403);
+  }
+
+  if (!identity.user.twoFactorVerified) {
+    throw new AuthError('Two-factor authentication is required', 'TWO_FACTOR_REQUIRED', 403);
+  }
+
+  if (!UUID_PATTERN.test(targetUserId)) {
+    throw new AuthError('Invalid impersonation target', 'INVALID_IMPERSONATION_TARGET', 400);
+  }
+
+  const target = await loadActiveUser(targetUserId);
+
+  await impersonationService.recordImpersonation({
+    adminId: identity.user.id,
+    targetUserId: target.id,
+    ...context
+  });
+
+  return {
+    ...identity,
+    user: await toRequestUser(target, {
+      strategy: 'impersonation',
+      sessionId: identity.sessionId,
+      twoFactorVerified: identity.user.twoFactorVerified,
+      impersonatedBy: identity.user.id
+    })
+  };
+};
+
+/**
+ * Verify a raw token and resolve the user it belongs to. When
+ * impersonateUserId is given, the token must belong to an admin.
+ */
+const resolveIdentity = async (token, { impersonateUserId = null, context = {} } = {}) => {
+  const unverified = jwt.decode(token);
+  if (!unverified || typeof unverified !== 'object') {
+    throw new AuthError('Invalid token', 'INVALID_TOKEN');
+  }
+
+  const strategy = strategies.find(candidate => candidate.supports(unverified));
+  if (!strategy) {
+    throw new AuthError('Invalid token payload', 'INVALID_TOKEN_PAYLOAD');
+  }
+
+  let verified;
+  try {
+    verified = await strategy.verify(token);
   } catch (error) {
+    if (error instanceof AuthError) throw error;
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthError('Token has expired', 'TOKEN_EXPIRED', 401, { expiredAt: error.expiredAt });
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw new AuthError('Invalid token', 'INVALID_TOKEN', 401, { error: error.message });
+    }
+    throw new AuthError('Authentication failed', 'AUTH_FAILED', 401, { error: error.message });
+  }
+
+  const { claims, userId } = verified;
+
+  if (!userId) {
+    throw new AuthError('Invalid token payload', 'INVALID_TOKEN_PAYLOAD');
+  }
+
+  // Logged-out tokens are denylisted by jti until they expire
+  if (claims.jti && await tokenService.isAccessTokenDenied(claims.jti)) {
+    throw new AuthError('Token has been revoked', 'TOKEN_REVOKED');
+  }
+
+  // Tokens bound to a device session stop working once that session is revoked
+  if (claims.sid && !(await tokenService.isSessionActive(claims.sid))) {
+    throw new AuthError('Session has been revoked', 'SESSION_REVOKED');
+  }
+
+  const user = await loadActiveUser(userId);
+
+  // Password changes and suspensions move the cutoff forward, killing older tokens
+  if (user.tokens_valid_after && claims.iat < Math.floor(new Date(user.tokens_valid_after).getTime() / 1000)) {
+    throw new AuthError('Token has been revoked', 'TOKEN_REVOKED');
+  }
+
+  const sessionId = claims.sid || null;
+  const identity = {
+    user: await toRequestUser(user, { strategy: strategy.name, sessionId, twoFactorVerified: claims.mfa === true }),
+    claims,
+    sessionId
+  };
+
+  return impersonateUserId ? applyImpersonation(identity, impersonateUserId, context) : identity;
+};
+
+const resolveRequestIdentity = (req, token) => resolveIdentity(token, {
+  impersonateUserId: req.get(impersonationService.getHeaderName()) || null,
+  context: {
+    channel: 'http',
+    method: req.method,
+    path: req.originalUrl,
+    ipAddress: req.ip || null,
+    userAgent: req.get('User-Agent') || null
+  }
+});
+
+const sendAuthError = (res, error) => {
+  if (!(error instanceof AuthError)) {
     console.error('Authentication middleware error:', error);
     return res.status(500).json({
       success: false,
@@ -161,6 +274,71 @@ const authenticateToken = async (req, res, next) => {
       code: 'AUTH_SERVER_ERROR'
     });
   }
+
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    ...error.details
+  });
+};
+
+const attachIdentity = (req, token, identity) => {
+  req.user = identity.user;
+  req.token = token;
+  req.tokenPayload = identity.claims;
+  req.sessionId = identity.sessionId;
+};
+
+/**
+ * Authenticate Token Middleware - rejects the request without a valid token
+ */
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = extractBearerToken(req.headers.authorization);
+    attachIdentity(req, token, await resolveRequestIdentity(req, token));
+    next();
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+};
+
+/**
+ * Optional Authentication - attaches req.user when a valid token is present
+ */
+const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  try {
+    const token = extractBearerToken(req.headers.authorization);
+    attachIdentity(req, token, await resolveRequestIdentity(req, token));
+  } catch (error) {
+    // Don't fail on optional auth errors
+    console.warn('⚠️ Optional Auth Warning:', error.message);
+  }
+
+  next();
+};
+
+/**
+ * Sensitive account changes need a sign-in from the last few minutes, not just
+ * a live token. Use after authenticateToken.
+ */
+const requireRecentAuthentication = (maxAgeSeconds = parseInt(process.env.AUTH_REAUTH_MAX_AGE_SECONDS, 10) || 600) => async (req, res, next) => {
+  try {
+    if (req.user?.impersonatedBy) {
+      throw new AuthError('Not available while impersonating', 'IMPERSONATION_FORBIDDEN', 403);
+    }
+
+    if (!req.user || !(await tokenService.isRecentlyAuthenticated(req.sessionId, maxAgeSeconds))) {
+      throw new AuthError('Please sign in again to continue', 'REAUTHENTICATION_REQUIRED', 403, { maxAgeSeconds });
+    }
+    next();
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
 };
 
 /**
@@ -169,6 +347,11 @@ const authenticateToken = async (req, res, next) => {
 const verifyToken = authenticateToken;
 
 module.exports = {
+  AuthError,
   authenticateToken,
-  verifyToken
+  optionalAuth,
+  requireRecentAuthentication,
+  verifyToken,
+  resolveIdentity,
+  registerAuthStrategy
 };
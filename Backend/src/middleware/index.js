@@ -7,8 +7,10 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
-const { auth0Service } = require('../services/auth0Service');
 const { dbManager } = require('../config/database');
+// Authentication is a single pipeline (local JWT + Auth0) shared with middleware/auth.js
+const { authenticateToken, optionalAuth } = require('./auth');
+const accessControlService = require('../services/accessControlService');
 
 // Rate Limiting Middleware
 const createRateLimiter = (windowMs, max, message, keyGenerator = null) => {
@@ -155,7 +157,9 @@ const corsOptions = {
     'X-Requested-With',
     'X-API-Key',
     'X-Client-Version',
-    'X-Device-ID'
+    'X-Device-ID',
+    'X-Device-Name',
+    'X-Impersonate-User'
   ],
   exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining'],
   maxAge: 86400 // 24 hours
@@ -197,78 +201,6 @@ const requestLogger = (req, res, next) => {
   next();
 };
 
-// Authentication Middleware
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Access token required',
-          details: 'No valid token provided'
-        }
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const validation = await auth0Service.validateToken(token);
-
-    if (!validation.valid) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'TOKEN_INVALID',
-          message: 'Invalid or expired token',
-          details: validation.error
-        }
-      });
-    }
-
-    req.user = validation.user;
-    req.token = token;
-
-    next();
-
-  } catch (error) {
-    console.error('❌ Authentication Error:', error);
-    res.status(401).json({
-      success: false,
-      error: {
-        code: 'AUTH_ERROR',
-        message: 'Authentication failed',
-        details: error.message
-      }
-    });
-  }
-};
-
-// Optional Authentication (for public endpoints that can benefit from user context)
-const optionalAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      const validation = await auth0Service.validateToken(token);
-
-      if (validation.valid) {
-        req.user = validation.user;
-        req.token = token;
-      }
-    }
-
-    next();
-
-  } catch (error) {
-    // Don't fail on optional auth errors
-    console.warn('⚠️ Optional Auth Warning:', error.message);
-    next();
-  }
-};
-
 // Role-based Authorization Middleware
 const requireRole = (roles) => {
   const allowedRoles = Array.isArray(roles) ? roles : [roles];
@@ -304,13 +236,33 @@ const requireRole = (roles) => {
       });
     }
 
+    if (allowedRoles.includes('admin')) {
+      return requireAdminTwoFactor(req, res, next);
+    }
+
     next();
   };
 };
 
-// Permission-based Authorization Middleware
+// Admin access needs a session that passed the TOTP challenge
+const requireAdminTwoFactor = (req, res, next) => {
+  if (req.user && req.user.role === 'admin' && !req.user.twoFactorVerified) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Two-factor authentication is required',
+        details: 'Enroll at /api/v1/auth/2fa/enroll and sign in again'
+      }
+    });
+  }
+
+  next();
+};
+
+// Permission-based Authorization Middleware (roles and grants come from the database, cached)
 const requirePermission = (permission) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -322,6 +274,8 @@ const requirePermission = (permission) => {
       });
     }
 
+    req.user.permissions = await accessControlService.getUserPermissions(req.user.id, req.user.role);
+
     if (!req.user.permissions.includes(permission)) {
       console.warn('⚠️ Permission denied:', {
         user: req.user.id,
@@ -547,6 +501,7 @@ module.exports = {
   authenticateToken,
   optionalAuth,
   requireRole,
+  requireAdminTwoFactor,
   requirePermission,
   validateInput,
   errorHandler,
@@ -0,0 +1,91 @@
+/**
+ * Access Routes for FixRx
+ * Defines API endpoints for roles, permissions and user-role grants
+ */
+
+const express = require('express');
+const accessController = require('../controllers/accessController');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/v1/access/user/permissions
+ * @desc    The current user's roles and effective permissions
+ * @access  Private
+ */
+router.get('/user/permissions', accessController.getMyPermissions.bind(accessController));
+
+// Everything below changes who can do what
+router.use(requireRole('admin'));
+
+/**
+ * @route   GET /api/v1/access/roles
+ * @desc    List roles with their permissions
+ * @access  Private (admin)
+ */
+router.get('/roles', accessController.listRoles.bind(accessController));
+
+/**
+ * @route   POST /api/v1/access/roles
+ * @desc    Create a role (e.g. support_agent, moderator)
+ * @access  Private (admin)
+ * @body    { name: string, displayName: string, description?: string, permissions?: string[] }
+ */
+router.post('/roles', accessController.createRole.bind(accessController));
+
+/**
+ * @route   PATCH /api/v1/access/roles/:name
+ * @desc    Update a role; permissions, when given, replace the current set
+ * @access  Private (admin)
+ * @body    { displayName?: string, description?: string, permissions?: string[] }
+ */
+router.patch('/roles/:name', accessController.updateRole.bind(accessController));
+
+/**
+ * @route   DELETE /api/v1/access/roles/:name
+ * @desc    Delete a custom role and its grants (built-in roles cannot be deleted)
+ * @access  Private (admin)
+ */
+router.delete('/roles/:name', accessController.deleteRole.bind(accessController));
+
+/**
+ * @route   GET /api/v1/access/permissions
+ * @desc    List every permission a role can hold
+ * @access  Private (admin)
+ */
+router.get('/permissions', accessController.listPermissions.bind(accessController));
+
+/**
+ * @route   GET /api/v1/access/users/:userId/roles
+ * @desc    A user's base role, granted roles and effective permissions
+ * @access  Private (admin)
+ */
+router.get('/users/:userId/roles', accessController.listUserRoles.bind(accessController));
+
+/**
+ * @route   POST /api/v1/access/users/:userId/roles
+ * @desc    Grant a role to a user
+ * @access  Private (admin)
+ * @body    { role: string, reason?: string }
+ */
+router.post('/users/:userId/roles', accessController.grantRole.bind(accessController));
+
+/**
+ * @route   DELETE /api/v1/access/users/:userId/roles/:role
+ * @desc    Revoke a role granted to a user
+ * @access  Private (admin)
+ */
+router.delete('/users/:userId/roles/:role', accessController.revokeRole.bind(accessController));
+
+/**
+ * @route   GET /api/v1/access/logs
+ * @desc    Role and grant change history (?userId=&limit=&offset=)
+ * @access  Private (admin)
+ */
+router.get('/logs', accessController.listAuditLog.bind(accessController));
+
+module.exports = router;
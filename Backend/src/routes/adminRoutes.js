@@ -0,0 +1,46 @@
+/**
+ * Admin Routes for FixRx
+ * Defines administrative API endpoints (account suspension and merging)
+ */
+
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin'));
+
+/**
+ * @route   POST /api/v1/admin/users/:id/suspend
+ * @desc    Suspend a user and revoke all of their sessions and tokens immediately
+ * @access  Private (admin)
+ * @body    { reason?: string }
+ */
+router.post('/users/:id/suspend', adminController.suspendUser.bind(adminController));
+
+/**
+ * @route   POST /api/v1/admin/users/:id/reinstate
+ * @desc    Lift a user's suspension
+ * @access  Private (admin)
+ */
+router.post('/users/:id/reinstate', adminController.reinstateUser.bind(adminController));
+
+/**
+ * @route   GET /api/v1/admin/users/duplicates
+ * @desc    List accounts that share a phone number and are probably one person
+ * @access  Private (admin)
+ */
+router.get('/users/duplicates', adminController.listDuplicateUsers.bind(adminController));
+
+/**
+ * @route   POST /api/v1/admin/users/:id/merge
+ * @desc    Merge a duplicate account into targetUserId (identities, contacts,
+ *          invitations, conversations and ratings move; the duplicate is deactivated)
+ * @access  Private (admin)
+ * @body    { targetUserId: string }
+ */
+router.post('/users/:id/merge', adminController.mergeUser.bind(adminController));
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Appointment Routes for FixRx
+ * Defines endpoints for booking site visits and job slots between a consumer
+ * and a vendor on an accepted connection request
+ */
+
+const express = require('express');
+const appointmentController = require('../controllers/appointmentController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/v1/appointments
+ * @desc    Your appointments as consumer or vendor
+ * @access  Private
+ * @query   scope?: upcoming|past|all (default upcoming), limit?: number, offset?: number
+ */
+router.get('/', appointmentController.listAppointments.bind(appointmentController));
+
+/**
+ * @route   POST /api/v1/appointments
+ * @desc    Book a slot within the vendor's availability on an accepted connection request
+ * @access  Private (consumer or vendor on the request)
+ * @body    { connectionRequestId: uuid, startsAt: date, endsAt?: date, durationMinutes?: number,
+ *            type?: site_visit|job, notes?: string }
+ */
+router.post('/', appointmentController.bookAppointment.bind(appointmentController));
+
+/**
+ * @route   GET /api/v1/appointments/:id
+ * @desc    Appointment details with booking, reschedule and cancellation history
+ * @access  Private (participants)
+ */
+router.get('/:id', appointmentController.getAppointment.bind(appointmentController));
+
+/**
+ * @route   GET /api/v1/appointments/:id/ics
+ * @desc    Download the appointment as an iCalendar (.ics) file
+ * @access  Private (participants)
+ */
+router.get('/:id/ics', appointmentController.downloadCalendar.bind(appointmentController));
+
+/**
+ * @route   POST /api/v1/appointments/:id/reschedule
+ * @desc    Move an appointment to another open slot
+ * @access  Private (participants)
+ * @body    { startsAt: date, endsAt?: date, durationMinutes?: number, reason: string }
+ */
+router.post('/:id/reschedule', appointmentController.rescheduleAppointment.bind(appointmentController));
+
+/**
+ * @route   POST /api/v1/appointments/:id/cancel
+ * @desc    Cancel an appointment
+ * @access  Private (participants)
+ * @body    { reason: string }
+ */
+router.post('/:id/cancel', appointmentController.cancelAppointment.bind(appointmentController));
+
+module.exports = router;
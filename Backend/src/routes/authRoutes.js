@@ -0,0 +1,73 @@
+/**
+ * Password Authentication Routes for FixRx
+ * Defines API endpoints for email/password registration, login, logout,
+ * password changes, token refresh and device session management
+ */
+
+const express = require('express');
+const authController = require('../controllers/authController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/auth/register
+ * @desc    Register a user with email and password
+ * @access  Public
+ * @body    { email, password, firstName, lastName, userType?, phone?, metroArea? }
+ */
+router.post('/register', authController.register.bind(authController));
+
+/**
+ * @route   POST /api/v1/auth/login
+ * @desc    Log in with email and password (locks after repeated failures)
+ * @access  Public
+ * @body    { email: string, password: string }
+ */
+router.post('/login', authController.login.bind(authController));
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Rotate a refresh token and issue a new access token (reuse revokes the session)
+ * @access  Public
+ * @body    { refreshToken: string }
+ */
+router.post('/refresh', authController.refresh.bind(authController));
+
+/**
+ * @route   POST /api/v1/auth/logout
+ * @desc    Revoke the presented access token and end its device session
+ * @access  Private
+ */
+router.post('/logout', authenticateToken, authController.logout.bind(authController));
+
+/**
+ * @route   POST /api/v1/auth/password/change
+ * @desc    Change password; revokes every session and outstanding token
+ * @access  Private
+ * @body    { currentPassword?: string, newPassword: string }
+ */
+router.post('/password/change', authenticateToken, authController.changePassword.bind(authController));
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List the current user's active device sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, authController.listSessions.bind(authController));
+
+/**
+ * @route   DELETE /api/v1/auth/sessions
+ * @desc    Sign out everywhere (revoke every session of the current user)
+ * @access  Private
+ */
+router.delete('/sessions', authenticateToken, authController.revokeAllSessions.bind(authController));
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    Sign out a single device session
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticateToken, authController.revokeSession.bind(authController));
+
+module.exports = router;
@@ -0,0 +1,19 @@
+/**
+ * Calendar Routes for FixRx
+ * Defines the iCalendar feed endpoint that calendar apps subscribe to. The
+ * secret token in the URL stands in for authentication.
+ */
+
+const express = require('express');
+const calendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/calendar/feeds/:token.ics
+ * @desc    A vendor's appointments as an RFC 5545 iCalendar feed
+ * @access  Public (secret feed token)
+ */
+router.get('/feeds/:token.ics', calendarController.getFeed.bind(calendarController));
+
+module.exports = router;
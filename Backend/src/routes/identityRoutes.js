@@ -0,0 +1,72 @@
+/**
+ * Identity Routes for FixRx
+ * Defines API endpoints for linking and unlinking the phone numbers, emails
+ * and social accounts a user signs in with
+ */
+
+const express = require('express');
+const identityController = require('../controllers/identityController');
+const { authenticateToken, requireRecentAuthentication } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/v1/auth/identities
+ * @desc    List the identities linked to the current user
+ * @access  Private
+ */
+router.get('/', identityController.listIdentities.bind(identityController));
+
+// Changing how an account signs in needs a recent sign-in
+router.use(requireRecentAuthentication());
+
+/**
+ * @route   POST /api/v1/auth/identities/phone
+ * @desc    Send a verification code to a phone number to link
+ * @access  Private (recent sign-in)
+ * @body    { phone: string }
+ */
+router.post('/phone', identityController.startPhoneLink.bind(identityController));
+
+/**
+ * @route   POST /api/v1/auth/identities/phone/verify
+ * @desc    Link a phone number with the code sent to it
+ * @access  Private (recent sign-in)
+ * @body    { phone: string, code: string }
+ */
+router.post('/phone/verify', identityController.confirmPhoneLink.bind(identityController));
+
+/**
+ * @route   POST /api/v1/auth/identities/email
+ * @desc    Email a verification link to an address to link
+ * @access  Private (recent sign-in)
+ * @body    { email: string }
+ */
+router.post('/email', identityController.startEmailLink.bind(identityController));
+
+/**
+ * @route   POST /api/v1/auth/identities/email/verify
+ * @desc    Link an email with the token from its verification link
+ * @access  Private (recent sign-in)
+ * @body    { token: string, email: string }
+ */
+router.post('/email/verify', identityController.confirmEmailLink.bind(identityController));
+
+/**
+ * @route   POST /api/v1/auth/identities/oauth/:provider
+ * @desc    Link a Google, Apple or Microsoft account with a fresh ID token
+ * @access  Private (recent sign-in)
+ * @body    { idToken: string, nonce?: string }
+ */
+router.post('/oauth/:provider', identityController.linkOAuthAccount.bind(identityController));
+
+/**
+ * @route   DELETE /api/v1/auth/identities/:id
+ * @desc    Unlink an identity (the last one cannot be removed)
+ * @access  Private (recent sign-in)
+ */
+router.delete('/:id', identityController.unlinkIdentity.bind(identityController));
+
+module.exports = router;
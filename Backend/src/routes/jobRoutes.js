@@ -0,0 +1,80 @@
+/**
+ * Job Routes for FixRx
+ * Defines endpoints for the service job behind each connection request:
+ * requested -> quoted -> accepted -> in_progress -> completed, or cancelled
+ * or disputed along the way
+ */
+
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/v1/jobs
+ * @desc    Your jobs as consumer or vendor, each with the moves open to you
+ * @access  Private
+ * @query   status?: requested|quoted|accepted|in_progress|completed|cancelled|disputed,
+ *          connectionRequestId?: uuid, limit?: number, offset?: number
+ */
+router.get('/', jobController.listJobs.bind(jobController));
+
+/**
+ * @route   GET /api/v1/jobs/:id
+ * @desc    Job details with its status history
+ * @access  Private (participants and staff)
+ */
+router.get('/:id', jobController.getJob.bind(jobController));
+
+/**
+ * @route   POST /api/v1/jobs/:id/transitions
+ * @desc    Move the job to a new status; cancelling and disputing need a reason
+ * @access  Private (participants and staff, per transition)
+ * @body    { status: string, reason?: string }
+ */
+router.post('/:id/transitions', jobController.transitionJob.bind(jobController));
+
+/**
+ * @route   POST /api/v1/jobs/:id/completion
+ * @desc    Complete an in-progress job with before/after photos and notes, opening the
+ *          consumer's confirmation window
+ * @access  Private (vendor)
+ * @body    multipart: before?: image[], after: image[], notes?: string
+ */
+router.post('/:id/completion', rateLimiters.upload, jobController.submitCompletion.bind(jobController));
+
+/**
+ * @route   GET /api/v1/jobs/:id/completion
+ * @desc    Completion notes and photo links
+ * @access  Private (participants and staff)
+ */
+router.get('/:id/completion', jobController.getCompletion.bind(jobController));
+
+/**
+ * @route   GET /api/v1/jobs/:id/completion/photos/:photoId
+ * @desc    A completion photo
+ * @access  Private (participants and staff)
+ * @query   size?: thumbnail
+ */
+router.get('/:id/completion/photos/:photoId', jobController.getCompletionPhoto.bind(jobController));
+
+/**
+ * @route   POST /api/v1/jobs/:id/completion/confirm
+ * @desc    Confirm the work, making the job eligible for payment capture and rating
+ * @access  Private (consumer)
+ */
+router.post('/:id/completion/confirm', jobController.confirmCompletion.bind(jobController));
+
+/**
+ * @route   POST /api/v1/jobs/:id/completion/dispute
+ * @desc    Dispute the work before the confirmation window closes
+ * @access  Private (consumer)
+ * @body    { reason: string }
+ */
+router.post('/:id/completion/dispute', jobController.disputeCompletion.bind(jobController));
+
+module.exports = router;
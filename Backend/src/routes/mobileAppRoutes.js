@@ -8,6 +8,10 @@ const { Client } = require('pg');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const socketManager = require('../services/socketManager');
+const jobService = require('../services/jobService');
+const jobCompletionService = require('../services/jobCompletionService');
+const vendorSearchIndexService = require('../services/vendorSearchIndexService');
+const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
@@ -233,6 +237,9 @@ router.post('/connections/request',
 
       const result = await client.query(query, values);
       const connectionRequest = result.rows[0];
+
+      // Every request gets a service job that tracks it through to completion
+      await jobService.ensureJob(client, connectionRequest);
       
       // Emit service created event
       try {
@@ -350,15 +357,29 @@ router.get('/connections/requests', authenticateToken, async (req, res) => {
   }
 });
 
+// Connection request status -> service job status it moves the job to
+const JOB_STATUS_FOR = {
+  ACCEPTED: 'accepted',
+  DECLINED: 'cancelled'
+};
+
 /**
  * @route PUT /api/v1/connections/requests/:requestId/status
- * @desc Update connection request status (accept/decline)
+ * @desc Update connection request status (accept/decline) through the job lifecycle
  * @access Private (Vendor)
+ * @body { status: ACCEPTED|DECLINED, reason?: string }
  */
 router.put('/connections/requests/:requestId/status', authenticateToken, async (req, res) => {
   const client = new Client(dbConfig);
   const { requestId } = req.params;
-  const { status } = req.body; // ACCEPTED, DECLINED
+  const { status, reason } = req.body; // ACCEPTED, DECLINED
+
+  if (!JOB_STATUS_FOR[status]) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'Status must be ACCEPTED or DECLINED' }
+    });
+  }
   
   try {
     await client.connect();
@@ -376,25 +397,28 @@ router.put('/connections/requests/:requestId/status', authenticateToken, async (
       });
     }
 
-    // Get the request details before updating
-    const requestDetails = requestResult.rows[0];
-    
-    // Update status
-    const result = await client.query(`
-      UPDATE connection_requests 
-      SET status = $1, responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING *
-    `, [status, requestId]);
+    // The job enforces which moves are allowed and keeps the request status in step
+    const transition = await jobService.transitionForRequest(requestId, req.user, {
+      status: JOB_STATUS_FOR[status],
+      reason: status === 'DECLINED' ? (reason || 'Declined by vendor') : null
+    });
+
+    if (!transition.success) {
+      const statusCode = { FORBIDDEN: 403, JOB_NOT_FOUND: 404, INVALID_TRANSITION: 409 }[transition.code] || 500;
+      return res.status(statusCode).json({
+        success: false,
+        error: { code: transition.code, message: transition.message, details: transition.data }
+      });
+    }
     
-    const updatedRequest = result.rows[0];
+    const updatedRequest = transition.data.connectionRequest;
     
     // Emit appropriate event based on status
     try {
       const vendorInfo = {
         id: req.user.id,
-        firstName: req.user.first_name,
-        lastName: req.user.last_name,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
         email: req.user.email
       };
       
@@ -412,7 +436,8 @@ router.put('/connections/requests/:requestId/status', authenticateToken, async (
       success: true,
       message: `Connection request ${status.toLowerCase()}`,
       data: {
-        connectionRequest: updatedRequest
+        connectionRequest: updatedRequest,
+        job: transition.data.job
       }
     });
 
@@ -589,8 +614,8 @@ router.get('/messages/conversation/:userId', authenticateToken, async (req, res)
 
 /**
  * @route POST /api/v1/ratings/create
- * @desc Create a rating/review
- * @access Private
+ * @desc Create a rating/review of the other party on a connection request
+ * @access Private (participants, once the job is confirmed)
  */
 router.post('/ratings/create', authenticateToken, async (req, res) => {
   const client = new Client(dbConfig);
@@ -604,9 +629,23 @@ router.post('/ratings/create', authenticateToken, async (req, res) => {
     professionalismRating, 
     reviewText 
   } = req.body;
+
+  if (!connectionRequestId || !ratedUserId) {
+    return res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: 'connectionRequestId and ratedUserId are required' }
+    });
+  }
   
   try {
     await client.connect();
+
+    // Ratings unlock once the consumer confirms the work (or it is confirmed automatically)
+    const locked = await jobCompletionService.ratingFailure(client, connectionRequestId, req.user.id, ratedUserId);
+    if (locked) {
+      const statusCode = { VALIDATION_ERROR: 400, NOT_FOUND: 404, RATING_LOCKED: 409 }[locked.code];
+      return res.status(statusCode).json({ success: false, error: locked });
+    }
     
     const result = await client.query(`
       INSERT INTO ratings (
@@ -619,6 +658,9 @@ router.post('/ratings/create', authenticateToken, async (req, res) => {
       costRating, qualityRating, timelinessRating, professionalismRating, reviewText
     ]);
 
+    // Review text is searchable; a vendor rating a consumer refreshes nothing
+    await vendorSearchIndexService.refreshVendors([ratedUserId]);
+
     res.status(201).json({
       success: true,
       message: 'Rating created successfully',
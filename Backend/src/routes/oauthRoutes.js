@@ -1,21 +1,19 @@
 /**
  * OAuth Routes for FixRx
- * Handles Google OAuth authentication
+ * Handles Google, Apple and Microsoft sign-in with provider ID tokens
  */
 
+const crypto = require('crypto');
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { OAuth2Client } = require('google-auth-library');
 const { dbManager } = require('../config/database');
 const { monitoringService } = require('../services/monitoringService');
+const tokenService = require('../services/tokenService');
+const twoFactorService = require('../services/twoFactorService');
+const identityService = require('../services/identityService');
+const oauthProviderService = require('../services/oauthProviderService');
 
 const router = express.Router();
 
-const googleClientId = process.env.GOOGLE_CLIENT_ID;
-const googleClient = googleClientId ? new OAuth2Client(googleClientId) : null;
-
-const ensureGoogleConfigured = () => Boolean(googleClientId);
-
 const mapUserForResponse = (userRow = {}) => ({
   id: userRow.id,
   email: userRow.email,
@@ -29,7 +27,15 @@ const mapUserForResponse = (userRow = {}) => ({
 });
 
 const findUserByEmail = async (email) => {
-  const result = await dbManager.query('SELECT * FROM users WHERE email = $1 LIMIT 1', [email]);
+  const linkedUser = await identityService.findUserByIdentity('email', email);
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  const result = await dbManager.query(
+    'SELECT * FROM users WHERE email = $1 AND merged_into_user_id IS NULL LIMIT 1',
+    [email]
+  );
   return result.rows[0] || null;
 };
 
@@ -38,23 +44,31 @@ const findUserById = async (id) => {
   return result.rows[0] || null;
 };
 
-const createUserFromGoogle = async (profile) => {
+const placeholderEmailFor = (profile) => {
+  const digest = crypto.createHash('sha256').update(`${profile.provider}:${profile.subject}`).digest('hex');
+  return `${profile.provider}-${digest.slice(0, 16)}@fixrx.app`;
+};
+
+const createUserFromProfile = async (profile, { firstName: givenFirstName = '', lastName: givenLastName = '' } = {}) => {
   const nameParts = (profile.name || '').split(' ');
-  const firstName = profile.given_name || nameParts[0] || '';
-  const lastName = profile.family_name || nameParts.slice(1).join(' ') || '';
+  const firstName = givenFirstName || profile.givenName || nameParts[0] || '';
+  const lastName = givenLastName || profile.familyName || nameParts.slice(1).join(' ') || '';
+
+  // users.email is required; providers that hide the address get a placeholder
+  const email = profile.email || placeholderEmailFor(profile);
 
   const insertQuery = `
     INSERT INTO users (email, first_name, last_name, user_type, is_verified, email_verified_at, profile_image_url)
-    VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, $6)
+    VALUES ($1, $2, $3, $4, $5, CASE WHEN $5::boolean THEN CURRENT_TIMESTAMP ELSE NULL END, $6)
     RETURNING *
   `;
 
   const values = [
-    profile.email,
+    email,
     firstName,
     lastName,
     'CONSUMER',
-    true,
+    profile.emailVerified,
     profile.picture || null,
   ];
 
@@ -62,54 +76,74 @@ const createUserFromGoogle = async (profile) => {
   return result.rows[0];
 };
 
-const generateAccessToken = (user) => {
-  const payload = {
-    userId: user.id,
-    email: user.email,
-    userType: user.user_type,
-  };
+/**
+ * Resolve the local user for a verified provider profile: an already linked
+ * provider account first, then a verified email, otherwise a new account.
+ */
+const resolveUserForProfile = async (profile, names) => {
+  const linkedUser = await identityService.findUserByIdentity(profile.provider, profile.subject);
+  if (linkedUser) {
+    return { user: linkedUser, isNewUser: false };
+  }
+
+  if (profile.email) {
+    const existingUser = await findUserByEmail(profile.email);
 
-  return jwt.sign(payload, process.env.JWT_SECRET || 'fallback_secret', {
-    expiresIn: '7d',
-  });
+    if (existingUser && profile.emailVerified) {
+      return { user: existingUser, isNewUser: false };
+    }
+
+    // An unverified email claim must never sign someone into an existing account
+    if (existingUser) {
+      return { conflict: true };
+    }
+  }
+
+  return { user: await createUserFromProfile(profile, names), isNewUser: true };
 };
 
-router.post('/google/verify', async (req, res) => {
+/**
+ * @route   POST /api/v1/auth/oauth/:provider/verify
+ * @desc    Sign in with a Google, Apple or Microsoft ID token
+ * @access  Public
+ * @body    { idToken: string, nonce?: string, firstName?: string, lastName?: string }
+ */
+router.post('/:provider/verify', async (req, res) => {
+  const { provider } = req.params;
+
   try {
-    const { idToken } = req.body;
+    const { idToken, nonce, firstName, lastName } = req.body || {};
 
-    if (!idToken) {
-      return res.status(400).json({
+    if (!oauthProviderService.isSupported(provider)) {
+      return res.status(404).json({
         success: false,
-        message: 'ID token is required',
-        code: 'MISSING_TOKEN',
+        message: `Unsupported sign-in provider: ${provider}`,
+        code: 'UNSUPPORTED_PROVIDER',
       });
     }
 
-    if (!ensureGoogleConfigured() || !googleClient) {
-      return res.status(503).json({
+    if (!idToken) {
+      return res.status(400).json({
         success: false,
-        message: 'Google OAuth is not configured',
-        code: 'OAUTH_NOT_CONFIGURED',
+        message: 'ID token is required',
+        code: 'MISSING_TOKEN',
       });
     }
 
-    const ticket = await googleClient.verifyIdToken({
-      idToken,
-      audience: googleClientId,
-    });
+    const verification = await oauthProviderService.verifyIdToken(provider, idToken, { nonce: nonce || null });
 
-    const payload = ticket.getPayload();
-
-    if (!payload || !payload.email) {
-      return res.status(400).json({
+    if (!verification.success) {
+      const status = ['OAUTH_NOT_CONFIGURED', 'OAUTH_PROVIDER_UNAVAILABLE'].includes(verification.code) ? 503 : 400;
+      return res.status(status).json({
         success: false,
-        message: 'Invalid Google token payload',
-        code: 'TOKEN_VERIFICATION_ERROR',
+        message: verification.message,
+        code: verification.code,
       });
     }
 
-    if (!payload.email_verified) {
+    const profile = verification.data;
+
+    if (provider === 'google' && !profile.emailVerified) {
       return res.status(400).json({
         success: false,
         message: 'Google account is not verified',
@@ -117,16 +151,18 @@ router.post('/google/verify', async (req, res) => {
       });
     }
 
-    const normalizedEmail = payload.email.toLowerCase();
+    const resolved = await resolveUserForProfile(profile, { firstName, lastName });
 
-    let user = await findUserByEmail(normalizedEmail);
-    let isNewUser = false;
-
-    if (!user) {
-      user = await createUserFromGoogle(payload);
-      isNewUser = true;
+    if (resolved.conflict) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists. Sign in with it and link this provider from your account settings.',
+        code: 'ACCOUNT_EXISTS',
+      });
     }
 
+    const { user, isNewUser } = resolved;
+
     if (!user) {
       return res.status(500).json({
         success: false,
@@ -135,15 +171,36 @@ router.post('/google/verify', async (req, res) => {
       });
     }
 
-    const token = generateAccessToken(user);
+    await identityService.recordIdentity(user.id, provider, profile.subject, { email: profile.email });
+    if (profile.email && profile.emailVerified) {
+      await identityService.recordIdentity(user.id, 'email', profile.email);
+    }
+
+    // Accounts with TOTP enabled get a challenge instead of tokens
+    if (await twoFactorService.isEnabled(user.id)) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app to finish signing in',
+        user: mapUserForResponse(user),
+        ...twoFactorService.buildChallengeData(user.id, { deviceName: req.get('X-Device-Name') || null }),
+        isNewUser,
+      });
+    }
+
+    const { refreshToken, sessionId } = await tokenService.issueRefreshToken(user.id, {
+      ipAddress: req.ip || null,
+      userAgent: req.get('User-Agent') || null,
+      deviceName: req.get('X-Device-Name') || null,
+    });
+    const token = tokenService.generateAccessToken(user, { sessionId });
     const safeUser = mapUserForResponse(user);
 
     try {
-      await monitoringService.trackUserActivity(user.id, 'login_google', {
+      await monitoringService.trackUserActivity(user.id, `login_${provider}`, {
         isNewUser,
       });
     } catch (monitorError) {
-      console.warn('⚠️ Google login monitoring failed:', monitorError.message);
+      console.warn(`⚠️ ${provider} login monitoring failed:`, monitorError.message);
     }
 
     res.json({
@@ -151,13 +208,14 @@ router.post('/google/verify', async (req, res) => {
       message: isNewUser ? 'Account created successfully' : 'Login successful',
       user: safeUser,
       token,
+      refreshToken,
       isNewUser,
     });
   } catch (error) {
-    console.error('❌ Google token verification error:', error);
+    console.error(`❌ ${provider} token verification error:`, error);
     res.status(400).json({
       success: false,
-      message: 'Google token verification failed',
+      message: 'ID token verification failed',
       code: 'TOKEN_VERIFICATION_ERROR',
     });
   }
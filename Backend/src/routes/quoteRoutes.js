@@ -0,0 +1,70 @@
+/**
+ * Quote Routes for FixRx
+ * Defines endpoints for itemized quotes that vendors attach to connection
+ * requests and consumers accept, counter or reject. Mounted at /api/v1
+ * next to the connection request routes, so authentication is applied per
+ * route rather than to the whole router.
+ */
+
+const express = require('express');
+const quoteController = require('../controllers/quoteController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/connections/requests/:requestId/quotes
+ * @desc    Quotes on a request, newest first, each with its latest revision
+ * @access  Private (consumer or vendor on the request)
+ */
+router.get('/connections/requests/:requestId/quotes', authenticateToken, quoteController.listQuotes.bind(quoteController));
+
+/**
+ * @route   POST /api/v1/connections/requests/:requestId/quotes
+ * @desc    Send an itemized quote; a request has at most one open quote
+ * @access  Private (vendor on the request)
+ * @body    { lineItems: [{ category: labor|materials|other, description, quantity?, unitPrice, taxable? }],
+ *            taxRate?: percent, notes?: string, currency?: string, expiresAt?: date, validDays?: number }
+ */
+router.post('/connections/requests/:requestId/quotes', authenticateToken, quoteController.createQuote.bind(quoteController));
+
+/**
+ * @route   GET /api/v1/quotes/:quoteId
+ * @desc    Quote with every revision and its sent/revised/countered/accepted/rejected/expired history
+ * @access  Private (participants)
+ */
+router.get('/quotes/:quoteId', authenticateToken, quoteController.getQuote.bind(quoteController));
+
+/**
+ * @route   POST /api/v1/quotes/:quoteId/revisions
+ * @desc    Revise an open quote, e.g. in answer to a counter-offer
+ * @access  Private (vendor)
+ * @body    { lineItems, taxRate?, notes?, expiresAt?, validDays? }
+ */
+router.post('/quotes/:quoteId/revisions', authenticateToken, quoteController.reviseQuote.bind(quoteController));
+
+/**
+ * @route   POST /api/v1/quotes/:quoteId/accept
+ * @desc    Accept the quote as of the given revision
+ * @access  Private (consumer)
+ * @body    { revision: number }
+ */
+router.post('/quotes/:quoteId/accept', authenticateToken, quoteController.acceptQuote.bind(quoteController));
+
+/**
+ * @route   POST /api/v1/quotes/:quoteId/counter
+ * @desc    Ask the vendor for changes
+ * @access  Private (consumer)
+ * @body    { message: string, proposedTotal?: number }
+ */
+router.post('/quotes/:quoteId/counter', authenticateToken, quoteController.counterQuote.bind(quoteController));
+
+/**
+ * @route   POST /api/v1/quotes/:quoteId/reject
+ * @desc    Reject the quote
+ * @access  Private (consumer)
+ * @body    { reason?: string }
+ */
+router.post('/quotes/:quoteId/reject', authenticateToken, quoteController.rejectQuote.bind(quoteController));
+
+module.exports = router;
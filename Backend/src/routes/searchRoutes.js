@@ -0,0 +1,61 @@
+/**
+ * Search Routes for FixRx
+ * Defines the public vendor search endpoints. Results share one shape:
+ * { vendors, searchParams, pagination: { limit, hasMore, nextCursor }, performance };
+ * pass nextCursor back unchanged, with the same search, for the next page.
+ */
+
+const express = require('express');
+const searchController = require('../controllers/searchController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(optionalAuth);
+
+/**
+ * @route   POST /api/v1/search/vendors
+ * @desc    Search vendors within radiusKm of location, or everywhere by rating without one
+ * @access  Public
+ * @body    { location?: { lat, lng } | { zip } | { metroArea }, radiusKm?: number (default 10, metro radius for metroArea),
+ *            q?: string (free text; ranks by relevance and adds searchMeta.snippet),
+ *            serviceCategories?: string[], serviceType?: string, minRating?: number, priceRange?: { min?, max }, verified?: boolean,
+ *            availability?: { datetime, durationMinutes? } | { from, to, durationMinutes? },
+ *            sortBy?: relevance|distance|rating|price_low|price_high|newest, includeUnlocated?: boolean,
+ *            limit?: number, cursor?: string, facets?: boolean }
+ */
+router.post('/vendors', searchController.searchVendors.bind(searchController));
+
+/**
+ * @route   POST /api/v1/search/facets
+ * @desc    Counts by category, minimum rating, price band, verified status and distance ring
+ *          for the vendors the same /vendors search matches
+ * @access  Public
+ * @body    Same as POST /vendors; sortBy, limit and cursor are ignored
+ */
+router.post('/facets', searchController.getFacets.bind(searchController));
+
+/**
+ * @route   GET /api/v1/search/nearby
+ * @desc    Vendors closest to a point, ZIP or metro
+ * @access  Public
+ * @query   lat and lng | zip | metroArea, radius?: km, limit?: number, cursor?: string, includeUnlocated?: boolean
+ */
+router.get('/nearby', searchController.searchNearby.bind(searchController));
+
+/**
+ * @route   GET /api/v1/search/geocode
+ * @desc    Center and suggested radius of a US ZIP code or metro area (offline dataset)
+ * @access  Public
+ * @query   zip | metroArea
+ */
+router.get('/geocode', searchController.geocode.bind(searchController));
+
+/**
+ * @route   GET /api/v1/search/metro-areas
+ * @desc    Metro areas known to search, with their centers and radii
+ * @access  Public
+ */
+router.get('/metro-areas', searchController.listMetroAreas.bind(searchController));
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Two-Factor Authentication Routes for FixRx
+ * Defines API endpoints for TOTP enrollment, recovery codes and the login challenge
+ */
+
+const express = require('express');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticateToken, requireRecentAuthentication } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/auth/2fa/challenge
+ * @desc    Exchange a login challenge and a TOTP or recovery code for tokens
+ * @access  Public
+ * @body    { challengeToken: string, code?: string, recoveryCode?: string }
+ */
+router.post('/challenge', twoFactorController.completeChallenge.bind(twoFactorController));
+
+/**
+ * @route   GET /api/v1/auth/2fa/status
+ * @desc    Whether two-factor is enabled and how many recovery codes remain
+ * @access  Private
+ */
+router.get('/status', authenticateToken, twoFactorController.getStatus.bind(twoFactorController));
+
+/**
+ * @route   POST /api/v1/auth/2fa/enroll
+ * @desc    Start TOTP enrollment; returns the secret and otpauth:// URI for the QR code
+ * @access  Private
+ */
+router.post('/enroll', authenticateToken, twoFactorController.startEnrollment.bind(twoFactorController));
+
+/**
+ * @route   POST /api/v1/auth/2fa/enroll/verify
+ * @desc    Confirm enrollment with a code; returns one-time recovery codes
+ * @access  Private
+ * @body    { code: string }
+ */
+router.post('/enroll/verify', authenticateToken, twoFactorController.confirmEnrollment.bind(twoFactorController));
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private (recent sign-in)
+ * @body    { code: string }
+ */
+router.post('/recovery-codes', authenticateToken, requireRecentAuthentication(), twoFactorController.regenerateRecoveryCodes.bind(twoFactorController));
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private (recent sign-in)
+ * @body    { code?: string, recoveryCode?: string }
+ */
+router.post('/disable', authenticateToken, requireRecentAuthentication(), twoFactorController.disable.bind(twoFactorController));
+
+module.exports = router;
@@ -0,0 +1,251 @@
+/**
+ * Vendor Routes for FixRx
+ * Defines API endpoints for vendor business profiles, onboarding, portfolios,
+ * license/insurance verification, availability, service areas and the
+ * calendar feed
+ */
+
+const express = require('express');
+const vendorController = require('../controllers/vendorController');
+const vendorOnboardingController = require('../controllers/vendorOnboardingController');
+const vendorPortfolioController = require('../controllers/vendorPortfolioController');
+const vendorVerificationController = require('../controllers/vendorVerificationController');
+const vendorAvailabilityController = require('../controllers/vendorAvailabilityController');
+const vendorServiceAreaController = require('../controllers/vendorServiceAreaController');
+const calendarController = require('../controllers/calendarController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requireRole, rateLimiters } = require('../middleware');
+
+const router = express.Router();
+
+const vendorOnly = [authenticateToken, requireRole('vendor')];
+
+/**
+ * @route   GET /api/v1/vendors/profile
+ * @desc    Get the signed-in vendor's profile
+ * @access  Private (vendor)
+ */
+router.get('/profile', vendorOnly, vendorController.getMyProfile.bind(vendorController));
+
+/**
+ * @route   POST /api/v1/vendors/profile
+ * @desc    Create the vendor profile (one per vendor)
+ * @access  Private (vendor)
+ * @body    { businessName: string, businessDescription?, businessPhone?, businessEmail?,
+ *            businessAddress?, websiteUrl?, yearsExperience?, serviceCategories?,
+ *            serviceRadius?, hourlyRateMin?, hourlyRateMax?, availabilitySchedule? }
+ */
+router.post('/profile', vendorOnly, vendorController.createProfile.bind(vendorController));
+
+/**
+ * @route   PUT /api/v1/vendors/profile
+ * @desc    Replace the vendor profile; omitted fields are cleared. Creates it if missing
+ * @access  Private (vendor)
+ * @body    Same as POST, plus version?: number (rejects with 409 if the profile moved on)
+ */
+router.put('/profile', vendorOnly, vendorController.replaceProfile.bind(vendorController));
+
+/**
+ * @route   PATCH /api/v1/vendors/profile
+ * @desc    Update only the fields sent
+ * @access  Private (vendor)
+ * @body    Any profile field, plus version?: number
+ */
+router.patch('/profile', vendorOnly, vendorController.updateProfile.bind(vendorController));
+
+/**
+ * @route   GET /api/v1/vendors/profile/history
+ * @desc    Versioned change history of the vendor profile
+ * @access  Private (vendor)
+ */
+router.get('/profile/history', vendorOnly, vendorController.getProfileHistory.bind(vendorController));
+
+/**
+ * @route   POST /api/v1/vendors/onboarding/start
+ * @desc    Start onboarding, or resume the vendor's existing onboarding
+ * @access  Private (vendor)
+ */
+router.post('/onboarding/start', vendorOnly, vendorOnboardingController.startOnboarding.bind(vendorOnboardingController));
+
+/**
+ * @route   GET /api/v1/vendors/onboarding
+ * @desc    The signed-in vendor's onboarding progress
+ * @access  Private (vendor)
+ */
+router.get('/onboarding', vendorOnly, vendorOnboardingController.getMyOnboarding.bind(vendorOnboardingController));
+
+/**
+ * @route   GET /api/v1/vendors/onboarding/:onboardingId
+ * @desc    Onboarding progress: steps, current step and completion percentage
+ * @access  Private (vendor)
+ */
+router.get('/onboarding/:onboardingId', vendorOnly, vendorOnboardingController.getOnboarding.bind(vendorOnboardingController));
+
+/**
+ * @route   PUT /api/v1/vendors/onboarding/:onboardingId/step/:stepNumber
+ * @desc    Submit one onboarding step; earlier steps must be done first
+ * @access  Private (vendor)
+ * @body    The step's fields, or { skip: true } for optional steps
+ */
+router.put('/onboarding/:onboardingId/step/:stepNumber', vendorOnly, vendorOnboardingController.submitStep.bind(vendorOnboardingController));
+
+/**
+ * @route   GET /api/v1/vendors/portfolio
+ * @desc    The signed-in vendor's portfolio photos, in display order
+ * @access  Private (vendor)
+ */
+router.get('/portfolio', vendorOnly, vendorPortfolioController.getMyPortfolio.bind(vendorPortfolioController));
+
+/**
+ * @route   POST /api/v1/vendors/portfolio
+ * @desc    Upload a portfolio photo; stored re-encoded with a thumbnail and no EXIF/GPS data
+ * @access  Private (vendor)
+ * @body    multipart/form-data { image: file (max 10MB), caption?: string }
+ */
+router.post('/portfolio', rateLimiters.upload, vendorOnly, vendorPortfolioController.uploadImage.bind(vendorPortfolioController));
+
+/**
+ * @route   PUT /api/v1/vendors/portfolio/order
+ * @desc    Set the display order of the portfolio
+ * @access  Private (vendor)
+ * @body    { itemIds: string[] } - every portfolio item, in the new order
+ */
+router.put('/portfolio/order', vendorOnly, vendorPortfolioController.reorderPortfolio.bind(vendorPortfolioController));
+
+/**
+ * @route   PATCH /api/v1/vendors/portfolio/:itemId
+ * @desc    Change a photo's caption
+ * @access  Private (vendor)
+ * @body    { caption: string | null }
+ */
+router.patch('/portfolio/:itemId', vendorOnly, vendorPortfolioController.updateCaption.bind(vendorPortfolioController));
+
+/**
+ * @route   DELETE /api/v1/vendors/portfolio/:itemId
+ * @desc    Delete a portfolio photo and its stored files
+ * @access  Private (vendor)
+ */
+router.delete('/portfolio/:itemId', vendorOnly, vendorPortfolioController.deleteImage.bind(vendorPortfolioController));
+
+/**
+ * @route   GET /api/v1/vendors/verification
+ * @desc    Verification status and the current license and insurance submissions
+ * @access  Private (vendor)
+ */
+router.get('/verification', vendorOnly, vendorVerificationController.getMyVerification.bind(vendorVerificationController));
+
+/**
+ * @route   POST /api/v1/vendors/verification/license
+ * @desc    Submit a contractor license for review; it is checked against the state registry
+ * @access  Private (vendor)
+ * @body    { licenseNumber: string, state: string (2 letters), licenseType?: string, expiresAt?: date }
+ */
+router.post('/verification/license', vendorOnly, vendorVerificationController.submitLicense.bind(vendorVerificationController));
+
+/**
+ * @route   POST /api/v1/vendors/verification/insurance
+ * @desc    Submit an insurance certificate for review
+ * @access  Private (vendor)
+ * @body    multipart/form-data { certificate: PDF/JPEG/PNG (max 10MB), provider: string,
+ *            policyNumber: string, expiresAt: date, coverageAmount?: number }
+ */
+router.post('/verification/insurance', rateLimiters.upload, vendorOnly, vendorVerificationController.submitInsurance.bind(vendorVerificationController));
+
+/**
+ * @route   GET /api/v1/vendors/availability
+ * @desc    Weekly working hours, timezone and upcoming time off
+ * @access  Private (vendor)
+ */
+router.get('/availability', vendorOnly, vendorAvailabilityController.getMySchedule.bind(vendorAvailabilityController));
+
+/**
+ * @route   PUT /api/v1/vendors/availability
+ * @desc    Set weekly working hours and/or the timezone they are written in
+ * @access  Private (vendor)
+ * @body    { availabilitySchedule?: { monday: [{ start: 'HH:MM', end: 'HH:MM' }], ... },
+ *            timezone?: string (IANA), version?: number }
+ */
+router.put('/availability', vendorOnly, vendorAvailabilityController.updateSchedule.bind(vendorAvailabilityController));
+
+/**
+ * @route   POST /api/v1/vendors/availability/time-off
+ * @desc    Block out time off (vacation, holidays)
+ * @access  Private (vendor)
+ * @body    { startsAt: date, endsAt: date, reason?: string }
+ */
+router.post('/availability/time-off', vendorOnly, vendorAvailabilityController.addTimeOff.bind(vendorAvailabilityController));
+
+/**
+ * @route   DELETE /api/v1/vendors/availability/time-off/:timeOffId
+ * @desc    Remove a time-off block
+ * @access  Private (vendor)
+ */
+router.delete('/availability/time-off/:timeOffId', vendorOnly, vendorAvailabilityController.removeTimeOff.bind(vendorAvailabilityController));
+
+/**
+ * @route   GET /api/v1/vendors/service-areas
+ * @desc    The areas the vendor covers, and whether search matches on them (PostGIS mode)
+ * @access  Private (vendor)
+ */
+router.get('/service-areas', vendorOnly, vendorServiceAreaController.getMyAreas.bind(vendorServiceAreaController));
+
+/**
+ * @route   PUT /api/v1/vendors/service-areas
+ * @desc    Replace the vendor's service areas; an empty list falls back to location and radius
+ * @access  Private (vendor)
+ * @body    { areas: [{ type: 'radius', center: { lat, lng }, radiusKm: number (max 200), label? }
+ *            | { type: 'polygon', coordinates: [[lng, lat], ...] (3-500 points), label? }] } (max 20)
+ */
+router.put('/service-areas', vendorOnly, vendorServiceAreaController.replaceAreas.bind(vendorServiceAreaController));
+
+/**
+ * @route   GET /api/v1/vendors/calendar-feed
+ * @desc    Whether a calendar feed URL exists and when it was last polled
+ * @access  Private (vendor)
+ */
+router.get('/calendar-feed', vendorOnly, calendarController.getFeedStatus.bind(calendarController));
+
+/**
+ * @route   POST /api/v1/vendors/calendar-feed
+ * @desc    Create a secret iCalendar feed URL, replacing any earlier one; shown only once
+ * @access  Private (vendor)
+ */
+router.post('/calendar-feed', vendorOnly, calendarController.createFeed.bind(calendarController));
+
+/**
+ * @route   DELETE /api/v1/vendors/calendar-feed
+ * @desc    Revoke the calendar feed URL
+ * @access  Private (vendor)
+ */
+router.delete('/calendar-feed', vendorOnly, calendarController.revokeFeed.bind(calendarController));
+
+/**
+ * @route   GET /api/v1/vendors/:vendorId/profile
+ * @desc    Public vendor profile
+ * @access  Public
+ */
+router.get('/:vendorId/profile', optionalAuth, vendorController.getPublicProfile.bind(vendorController));
+
+/**
+ * @route   GET /api/v1/vendors/:vendorId/portfolio
+ * @desc    Public portfolio of a vendor
+ * @access  Public
+ */
+router.get('/:vendorId/portfolio', optionalAuth, vendorPortfolioController.getPublicPortfolio.bind(vendorPortfolioController));
+
+/**
+ * @route   GET /api/v1/vendors/:vendorId/availability
+ * @desc    Open slots between from and to (at most 31 days), in UTC
+ * @access  Public
+ * @query   from: date, to: date, slotMinutes?: number (15-480, default 60)
+ */
+router.get('/:vendorId/availability', optionalAuth, vendorAvailabilityController.getOpenSlots.bind(vendorAvailabilityController));
+
+/**
+ * @route   GET /api/v1/vendors/:vendorId/service-areas
+ * @desc    Public service areas of a vendor
+ * @access  Public
+ */
+router.get('/:vendorId/service-areas', optionalAuth, vendorServiceAreaController.getPublicAreas.bind(vendorServiceAreaController));
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Verification Routes for FixRx
+ * Defines the admin review queue for vendor license and insurance submissions
+ */
+
+const express = require('express');
+const vendorVerificationController = require('../controllers/vendorVerificationController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission, requireAdminTwoFactor } = require('../middleware');
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission('vendors:approve'), requireAdminTwoFactor);
+
+/**
+ * @route   GET /api/v1/admin/verifications
+ * @desc    Review queue, oldest first (pending and in_review by default)
+ * @access  Private (vendors:approve)
+ * @query   status?: pending|in_review|approved|rejected|expiring, documentType?: license|insurance,
+ *          limit?: number, offset?: number
+ */
+router.get('/', vendorVerificationController.listQueue.bind(vendorVerificationController));
+
+/**
+ * @route   POST /api/v1/admin/verifications/expirations/check
+ * @desc    Flag documents expiring soon and reject lapsed ones now (also runs daily)
+ * @access  Private (vendors:approve)
+ * @body    { warningDays?: number }
+ */
+router.post('/expirations/check', vendorVerificationController.checkExpirations.bind(vendorVerificationController));
+
+/**
+ * @route   GET /api/v1/admin/verifications/:id
+ * @desc    Submission details, registry evidence and review history
+ * @access  Private (vendors:approve)
+ */
+router.get('/:id', vendorVerificationController.getVerification.bind(vendorVerificationController));
+
+/**
+ * @route   GET /api/v1/admin/verifications/:id/document
+ * @desc    Download the submitted insurance certificate
+ * @access  Private (vendors:approve)
+ */
+router.get('/:id/document', vendorVerificationController.getDocument.bind(vendorVerificationController));
+
+/**
+ * @route   POST /api/v1/admin/verifications/:id/notes
+ * @desc    Add a reviewer note
+ * @access  Private (vendors:approve)
+ * @body    { note: string }
+ */
+router.post('/:id/notes', vendorVerificationController.addNote.bind(vendorVerificationController));
+
+/**
+ * @route   POST /api/v1/admin/verifications/:id/review
+ * @desc    Move a submission to in_review, approved or rejected
+ * @access  Private (vendors:approve)
+ * @body    { decision: 'in_review'|'approved'|'rejected', notes?: string (required to reject),
+ *            expiresAt?: date (required to approve when the submission has none) }
+ */
+router.post('/:id/review', vendorVerificationController.reviewVerification.bind(vendorVerificationController));
+
+/**
+ * @route   POST /api/v1/admin/verifications/:id/registry-check
+ * @desc    Re-run the state registry lookup for a license
+ * @access  Private (vendors:approve)
+ */
+router.post('/:id/registry-check', vendorVerificationController.runRegistryCheck.bind(vendorVerificationController));
+
+module.exports = router;
@@ -279,11 +279,626 @@ const statements = [
       UNIQUE (message_id, user_id)
     )`,
   `CREATE INDEX IF NOT EXISTS idx_message_reads_user ON message_reads(user_id)`,
-  `CREATE INDEX IF NOT EXISTS idx_message_reads_message ON message_reads(message_id)`
+  `CREATE INDEX IF NOT EXISTS idx_message_reads_message ON message_reads(message_id)`,
+  `CREATE TABLE IF NOT EXISTS login_attempts (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      email VARCHAR(255) NOT NULL,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      success BOOLEAN NOT NULL DEFAULT FALSE,
+      ip_address VARCHAR(64),
+      user_agent VARCHAR(255),
+      attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE INDEX IF NOT EXISTS idx_login_attempts_email_time ON login_attempts(email, attempted_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id)`,
+  `CREATE TABLE IF NOT EXISTS user_sessions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      session_token VARCHAR(255) UNIQUE NOT NULL,
+      refresh_token VARCHAR(255),
+      device_info JSONB,
+      ip_address INET,
+      user_agent TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      last_activity_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+  `ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ`,
+  `ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50)`,
+  `CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      parent_id UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      rotated_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id)`,
+  `ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS device_name VARCHAR(100)`,
+  `CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active ON user_sessions(user_id, is_active)`,
+  `CREATE TABLE IF NOT EXISTS revoked_access_tokens (
+      jti VARCHAR(64) PRIMARY KEY,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      reason VARCHAR(50),
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE INDEX IF NOT EXISTS idx_revoked_access_tokens_expires ON revoked_access_tokens(expires_at)`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMPTZ`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active'`,
+  `CREATE TABLE IF NOT EXISTS impersonation_audit_log (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      admin_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      target_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      channel VARCHAR(20) NOT NULL DEFAULT 'http',
+      method VARCHAR(10),
+      path TEXT,
+      ip_address VARCHAR(64),
+      user_agent VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE INDEX IF NOT EXISTS idx_impersonation_audit_admin ON impersonation_audit_log(admin_id, created_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_impersonation_audit_target ON impersonation_audit_log(target_user_id, created_at)`,
+  `ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS two_factor_verified BOOLEAN DEFAULT FALSE`,
+  `CREATE TABLE IF NOT EXISTS user_two_factor (
+      user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      secret_encrypted TEXT NOT NULL,
+      enabled_at TIMESTAMPTZ,
+      last_used_step BIGINT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(128) NOT NULL,
+      used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id, code_hash)`,
+  `ALTER TABLE user_two_factor ADD COLUMN IF NOT EXISTS failed_attempts INTEGER NOT NULL DEFAULT 0`,
+  `ALTER TABLE user_two_factor ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS merged_into_user_id UUID REFERENCES users(id) ON DELETE SET NULL`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS merged_at TIMESTAMPTZ`,
+  `CREATE TABLE IF NOT EXISTS user_identities (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      provider VARCHAR(20) NOT NULL,
+      identifier VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      verified_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (provider, identifier)
+    )`,
+  `CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id)`,
+  `INSERT INTO user_identities (user_id, provider, identifier, verified_at)
+    SELECT id, 'phone', phone, COALESCE(phone_verified_at, created_at, NOW())
+      FROM users
+     WHERE phone IS NOT NULL
+       AND phone_verified = TRUE
+     ORDER BY created_at ASC
+    ON CONFLICT (provider, identifier) DO NOTHING`,
+  `INSERT INTO user_identities (user_id, provider, identifier, verified_at)
+    SELECT id, 'email', LOWER(email), COALESCE(email_verified_at, created_at, NOW())
+      FROM users
+     WHERE email NOT LIKE '%@fixrx.app'
+       AND (email_verified = TRUE OR email_verified_at IS NOT NULL)
+     ORDER BY created_at ASC
+    ON CONFLICT (provider, identifier) DO NOTHING`,
+  `CREATE TABLE IF NOT EXISTS user_merge_log (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      source_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      target_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      summary JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE TABLE IF NOT EXISTS permissions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE TABLE IF NOT EXISTS roles (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(50) NOT NULL UNIQUE,
+      display_name VARCHAR(100) NOT NULL,
+      description TEXT,
+      is_system BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE TABLE IF NOT EXISTS role_permissions (
+      role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+      permission_id UUID NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+      PRIMARY KEY (role_id, permission_id)
+    )`,
+  `CREATE TABLE IF NOT EXISTS user_roles (
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+      granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      reason TEXT,
+      granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (user_id, role_id)
+    )`,
+  `CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role_id)`,
+  `CREATE TABLE IF NOT EXISTS access_control_audit_log (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      action VARCHAR(50) NOT NULL,
+      role_name VARCHAR(50),
+      target_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      details JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE INDEX IF NOT EXISTS idx_access_control_audit_log_created ON access_control_audit_log(created_at DESC)`,
+  `INSERT INTO permissions (name)
+    SELECT UNNEST(ARRAY[
+      'users:read','users:write','users:delete','vendors:read','vendors:write','vendors:delete','vendors:approve',
+      'vendors:search','vendors:read:public','consumers:read','consumers:write','consumers:delete',
+      'ratings:read','ratings:write','ratings:write:own','ratings:delete','ratings:moderate','ratings:respond','ratings:read:public',
+      'system:read','system:write','system:backup','system:monitor','analytics:read','analytics:read:own','analytics:export',
+      'audit:read','audit:export','profile:read','profile:write','portfolio:read','portfolio:write',
+      'services:read','services:write','services:accept','services:request','notifications:read',
+      'messages:read','messages:write','invitations:send'
+    ])
+    ON CONFLICT (name) DO NOTHING`,
+  `INSERT INTO roles (name, display_name, description, is_system) VALUES
+      ('admin', 'Administrator', 'Full system access with all permissions', TRUE),
+      ('vendor', 'Service Vendor', 'Service provider with business management capabilities', TRUE),
+      ('consumer', 'Service Consumer', 'Service requester with basic platform access', TRUE),
+      ('guest', 'Guest User', 'Limited read-only access to public content', TRUE)
+    ON CONFLICT (name) DO NOTHING`,
+  `INSERT INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id
+      FROM roles r
+      JOIN permissions p ON p.name = ANY(ARRAY[
+      'users:read','users:write','users:delete','vendors:read','vendors:write','vendors:delete','vendors:approve',
+      'consumers:read','consumers:write','consumers:delete','ratings:read','ratings:write','ratings:delete','ratings:moderate',
+      'system:read','system:write','system:backup','system:monitor','analytics:read','analytics:export','audit:read','audit:export'
+      ])
+     WHERE r.name = 'admin'
+    ON CONFLICT DO NOTHING`,
+  `INSERT INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id
+      FROM roles r
+      JOIN permissions p ON p.name = ANY(ARRAY[
+      'profile:read','profile:write','portfolio:read','portfolio:write','services:read','services:write','services:accept',
+      'ratings:read','ratings:respond','notifications:read','analytics:read:own','messages:read','messages:write'
+      ])
+     WHERE r.name = 'vendor'
+    ON CONFLICT DO NOTHING`,
+  `INSERT INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id
+      FROM roles r
+      JOIN permissions p ON p.name = ANY(ARRAY[
+      'profile:read','profile:write','vendors:read','vendors:search','services:read','services:write','services:request',
+      'ratings:read','ratings:write:own','notifications:read','messages:read','messages:write','invitations:send'
+      ])
+     WHERE r.name = 'consumer'
+    ON CONFLICT DO NOTHING`,
+  `INSERT INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id
+      FROM roles r
+      JOIN permissions p ON p.name = ANY(ARRAY[
+      'vendors:read:public','ratings:read:public'
+      ])
+     WHERE r.name = 'guest'
+    ON CONFLICT DO NOTHING`,
+  `CREATE TABLE IF NOT EXISTS vendor_profiles (
+      vendor_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      business_name VARCHAR(255) NOT NULL,
+      business_description TEXT,
+      business_phone VARCHAR(20),
+      business_email VARCHAR(255),
+      business_address JSONB,
+      website_url TEXT,
+      years_experience INTEGER,
+      license_number VARCHAR(100),
+      insurance_info JSONB,
+      service_categories TEXT[],
+      service_radius NUMERIC(6,2),
+      hourly_rate_min NUMERIC(10,2),
+      hourly_rate_max NUMERIC(10,2),
+      availability_schedule JSONB,
+      portfolio_images JSONB DEFAULT '[]'::jsonb,
+      is_verified BOOLEAN DEFAULT FALSE,
+      version INTEGER NOT NULL DEFAULT 1,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+  `ALTER TABLE vendor_profiles ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`,
+  `ALTER TABLE vendor_profiles ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()`,
+  // Search reads vendors; profiles saved before saves kept it in step get a row
+  `INSERT INTO vendors (user_id, business_name, business_description, service_categories,
+                        business_address, website_url, availability_schedule)
+    SELECT vp.vendor_id, vp.business_name, vp.business_description, COALESCE(vp.service_categories, '{}'),
+           COALESCE(vp.business_address, '{}'::jsonb), vp.website_url, vp.availability_schedule
+      FROM vendor_profiles vp
+     WHERE NOT EXISTS (SELECT 1 FROM vendors v WHERE v.user_id = vp.vendor_id)`,
+  `CREATE TABLE IF NOT EXISTS vendor_profile_history (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      changes JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (vendor_id, version)
+    )`,
+  `CREATE TABLE IF NOT EXISTS vendor_onboarding (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      vendor_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+      current_step INTEGER NOT NULL DEFAULT 1,
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      completed_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE TABLE IF NOT EXISTS vendor_onboarding_steps (
+      onboarding_id UUID NOT NULL REFERENCES vendor_onboarding(id) ON DELETE CASCADE,
+      step_number INTEGER NOT NULL,
+      step_key VARCHAR(50) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      data JSONB,
+      completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (onboarding_id, step_number)
+    )`,
+  // Vendors who set up a profile or a vendors record before onboarding
+  // existed stay searchable
+  `INSERT INTO vendor_onboarding (vendor_id, status, current_step, completed_at)
+    SELECT vendor_id, 'completed', 6, NOW()
+      FROM (
+        SELECT vendor_id FROM vendor_profiles
+        UNION
+        SELECT user_id FROM vendors
+      ) existing
+    ON CONFLICT (vendor_id) DO NOTHING`,
+  `CREATE TABLE IF NOT EXISTS vendor_portfolio (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      title VARCHAR(255),
+      description TEXT,
+      image_url VARCHAR(500),
+      project_date DATE,
+      is_featured BOOLEAN DEFAULT FALSE,
+      sort_order INTEGER DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )`,
+  'ALTER TABLE vendor_portfolio ALTER COLUMN title DROP NOT NULL',
+  'ALTER TABLE vendor_portfolio ADD COLUMN IF NOT EXISTS caption VARCHAR(500)',
+  'ALTER TABLE vendor_portfolio ADD COLUMN IF NOT EXISTS storage_key VARCHAR(500)',
+  'ALTER TABLE vendor_portfolio ADD COLUMN IF NOT EXISTS thumbnail_key VARCHAR(500)',
+  'ALTER TABLE vendor_portfolio ADD COLUMN IF NOT EXISTS thumbnail_url VARCHAR(500)',
+  'ALTER TABLE vendor_portfolio ADD COLUMN IF NOT EXISTS content_type VARCHAR(50)',
+  'ALTER TABLE vendor_portfolio ADD COLUMN IF NOT EXISTS file_size INTEGER',
+  'ALTER TABLE vendor_portfolio ADD COLUMN IF NOT EXISTS width INTEGER',
+  'ALTER TABLE vendor_portfolio ADD COLUMN IF NOT EXISTS height INTEGER',
+  'CREATE INDEX IF NOT EXISTS idx_vendor_portfolio_vendor ON vendor_portfolio(vendor_id, sort_order)',
+  `CREATE TABLE IF NOT EXISTS vendor_verifications (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('license', 'insurance')),
+      status verification_status_enum NOT NULL DEFAULT 'pending',
+      license_number VARCHAR(100),
+      license_type VARCHAR(100),
+      license_state VARCHAR(2),
+      insurance_provider VARCHAR(255),
+      policy_number VARCHAR(100),
+      coverage_amount NUMERIC(12,2),
+      document_key VARCHAR(500),
+      document_content_type VARCHAR(100),
+      expires_at DATE,
+      registry_result JSONB,
+      registry_checked_at TIMESTAMPTZ,
+      review_notes TEXT,
+      reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      reviewed_at TIMESTAMPTZ,
+      expiry_flagged_at TIMESTAMPTZ,
+      superseded_at TIMESTAMPTZ,
+      submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_vendor_verifications_vendor ON vendor_verifications(vendor_id, document_type)',
+  'CREATE INDEX IF NOT EXISTS idx_vendor_verifications_queue ON vendor_verifications(status, submitted_at) WHERE superseded_at IS NULL',
+  'CREATE INDEX IF NOT EXISTS idx_vendor_verifications_expiry ON vendor_verifications(expires_at) WHERE superseded_at IS NULL',
+  `CREATE TABLE IF NOT EXISTS vendor_verification_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      verification_id UUID NOT NULL REFERENCES vendor_verifications(id) ON DELETE CASCADE,
+      actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      event VARCHAR(30) NOT NULL,
+      from_status verification_status_enum,
+      to_status verification_status_enum,
+      note TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_vendor_verification_events_verification ON vendor_verification_events(verification_id, created_at)',
+  'ALTER TABLE vendor_profiles ADD COLUMN IF NOT EXISTS timezone VARCHAR(64)',
+  `CREATE TABLE IF NOT EXISTS vendor_time_off (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      starts_at TIMESTAMPTZ NOT NULL,
+      ends_at TIMESTAMPTZ NOT NULL,
+      reason VARCHAR(255),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK (ends_at > starts_at)
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_vendor_time_off_vendor ON vendor_time_off(vendor_id, ends_at)',
+  // Lets the appointment overlap constraint combine vendor equality with time ranges
+  'CREATE EXTENSION IF NOT EXISTS "btree_gist"',
+  `CREATE TABLE IF NOT EXISTS connection_requests (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      consumer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      service_id UUID REFERENCES services(id),
+      message TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'CANCELLED')),
+      project_description TEXT,
+      budget_range_min DECIMAL(10,2),
+      budget_range_max DECIMAL(10,2),
+      preferred_start_date DATE,
+      urgency VARCHAR(20) DEFAULT 'MEDIUM' CHECK (urgency IN ('LOW', 'MEDIUM', 'HIGH', 'URGENT')),
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      responded_at TIMESTAMPTZ,
+      UNIQUE (consumer_id, vendor_id, service_id)
+    )`,
+  `CREATE TABLE IF NOT EXISTS appointments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      connection_request_id UUID NOT NULL REFERENCES connection_requests(id) ON DELETE CASCADE,
+      consumer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      appointment_type VARCHAR(20) NOT NULL DEFAULT 'site_visit' CHECK (appointment_type IN ('site_visit', 'job')),
+      status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+      starts_at TIMESTAMPTZ NOT NULL,
+      ends_at TIMESTAMPTZ NOT NULL,
+      timezone VARCHAR(64),
+      notes TEXT,
+      booked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      reschedule_count INTEGER NOT NULL DEFAULT 0,
+      cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      cancellation_reason TEXT,
+      cancelled_at TIMESTAMPTZ,
+      reminder_jobs JSONB NOT NULL DEFAULT '[]'::jsonb,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK (ends_at > starts_at),
+      CONSTRAINT appointments_no_vendor_overlap EXCLUDE USING gist (
+        vendor_id WITH =,
+        tstzrange(starts_at, ends_at) WITH &&
+      ) WHERE (status = 'scheduled')
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_appointments_consumer ON appointments(consumer_id, starts_at)',
+  'CREATE INDEX IF NOT EXISTS idx_appointments_vendor ON appointments(vendor_id, starts_at)',
+  'CREATE INDEX IF NOT EXISTS idx_appointments_connection ON appointments(connection_request_id)',
+  `CREATE TABLE IF NOT EXISTS appointment_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+      actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      event VARCHAR(20) NOT NULL,
+      from_starts_at TIMESTAMPTZ,
+      to_starts_at TIMESTAMPTZ,
+      reason TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_appointment_events_appointment ON appointment_events(appointment_id, created_at)',
+  'ALTER TABLE appointments ADD COLUMN IF NOT EXISTS sequence INTEGER NOT NULL DEFAULT 0',
+  `CREATE TABLE IF NOT EXISTS vendor_calendar_feeds (
+      vendor_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_accessed_at TIMESTAMPTZ
+    )`,
+  `CREATE TABLE IF NOT EXISTS quotes (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      connection_request_id UUID NOT NULL REFERENCES connection_requests(id) ON DELETE CASCADE,
+      consumer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'countered', 'accepted', 'rejected', 'expired')),
+      current_revision INTEGER NOT NULL DEFAULT 1,
+      currency CHAR(3) NOT NULL DEFAULT 'USD',
+      total NUMERIC(12,2) NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      accepted_revision INTEGER,
+      responded_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  // One open (pending or countered) quote per request at a time
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_quotes_open_per_request ON quotes(connection_request_id)
+      WHERE status IN ('pending', 'countered')`,
+  'CREATE INDEX IF NOT EXISTS idx_quotes_connection ON quotes(connection_request_id, created_at)',
+  "CREATE INDEX IF NOT EXISTS idx_quotes_pending_expiry ON quotes(expires_at) WHERE status = 'pending'",
+  `CREATE TABLE IF NOT EXISTS quote_revisions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      line_items JSONB NOT NULL,
+      labor_total NUMERIC(12,2) NOT NULL,
+      materials_total NUMERIC(12,2) NOT NULL,
+      other_total NUMERIC(12,2) NOT NULL,
+      subtotal NUMERIC(12,2) NOT NULL,
+      tax_rate NUMERIC(6,3) NOT NULL DEFAULT 0,
+      tax_total NUMERIC(12,2) NOT NULL,
+      total NUMERIC(12,2) NOT NULL,
+      notes TEXT,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (quote_id, revision)
+    )`,
+  `CREATE TABLE IF NOT EXISTS quote_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      quote_id UUID NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      event VARCHAR(20) NOT NULL,
+      message TEXT,
+      proposed_total NUMERIC(12,2),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_quote_events_quote ON quote_events(quote_id, created_at)',
+  `CREATE TABLE IF NOT EXISTS service_jobs (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      connection_request_id UUID NOT NULL UNIQUE REFERENCES connection_requests(id) ON DELETE CASCADE,
+      consumer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      status service_status_enum NOT NULL DEFAULT 'requested',
+      accepted_quote_id UUID REFERENCES quotes(id) ON DELETE SET NULL,
+      quoted_at TIMESTAMPTZ,
+      accepted_at TIMESTAMPTZ,
+      started_at TIMESTAMPTZ,
+      completed_at TIMESTAMPTZ,
+      cancelled_at TIMESTAMPTZ,
+      disputed_at TIMESTAMPTZ,
+      cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      cancellation_reason TEXT,
+      dispute_reason TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_service_jobs_consumer ON service_jobs(consumer_id, updated_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_service_jobs_vendor ON service_jobs(vendor_id, updated_at DESC)',
+  `CREATE TABLE IF NOT EXISTS service_job_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      job_id UUID NOT NULL REFERENCES service_jobs(id) ON DELETE CASCADE,
+      from_status service_status_enum,
+      to_status service_status_enum NOT NULL,
+      actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      actor_role VARCHAR(20),
+      reason TEXT,
+      metadata JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_service_job_events_job ON service_job_events(job_id, created_at)',
+  // Jobs for requests made before the lifecycle existed
+  `INSERT INTO service_jobs (connection_request_id, consumer_id, vendor_id, status, quoted_at, accepted_at, cancelled_at, created_at)
+    SELECT cr.id, cr.consumer_id, cr.vendor_id, s.status,
+           CASE WHEN s.status = 'quoted' THEN cr.updated_at END,
+           CASE WHEN s.status = 'accepted' THEN COALESCE(cr.responded_at, cr.updated_at) END,
+           CASE WHEN s.status = 'cancelled' THEN COALESCE(cr.responded_at, cr.updated_at) END,
+           COALESCE(cr.created_at, NOW())
+      FROM connection_requests cr
+      CROSS JOIN LATERAL (
+        SELECT (CASE
+          WHEN cr.status = 'ACCEPTED' THEN 'accepted'
+          WHEN cr.status IN ('DECLINED', 'CANCELLED') THEN 'cancelled'
+          WHEN EXISTS (SELECT 1 FROM quotes q WHERE q.connection_request_id = cr.id) THEN 'quoted'
+          ELSE 'requested'
+        END)::service_status_enum AS status
+      ) s
+    ON CONFLICT (connection_request_id) DO NOTHING`,
+  `INSERT INTO permissions (name) VALUES ('services:moderate') ON CONFLICT (name) DO NOTHING`,
+  `INSERT INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id
+      FROM roles r
+      JOIN permissions p ON p.name = 'services:moderate'
+     WHERE r.name = 'admin'
+    ON CONFLICT DO NOTHING`,
+  // Completion proof and the consumer's sign-off
+  'ALTER TABLE service_jobs ADD COLUMN IF NOT EXISTS confirm_by TIMESTAMPTZ',
+  'ALTER TABLE service_jobs ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ',
+  'ALTER TABLE service_jobs ADD COLUMN IF NOT EXISTS confirmation_source VARCHAR(20)',
+  `CREATE INDEX IF NOT EXISTS idx_service_jobs_awaiting_confirmation ON service_jobs(confirm_by)
+    WHERE status = 'completed' AND confirmed_at IS NULL`,
+  `CREATE TABLE IF NOT EXISTS job_completions (
+      job_id UUID PRIMARY KEY REFERENCES service_jobs(id) ON DELETE CASCADE,
+      submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      notes TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  `CREATE TABLE IF NOT EXISTS job_completion_photos (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      job_id UUID NOT NULL REFERENCES job_completions(job_id) ON DELETE CASCADE,
+      kind VARCHAR(10) NOT NULL CHECK (kind IN ('before', 'after')),
+      storage_key VARCHAR(500) NOT NULL,
+      thumbnail_key VARCHAR(500) NOT NULL,
+      content_type VARCHAR(50),
+      file_size INTEGER,
+      width INTEGER,
+      height INTEGER,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_job_completion_photos_job ON job_completion_photos(job_id, sort_order)',
+  // Vendor service areas; PostGIS is optional, search falls back to lat/lng without it
+  `DO $$
+    BEGIN
+      IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'postgis') THEN
+        CREATE EXTENSION IF NOT EXISTS postgis;
+      END IF;
+    EXCEPTION WHEN insufficient_privilege THEN
+      RAISE NOTICE 'Skipping PostGIS: %', SQLERRM;
+    END
+    $$`,
+  `CREATE TABLE IF NOT EXISTS vendor_service_areas (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      vendor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      kind VARCHAR(10) NOT NULL CHECK (kind IN ('radius', 'polygon')),
+      label VARCHAR(100),
+      center_latitude NUMERIC(9,6),
+      center_longitude NUMERIC(9,6),
+      radius_km NUMERIC(6,2),
+      boundary JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK (
+        (kind = 'radius' AND center_latitude IS NOT NULL AND center_longitude IS NOT NULL AND radius_km > 0)
+        OR (kind = 'polygon' AND boundary IS NOT NULL)
+      )
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_vendor_service_areas_vendor ON vendor_service_areas(vendor_id)',
+  `DO $$
+    BEGIN
+      IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'postgis') THEN
+        ALTER TABLE vendor_service_areas ADD COLUMN IF NOT EXISTS area geography;
+        UPDATE vendor_service_areas
+           SET area = CASE kind
+             WHEN 'radius' THEN ST_Buffer(
+               ST_SetSRID(ST_MakePoint(center_longitude::float8, center_latitude::float8), 4326)::geography,
+               radius_km::float8 * 1000)
+             ELSE ST_GeogFromGeoJSON(boundary::text)
+           END
+         WHERE area IS NULL;
+      END IF;
+    END
+    $$`,
+  // Vendor text search; pg_trgm is optional and only adds typo tolerance
+  `DO $$
+    BEGIN
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+    EXCEPTION WHEN undefined_file OR insufficient_privilege THEN
+      RAISE NOTICE 'Skipping pg_trgm: %', SQLERRM;
+    END
+    $$`,
+  `CREATE TABLE IF NOT EXISTS vendor_search_documents (
+      vendor_id UUID PRIMARY KEY REFERENCES vendors(id) ON DELETE CASCADE,
+      document TSVECTOR NOT NULL,
+      terms TEXT NOT NULL DEFAULT '',
+      body TEXT NOT NULL DEFAULT '',
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+  'CREATE INDEX IF NOT EXISTS idx_vendor_search_documents_document ON vendor_search_documents USING GIN (document)',
+  `DO $$
+    BEGIN
+      IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm') THEN
+        CREATE INDEX IF NOT EXISTS idx_vendor_search_documents_terms
+          ON vendor_search_documents USING GIN (terms gin_trgm_ops);
+      END IF;
+    END
+    $$`
 ];
 
-async function runMigrations() {
-  const client = await pool.connect();
+async function runMigrations(db = pool) {
+  const client = await db.connect();
   try {
     console.log('🚀 Starting FixRx database migration...');
 
@@ -300,13 +915,18 @@ async function runMigrations() {
     }
 
     console.log('✅ Database migration completed successfully');
-  } catch (error) {
-    console.error('❌ Migration failed:', error.message);
-    process.exitCode = 1;
   } finally {
     client.release();
-    await pool.end();
   }
 }
 
-runMigrations();
+if (require.main === module) {
+  runMigrations()
+    .catch((error) => {
+      console.error('❌ Migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { statements, runMigrations };
@@ -0,0 +1,53 @@
+require('dotenv').config();
+
+const { Pool } = require('pg');
+const geocodingService = require('../services/geocodingService');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  host: process.env.DB_HOST || 'localhost',
+  port: parseInt(process.env.DB_PORT, 10) || 5432,
+  database: process.env.DB_NAME || 'fixrx_db',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD || 'postgres',
+});
+
+// Rewrites users.metro_area values saved before names were normalized
+// ("chicago", "Chicago, Illinois") to the canonical "Chicago, IL"
+async function normalizeMetroAreas() {
+  try {
+    console.log('🚀 Normalizing metro areas...');
+
+    const result = await pool.query(
+      'SELECT DISTINCT metro_area FROM users WHERE metro_area IS NOT NULL'
+    );
+
+    let updated = 0;
+    let unknown = 0;
+    for (const { metro_area: value } of result.rows) {
+      const normalized = geocodingService.normalizeMetroArea(value);
+      if (!geocodingService.findMetro(value)) {
+        unknown += 1;
+      }
+      if (normalized === value) {
+        continue;
+      }
+
+      const update = await pool.query(
+        'UPDATE users SET metro_area = $2, updated_at = NOW() WHERE metro_area = $1',
+        [value, normalized]
+      );
+      updated += update.rowCount;
+      console.log(`✅ "${value}" -> "${normalized}" (${update.rowCount} users)`);
+    }
+
+    console.log(`✅ Updated ${updated} users; ${unknown} distinct values match no known metro and were left as entered`);
+  } catch (error) {
+    console.error('❌ Metro area normalization failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+normalizeMetroAreas();
@@ -0,0 +1,433 @@
+/**
+ * Access Control Service for FixRx
+ * Roles, permissions and user-role grants stored in the database.
+ *
+ * Every user has a base role (users.role / user_type) and may be granted
+ * extra roles such as "support_agent" or "moderator". Their permissions are
+ * the union of all of them. The role table is cached in memory and reloaded
+ * every PERMISSION_CACHE_TTL_SECONDS; changes made through this service clear
+ * the local cache at once, other instances pick them up within the TTL.
+ *
+ * If the tables cannot be read, lookups fall back to the built-in role map
+ * in auth0Service so authorization keeps working during an outage.
+ */
+
+const { dbManager } = require('../config/database');
+const { auth0Service } = require('./auth0Service');
+const { logger } = require('../utils/logger');
+
+const CACHE_TTL_MS = (parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS, 10) || 60) * 1000;
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+class AccessControlService {
+  constructor() {
+    this.roleCache = null;
+    this.grantCache = new Map();
+  }
+
+  clearCache() {
+    this.roleCache = null;
+    this.grantCache.clear();
+  }
+
+  isValidRoleName(name) {
+    return ROLE_NAME_PATTERN.test(name || '');
+  }
+
+  /**
+   * Map of role name -> { name, displayName, description, isSystem, permissions[] }
+   */
+  async loadRoles() {
+    if (this.roleCache && this.roleCache.expiresAt > Date.now()) {
+      return this.roleCache.roles;
+    }
+
+    const result = await dbManager.query(
+      `SELECT r.name, r.display_name, r.description, r.is_system,
+              COALESCE(ARRAY_AGG(p.name ORDER BY p.name) FILTER (WHERE p.name IS NOT NULL), '{}') AS permissions
+         FROM roles r
+         LEFT JOIN role_permissions rp ON rp.role_id = r.id
+         LEFT JOIN permissions p ON p.id = rp.permission_id
+        GROUP BY r.id
+        ORDER BY r.name`
+    );
+
+    const roles = new Map(result.rows.map(row => [row.name, {
+      name: row.name,
+      displayName: row.display_name,
+      description: row.description,
+      isSystem: row.is_system,
+      permissions: row.permissions
+    }]));
+
+    this.roleCache = { roles, expiresAt: Date.now() + CACHE_TTL_MS };
+    return roles;
+  }
+
+  async getGrantedRoles(userId) {
+    const cached = this.grantCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.roles;
+    }
+
+    const result = await dbManager.query(
+      `SELECT r.name
+         FROM user_roles ur
+         JOIN roles r ON r.id = ur.role_id
+        WHERE ur.user_id = $1
+        ORDER BY r.name`,
+      [userId]
+    );
+
+    const roles = result.rows.map(row => row.name);
+    this.grantCache.set(userId, { roles, expiresAt: Date.now() + CACHE_TTL_MS });
+    return roles;
+  }
+
+  /**
+   * Effective roles and permissions for a user with the given base role
+   */
+  async getUserAccess(userId, baseRole) {
+    try {
+      const [roles, granted] = await Promise.all([this.loadRoles(), this.getGrantedRoles(userId)]);
+      const roleNames = [...new Set([baseRole, ...granted])];
+      const permissions = new Set();
+
+      roleNames.forEach((name) => {
+        (roles.get(name)?.permissions || []).forEach(permission => permissions.add(permission));
+      });
+
+      return { roles: roleNames, permissions: [...permissions] };
+    } catch (error) {
+      logger.warn('Permission lookup failed, using built-in role permissions', { userId, error: error.message });
+      return { roles: [baseRole], permissions: auth0Service.getRolePermissions(baseRole) };
+    }
+  }
+
+  async getUserPermissions(userId, baseRole) {
+    return (await this.getUserAccess(userId, baseRole)).permissions;
+  }
+
+  async hasPermission(userId, baseRole, permission) {
+    return (await this.getUserPermissions(userId, baseRole)).includes(permission);
+  }
+
+  async listRoles() {
+    try {
+      const roles = await this.loadRoles();
+      return { success: true, data: { roles: [...roles.values()] } };
+    } catch (error) {
+      logger.error('Error listing roles:', error);
+      return { success: false, message: 'Failed to list roles', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async listPermissions() {
+    try {
+      const result = await dbManager.query('SELECT name, description FROM permissions ORDER BY name');
+      return { success: true, data: { permissions: result.rows } };
+    } catch (error) {
+      logger.error('Error listing permissions:', error);
+      return { success: false, message: 'Failed to list permissions', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Replace a role's permission set; every name must already exist
+   */
+  async setRolePermissions(client, roleId, permissionNames) {
+    const known = await client.query('SELECT id, name FROM permissions WHERE name = ANY($1::text[])', [permissionNames]);
+    if (known.rows.length !== new Set(permissionNames).size) {
+      const knownNames = known.rows.map(row => row.name);
+      const unknown = permissionNames.filter(name => !knownNames.includes(name));
+      return { success: false, message: `Unknown permissions: ${unknown.join(', ')}`, code: 'UNKNOWN_PERMISSION' };
+    }
+
+    await client.query('DELETE FROM role_permissions WHERE role_id = $1', [roleId]);
+    if (known.rows.length) {
+      await client.query(
+        `INSERT INTO role_permissions (role_id, permission_id)
+         SELECT $1, UNNEST($2::uuid[])`,
+        [roleId, known.rows.map(row => row.id)]
+      );
+    }
+
+    return { success: true };
+  }
+
+  async runInTransaction(work) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query(result.success ? 'COMMIT' : 'ROLLBACK');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async recordAudit(client, { actorId, action, roleName = null, targetUserId = null, details = null }) {
+    await client.query(
+      `INSERT INTO access_control_audit_log (actor_id, action, role_name, target_user_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [actorId, action, roleName, targetUserId, details ? JSON.stringify(details) : null]
+    );
+  }
+
+  async createRole({ name, displayName, description = null, permissions = [] }, { actorId = null } = {}) {
+    if (!this.isValidRoleName(name)) {
+      return { success: false, message: 'Role names use lowercase letters, digits and underscores', code: 'INVALID_ROLE' };
+    }
+
+    try {
+      const result = await this.runInTransaction(async (client) => {
+        const inserted = await client.query(
+          `INSERT INTO roles (name, display_name, description)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (name) DO NOTHING
+           RETURNING id`,
+          [name, displayName, description]
+        );
+
+        if (!inserted.rows.length) {
+          return { success: false, message: 'A role with this name already exists', code: 'ROLE_EXISTS' };
+        }
+
+        const updated = await this.setRolePermissions(client, inserted.rows[0].id, permissions);
+        if (!updated.success) {
+          return updated;
+        }
+
+        await this.recordAudit(client, { actorId, action: 'role_created', roleName: name, details: { permissions } });
+        return { success: true, message: 'Role created successfully' };
+      });
+
+      return this.afterChange(result, name);
+    } catch (error) {
+      logger.error('Error creating role:', error);
+      return { success: false, message: 'Failed to create role', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async updateRole(name, { displayName, description, permissions }, { actorId = null } = {}) {
+    try {
+      const result = await this.runInTransaction(async (client) => {
+        const updated = await client.query(
+          `UPDATE roles
+              SET display_name = COALESCE($2, display_name),
+                  description = COALESCE($3, description),
+                  updated_at = NOW()
+            WHERE name = $1
+            RETURNING id`,
+          [name, displayName ?? null, description ?? null]
+        );
+
+        if (!updated.rows.length) {
+          return { success: false, message: 'Role not found', code: 'ROLE_NOT_FOUND' };
+        }
+
+        if (permissions) {
+          const permissionResult = await this.setRolePermissions(client, updated.rows[0].id, permissions);
+          if (!permissionResult.success) {
+            return permissionResult;
+          }
+        }
+
+        await this.recordAudit(client, {
+          actorId,
+          action: 'role_updated',
+          roleName: name,
+          details: { displayName, description, permissions }
+        });
+        return { success: true, message: 'Role updated successfully' };
+      });
+
+      return this.afterChange(result, name);
+    } catch (error) {
+      logger.error('Error updating role:', error);
+      return { success: false, message: 'Failed to update role', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Delete a custom role; its grants go with it. Built-in roles cannot be deleted.
+   */
+  async deleteRole(name, { actorId = null } = {}) {
+    try {
+      const result = await this.runInTransaction(async (client) => {
+        const role = await client.query('SELECT id, is_system FROM roles WHERE name = $1', [name]);
+        if (!role.rows.length) {
+          return { success: false, message: 'Role not found', code: 'ROLE_NOT_FOUND' };
+        }
+        if (role.rows[0].is_system) {
+          return { success: false, message: 'Built-in roles cannot be deleted', code: 'SYSTEM_ROLE' };
+        }
+
+        await client.query('DELETE FROM roles WHERE id = $1', [role.rows[0].id]);
+        await this.recordAudit(client, { actorId, action: 'role_deleted', roleName: name });
+        return { success: true, message: 'Role deleted successfully' };
+      });
+
+      return this.afterChange(result, name);
+    } catch (error) {
+      logger.error('Error deleting role:', error);
+      return { success: false, message: 'Failed to delete role', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async listUserRoles(userId) {
+    try {
+      const user = await dbManager.query('SELECT id, user_type FROM users WHERE id = $1', [userId]);
+      if (!user.rows.length) {
+        return { success: false, message: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      // Same base role the auth middleware gives the user
+      const baseRole = (user.rows[0].user_type || 'guest').toLowerCase();
+      const grants = await dbManager.query(
+        `SELECT r.name, r.display_name, ur.granted_by, ur.reason, ur.granted_at
+           FROM user_roles ur
+           JOIN roles r ON r.id = ur.role_id
+          WHERE ur.user_id = $1
+          ORDER BY ur.granted_at`,
+        [userId]
+      );
+      const access = await this.getUserAccess(userId, baseRole);
+
+      return {
+        success: true,
+        data: {
+          userId,
+          baseRole,
+          grants: grants.rows.map(row => ({
+            role: row.name,
+            displayName: row.display_name,
+            grantedBy: row.granted_by,
+            reason: row.reason,
+            grantedAt: row.granted_at
+          })),
+          permissions: access.permissions
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing user roles:', error);
+      return { success: false, message: 'Failed to list user roles', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Grant an additional role. Built-in roles come from the account type and
+   * are not granted this way.
+   */
+  async grantRole(userId, roleName, { actorId = null, reason = null } = {}) {
+    try {
+      const result = await this.runInTransaction(async (client) => {
+        const role = await client.query('SELECT id, is_system FROM roles WHERE name = $1', [roleName]);
+        if (!role.rows.length) {
+          return { success: false, message: 'Role not found', code: 'ROLE_NOT_FOUND' };
+        }
+        if (role.rows[0].is_system) {
+          return { success: false, message: 'Built-in roles follow the account type and cannot be granted', code: 'SYSTEM_ROLE' };
+        }
+
+        const user = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+        if (!user.rows.length) {
+          return { success: false, message: 'User not found', code: 'USER_NOT_FOUND' };
+        }
+
+        const granted = await client.query(
+          `INSERT INTO user_roles (user_id, role_id, granted_by, reason)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (user_id, role_id) DO NOTHING
+           RETURNING granted_at`,
+          [userId, role.rows[0].id, actorId, reason]
+        );
+
+        if (!granted.rows.length) {
+          return { success: false, message: 'User already has this role', code: 'ROLE_ALREADY_GRANTED' };
+        }
+
+        await this.recordAudit(client, { actorId, action: 'role_granted', roleName, targetUserId: userId, details: { reason } });
+        return { success: true, message: 'Role granted successfully' };
+      });
+
+      return this.afterChange(result, roleName, userId);
+    } catch (error) {
+      logger.error('Error granting role:', error);
+      return { success: false, message: 'Failed to grant role', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async revokeRole(userId, roleName, { actorId = null, reason = null } = {}) {
+    try {
+      const result = await this.runInTransaction(async (client) => {
+        const revoked = await client.query(
+          `DELETE FROM user_roles ur
+            USING roles r
+            WHERE ur.role_id = r.id
+              AND ur.user_id = $1
+              AND r.name = $2
+            RETURNING ur.role_id`,
+          [userId, roleName]
+        );
+
+        if (!revoked.rows.length) {
+          return { success: false, message: 'User does not have this role', code: 'ROLE_NOT_GRANTED' };
+        }
+
+        await this.recordAudit(client, { actorId, action: 'role_revoked', roleName, targetUserId: userId, details: { reason } });
+        return { success: true, message: 'Role revoked successfully' };
+      });
+
+      return this.afterChange(result, roleName, userId);
+    } catch (error) {
+      logger.error('Error revoking role:', error);
+      return { success: false, message: 'Failed to revoke role', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async listAuditLog({ userId = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const result = await dbManager.query(
+        `SELECT id, actor_id, action, role_name, target_user_id, details, created_at,
+                COUNT(*) OVER() AS total
+           FROM access_control_audit_log
+          WHERE ($1::uuid IS NULL OR target_user_id = $1 OR actor_id = $1)
+          ORDER BY created_at DESC
+          LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      );
+
+      const total = result.rows.length ? parseInt(result.rows[0].total, 10) : 0;
+
+      return {
+        success: true,
+        data: {
+          logs: result.rows.map(({ total: _total, ...row }) => row),
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing access control audit log:', error);
+      return { success: false, message: 'Failed to load access logs', code: 'SERVER_ERROR' };
+    }
+  }
+
+  afterChange(result, roleName, userId = null) {
+    if (result.success) {
+      this.clearCache();
+      logger.info('Access control changed', { roleName, userId });
+    }
+    return result;
+  }
+}
+
+module.exports = new AccessControlService();
@@ -0,0 +1,640 @@
+/**
+ * Appointment Service for FixRx
+ * Books site visits and job slots once a connection request has been
+ * accepted. A booking has to fit the vendor's open availability (working
+ * hours less time off and other appointments); overlapping bookings for a
+ * vendor are also refused by the appointments_no_vendor_overlap constraint,
+ * so two consumers racing for the same slot cannot both win.
+ *
+ * Either participant may reschedule or cancel, giving a reason. Reminders are
+ * queued as delayed SMS and push jobs and withdrawn again when the time
+ * changes; both participants get socket events for every change, and an
+ * email with the appointment attached as an .ics file. The sequence column
+ * is bumped on every reschedule or cancellation so calendars replace their
+ * copy of the event.
+ */
+
+const { dbManager } = require('../config/database');
+const { queueManager } = require('./queueManager');
+const socketManager = require('./socketManager');
+const EmailService = require('./email.service');
+const calendarService = require('./calendarService');
+const vendorAvailabilityService = require('./vendorAvailabilityService');
+const { logger } = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours before the start to remind both participants, e.g. "24,1"
+const REMINDER_HOURS = (process.env.APPOINTMENT_REMINDER_HOURS || '24,1')
+  .split(',')
+  .map(value => Number(value.trim()))
+  .filter(value => value > 0);
+
+const TYPE_LABELS = {
+  site_visit: 'site visit',
+  job: 'job'
+};
+
+const EMAIL_SUBJECTS = {
+  booked: 'Appointment confirmed',
+  rescheduled: 'Appointment rescheduled',
+  cancelled: 'Appointment cancelled'
+};
+
+// Reasons are free text and the notification email body is HTML
+const escapeHtml = value => `${value}`
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const APPOINTMENT_SELECT = `
+  SELECT a.*,
+         c.first_name AS consumer_first_name, c.last_name AS consumer_last_name, c.email AS consumer_email,
+         v.first_name AS vendor_first_name, v.last_name AS vendor_last_name, v.email AS vendor_email,
+         vp.business_name AS vendor_business_name
+    FROM appointments a
+    JOIN users c ON c.id = a.consumer_id
+    JOIN users v ON v.id = a.vendor_id
+    LEFT JOIN vendor_profiles vp ON vp.vendor_id = a.vendor_id`;
+
+class AppointmentService {
+  formatAppointment(row) {
+    const appointment = {
+      id: row.id,
+      connectionRequestId: row.connection_request_id,
+      consumerId: row.consumer_id,
+      vendorId: row.vendor_id,
+      type: row.appointment_type,
+      status: row.status,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      timezone: row.timezone,
+      notes: row.notes,
+      bookedBy: row.booked_by,
+      rescheduleCount: row.reschedule_count,
+      sequence: row.sequence,
+      cancelledBy: row.cancelled_by,
+      cancellationReason: row.cancellation_reason,
+      cancelledAt: row.cancelled_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+
+    if (row.consumer_first_name !== undefined) {
+      appointment.consumer = { id: row.consumer_id, firstName: row.consumer_first_name, lastName: row.consumer_last_name };
+      appointment.vendor = {
+        id: row.vendor_id,
+        firstName: row.vendor_first_name,
+        lastName: row.vendor_last_name,
+        businessName: row.vendor_business_name
+      };
+    }
+
+    return appointment;
+  }
+
+  participantIds(row) {
+    return [row.consumer_id, row.vendor_id];
+  }
+
+  async recordEvent(client, appointmentId, { actorId, event, fromStartsAt = null, toStartsAt = null, reason = null }) {
+    await client.query(
+      `INSERT INTO appointment_events (appointment_id, actor_id, event, from_starts_at, to_starts_at, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [appointmentId, actorId, event, fromStartsAt, toStartsAt, reason]
+    );
+  }
+
+  /**
+   * Scheduled appointments of either participant that overlap [start, end)
+   */
+  async findConflicts(client, { vendorId, consumerId, start, end, excludeId = null }) {
+    const result = await client.query(
+      `SELECT id, vendor_id, consumer_id, starts_at, ends_at
+         FROM appointments
+        WHERE status = 'scheduled'
+          AND (vendor_id = $1 OR consumer_id = $2)
+          AND starts_at < $4
+          AND ends_at > $3
+          AND ($5::uuid IS NULL OR id <> $5)`,
+      [vendorId, consumerId, start, end, excludeId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Why [start, end) cannot be booked, or null when it can
+   */
+  async checkSlot(client, { vendorId, consumerId, start, end, excludeId = null }) {
+    if (start <= new Date()) {
+      return { success: false, message: 'Appointments must start in the future', code: 'APPOINTMENT_IN_PAST' };
+    }
+
+    const conflicts = await this.findConflicts(client, { vendorId, consumerId, start, end, excludeId });
+    if (conflicts.length) {
+      return {
+        success: false,
+        message: 'The requested time overlaps another appointment',
+        code: 'APPOINTMENT_CONFLICT',
+        // Only the times are shared; the other booking may belong to someone else
+        data: { conflicts: conflicts.map(row => ({ startsAt: row.starts_at, endsAt: row.ends_at })) }
+      };
+    }
+
+    const open = await vendorAvailabilityService.isOpen(vendorId, start, end, { excludeAppointmentId: excludeId });
+    if (!open) {
+      return {
+        success: false,
+        message: 'The vendor is not available at the requested time',
+        code: 'OUTSIDE_AVAILABILITY'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Failure for a concurrent booking that got the slot first
+   */
+  overlapFailure(error) {
+    if (error.code === '23P01') {
+      return {
+        success: false,
+        message: 'The requested time was just booked by someone else',
+        code: 'APPOINTMENT_CONFLICT'
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Book a site visit or job slot on an accepted connection request
+   */
+  async bookAppointment(actorId, { connectionRequestId, startsAt, endsAt, type = 'site_visit', notes = null }) {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let appointment;
+
+    try {
+      await client.query('BEGIN');
+
+      const requestResult = await client.query(
+        `SELECT * FROM connection_requests
+          WHERE id = $1 AND (consumer_id = $2 OR vendor_id = $2)
+          FOR UPDATE`,
+        [connectionRequestId, actorId]
+      );
+      const connection = requestResult.rows[0];
+      if (!connection) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Connection request not found', code: 'CONNECTION_NOT_FOUND' };
+      }
+
+      if (connection.status !== 'ACCEPTED') {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          message: 'Appointments can only be booked once the vendor has accepted the request',
+          code: 'CONNECTION_NOT_ACCEPTED'
+        };
+      }
+
+      const failure = await this.checkSlot(client, {
+        vendorId: connection.vendor_id,
+        consumerId: connection.consumer_id,
+        start,
+        end
+      });
+      if (failure) {
+        await client.query('ROLLBACK');
+        return failure;
+      }
+
+      const profile = await vendorAvailabilityService.loadProfile(connection.vendor_id);
+      const inserted = await client.query(
+        `INSERT INTO appointments (
+           connection_request_id, consumer_id, vendor_id, appointment_type,
+           starts_at, ends_at, timezone, notes, booked_by
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          connection.id, connection.consumer_id, connection.vendor_id, type,
+          start, end, vendorAvailabilityService.resolveTimezone(profile && profile.timezone), notes, actorId
+        ]
+      );
+      appointment = inserted.rows[0];
+
+      await this.recordEvent(client, appointment.id, { actorId, event: 'booked', toStartsAt: start });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      const failure = this.overlapFailure(error);
+      if (failure) {
+        return failure;
+      }
+      logger.error('Error booking appointment:', error);
+      return { success: false, message: 'Failed to book appointment', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    appointment = await this.afterChange('booked', appointment);
+    logger.info('Appointment booked', { appointmentId: appointment.id, vendorId: appointment.vendor_id });
+
+    return {
+      success: true,
+      message: 'Appointment booked',
+      data: { appointment: this.formatAppointment(appointment) }
+    };
+  }
+
+  /**
+   * Lock a participant's appointment for a change
+   */
+  async lockAppointment(client, appointmentId, actorId) {
+    const result = await client.query(
+      `SELECT * FROM appointments
+        WHERE id = $1 AND (consumer_id = $2 OR vendor_id = $2)
+        FOR UPDATE`,
+      [appointmentId, actorId]
+    );
+    const appointment = result.rows[0];
+
+    if (!appointment) {
+      return { failure: { success: false, message: 'Appointment not found', code: 'APPOINTMENT_NOT_FOUND' } };
+    }
+    if (appointment.status === 'cancelled') {
+      return { failure: { success: false, message: 'Appointment has been cancelled', code: 'APPOINTMENT_CANCELLED' } };
+    }
+    if (new Date(appointment.ends_at) <= new Date()) {
+      return { failure: { success: false, message: 'Appointment has already taken place', code: 'APPOINTMENT_ENDED' } };
+    }
+
+    return { appointment };
+  }
+
+  /**
+   * Move an appointment; without endsAt it keeps its current length
+   */
+  async rescheduleAppointment(appointmentId, actorId, { startsAt, endsAt = null, reason }) {
+    const start = new Date(startsAt);
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let previous;
+    let appointment;
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await this.lockAppointment(client, appointmentId, actorId);
+      if (locked.failure) {
+        await client.query('ROLLBACK');
+        return locked.failure;
+      }
+      previous = locked.appointment;
+      const end = endsAt
+        ? new Date(endsAt)
+        : new Date(start.getTime() + (new Date(previous.ends_at) - new Date(previous.starts_at)));
+
+      const failure = await this.checkSlot(client, {
+        vendorId: previous.vendor_id,
+        consumerId: previous.consumer_id,
+        start,
+        end,
+        excludeId: appointmentId
+      });
+      if (failure) {
+        await client.query('ROLLBACK');
+        return failure;
+      }
+
+      const updated = await client.query(
+        `UPDATE appointments
+            SET starts_at = $2, ends_at = $3, reschedule_count = reschedule_count + 1,
+                sequence = sequence + 1, updated_at = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [appointmentId, start, end]
+      );
+      appointment = updated.rows[0];
+
+      await this.recordEvent(client, appointmentId, {
+        actorId,
+        event: 'rescheduled',
+        fromStartsAt: previous.starts_at,
+        toStartsAt: start,
+        reason
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      const failure = this.overlapFailure(error);
+      if (failure) {
+        return failure;
+      }
+      logger.error('Error rescheduling appointment:', error);
+      return { success: false, message: 'Failed to reschedule appointment', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    await this.cancelReminders(previous);
+    appointment = await this.afterChange('rescheduled', appointment, { reason });
+
+    return {
+      success: true,
+      message: 'Appointment rescheduled',
+      data: { appointment: this.formatAppointment(appointment) }
+    };
+  }
+
+  async cancelAppointment(appointmentId, actorId, { reason }) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let appointment;
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await this.lockAppointment(client, appointmentId, actorId);
+      if (locked.failure) {
+        await client.query('ROLLBACK');
+        return locked.failure;
+      }
+
+      const updated = await client.query(
+        `UPDATE appointments
+            SET status = 'cancelled', cancelled_by = $2, cancellation_reason = $3,
+                cancelled_at = NOW(), sequence = sequence + 1, updated_at = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [appointmentId, actorId, reason]
+      );
+      appointment = updated.rows[0];
+
+      await this.recordEvent(client, appointmentId, { actorId, event: 'cancelled', fromStartsAt: locked.appointment.starts_at, reason });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error cancelling appointment:', error);
+      return { success: false, message: 'Failed to cancel appointment', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    await this.cancelReminders(appointment);
+    appointment = await this.afterChange('cancelled', appointment, { reason });
+
+    return {
+      success: true,
+      message: 'Appointment cancelled',
+      data: { appointment: this.formatAppointment(appointment) }
+    };
+  }
+
+  /**
+   * Reminders, socket events and emails once a change is committed
+   */
+  async afterChange(event, appointment, { reason = null } = {}) {
+    let current = appointment;
+    if (appointment.status === 'scheduled') {
+      current = await this.scheduleReminders(appointment);
+    }
+
+    try {
+      socketManager.emitAppointmentEvent(event, { ...this.formatAppointment(current), reason }, this.participantIds(current));
+    } catch (error) {
+      logger.warn('Failed to emit appointment event', { appointmentId: current.id, event, error: error.message });
+    }
+
+    await this.sendCalendarEmails(event, current, { reason });
+
+    return current;
+  }
+
+  /**
+   * Email both participants with the appointment as an .ics attachment; the
+   * same UID with a higher SEQUENCE updates or cancels the event they added
+   */
+  async sendCalendarEmails(event, appointment, { reason = null } = {}) {
+    try {
+      const result = await dbManager.query(`${APPOINTMENT_SELECT} WHERE a.id = $1`, [appointment.id]);
+      const row = result.rows[0];
+      if (!row) {
+        return;
+      }
+
+      const emailService = EmailService.getInstance();
+      const when = this.formatStartTime(row);
+      const type = TYPE_LABELS[row.appointment_type];
+      const because = reason ? ` (${escapeHtml(reason)})` : '';
+      const content = {
+        booked: `Your FixRx ${type} is booked for ${when}. Add it to your calendar with the attached file.`,
+        rescheduled: `Your FixRx ${type} has moved to ${when}${because}. Open the attached file to update your calendar.`,
+        cancelled: `Your FixRx ${type} on ${when} has been cancelled${because}. Open the attached file to remove it from your calendar.`
+      }[event];
+
+      const recipients = [
+        { id: row.consumer_id, email: row.consumer_email },
+        { id: row.vendor_id, email: row.vendor_email }
+      ].filter(recipient => recipient.email);
+
+      await Promise.all(recipients.map(recipient => emailService.sendNotificationEmail(
+        recipient.email,
+        EMAIL_SUBJECTS[event],
+        content,
+        null,
+        null,
+        { attachments: [calendarService.buildAttachment(row, recipient.id)] }
+      )));
+    } catch (error) {
+      logger.warn('Failed to send appointment emails', { appointmentId: appointment.id, event, error: error.message });
+    }
+  }
+
+  formatStartTime(appointment) {
+    return new Date(appointment.starts_at).toLocaleString('en-US', {
+      timeZone: vendorAvailabilityService.resolveTimezone(appointment.timezone),
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    });
+  }
+
+  /**
+   * Queue delayed SMS and push reminders for both participants and remember
+   * the job ids so a reschedule or cancellation can withdraw them
+   */
+  async scheduleReminders(appointment) {
+    if (!queueManager.isInitialized || !REMINDER_HOURS.length) {
+      return appointment;
+    }
+
+    const jobs = [];
+    try {
+      const users = await dbManager.query('SELECT id, phone FROM users WHERE id = ANY($1)', [this.participantIds(appointment)]);
+      const startsAt = new Date(appointment.starts_at);
+      const title = `Upcoming ${TYPE_LABELS[appointment.appointment_type]}`;
+      const body = `Reminder: your FixRx ${TYPE_LABELS[appointment.appointment_type]} is on ${this.formatStartTime(appointment)}`;
+
+      for (const hours of REMINDER_HOURS) {
+        const delay = startsAt.getTime() - hours * HOUR_MS - Date.now();
+        if (delay <= 0) {
+          continue;
+        }
+
+        for (const user of users.rows) {
+          const jobBase = `appointment-${appointment.id}-${startsAt.getTime()}-${hours}h-${user.id}`;
+          await queueManager.addPushJob(user.id, title, body, {
+            delay,
+            jobId: `${jobBase}-push`,
+            data: { type: 'appointment_reminder', appointmentId: appointment.id }
+          });
+          jobs.push({ queue: 'push', jobId: `${jobBase}-push` });
+
+          if (user.phone) {
+            await queueManager.addSMSJob(user.phone, body, { delay, jobId: `${jobBase}-sms` });
+            jobs.push({ queue: 'sms', jobId: `${jobBase}-sms` });
+          }
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to queue appointment reminders', { appointmentId: appointment.id, error: error.message });
+    }
+
+    try {
+      const result = await dbManager.query(
+        'UPDATE appointments SET reminder_jobs = $2 WHERE id = $1 RETURNING *',
+        [appointment.id, JSON.stringify(jobs)]
+      );
+      return result.rows[0] || appointment;
+    } catch (error) {
+      logger.warn('Failed to save appointment reminder jobs', { appointmentId: appointment.id, error: error.message });
+      return appointment;
+    }
+  }
+
+  async cancelReminders(appointment) {
+    const jobs = (appointment && appointment.reminder_jobs) || [];
+    if (!jobs.length || !queueManager.isInitialized) {
+      return;
+    }
+
+    await Promise.all(jobs.map(({ queue, jobId }) => queueManager.removeJob(queue, jobId).catch((error) => {
+      logger.warn('Failed to remove appointment reminder', { jobId, error: error.message });
+    })));
+  }
+
+  /**
+   * A participant's appointments: upcoming (soonest first), past (latest first) or all
+   */
+  async listAppointments(userId, { scope = 'upcoming', limit = 20, offset = 0 } = {}) {
+    const conditions = {
+      upcoming: "a.status = 'scheduled' AND a.ends_at > NOW()",
+      past: "(a.status = 'cancelled' OR a.ends_at <= NOW())",
+      all: 'TRUE'
+    };
+
+    try {
+      const result = await dbManager.query(
+        `${APPOINTMENT_SELECT}
+          WHERE (a.consumer_id = $1 OR a.vendor_id = $1)
+            AND ${conditions[scope]}
+          ORDER BY a.starts_at ${scope === 'upcoming' ? 'ASC' : 'DESC'}
+          LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      );
+
+      return {
+        success: true,
+        data: {
+          appointments: result.rows.map(row => this.formatAppointment(row)),
+          scope,
+          limit,
+          offset
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading appointments:', error);
+      return { success: false, message: 'Failed to load appointments', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * One appointment with its booking history
+   */
+  async getAppointment(appointmentId, userId) {
+    try {
+      const result = await dbManager.query(
+        `${APPOINTMENT_SELECT}
+          WHERE a.id = $1 AND (a.consumer_id = $2 OR a.vendor_id = $2)`,
+        [appointmentId, userId]
+      );
+      if (!result.rows.length) {
+        return { success: false, message: 'Appointment not found', code: 'APPOINTMENT_NOT_FOUND' };
+      }
+
+      const events = await dbManager.query(
+        `SELECT actor_id, event, from_starts_at, to_starts_at, reason, created_at
+           FROM appointment_events
+          WHERE appointment_id = $1
+          ORDER BY created_at`,
+        [appointmentId]
+      );
+
+      return {
+        success: true,
+        data: {
+          appointment: this.formatAppointment(result.rows[0]),
+          history: events.rows.map(row => ({
+            actorId: row.actor_id,
+            event: row.event,
+            fromStartsAt: row.from_starts_at,
+            toStartsAt: row.to_starts_at,
+            reason: row.reason,
+            createdAt: row.created_at
+          }))
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading appointment:', error);
+      return { success: false, message: 'Failed to load appointment', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * One appointment as an .ics file for a participant
+   */
+  async getAppointmentCalendar(appointmentId, userId) {
+    try {
+      const result = await dbManager.query(
+        `${APPOINTMENT_SELECT}
+          WHERE a.id = $1 AND (a.consumer_id = $2 OR a.vendor_id = $2)`,
+        [appointmentId, userId]
+      );
+      if (!result.rows.length) {
+        return { success: false, message: 'Appointment not found', code: 'APPOINTMENT_NOT_FOUND' };
+      }
+
+      return {
+        success: true,
+        data: {
+          filename: `fixrx-appointment-${appointmentId}.ics`,
+          calendar: calendarService.buildAppointmentCalendar(result.rows[0], userId)
+        }
+      };
+    } catch (error) {
+      logger.error('Error exporting appointment:', error);
+      return { success: false, message: 'Failed to export appointment', code: 'SERVER_ERROR' };
+    }
+  }
+}
+
+module.exports = new AppointmentService();
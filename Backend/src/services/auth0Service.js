@@ -293,7 +293,8 @@ class Auth0Service {
     }
   }
 
-  // Role-Based Access Control
+  // Built-in role permissions; the roles tables are seeded from this map and
+  // accessControlService falls back to it when they cannot be read
   getRolePermissions(role) {
     const rolePermissions = {
       admin: [
@@ -303,7 +304,8 @@ class Auth0Service {
         'ratings:read', 'ratings:write', 'ratings:delete', 'ratings:moderate',
         'system:read', 'system:write', 'system:backup', 'system:monitor',
         'analytics:read', 'analytics:export',
-        'audit:read', 'audit:export'
+        'audit:read', 'audit:export',
+        'services:moderate'
       ],
       vendor: [
         'profile:read', 'profile:write',
@@ -0,0 +1,223 @@
+/**
+ * Calendar Service for FixRx
+ * Publishes appointments as iCalendar data: a subscribable feed per vendor
+ * and single-event .ics files for download and email attachments.
+ *
+ * The feed URL carries a secret token instead of a session because calendar
+ * apps cannot sign in. Only the token's SHA-256 hash is stored, so the URL is
+ * shown once when created; creating a new one replaces (and breaks) the old.
+ *
+ * Each appointment keeps its UID across changes and bumps its sequence when
+ * rescheduled or cancelled. Cancelled appointments stay in the feed with
+ * STATUS:CANCELLED so subscribed calendars drop them instead of keeping a
+ * stale copy.
+ */
+
+const crypto = require('crypto');
+const { dbManager } = require('../config/database');
+const { buildCalendar } = require('../utils/icalendar');
+const { logger } = require('../utils/logger');
+
+// How far back the feed reaches; later appointments are always included
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_EVENTS = 1000;
+const FEED_REFRESH_MINUTES = 15;
+
+const SUMMARY_LABELS = {
+  site_visit: 'site visit',
+  job: 'job'
+};
+
+class CalendarService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Subscription URLs for a feed token. API_BASE_URL usually ends in /api/v1
+   * already, so the prefix is stripped before building the path.
+   */
+  feedUrls(token) {
+    const base = (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3000}`)
+      .replace(/\/+$/, '')
+      .replace(/\/api\/v1$/, '');
+    const url = `${base}/api/v1/calendar/feeds/${token}.ics`;
+
+    return { url, webcalUrl: url.replace(/^https?:\/\//, 'webcal://') };
+  }
+
+  personName(firstName, lastName) {
+    return [firstName, lastName].filter(Boolean).join(' ');
+  }
+
+  /**
+   * VEVENT fields for an appointment row joined with both participants'
+   * names, worded for the participant whose calendar it goes into
+   */
+  toEvent(row, viewerId) {
+    const counterpart = viewerId === row.vendor_id
+      ? this.personName(row.consumer_first_name, row.consumer_last_name)
+      : row.vendor_business_name || this.personName(row.vendor_first_name, row.vendor_last_name);
+    const label = SUMMARY_LABELS[row.appointment_type] || 'appointment';
+
+    const description = [];
+    if (row.notes) {
+      description.push(row.notes);
+    }
+    if (row.status === 'cancelled') {
+      description.push(`Cancelled${row.cancellation_reason ? `: ${row.cancellation_reason}` : ''}`);
+    }
+
+    return {
+      uid: `appointment-${row.id}@fixrx.com`,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      summary: counterpart ? `FixRx ${label} with ${counterpart}` : `FixRx ${label}`,
+      description: description.join('\n') || null,
+      sequence: row.sequence || 0,
+      cancelled: row.status === 'cancelled',
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Single-event calendar for one participant
+   */
+  buildAppointmentCalendar(row, viewerId) {
+    return buildCalendar([this.toEvent(row, viewerId)]);
+  }
+
+  /**
+   * SendGrid attachment carrying the appointment as an .ics file
+   */
+  buildAttachment(row, viewerId) {
+    return {
+      content: Buffer.from(this.buildAppointmentCalendar(row, viewerId)).toString('base64'),
+      filename: `fixrx-appointment-${row.id}.ics`,
+      type: 'text/calendar',
+      disposition: 'attachment'
+    };
+  }
+
+  /**
+   * Whether the vendor has a feed; the URL itself cannot be shown again
+   */
+  async getFeedStatus(vendorId) {
+    try {
+      const result = await dbManager.query(
+        'SELECT created_at, last_accessed_at FROM vendor_calendar_feeds WHERE vendor_id = $1',
+        [vendorId]
+      );
+      const feed = result.rows[0];
+
+      return {
+        success: true,
+        data: {
+          enabled: Boolean(feed),
+          createdAt: feed ? feed.created_at : null,
+          lastAccessedAt: feed ? feed.last_accessed_at : null
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading calendar feed:', error);
+      return { success: false, message: 'Failed to load calendar feed', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Create the vendor's feed URL, replacing any earlier one
+   */
+  async createFeed(vendorId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    try {
+      const result = await dbManager.query(
+        `INSERT INTO vendor_calendar_feeds (vendor_id, token_hash)
+         VALUES ($1, $2)
+         ON CONFLICT (vendor_id) DO UPDATE
+           SET token_hash = EXCLUDED.token_hash, created_at = NOW(), last_accessed_at = NULL
+         RETURNING created_at`,
+        [vendorId, this.hashToken(token)]
+      );
+
+      logger.info('Calendar feed created', { vendorId });
+
+      return {
+        success: true,
+        message: 'Calendar feed created. Copy the URL now; it will not be shown again.',
+        data: {
+          ...this.feedUrls(token),
+          createdAt: result.rows[0].created_at
+        }
+      };
+    } catch (error) {
+      logger.error('Error creating calendar feed:', error);
+      return { success: false, message: 'Failed to create calendar feed', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async revokeFeed(vendorId) {
+    try {
+      const result = await dbManager.query(
+        'DELETE FROM vendor_calendar_feeds WHERE vendor_id = $1 RETURNING vendor_id',
+        [vendorId]
+      );
+      if (!result.rows.length) {
+        return { success: false, message: 'Calendar feed not found', code: 'FEED_NOT_FOUND' };
+      }
+
+      logger.info('Calendar feed revoked', { vendorId });
+      return { success: true, message: 'Calendar feed revoked' };
+    } catch (error) {
+      logger.error('Error revoking calendar feed:', error);
+      return { success: false, message: 'Failed to revoke calendar feed', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * The vendor's appointments as an iCalendar feed, looked up by feed token
+   */
+  async renderFeed(token) {
+    try {
+      const feedResult = await dbManager.query(
+        `UPDATE vendor_calendar_feeds
+            SET last_accessed_at = NOW()
+          WHERE token_hash = $1
+          RETURNING vendor_id`,
+        [this.hashToken(token)]
+      );
+      const feed = feedResult.rows[0];
+      if (!feed) {
+        return { success: false, message: 'Calendar feed not found', code: 'FEED_NOT_FOUND' };
+      }
+
+      const result = await dbManager.query(
+        `SELECT a.*,
+                c.first_name AS consumer_first_name, c.last_name AS consumer_last_name
+           FROM appointments a
+           JOIN users c ON c.id = a.consumer_id
+          WHERE a.vendor_id = $1
+            AND a.ends_at > NOW() - make_interval(days => $2)
+          ORDER BY a.starts_at
+          LIMIT $3`,
+        [feed.vendor_id, FEED_PAST_DAYS, FEED_MAX_EVENTS]
+      );
+
+      return {
+        success: true,
+        data: {
+          calendar: buildCalendar(result.rows.map(row => this.toEvent(row, feed.vendor_id)), {
+            name: 'FixRx appointments',
+            refreshMinutes: FEED_REFRESH_MINUTES
+          })
+        }
+      };
+    } catch (error) {
+      logger.error('Error rendering calendar feed:', error);
+      return { success: false, message: 'Failed to load calendar feed', code: 'SERVER_ERROR' };
+    }
+  }
+}
+
+module.exports = new CalendarService();
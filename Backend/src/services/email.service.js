@@ -284,7 +284,10 @@ class EmailService {
     });
   }
 
-  async sendNotificationEmail(to, subject, content, actionLink, actionText) {
+  /**
+   * @param {Object} options - { attachments?: SendGrid attachments, e.g. an .ics file }
+   */
+  async sendNotificationEmail(to, subject, content, actionLink, actionText, options = {}) {
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h1 style="color: #2563eb;">FixRx Notification</h1>
@@ -302,6 +305,7 @@ class EmailService {
       to,
       subject: `FixRx - ${subject}`,
       html,
+      attachments: options.attachments,
     });
   }
 }
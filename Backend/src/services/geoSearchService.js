@@ -1,26 +1,86 @@
 /**
  * Geographic Search Service
- * Architecture: Bounding box calculation with PostGIS future enhancement
+ * Architecture: Bounding box calculation, or PostGIS service-area coverage
+ *
+ * Two modes, picked at start-up (GEO_SEARCH_MODE=auto|postgis|latlng):
+ *   postgis - used when the extension and vendor_service_areas.area exist. A
+ *             vendor matches when one of their service areas (polygon or
+ *             radius, see vendorServiceAreaService) covers the searched point;
+ *             vendors without areas match when their own location is within
+ *             the search radius. Both checks use GiST indexes.
+ *   latlng  - the fallback: bounding box plus haversine over vendor points.
+ *
+ * A text query (q) matches vendor_search_documents (see
+ * vendorSearchIndexService) by full-text search, expanded with synonyms,
+ * and with pg_trgm also by trigram similarity so misspellings still match.
  */
 
+const crypto = require('crypto');
 const { dbManager } = require('../config/database');
+const vendorOnboardingService = require('./vendorOnboardingService');
+const vendorAvailabilityService = require('./vendorAvailabilityService');
+const geocodingService = require('./geocodingService');
+const vendorSearchIndexService = require('./vendorSearchIndexService');
+const { HEADLINE_OPTIONS, parseSearchQuery, parseHeadline } = require('../utils/searchQuery');
+
+// Availability and relevance are worked out after the query, so fetch extra
+// candidates to filter and rank
+const CANDIDATE_LIMIT = 500;
+const DEFAULT_PAGE_SIZE = 20;
+
+// Share of text relevance in the relevance order; the rest is calculateMatchScore
+const TEXT_RELEVANCE_WEIGHT = 0.6;
+
+// Facet buckets; each one is a value the matching search filter accepts
+const RATING_FACETS = [4.5, 4, 3, 2];
+const PRICE_BANDS = [
+  { min: 0, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100, max: 150 },
+  { min: 150, max: null }
+];
+const DISTANCE_RINGS_KM = [1, 5, 10, 25, 50, 100];
+const MAX_CATEGORY_FACETS = 30;
+
+// A vendor's location as geography; NULL when either coordinate is missing
+const VENDOR_POINT_SQL = 'ST_SetSRID(ST_MakePoint(v.longitude::float8, v.latitude::float8), 4326)::geography';
+
+// ORDER BY terms for each sortBy; distance_km is null when there is no center
+const SORT_ORDERS = {
+  distance: ['distance_km ASC NULLS LAST'],
+  rating: ['avg_rating DESC', 'distance_km ASC NULLS LAST'],
+  price_low: ['vp.hourly_rate_min ASC NULLS LAST', 'distance_km ASC NULLS LAST'],
+  price_high: ['vp.hourly_rate_max DESC NULLS LAST', 'distance_km ASC NULLS LAST'],
+  newest: ['v.created_at DESC', 'distance_km ASC NULLS LAST'],
+  // Final order is set by rankByRelevance; this picks the candidates
+  relevance: ['text_score DESC', 'distance_km ASC NULLS LAST']
+};
 
 class GeoSearchService {
   constructor() {
     this.earthRadiusKm = 6371;
     this.isInitialized = false;
+    this.mode = 'latlng';
+    this.postgisVersion = null;
+    this.typoTolerance = false;
   }
 
   async initialize() {
     try {
+      this.mode = await this.detectMode();
+      this.typoTolerance = await this.detectTrigramSupport();
+      await this.buildTextIndex();
+
       // Create spatial indexes if they don't exist
       await this.createSpatialIndexes();
       
       this.isInitialized = true;
-      console.log('✅ Geographic Search Service Initialized');
+      console.log(`✅ Geographic Search Service Initialized (${this.mode})`);
 
       return {
         initialized: true,
+        mode: this.mode,
+        typoTolerance: this.typoTolerance,
         earthRadius: this.earthRadiusKm,
         timestamp: new Date().toISOString()
       };
@@ -31,25 +91,81 @@ class GeoSearchService {
     }
   }
 
-  async createSpatialIndexes() {
+  // PostGIS mode needs the extension and the area column the migration adds with it
+  async detectMode() {
+    const requested = (process.env.GEO_SEARCH_MODE || 'auto').toLowerCase();
+    if (requested === 'latlng') {
+      return 'latlng';
+    }
+
     try {
-      // Create compound index for lat/lng bounding box queries for vendors
-      await dbManager.query(`
-        CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_users_vendor_location_bbox 
-        ON users (latitude, longitude)
-        WHERE user_type = 'VENDOR'
+      const result = await dbManager.query(`
+        SELECT e.extversion,
+               EXISTS (
+                 SELECT 1 FROM information_schema.columns
+                  WHERE table_name = 'vendor_service_areas' AND column_name = 'area'
+               ) AS has_area_column
+          FROM pg_extension e
+         WHERE e.extname = 'postgis'
       `);
+      const row = result.rows[0];
+      this.postgisVersion = row ? row.extversion : null;
+      if (row && row.has_area_column) {
+        return 'postgis';
+      }
+    } catch (error) {
+      console.log('⚠️  Could not check for PostGIS:', error.message);
+    }
+
+    if (requested === 'postgis') {
+      console.warn('⚠️  GEO_SEARCH_MODE=postgis but PostGIS or vendor_service_areas.area is missing; using lat/lng search');
+    }
+    return 'latlng';
+  }
+
+  async detectTrigramSupport() {
+    try {
+      const result = await dbManager.query("SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm'");
+      return result.rows.length > 0;
+    } catch (error) {
+      console.log('⚠️  Could not check for pg_trgm:', error.message);
+      return false;
+    }
+  }
+
+  async buildTextIndex() {
+    try {
+      await vendorSearchIndexService.ensureBuilt();
+    } catch (error) {
+      console.log('⚠️  Vendor text search index not available:', error.message);
+    }
+  }
 
-      // Create partial index for active vendors with location
+  async createSpatialIndexes() {
+    try {
+      // Create compound index for lat/lng bounding box queries for vendors
       await dbManager.query(`
-        CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_users_vendor_active_location 
-        ON users (latitude, longitude, created_at) 
-        WHERE user_type = 'VENDOR' 
-        AND is_active = true 
-        AND latitude IS NOT NULL 
+        CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_vendors_location_bbox 
+        ON vendors (latitude, longitude)
+        WHERE latitude IS NOT NULL 
         AND longitude IS NOT NULL
       `);
 
+      if (this.mode === 'postgis') {
+        // Matches VENDOR_POINT_SQL so ST_DWithin and ST_Distance can use it
+        await dbManager.query(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_vendors_location_geog
+          ON vendors USING GIST ((${VENDOR_POINT_SQL}))
+          WHERE latitude IS NOT NULL
+          AND longitude IS NOT NULL
+        `);
+
+        await dbManager.query(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_vendor_service_areas_area
+          ON vendor_service_areas USING GIST (area)
+        `);
+      }
+
       console.log('✅ Vendor spatial indexes created/verified');
     } catch (error) {
       // Permission errors are non-critical - indexes are performance optimizations
@@ -92,237 +208,328 @@ class GeoSearchService {
     return this.earthRadiusKm * c;
   }
 
-  // Main vendor search with geographic filtering
-  async searchVendors(searchParams) {
+  // Opaque cursor: the offset of the next page, tied to the search it came from
+  searchFingerprint(params) {
+    return crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex').slice(0, 16);
+  }
+
+  encodeCursor(offset, fingerprint) {
+    return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+  }
+
+  decodeCursor(cursor, fingerprint) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0 || decoded.f !== fingerprint) {
+      const error = new Error('Invalid or expired cursor; start the search again without one');
+      error.code = 'INVALID_CURSOR';
+      throw error;
+    }
+    return decoded.o;
+  }
+
+  // Search center for a zip or metro name when no coordinates were given
+  resolvePlace({ lat, lng, zip, metroArea }) {
+    if ((Number.isFinite(lat) && Number.isFinite(lng)) || (!zip && !metroArea)) {
+      return null;
+    }
+
+    const place = geocodingService.resolve({ zip, metroArea });
+    if (!place) {
+      const error = new Error(zip ? `No location known for ZIP ${zip}` : `Unknown metro area: ${metroArea}`);
+      error.code = 'LOCATION_NOT_FOUND';
+      throw error;
+    }
+    return place;
+  }
+
+  // Search parameters with the place resolved and defaults applied; shared
+  // by searchVendors and getFacets so both see the same vendors
+  prepareSearch(searchParams) {
     const {
-      lat,
-      lng,
-      radiusKm = 25,
+      lat: pointLat = null,
+      lng: pointLng = null,
+      zip = null,
+      metroArea = null,
+      radiusKm: requestedRadiusKm = null,
+      q = null,
       serviceCategories = [],
       minRating = 0,
-      maxResults = 50,
-      sortBy = 'distance',
       priceRange = null,
       availability = null,
-      verified = null
+      verified = null,
+      includeUnlocated = false
     } = searchParams;
 
-    try {
-      // Check cache first
-      const cacheKey = `geo_search:${lat}:${lng}:${radiusKm}:${serviceCategories.join(',')}:${minRating}`;
-      let cachedResults = await dbManager.getCache(cacheKey);
-      
-      if (cachedResults) {
-        console.log('📊 Cache Hit: Geographic search results');
-        return this.processCachedResults(cachedResults, searchParams);
-      }
+    const place = this.resolvePlace({ lat: pointLat, lng: pointLng, zip, metroArea });
+    const lat = place ? place.latitude : pointLat;
+    const lng = place ? place.longitude : pointLng;
 
-      // Calculate bounding box
-      const bbox = this.calculateBoundingBox(lat, lng, radiusKm);
+    return {
+      place,
+      lat,
+      lng,
+      radiusKm: requestedRadiusKm ?? (place ? place.radiusKm : 25),
+      hasCenter: Number.isFinite(lat) && Number.isFinite(lng),
+      text: parseSearchQuery(q),
+      serviceCategories,
+      categories: serviceCategories.map(category => category.toLowerCase()),
+      minRating,
+      priceRange,
+      availability,
+      verified,
+      includeUnlocated
+    };
+  }
 
-      // Build dynamic query
-      let query = `
-        SELECT 
-          v.*,
-          u.first_name,
-          u.last_name,
-          u.email,
-          u.phone,
-          u.profile_image,
-          vp.business_name,
-          vp.business_description,
-          vp.business_phone,
-          vp.business_email,
-          vp.business_address,
-          vp.website_url,
-          vp.years_experience,
-          vp.license_number,
-          vp.insurance_info,
-          vp.service_radius,
-          vp.hourly_rate_min,
-          vp.hourly_rate_max,
-          vp.availability_schedule,
-          vp.portfolio_images,
-          -- Calculate approximate distance for initial filtering
-          ABS(v.latitude - $1) + ABS(v.longitude - $2) as distance_approx,
-          -- Calculate precise distance
-          (
-            6371 * acos(
-              cos(radians($1)) * cos(radians(v.latitude)) * 
-              cos(radians(v.longitude) - radians($2)) + 
-              sin(radians($1)) * sin(radians(v.latitude))
-            )
-          ) as distance_km,
-          -- Get average rating
-          COALESCE(
-            (SELECT AVG((r.cost_rating + r.quality_rating + r.timeliness_rating + r.professionalism_rating) / 4.0)
-             FROM ratings r WHERE r.vendor_id = v.id), 0
-          ) as avg_rating,
-          -- Get total ratings count
-          (SELECT COUNT(*) FROM ratings r WHERE r.vendor_id = v.id) as total_ratings
-        FROM vendors v
-        JOIN users u ON v.user_id = u.id
-        LEFT JOIN vendor_profiles vp ON v.id = vp.vendor_id
-        WHERE v.latitude BETWEEN $3 AND $4
-          AND v.longitude BETWEEN $5 AND $6
-          AND v.status = 'active'
-          AND u.status = 'active'
-      `;
+  // Cursor and cache identity of a prepared search
+  fingerprintFor(search, extra = {}) {
+    return this.searchFingerprint({
+      lat: search.hasCenter ? search.lat : null,
+      lng: search.hasCenter ? search.lng : null,
+      radiusKm: search.hasCenter ? search.radiusKm : null,
+      q: search.text ? search.text.text : null,
+      categories: search.categories,
+      minRating: search.minRating,
+      priceRange: search.priceRange,
+      availability: search.availability,
+      verified: search.verified,
+      ...extra,
+      includeUnlocated: search.includeUnlocated,
+      mode: this.mode
+    });
+  }
 
-      const params = [lat, lng, bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng];
-      let paramIndex = 6;
+  // FROM and WHERE of a prepared search, with the computed columns its
+  // conditions need. Availability is not here; it is checked afterwards.
+  buildFilters(search) {
+    const { lat, lng, radiusKm, hasCenter, text, categories, minRating, priceRange, verified, includeUnlocated } = search;
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
 
-      // Add service category filter
-      if (serviceCategories.length > 0) {
-        query += ` AND v.service_categories && $${paramIndex + 1}`;
-        params.push(serviceCategories);
-        paramIndex++;
-      }
+    let distanceSql = 'NULL::double precision';
+    let serviceAreaSql = 'NULL::boolean';
+    let textScoreSql = 'NULL::double precision';
+    let textJoin = '';
+    const conditions = [
+      "v.status = 'active'",
+      "u.status = 'active'",
+      vendorOnboardingService.completedVendorFilter('v.user_id')
+    ];
 
-      // Add minimum rating filter
-      if (minRating > 0) {
-        query += ` AND (
-          SELECT AVG((r.cost_rating + r.quality_rating + r.timeliness_rating + r.professionalism_rating) / 4.0)
-          FROM ratings r WHERE r.vendor_id = v.id
-        ) >= $${paramIndex + 1}`;
-        params.push(minRating);
-        paramIndex++;
-      }
+    if (hasCenter) {
+      const location = this.mode === 'postgis'
+        ? this.postgisLocationFilter(param, { lat, lng, radiusKm, includeUnlocated })
+        : this.latLngLocationFilter(param, { lat, lng, radiusKm, includeUnlocated });
+      distanceSql = location.distanceSql;
+      serviceAreaSql = location.serviceAreaSql || serviceAreaSql;
+      conditions.push(location.condition);
+    }
 
-      // Add verification filter
-      if (verified !== null) {
-        query += ` AND vp.is_verified = $${paramIndex + 1}`;
-        params.push(verified);
-        paramIndex++;
-      }
+    if (text) {
+      const textFilter = this.textFilter(param, text);
+      textScoreSql = textFilter.scoreSql;
+      textJoin = 'JOIN vendor_search_documents sd ON sd.vendor_id = v.id';
+      conditions.push(textFilter.condition);
+    }
 
-      // Add price range filter
-      if (priceRange) {
-        query += ` AND (
-          (vp.hourly_rate_min IS NULL OR vp.hourly_rate_min <= $${paramIndex + 1}) AND
-          (vp.hourly_rate_max IS NULL OR vp.hourly_rate_max >= $${paramIndex + 2})
-        )`;
-        params.push(priceRange.max, priceRange.min);
-        paramIndex += 2;
-      }
+    if (categories.length > 0) {
+      conditions.push(`EXISTS (
+            SELECT 1 FROM unnest(COALESCE(vp.service_categories, v.service_categories)) AS c(name)
+            WHERE lower(c.name) = ANY(${param(categories)})
+          )`);
+    }
 
-      // Filter by actual radius (precise distance)
-      query += ` 
-        HAVING (
-          6371 * acos(
-            cos(radians($1)) * cos(radians(v.latitude)) * 
-            cos(radians(v.longitude) - radians($2)) + 
-            sin(radians($1)) * sin(radians(v.latitude))
-          )
-        ) <= $${paramIndex + 1}
-      `;
-      params.push(radiusKm);
-
-      // Add sorting
-      switch (sortBy) {
-        case 'distance':
-          query += ' ORDER BY distance_km ASC';
-          break;
-        case 'rating':
-          query += ' ORDER BY avg_rating DESC, distance_km ASC';
-          break;
-        case 'price_low':
-          query += ' ORDER BY vp.hourly_rate_min ASC, distance_km ASC';
-          break;
-        case 'price_high':
-          query += ' ORDER BY vp.hourly_rate_max DESC, distance_km ASC';
-          break;
-        case 'newest':
-          query += ' ORDER BY v.created_at DESC, distance_km ASC';
-          break;
-        default:
-          query += ' ORDER BY distance_km ASC';
-      }
+    if (minRating > 0) {
+      conditions.push(`(
+            SELECT AVG((r.cost_rating + r.quality_rating + r.timeliness_rating + r.professionalism_rating) / 4.0)
+            FROM ratings r WHERE r.vendor_id = v.id
+          ) >= ${param(minRating)}`);
+    }
 
-      query += ` LIMIT ${maxResults}`;
+    if (verified !== null) {
+      conditions.push(`COALESCE(vp.is_verified, false) = ${param(verified)}`);
+    }
 
-      console.log('📊 Executing geographic search query:', {
-        bbox,
-        serviceCategories,
-        minRating,
-        sortBy,
-        paramCount: params.length
-      });
+    if (priceRange) {
+      conditions.push(this.priceOverlapSql(param, priceRange, 'vp.'));
+    }
 
-      // Execute query
-      const result = await dbManager.query(query, params);
-
-      // Process results
-      const vendors = result.rows.map(row => ({
-        id: row.id,
-        userId: row.user_id,
-        businessName: row.business_name || `${row.first_name} ${row.last_name}`,
-        firstName: row.first_name,
-        lastName: row.last_name,
-        email: row.email,
-        phone: row.phone,
-        businessPhone: row.business_phone,
-        businessEmail: row.business_email,
-        profileImage: row.profile_image,
-        location: {
-          latitude: parseFloat(row.latitude),
-          longitude: parseFloat(row.longitude),
-          address: row.business_address,
-          distance: parseFloat(row.distance_km).toFixed(2)
-        },
-        services: {
-          categories: row.service_categories || [],
-          description: row.business_description,
-          radius: row.service_radius,
-          yearsExperience: row.years_experience
-        },
-        pricing: {
-          hourlyRateMin: row.hourly_rate_min,
-          hourlyRateMax: row.hourly_rate_max,
-          currency: 'USD'
-        },
-        ratings: {
-          average: parseFloat(row.avg_rating || 0).toFixed(1),
-          total: parseInt(row.total_ratings || 0)
-        },
-        verification: {
-          isVerified: row.is_verified || false,
-          licenseNumber: row.license_number,
-          hasInsurance: !!row.insurance_info
-        },
-        availability: row.availability_schedule,
-        portfolio: {
-          images: row.portfolio_images || [],
-          websiteUrl: row.website_url
-        },
-        searchMeta: {
-          distanceKm: parseFloat(row.distance_km),
-          matchScore: this.calculateMatchScore(row, searchParams)
+    return {
+      params,
+      param,
+      conditions,
+      distanceSql,
+      serviceAreaSql,
+      textScoreSql,
+      from: `vendors v
+          JOIN users u ON v.user_id = u.id
+          LEFT JOIN vendor_profiles vp ON vp.vendor_id = v.user_id
+          ${textJoin}`
+    };
+  }
+
+  // Vendors whose hourly range overlaps [min, max]; no max means open-ended,
+  // and vendors without rates are never ruled out
+  priceOverlapSql(param, { min = 0, max = null }, prefix = '') {
+    const below = max === null || max === undefined
+      ? 'TRUE'
+      : `(${prefix}hourly_rate_min IS NULL OR ${prefix}hourly_rate_min <= ${param(max)})`;
+    return `(${below} AND (${prefix}hourly_rate_max IS NULL OR ${prefix}hourly_rate_max >= ${param(min)}))`;
+  }
+
+  // Located vendors first, then the requested order, then id so pages never overlap
+  orderFor(search, sort) {
+    return [
+      ...(search.hasCenter ? ['(v.latitude IS NULL OR v.longitude IS NULL) ASC'] : []),
+      ...SORT_ORDERS[sort],
+      'v.id ASC'
+    ];
+  }
+
+  // Main vendor search with geographic filtering. Without a center the
+  // search falls back to rating order with no distances; with one, vendors
+  // lacking coordinates are left out unless includeUnlocated, which lists
+  // them after every vendor inside the radius. A zip or metroArea stands in
+  // for lat/lng, and its metro's radius for a missing radiusKm. A text query
+  // q keeps matching vendors only and orders them by relevance by default.
+  async searchVendors(searchParams) {
+    const {
+      maxResults = DEFAULT_PAGE_SIZE,
+      sortBy = null,
+      cursor = null
+    } = searchParams;
+
+    const startedAt = Date.now();
+    const search = this.prepareSearch(searchParams);
+    const { place, lat, lng, radiusKm, hasCenter, text, categories, availability } = search;
+    const sort = this.resolveSort(sortBy || (text ? 'relevance' : 'distance'), { hasCenter, text });
+    const candidateMode = Boolean(availability) || sort === 'relevance';
+
+    const fingerprint = this.fingerprintFor(search, { sort });
+    const offset = cursor ? this.decodeCursor(cursor, fingerprint) : 0;
+    const limit = maxResults;
+
+    try {
+      // Availability and relevance are applied after the query, so those searches cache every candidate
+      const cacheKey = `geo_search:${fingerprint}:${candidateMode ? 'candidates' : `${offset}:${limit}`}`;
+      let candidates = await dbManager.getCache(cacheKey);
+      const cached = Boolean(candidates);
+
+      if (cached) {
+        console.log('📊 Cache Hit: Geographic search results');
+      } else {
+        const filters = this.buildFilters(search);
+
+        const query = `
+          SELECT
+            v.*,
+            u.first_name,
+            u.last_name,
+            u.email,
+            u.phone,
+            u.avatar_url AS profile_image,
+            vp.business_name,
+            vp.business_description,
+            vp.business_phone,
+            vp.business_email,
+            vp.business_address,
+            vp.website_url,
+            vp.years_experience,
+            vp.license_number,
+            vp.insurance_info,
+            vp.service_radius,
+            vp.hourly_rate_min,
+            vp.hourly_rate_max,
+            vp.availability_schedule,
+            vp.timezone,
+            vp.portfolio_images,
+            vp.is_verified,
+            COALESCE(vp.service_categories, v.service_categories) AS service_categories,
+            ${filters.distanceSql} AS distance_km,
+            ${filters.serviceAreaSql} AS in_service_area,
+            ${filters.textScoreSql} AS text_score,
+            COALESCE(
+              (SELECT AVG((r.cost_rating + r.quality_rating + r.timeliness_rating + r.professionalism_rating) / 4.0)
+               FROM ratings r WHERE r.vendor_id = v.id), 0
+            ) AS avg_rating,
+            (SELECT COUNT(*) FROM ratings r WHERE r.vendor_id = v.id) AS total_ratings
+          FROM ${filters.from}
+          WHERE ${filters.conditions.join('\n            AND ')}
+          ORDER BY ${this.orderFor(search, sort).join(', ')}
+          LIMIT ${candidateMode ? CANDIDATE_LIMIT : limit + 1}
+          OFFSET ${candidateMode ? 0 : offset}
+        `;
+
+        console.log('📊 Executing geographic search query:', {
+          mode: this.mode,
+          hasCenter,
+          radiusKm,
+          query: text ? text.text : null,
+          serviceCategories: categories,
+          minRating: search.minRating,
+          sortBy: sort,
+          offset,
+          paramCount: filters.params.length
+        });
+
+        const result = await dbManager.query(query, filters.params);
+        candidates = result.rows.map(row => this.formatVendor(row, { radiusKm, serviceCategories: categories }));
+        if (sort === 'relevance') {
+          candidates = this.rankByRelevance(candidates);
         }
-      }));
 
-      // Cache results for 5 minutes
-      await dbManager.setCache(cacheKey, vendors, 300);
+        // Cache results for 5 minutes
+        await dbManager.setCache(cacheKey, candidates, 300);
+      }
+
+      // Time off changes without touching the profile, so the filter runs on every search
+      let page = availability ? await this.filterByAvailability(candidates, availability) : candidates;
+      if (candidateMode) {
+        page = page.slice(offset, offset + limit + 1);
+      }
+      const hasMore = page.length > limit;
+      const vendors = page.slice(0, limit);
+      if (text) {
+        await this.attachSnippets(vendors, text);
+      }
 
       console.log('✅ Geographic search completed:', {
         found: vendors.length,
-        searchRadius: radiusKm,
-        avgDistance: vendors.length > 0 ? 
-          (vendors.reduce((sum, v) => sum + parseFloat(v.location.distance), 0) / vendors.length).toFixed(2) : 0
+        searchRadius: hasCenter ? radiusKm : null,
+        cached
       });
 
       return {
         vendors,
         searchParams: {
-          center: { lat, lng },
-          radiusKm,
-          serviceCategories,
+          center: hasCenter ? { lat, lng } : null,
+          geocoded: place ? { source: place.source, zip: place.zip || null, metroArea: place.name } : null,
+          radiusKm: hasCenter ? radiusKm : null,
+          query: text ? text.text : null,
+          serviceCategories: search.serviceCategories,
+          sortBy: sort,
+          includeUnlocated: search.includeUnlocated,
+          mode: this.mode,
           resultsCount: vendors.length,
-          maxResults
+          maxResults: limit
+        },
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? this.encodeCursor(offset + limit, fingerprint) : null
         },
         performance: {
-          cached: false,
-          queryTime: Date.now() - Date.now() // Will be calculated in actual implementation
+          cached,
+          queryTime: Date.now() - startedAt
         }
       };
 
@@ -332,21 +539,340 @@ class GeoSearchService {
     }
   }
 
+  // Counts for filter chips over the vendors searchVendors would return for
+  // the same parameters: by category, minimum rating, price band, verified
+  // status and distance ring. Each bucket counts the vendors that would remain
+  // after also applying that bucket as a filter.
+  async getFacets(searchParams) {
+    const startedAt = Date.now();
+    const search = this.prepareSearch(searchParams);
+    const { place, lat, lng, radiusKm, hasCenter, text, availability, includeUnlocated } = search;
+
+    try {
+      const cacheKey = `geo_search:facets:${this.fingerprintFor(search)}`;
+      let facets = availability ? null : await dbManager.getCache(cacheKey);
+      const cached = Boolean(facets);
+
+      if (!cached) {
+        const filters = this.buildFilters(search);
+        const { param } = filters;
+
+        if (availability) {
+          const available = await this.availableVendorIds(search);
+          filters.conditions.push(`v.id = ANY(${param(available)})`);
+        }
+
+        const rings = hasCenter ? [...DISTANCE_RINGS_KM.filter(ring => ring < radiusKm), radiusKm] : [];
+        const counts = [
+          ...RATING_FACETS.map((minRating, index) => `COUNT(*) FILTER (WHERE avg_rating >= ${param(minRating)}) AS rating_${index}`),
+          ...PRICE_BANDS.map((band, index) => `COUNT(*) FILTER (WHERE ${this.priceOverlapSql(param, band)}) AS price_${index}`),
+          ...rings.map((ring, index) => `COUNT(*) FILTER (WHERE in_service_area OR distance_km <= ${param(ring)}${includeUnlocated ? ' OR distance_km IS NULL' : ''}) AS ring_${index}`)
+        ];
+
+        const query = `
+          WITH matched AS (
+            SELECT
+              v.id,
+              COALESCE(vp.service_categories, v.service_categories) AS categories,
+              COALESCE(vp.is_verified, false) AS is_verified,
+              vp.hourly_rate_min,
+              vp.hourly_rate_max,
+              ${filters.distanceSql} AS distance_km,
+              ${filters.serviceAreaSql} AS in_service_area,
+              (SELECT AVG((r.cost_rating + r.quality_rating + r.timeliness_rating + r.professionalism_rating) / 4.0)
+               FROM ratings r WHERE r.vendor_id = v.id) AS avg_rating
+            FROM ${filters.from}
+            WHERE ${filters.conditions.join('\n              AND ')}
+          )
+          SELECT
+            COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE is_verified) AS verified,
+            COUNT(*) FILTER (WHERE avg_rating IS NULL) AS unrated,
+            COUNT(*) FILTER (WHERE hourly_rate_min IS NULL AND hourly_rate_max IS NULL) AS unpriced,
+            COUNT(*) FILTER (WHERE distance_km IS NULL AND in_service_area IS NOT TRUE) AS unlocated,
+            ${counts.join(',\n            ')},
+            (SELECT COALESCE(json_agg(f ORDER BY f.count DESC, f.value), '[]'::json)
+               FROM (
+                 SELECT lower(c.name) AS value, min(c.name) AS label, COUNT(DISTINCT m.id) AS count
+                   FROM matched m, unnest(m.categories) AS c(name)
+                  GROUP BY lower(c.name)
+                  ORDER BY count DESC, value
+                  LIMIT ${MAX_CATEGORY_FACETS}
+               ) f
+            ) AS categories
+          FROM matched
+        `;
+
+        const result = await dbManager.query(query, filters.params);
+        facets = this.formatFacets(result.rows[0], { rings, hasCenter });
+
+        // Availability depends on time off, so only the other facets are cached
+        if (!availability) {
+          await dbManager.setCache(cacheKey, facets, 300);
+        }
+      }
+
+      return {
+        facets,
+        searchParams: {
+          center: hasCenter ? { lat, lng } : null,
+          geocoded: place ? { source: place.source, zip: place.zip || null, metroArea: place.name } : null,
+          radiusKm: hasCenter ? radiusKm : null,
+          query: text ? text.text : null,
+          serviceCategories: search.serviceCategories,
+          includeUnlocated,
+          mode: this.mode
+        },
+        performance: {
+          cached,
+          queryTime: Date.now() - startedAt
+        }
+      };
+    } catch (error) {
+      console.error('❌ Search Facets Failed:', error);
+      throw error;
+    }
+  }
+
+  formatFacets(row, { rings, hasCenter }) {
+    const count = value => parseInt(value || 0, 10);
+    const total = count(row.total);
+    const verified = count(row.verified);
+
+    return {
+      total,
+      categories: (row.categories || []).map(category => ({
+        value: category.value,
+        label: category.label,
+        count: count(category.count)
+      })),
+      ratings: RATING_FACETS.map((minRating, index) => ({ minRating, count: count(row[`rating_${index}`]) })),
+      unrated: count(row.unrated),
+      priceBands: PRICE_BANDS.map((band, index) => ({ ...band, count: count(row[`price_${index}`]) })),
+      unpriced: count(row.unpriced),
+      verified: [
+        { verified: true, count: verified },
+        { verified: false, count: total - verified }
+      ],
+      distanceRings: hasCenter
+        ? rings.map((radiusKm, index) => ({ radiusKm, count: count(row[`ring_${index}`]) }))
+        : null,
+      unlocated: count(row.unlocated)
+    };
+  }
+
+  // Ids of matching vendors with an opening in the availability window,
+  // from the same candidates searchVendors filters
+  async availableVendorIds(search) {
+    const filters = this.buildFilters(search);
+    const result = await dbManager.query(`
+      SELECT v.id, v.user_id, vp.availability_schedule, vp.timezone, ${filters.distanceSql} AS distance_km
+      FROM ${filters.from}
+      WHERE ${filters.conditions.join('\n        AND ')}
+      ORDER BY ${this.orderFor(search, 'distance').join(', ')}
+      LIMIT ${CANDIDATE_LIMIT}
+    `, filters.params);
+
+    const vendors = result.rows.map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      availability: row.availability_schedule,
+      timezone: row.timezone
+    }));
+    const available = await this.filterByAvailability(vendors, search.availability);
+    return available.map(vendor => vendor.id);
+  }
+
+  // distance needs a center and relevance a text query; fall back to the
+  // nearest order that makes sense
+  resolveSort(sortBy, { hasCenter, text }) {
+    if (sortBy === 'relevance' && !text) {
+      return hasCenter ? 'distance' : 'rating';
+    }
+    if (sortBy === 'distance' && !hasCenter) {
+      return 'rating';
+    }
+    return sortBy;
+  }
+
+  // Full-text match on the vendor's document, or with pg_trgm a close
+  // spelling of their name or categories. Scores are 0-1.
+  textFilter(param, text) {
+    const tsquery = `to_tsquery('english', ${param(text.tsquery)})`;
+    const rankSql = `ts_rank_cd(sd.document, ${tsquery}, 32)`;
+
+    if (!this.typoTolerance) {
+      return { scoreSql: rankSql, condition: `sd.document @@ ${tsquery}` };
+    }
+
+    const queryText = param(text.text);
+    return {
+      scoreSql: `GREATEST(${rankSql}, word_similarity(${queryText}, sd.terms) * 0.8)`,
+      condition: `(sd.document @@ ${tsquery} OR ${queryText} <% sd.terms)`
+    };
+  }
+
+  // Blend text relevance with calculateMatchScore; ties go to the lower id
+  // so pages stay stable
+  rankByRelevance(vendors) {
+    for (const vendor of vendors) {
+      const textScore = vendor.searchMeta.textScore || 0;
+      vendor.searchMeta.relevanceScore = Math.round(
+        textScore * 100 * TEXT_RELEVANCE_WEIGHT + vendor.searchMeta.matchScore * (1 - TEXT_RELEVANCE_WEIGHT)
+      );
+    }
+
+    return [...vendors].sort((a, b) => b.searchMeta.relevanceScore - a.searchMeta.relevanceScore
+      || String(a.id).localeCompare(String(b.id)));
+  }
+
+  // Highlighted snippet of the description or reviews for each vendor on the page
+  async attachSnippets(vendors, text) {
+    if (!vendors.length) {
+      return;
+    }
+
+    const result = await dbManager.query(
+      `SELECT vendor_id, ts_headline('english', body, to_tsquery('english', $2), $3) AS snippet
+         FROM vendor_search_documents
+        WHERE vendor_id = ANY($1) AND body <> ''`,
+      [vendors.map(vendor => vendor.id), text.tsquery, HEADLINE_OPTIONS]
+    );
+    const snippets = new Map(result.rows.map(row => [row.vendor_id, parseHeadline(row.snippet)]));
+
+    for (const vendor of vendors) {
+      vendor.searchMeta.snippet = snippets.get(vendor.id) || null;
+    }
+  }
+
+  // Bounding box narrows the scan, haversine trims it to the radius
+  latLngLocationFilter(param, { lat, lng, radiusKm, includeUnlocated }) {
+    const latParam = param(lat);
+    const lngParam = param(lng);
+    // Clamped so rounding never pushes acos outside its domain for a vendor at the center
+    const distanceSql = `(
+            6371 * acos(LEAST(1, GREATEST(-1,
+              cos(radians(${latParam})) * cos(radians(v.latitude)) *
+              cos(radians(v.longitude) - radians(${lngParam})) +
+              sin(radians(${latParam})) * sin(radians(v.latitude))
+            )))
+          )`;
+
+    const bbox = this.calculateBoundingBox(lat, lng, radiusKm);
+    const inRadius = `(
+            v.latitude BETWEEN ${param(bbox.minLat)} AND ${param(bbox.maxLat)}
+            AND v.longitude BETWEEN ${param(bbox.minLng)} AND ${param(bbox.maxLng)}
+            AND ${distanceSql} <= ${param(radiusKm)}
+          )`;
+
+    return {
+      distanceSql,
+      condition: includeUnlocated
+        ? `(${inRadius} OR v.latitude IS NULL OR v.longitude IS NULL)`
+        : inRadius
+    };
+  }
+
+  // Vendors with service areas match when an area covers the point; the rest
+  // fall back to their own location being inside the search radius
+  postgisLocationFilter(param, { lat, lng, radiusKm, includeUnlocated }) {
+    const point = `ST_SetSRID(ST_MakePoint(${param(lng)}, ${param(lat)}), 4326)::geography`;
+    const hasAreas = 'EXISTS (SELECT 1 FROM vendor_service_areas sa WHERE sa.vendor_id = v.user_id)';
+    const serviceAreaSql = `EXISTS (
+              SELECT 1 FROM vendor_service_areas sa
+              WHERE sa.vendor_id = v.user_id AND ST_Covers(sa.area, ${point})
+            )`;
+    const inRadius = `ST_DWithin(${VENDOR_POINT_SQL}, ${point}, ${param(radiusKm * 1000)})`;
+
+    const covered = `(
+            ${serviceAreaSql}
+            OR (NOT ${hasAreas} AND ${inRadius})
+          )`;
+
+    return {
+      distanceSql: `(ST_Distance(${VENDOR_POINT_SQL}, ${point}) / 1000)`,
+      serviceAreaSql,
+      condition: includeUnlocated
+        ? `(${covered} OR ((v.latitude IS NULL OR v.longitude IS NULL) AND NOT ${hasAreas}))`
+        : covered
+    };
+  }
+
+  // Public search result for one vendor row; distance is null when either
+  // side has no coordinates
+  formatVendor(row, { radiusKm, serviceCategories }) {
+    const hasCoordinates = row.latitude !== null && row.latitude !== undefined
+      && row.longitude !== null && row.longitude !== undefined;
+    const distanceKm = row.distance_km === null || row.distance_km === undefined ? null : parseFloat(row.distance_km);
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      businessName: row.business_name || `${row.first_name} ${row.last_name}`,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      email: row.email,
+      phone: row.phone,
+      businessPhone: row.business_phone,
+      businessEmail: row.business_email,
+      profileImage: row.profile_image,
+      location: {
+        latitude: hasCoordinates ? parseFloat(row.latitude) : null,
+        longitude: hasCoordinates ? parseFloat(row.longitude) : null,
+        address: row.business_address,
+        distance: distanceKm === null ? null : distanceKm.toFixed(2)
+      },
+      services: {
+        categories: row.service_categories || [],
+        description: row.business_description,
+        radius: row.service_radius,
+        yearsExperience: row.years_experience
+      },
+      pricing: {
+        hourlyRateMin: row.hourly_rate_min,
+        hourlyRateMax: row.hourly_rate_max,
+        currency: 'USD'
+      },
+      ratings: {
+        average: parseFloat(row.avg_rating || 0).toFixed(1),
+        total: parseInt(row.total_ratings || 0)
+      },
+      verification: {
+        isVerified: row.is_verified || false,
+        licenseNumber: row.license_number,
+        hasInsurance: !!row.insurance_info
+      },
+      availability: row.availability_schedule,
+      timezone: row.timezone,
+      portfolio: {
+        images: row.portfolio_images || [],
+        websiteUrl: row.website_url
+      },
+      searchMeta: {
+        distanceKm,
+        hasCoordinates,
+        matchedBy: row.in_service_area ? 'service_area' : (distanceKm === null ? null : 'radius'),
+        textScore: row.text_score === null || row.text_score === undefined ? null : parseFloat(row.text_score),
+        matchScore: this.calculateMatchScore(row, { radiusKm, serviceCategories })
+      }
+    };
+  }
+
   // Calculate match score for ranking
   calculateMatchScore(vendor, searchParams) {
     let score = 100;
 
-    // Distance factor (closer = higher score)
-    const distanceKm = parseFloat(vendor.distance_km);
+    // Distance factor (closer = higher score); unknown distances score nothing
+    const distanceKm = vendor.distance_km === null || vendor.distance_km === undefined ? null : parseFloat(vendor.distance_km);
     const maxDistance = searchParams.radiusKm;
-    const distanceScore = Math.max(0, 100 - (distanceKm / maxDistance) * 50);
+    const distanceScore = distanceKm === null ? 0 : Math.max(0, 100 - (distanceKm / maxDistance) * 50);
     
     // Rating factor
     const ratingScore = parseFloat(vendor.avg_rating || 0) * 20;
     
     // Service category match
     const categoryMatch = searchParams.serviceCategories.length > 0 ?
-      (vendor.service_categories?.filter(cat => searchParams.serviceCategories.includes(cat)).length || 0) /
+      (vendor.service_categories?.filter(cat => searchParams.serviceCategories.includes(cat.toLowerCase())).length || 0) /
       searchParams.serviceCategories.length * 30 : 30;
 
     // Verification bonus
@@ -357,45 +883,11 @@ class GeoSearchService {
     return Math.round(score);
   }
 
-  // Process cached results with additional filtering
-  processCachedResults(cachedResults, searchParams) {
-    let vendors = [...cachedResults];
-
-    // Apply additional filters that might not have been cached
-    if (searchParams.availability) {
-      vendors = vendors.filter(v => this.checkAvailability(v, searchParams.availability));
-    }
+  // Keep vendors whose working hours, less time off, cover the requested window
+  async filterByAvailability(vendors, availabilityFilter) {
+    if (!availabilityFilter) return vendors;
 
-    // Re-sort if needed
-    if (searchParams.sortBy === 'rating') {
-      vendors.sort((a, b) => parseFloat(b.ratings.average) - parseFloat(a.ratings.average));
-    }
-
-    return {
-      vendors: vendors.slice(0, searchParams.maxResults || 50),
-      searchParams: {
-        center: { lat: searchParams.lat, lng: searchParams.lng },
-        radiusKm: searchParams.radiusKm,
-        serviceCategories: searchParams.serviceCategories,
-        resultsCount: vendors.length
-      },
-      performance: {
-        cached: true,
-        queryTime: 0
-      }
-    };
-  }
-
-  // Check vendor availability
-  checkAvailability(vendor, availabilityFilter) {
-    if (!vendor.availability || !availabilityFilter) return true;
-
-    // Mock availability checking logic
-    const schedule = vendor.availability;
-    const requestedTime = availabilityFilter.datetime;
-    
-    // Simple availability check (in production, this would be more complex)
-    return true; // Placeholder
+    return vendorAvailabilityService.filterAvailable(vendors, availabilityFilter);
   }
 
   // Nearby search with caching
@@ -484,10 +976,11 @@ class GeoSearchService {
           ) as avg_rating,
           array_agg(DISTINCT unnest(v.service_categories)) as all_categories
         FROM vendors v
-        LEFT JOIN vendor_profiles vp ON v.id = vp.vendor_id
+        LEFT JOIN vendor_profiles vp ON vp.vendor_id = v.user_id
         WHERE v.latitude BETWEEN $1 AND $2
           AND v.longitude BETWEEN $3 AND $4
           AND v.status = 'active'
+          AND ${vendorOnboardingService.completedVendorFilter('v.user_id')}
       `;
 
       const result = await dbManager.query(statsQuery, [
@@ -522,11 +1015,16 @@ class GeoSearchService {
   getStatus() {
     return {
       initialized: this.isInitialized,
+      mode: this.mode,
+      postgisVersion: this.postgisVersion,
       earthRadius: this.earthRadiusKm,
       features: {
         boundingBoxSearch: true,
+        textSearch: true,
+        typoTolerance: this.typoTolerance,
         preciseDistance: true,
         spatialIndexes: true,
+        serviceAreas: this.mode === 'postgis',
         caching: true
       }
     };
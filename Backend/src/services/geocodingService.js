@@ -0,0 +1,140 @@
+/**
+ * Geocoding Service for FixRx
+ * Turns US ZIP codes and metro-area names into search coordinates without any
+ * network calls. ZIPs resolve to their Census ZCTA centroid from the bundled
+ * us-zips dataset; metro names to the centers in src/data/metroAreas.json (the
+ * same metros as the app's metro picker). A ZIP inside one of those metros
+ * also takes the metro's name and search radius.
+ */
+
+const { metroAreas } = require('../data/metroAreas.json');
+
+// Search radius for a ZIP outside every listed metro
+const DEFAULT_ZIP_RADIUS_KM = 25;
+
+const STATE_NAMES = {
+  AZ: 'arizona',
+  CA: 'california',
+  CO: 'colorado',
+  DC: 'district of columbia',
+  FL: 'florida',
+  GA: 'georgia',
+  IL: 'illinois',
+  MA: 'massachusetts',
+  MD: 'maryland',
+  MI: 'michigan',
+  MN: 'minnesota',
+  NC: 'north carolina',
+  NV: 'nevada',
+  NY: 'new york',
+  OR: 'oregon',
+  PA: 'pennsylvania',
+  TN: 'tennessee',
+  TX: 'texas',
+  WA: 'washington'
+};
+
+const ZIP_PATTERN = /^(\d{5})(?:-?\d{4})?$/;
+
+// "Chicago, IL", "chicago il" and " Chicago,  IL. " all compare equal
+const nameKey = value => value
+  .toLowerCase()
+  .replace(/\./g, '')
+  .replace(/[,\-/]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+class GeocodingService {
+  constructor() {
+    this.metros = metroAreas.map(metro => ({ ...metro }));
+    this.zipCentroids = null;
+    this.byName = new Map();
+    this.byZipPrefix = new Map();
+
+    for (const metro of this.metros) {
+      const [city, state] = metro.name.split(',').map(part => part.trim());
+      const keys = [metro.name, city, `${city} ${state}`, `${city} ${STATE_NAMES[state] || state}`, ...metro.aliases];
+      for (const key of keys) {
+        this.byName.set(nameKey(key), metro);
+      }
+      for (const prefix of metro.zipPrefixes) {
+        this.byZipPrefix.set(prefix, metro);
+      }
+    }
+  }
+
+  formatMetro(metro) {
+    return {
+      name: metro.name,
+      latitude: metro.latitude,
+      longitude: metro.longitude,
+      radiusKm: metro.radiusKm
+    };
+  }
+
+  listMetroAreas() {
+    return this.metros.map(metro => this.formatMetro(metro));
+  }
+
+  // Five-digit ZIP, or null; ZIP+4 is cut down to the first five digits
+  normalizeZip(zip) {
+    const match = ZIP_PATTERN.exec(String(zip ?? '').trim());
+    return match ? match[1] : null;
+  }
+
+  // ~34k ZIPs; loaded on the first ZIP lookup rather than at startup
+  getZipCentroid(zip) {
+    if (!this.zipCentroids) {
+      this.zipCentroids = require('us-zips');
+    }
+    return this.zipCentroids[zip] || null;
+  }
+
+  findMetro(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return null;
+    }
+    return this.byName.get(nameKey(name)) || null;
+  }
+
+  /**
+   * Canonical metro name ("Chicago, IL") for a free-form value. Values that
+   * match no metro are kept, trimmed, so users outside them can still say where they are.
+   */
+  normalizeMetroArea(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+      return null;
+    }
+    const metro = this.findMetro(value);
+    return metro ? metro.name : value.trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Center and suggested search radius for a zip or a metro name, or null
+   * when it is not in the dataset
+   */
+  resolve({ zip = null, metroArea = null } = {}) {
+    if (zip) {
+      const normalized = this.normalizeZip(zip);
+      const centroid = normalized ? this.getZipCentroid(normalized) : null;
+      if (!centroid) {
+        return null;
+      }
+
+      const metro = this.byZipPrefix.get(normalized.slice(0, 3));
+      return {
+        name: metro ? metro.name : null,
+        latitude: centroid.latitude,
+        longitude: centroid.longitude,
+        radiusKm: metro ? metro.radiusKm : DEFAULT_ZIP_RADIUS_KM,
+        source: 'zip',
+        zip: normalized
+      };
+    }
+
+    const metro = this.findMetro(metroArea);
+    return metro ? { ...this.formatMetro(metro), source: 'metroArea' } : null;
+  }
+}
+
+module.exports = new GeocodingService();
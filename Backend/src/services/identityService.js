@@ -0,0 +1,530 @@
+/**
+ * Identity Service for FixRx
+ * One user, many verified identifiers: phone numbers (OTP), email addresses
+ * (magic link) and social accounts (Google, Apple, Microsoft). Login flows resolve users
+ * through here so the same person never ends up with two accounts, and the
+ * merge tool folds existing duplicates into one.
+ */
+
+const { dbManager } = require('../config/database');
+const tokenService = require('./tokenService');
+const { logger } = require('../utils/logger');
+
+const IDENTITY_PROVIDERS = ['phone', 'email', 'google', 'apple', 'microsoft'];
+
+// Social identities are keyed by the provider's subject; show the email instead
+const isSocialProvider = provider => provider !== 'phone' && provider !== 'email';
+
+// Generated by otpService.createUserFromPhone; never a real inbox
+const PLACEHOLDER_EMAIL_DOMAIN = '@fixrx.app';
+
+/**
+ * Rows owned by a user that move to the surviving account on merge.
+ * `unique` lists the other columns of each unique constraint that includes
+ * `column`; source rows that would collide with a target row are dropped.
+ * An empty list means one row (or set of rows) per user: the target keeps its
+ * own and the source's moves over only when the target has none.
+ */
+const MERGE_REASSIGNMENTS = [
+  { table: 'contacts', column: 'user_id', unique: [['phone'], ['email']] },
+  { table: 'contact_import_batches', column: 'user_id' },
+  { table: 'contact_sync_sessions', column: 'user_id' },
+  { table: 'invitations', column: 'user_id' },
+  { table: 'invitations', column: 'inviter_id' },
+  { table: 'invitation_bulk_batches', column: 'user_id' },
+  { table: 'conversations', column: 'created_by' },
+  { table: 'conversation_participants', column: 'user_id', unique: [['conversation_id']] },
+  { table: 'messages', column: 'sender_id' },
+  { table: 'message_reads', column: 'user_id', unique: [['message_id']] },
+  { table: 'ratings', column: 'rater_id', unique: [['rated_id', 'connection_request_id']] },
+  { table: 'ratings', column: 'rated_id', unique: [['rater_id', 'connection_request_id']] },
+  { table: 'connection_requests', column: 'consumer_id' },
+  { table: 'connection_requests', column: 'vendor_id' },
+  { table: 'vendor_profiles', column: 'vendor_id', unique: [[]] },
+  { table: 'vendor_profile_history', column: 'vendor_id', unique: [[]] },
+  { table: 'vendor_onboarding', column: 'vendor_id', unique: [[]] },
+  { table: 'vendor_portfolio', column: 'vendor_id' },
+  { table: 'vendor_verifications', column: 'vendor_id' },
+  { table: 'vendor_time_off', column: 'vendor_id' },
+  { table: 'appointments', column: 'consumer_id' },
+  { table: 'appointments', column: 'vendor_id' },
+  { table: 'vendor_calendar_feeds', column: 'vendor_id', unique: [[]] },
+  { table: 'quotes', column: 'consumer_id' },
+  { table: 'quotes', column: 'vendor_id' },
+  { table: 'service_jobs', column: 'consumer_id' },
+  { table: 'service_jobs', column: 'vendor_id' },
+  { table: 'vendor_service_areas', column: 'vendor_id' }
+];
+
+/**
+ * Profile tables keyed by user_id whose ids are referenced from ratings
+ */
+const MERGE_PROFILES = [
+  { table: 'consumers', ratingsColumn: 'consumer_id', unique: ['service_id'] },
+  { table: 'vendors', ratingsColumn: 'vendor_id', unique: [] }
+];
+
+class IdentityService {
+  isSupportedProvider(provider) {
+    return IDENTITY_PROVIDERS.includes(provider);
+  }
+
+  normalizeIdentifier(provider, identifier) {
+    const value = `${identifier || ''}`.trim();
+    return provider === 'email' ? value.toLowerCase() : value;
+  }
+
+  /**
+   * Find the (unmerged) user that owns a verified identifier
+   */
+  async findUserByIdentity(provider, identifier) {
+    const result = await dbManager.query(
+      `SELECT u.*
+         FROM user_identities ui
+         JOIN users u ON u.id = ui.user_id
+        WHERE ui.provider = $1
+          AND ui.identifier = $2
+          AND u.merged_into_user_id IS NULL
+        LIMIT 1`,
+      [provider, this.normalizeIdentifier(provider, identifier)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record that a user just proved control of an identifier. An identifier
+   * owned by someone else is left alone; linking it is an explicit step.
+   */
+  async recordIdentity(userId, provider, identifier, { email = null } = {}) {
+    const result = await dbManager.query(
+      `INSERT INTO user_identities (user_id, provider, identifier, email, verified_at, last_used_at)
+       VALUES ($1, $2, $3, $4, NOW(), NOW())
+       ON CONFLICT (provider, identifier) DO UPDATE SET
+         last_used_at = NOW(),
+         email = COALESCE(EXCLUDED.email, user_identities.email)
+       WHERE user_identities.user_id = EXCLUDED.user_id
+       RETURNING *`,
+      [userId, provider, this.normalizeIdentifier(provider, identifier), email]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async listIdentities(userId) {
+    const result = await dbManager.query(
+      `SELECT id, provider, identifier, email, verified_at, last_used_at, created_at
+         FROM user_identities
+        WHERE user_id = $1
+        ORDER BY created_at ASC`,
+      [userId]
+    );
+
+    return result.rows.map(identity => ({
+      id: identity.id,
+      provider: identity.provider,
+      identifier: isSocialProvider(identity.provider) ? (identity.email || identity.identifier) : identity.identifier,
+      verifiedAt: identity.verified_at,
+      lastUsedAt: identity.last_used_at,
+      createdAt: identity.created_at
+    }));
+  }
+
+  /**
+   * Another account already answering to this identifier, if any
+   */
+  async findConflictingUser(userId, provider, identifier) {
+    const owner = await this.findUserByIdentity(provider, identifier);
+    if (owner) {
+      return owner.id === userId ? null : owner;
+    }
+
+    if (isSocialProvider(provider)) {
+      return null;
+    }
+
+    const column = provider === 'phone' ? 'phone' : 'LOWER(email)';
+    const result = await dbManager.query(
+      `SELECT id
+         FROM users
+        WHERE ${column} = $1
+          AND id <> $2
+          AND merged_into_user_id IS NULL
+        LIMIT 1`,
+      [this.normalizeIdentifier(provider, identifier), userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Attach a freshly re-verified identifier to the user
+   */
+  async linkIdentity(userId, provider, identifier, { email = null } = {}) {
+    try {
+      if (!this.isSupportedProvider(provider)) {
+        return { success: false, message: 'Unsupported identity provider', code: 'UNSUPPORTED_PROVIDER' };
+      }
+
+      const normalized = this.normalizeIdentifier(provider, identifier);
+
+      if (await this.findConflictingUser(userId, provider, normalized)) {
+        return {
+          success: false,
+          message: 'This identifier belongs to another account. Contact support to merge the accounts.',
+          code: 'IDENTITY_IN_USE'
+        };
+      }
+
+      const identity = await this.recordIdentity(userId, provider, normalized, { email });
+      if (!identity) {
+        return {
+          success: false,
+          message: 'This identifier belongs to another account. Contact support to merge the accounts.',
+          code: 'IDENTITY_IN_USE'
+        };
+      }
+
+      // Give accounts without a usable phone or email the one they just proved
+      if (provider === 'phone') {
+        await dbManager.query(
+          `UPDATE users
+              SET phone = $2,
+                  phone_verified = TRUE,
+                  phone_verified_at = NOW(),
+                  updated_at = NOW()
+            WHERE id = $1
+              AND phone IS NULL`,
+          [userId, normalized]
+        );
+      } else if (provider === 'email') {
+        await dbManager.query(
+          `UPDATE users
+              SET email = $2,
+                  email_verified = TRUE,
+                  email_verified_at = NOW(),
+                  updated_at = NOW()
+            WHERE id = $1
+              AND email LIKE $3`,
+          [userId, normalized, `%${PLACEHOLDER_EMAIL_DOMAIN}`]
+        );
+      }
+
+      logger.info('Identity linked', { userId, provider });
+
+      return {
+        success: true,
+        message: 'Account linked successfully',
+        data: {
+          identity: {
+            id: identity.id,
+            provider: identity.provider,
+            identifier: isSocialProvider(provider) ? (identity.email || identity.identifier) : identity.identifier,
+            verifiedAt: identity.verified_at
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error linking identity:', error);
+      return {
+        success: false,
+        message: 'Failed to link account. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Detach an identifier; the account must keep at least one way to sign in
+   */
+  async unlinkIdentity(userId, identityId) {
+    try {
+      const identities = await dbManager.query(
+        'SELECT * FROM user_identities WHERE user_id = $1',
+        [userId]
+      );
+
+      const identity = identities.rows.find(row => row.id === identityId);
+      if (!identity) {
+        return { success: false, message: 'Linked account not found', code: 'IDENTITY_NOT_FOUND' };
+      }
+
+      if (identities.rows.length <= 1) {
+        return {
+          success: false,
+          message: 'You cannot remove your only sign-in method',
+          code: 'LAST_IDENTITY'
+        };
+      }
+
+      const userResult = await dbManager.query('SELECT email, phone FROM users WHERE id = $1', [userId]);
+      const user = userResult.rows[0];
+
+      if (identity.provider === 'email' && user && user.email.toLowerCase() === identity.identifier) {
+        return {
+          success: false,
+          message: 'Your account email cannot be removed',
+          code: 'PRIMARY_EMAIL'
+        };
+      }
+
+      await dbManager.query('DELETE FROM user_identities WHERE id = $1 AND user_id = $2', [identityId, userId]);
+
+      // Stop the legacy users.phone lookup from finding the account by this number
+      if (identity.provider === 'phone' && user && user.phone === identity.identifier) {
+        await dbManager.query(
+          `UPDATE users
+              SET phone = NULL,
+                  phone_verified = FALSE,
+                  updated_at = NOW()
+            WHERE id = $1`,
+          [userId]
+        );
+      }
+
+      logger.info('Identity unlinked', { userId, provider: identity.provider });
+
+      return { success: true, message: 'Account unlinked successfully' };
+    } catch (error) {
+      logger.error('Error unlinking identity:', error);
+      return {
+        success: false,
+        message: 'Failed to unlink account. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Accounts that share a phone number, the usual shape of an OTP/email duplicate
+   */
+  async findDuplicateCandidates({ limit = 50 } = {}) {
+    const result = await dbManager.query(
+      `SELECT phone,
+              ARRAY_AGG(id ORDER BY created_at ASC) AS user_ids,
+              ARRAY_AGG(email ORDER BY created_at ASC) AS emails
+         FROM users
+        WHERE phone IS NOT NULL
+          AND merged_into_user_id IS NULL
+        GROUP BY phone
+       HAVING COUNT(*) > 1
+        ORDER BY phone
+        LIMIT $1`,
+      [limit]
+    );
+
+    return result.rows.map(row => ({
+      phone: row.phone,
+      userIds: row.user_ids,
+      emails: row.emails
+    }));
+  }
+
+  /**
+   * Fold sourceUserId into targetUserId: identities, contacts, invitations,
+   * conversations, ratings and vendor records move over; the source account
+   * is deactivated.
+   */
+  async mergeUsers(sourceUserId, targetUserId, { actorId = null } = {}) {
+    if (!sourceUserId || !targetUserId || sourceUserId === targetUserId) {
+      return { success: false, message: 'Choose two different accounts to merge', code: 'INVALID_MERGE' };
+    }
+
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const usersResult = await client.query(
+        'SELECT * FROM users WHERE id = ANY($1::uuid[]) FOR UPDATE',
+        [[sourceUserId, targetUserId]]
+      );
+      const source = usersResult.rows.find(row => row.id === sourceUserId);
+      const target = usersResult.rows.find(row => row.id === targetUserId);
+
+      if (!source || !target) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      if (source.merged_into_user_id || target.merged_into_user_id) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Account has already been merged', code: 'ALREADY_MERGED' };
+      }
+
+      const columns = await this.loadColumns(client);
+      const moved = {};
+
+      for (const plan of MERGE_REASSIGNMENTS) {
+        if (!columns.has(`${plan.table}.${plan.column}`)) {
+          continue;
+        }
+
+        moved[`${plan.table}.${plan.column}`] = await this.reassignRows(client, plan, sourceUserId, targetUserId);
+      }
+
+      for (const profile of MERGE_PROFILES) {
+        if (!columns.has(`${profile.table}.user_id`)) {
+          continue;
+        }
+
+        moved[profile.table] = await this.reassignProfile(client, profile, columns, sourceUserId, targetUserId);
+      }
+
+      const identities = await client.query(
+        'UPDATE user_identities SET user_id = $2 WHERE user_id = $1',
+        [sourceUserId, targetUserId]
+      );
+      moved.user_identities = identities.rowCount;
+
+      await client.query(
+        `UPDATE users
+            SET phone = NULL,
+                is_active = FALSE,
+                status = 'inactive',
+                merged_into_user_id = $2,
+                merged_at = NOW(),
+                updated_at = NOW()
+          WHERE id = $1`,
+        [sourceUserId, targetUserId]
+      );
+
+      if (!target.phone && source.phone) {
+        await client.query(
+          `UPDATE users
+              SET phone = $2,
+                  phone_verified = $3,
+                  phone_verified_at = $4,
+                  updated_at = NOW()
+            WHERE id = $1`,
+          [targetUserId, source.phone, Boolean(source.phone_verified), source.phone_verified_at || null]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO user_merge_log (source_user_id, target_user_id, actor_id, summary)
+         VALUES ($1, $2, $3, $4)`,
+        [sourceUserId, targetUserId, actorId, JSON.stringify(moved)]
+      );
+
+      await client.query('COMMIT');
+
+      await tokenService.invalidateUserTokens(sourceUserId, 'account_merged');
+
+      logger.warn('User accounts merged', { sourceUserId, targetUserId, actorId, moved });
+
+      return {
+        success: true,
+        message: 'Accounts merged successfully',
+        data: { sourceUserId, targetUserId, moved }
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // Both vendors have scheduled appointments at the same time
+      if (error.code === '23P01') {
+        return {
+          success: false,
+          message: 'Both accounts have overlapping appointments; cancel or reschedule one first',
+          code: 'MERGE_CONFLICT'
+        };
+      }
+      // Both accounts have a row the other's would duplicate. Connection
+      // requests are not dropped like other duplicates: their quotes, jobs
+      // and appointments would go with them.
+      if (error.code === '23505') {
+        return {
+          success: false,
+          message: error.table === 'connection_requests'
+            ? 'Both accounts have a connection request for the same vendor and service; cancel one first'
+            : 'Both accounts have records that cannot be combined',
+          code: 'MERGE_CONFLICT',
+          data: { table: error.table || null, constraint: error.constraint || null }
+        };
+      }
+      logger.error('Error merging users:', error);
+      return {
+        success: false,
+        message: 'Failed to merge accounts. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Schemas differ between installs, so only touch columns that exist
+   */
+  async loadColumns(client) {
+    const result = await client.query(
+      `SELECT table_name, column_name
+         FROM information_schema.columns
+        WHERE table_schema = current_schema()`
+    );
+
+    return new Set(result.rows.map(row => `${row.table_name}.${row.column_name}`));
+  }
+
+  async reassignRows(client, { table, column, unique = [] }, sourceUserId, targetUserId) {
+    for (const otherColumns of unique) {
+      const matches = otherColumns.map(other => `t.${other} = s.${other}`).join(' AND ') || 'TRUE';
+      await client.query(
+        `DELETE FROM ${table} s
+          WHERE s.${column} = $1
+            AND EXISTS (SELECT 1 FROM ${table} t WHERE t.${column} = $2 AND ${matches})`,
+        [sourceUserId, targetUserId]
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE ${table} SET ${column} = $2 WHERE ${column} = $1`,
+      [sourceUserId, targetUserId]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Move a consumer/vendor profile, or point its ratings at the target's own profile
+   */
+  async reassignProfile(client, { table, ratingsColumn, unique }, columns, sourceUserId, targetUserId) {
+    const targetProfile = await client.query(
+      `SELECT id FROM ${table} WHERE user_id = $1 ORDER BY created_at ASC LIMIT 1`,
+      [targetUserId]
+    );
+
+    if (!targetProfile.rows.length) {
+      const result = await client.query(
+        `UPDATE ${table} SET user_id = $2 WHERE user_id = $1`,
+        [sourceUserId, targetUserId]
+      );
+      return result.rowCount;
+    }
+
+    if (!columns.has(`ratings.${ratingsColumn}`)) {
+      return 0;
+    }
+
+    const targetProfileId = targetProfile.rows[0].id;
+    const sourceProfiles = `SELECT id FROM ${table} WHERE user_id = $1`;
+
+    for (const other of unique) {
+      await client.query(
+        `DELETE FROM ratings s
+          WHERE s.${ratingsColumn} IN (${sourceProfiles})
+            AND EXISTS (SELECT 1 FROM ratings t WHERE t.${ratingsColumn} = $2 AND t.${other} = s.${other})`,
+        [sourceUserId, targetProfileId]
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE ratings SET ${ratingsColumn} = $2 WHERE ${ratingsColumn} IN (${sourceProfiles})`,
+      [sourceUserId, targetProfileId]
+    );
+
+    return result.rowCount;
+  }
+}
+
+module.exports = new IdentityService();
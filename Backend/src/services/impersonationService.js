@@ -0,0 +1,54 @@
+/**
+ * Impersonation Service for FixRx
+ * Lets an authenticated admin act as another user for local testing and support.
+ *
+ * Opt-in through AUTH_IMPERSONATION_ENABLED=true and never available when
+ * NODE_ENV=production, whatever the flag says. Every impersonated request is
+ * written to impersonation_audit_log.
+ */
+
+const { dbManager } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const IMPERSONATION_HEADER = 'x-impersonate-user';
+
+class ImpersonationService {
+  constructor() {
+    this.warnedAboutProduction = false;
+  }
+
+  isEnabled() {
+    if (process.env.AUTH_IMPERSONATION_ENABLED !== 'true') {
+      return false;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      if (!this.warnedAboutProduction) {
+        logger.error('AUTH_IMPERSONATION_ENABLED is ignored when NODE_ENV=production');
+        this.warnedAboutProduction = true;
+      }
+      return false;
+    }
+
+    return true;
+  }
+
+  getHeaderName() {
+    return IMPERSONATION_HEADER;
+  }
+
+  /**
+   * Record who acted as whom; if the audit row cannot be written the request must fail
+   */
+  async recordImpersonation({ adminId, targetUserId, channel = 'http', method = null, path = null, ipAddress = null, userAgent = null }) {
+    logger.warn('Admin impersonation', { adminId, targetUserId, channel, method, path });
+
+    await dbManager.query(
+      `INSERT INTO impersonation_audit_log (admin_id, target_user_id, channel, method, path, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [adminId, targetUserId, channel, method, path, ipAddress, userAgent ? userAgent.substring(0, 255) : null]
+    );
+  }
+}
+
+module.exports = new ImpersonationService();
@@ -0,0 +1,398 @@
+/**
+ * Job Completion Service for FixRx
+ * Proof of the finished work and the consumer's sign-off on it.
+ *
+ * The vendor completes an in-progress job by submitting before/after photos
+ * and notes. That opens a confirmation window (JOB_CONFIRMATION_DAYS, see
+ * jobService) in which the consumer confirms the work or disputes it; a
+ * scheduled sweep confirms jobs nobody responded to. A confirmed job is
+ * eligible for payment capture and unlocks ratings on its connection request.
+ *
+ * Photos are re-encoded like portfolio photos (utils/imageProcessing) but go
+ * to private storage, since they show the consumer's home, and are only read
+ * back through the API by the participants and staff.
+ */
+
+const crypto = require('crypto');
+const { dbManager } = require('../config/database');
+const { getStorage } = require('./storageService');
+const jobService = require('./jobService');
+const { checkTransition } = require('../utils/jobLifecycle');
+const { processImage } = require('../utils/imageProcessing');
+const { logger } = require('../utils/logger');
+
+const PHOTO_KINDS = ['before', 'after'];
+
+class JobCompletionService {
+  formatPhoto(row) {
+    const base = `/api/v1/jobs/${row.job_id}/completion/photos/${row.id}`;
+    return {
+      id: row.id,
+      kind: row.kind,
+      url: base,
+      thumbnailUrl: `${base}?size=thumbnail`,
+      width: row.width,
+      height: row.height,
+      createdAt: row.created_at
+    };
+  }
+
+  formatCompletion(row, photos) {
+    return {
+      jobId: row.job_id,
+      submittedBy: row.submitted_by,
+      notes: row.notes,
+      photos: photos.map(photo => this.formatPhoto(photo)),
+      createdAt: row.created_at
+    };
+  }
+
+  async removeFiles(keys) {
+    const storage = getStorage('private');
+    for (const key of keys) {
+      try {
+        await storage.delete(key);
+      } catch (error) {
+        logger.warn('Failed to remove completion photo', { key, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Re-encode and store every photo; on any failure nothing is kept
+   *
+   * @param {Object} files - { before: [file], after: [file] } as parsed by multer
+   */
+  async storePhotos(jobId, files) {
+    const storage = getStorage('private');
+    const stored = [];
+    const keys = [];
+
+    try {
+      for (const kind of PHOTO_KINDS) {
+        for (const file of files[kind] || []) {
+          const processed = await processImage(file.buffer);
+          const baseKey = `jobs/${jobId}/completion/${crypto.randomUUID()}`;
+          const image = await storage.put(`${baseKey}.jpg`, processed.image.buffer, { contentType: processed.image.contentType });
+          keys.push(image.key);
+          const thumbnail = await storage.put(`${baseKey}_thumb.jpg`, processed.thumbnail.buffer, { contentType: processed.thumbnail.contentType });
+          keys.push(thumbnail.key);
+          stored.push({ kind, image, thumbnail, processed: processed.image });
+        }
+      }
+      return { stored, keys };
+    } catch (error) {
+      await this.removeFiles(keys);
+      throw error;
+    }
+  }
+
+  /**
+   * Vendor marks an in-progress job done with photos and notes
+   */
+  async submitCompletion(jobId, user, { notes = null, files = {} }) {
+    if (!(files.after || []).length) {
+      return { success: false, message: 'At least one after photo is required', code: 'PHOTOS_REQUIRED' };
+    }
+
+    // Turn away the obvious refusals before processing any images; the move is re-checked under lock
+    try {
+      const existing = await dbManager.query('SELECT * FROM service_jobs WHERE id = $1', [jobId]);
+      const job = existing.rows[0];
+      const roles = job ? jobService.rolesFor(job, user) : [];
+      if (!job || !roles.length) {
+        return { success: false, message: 'Job not found', code: 'JOB_NOT_FOUND' };
+      }
+      const failure = checkTransition(job.status, 'completed', roles.filter(role => role === 'vendor'));
+      if (failure) {
+        return { success: false, ...failure };
+      }
+    } catch (error) {
+      logger.error('Error loading job:', error);
+      return { success: false, message: 'Failed to complete job', code: 'SERVER_ERROR' };
+    }
+
+    let photos;
+    try {
+      photos = await this.storePhotos(jobId, files);
+    } catch (error) {
+      if (error.code === 'INVALID_IMAGE') {
+        return { success: false, message: error.message, code: 'INVALID_IMAGE' };
+      }
+      logger.error('Error processing completion photos:', error);
+      return { success: false, message: 'Failed to process photos', code: 'SERVER_ERROR' };
+    }
+
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let applied;
+    let completion;
+    let photoRows;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM service_jobs WHERE id = $1 FOR UPDATE', [jobId]);
+      const job = result.rows[0];
+      const roles = job ? jobService.rolesFor(job, user) : [];
+      if (!job || !roles.length) {
+        await client.query('ROLLBACK');
+        await this.removeFiles(photos.keys);
+        return { success: false, message: 'Job not found', code: 'JOB_NOT_FOUND' };
+      }
+
+      applied = await jobService.applyTransition(client, job, {
+        to: 'completed',
+        actorId: user.id,
+        roles: roles.filter(role => role === 'vendor'),
+        metadata: { photos: photos.stored.length }
+      });
+      if (applied.failure) {
+        await client.query('ROLLBACK');
+        await this.removeFiles(photos.keys);
+        return applied.failure;
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO job_completions (job_id, submitted_by, notes)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [jobId, user.id, notes]
+      );
+      completion = inserted.rows[0];
+
+      photoRows = [];
+      for (const [index, photo] of photos.stored.entries()) {
+        const row = await client.query(
+          `INSERT INTO job_completion_photos (
+             job_id, kind, storage_key, thumbnail_key, content_type, file_size, width, height, sort_order
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [
+            jobId, photo.kind, photo.image.key, photo.thumbnail.key, photo.processed.contentType,
+            photo.processed.size, photo.processed.width, photo.processed.height, index
+          ]
+        );
+        photoRows.push(row.rows[0]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      await this.removeFiles(photos.keys);
+      logger.error('Error completing job:', error);
+      return { success: false, message: 'Failed to complete job', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    await jobService.afterTransition(applied.job, applied.from, { actorId: user.id });
+    logger.info('Job completed', { jobId, photos: photoRows.length });
+
+    return {
+      success: true,
+      message: 'Job completed',
+      data: {
+        job: jobService.formatJob(applied.job),
+        completion: this.formatCompletion(completion, photoRows)
+      }
+    };
+  }
+
+  /**
+   * Record the sign-off on a locked, completed job
+   */
+  async markConfirmed(queryable, job, { source, actorId = null }) {
+    const updated = await queryable.query(
+      `UPDATE service_jobs
+          SET confirmed_at = NOW(), confirmation_source = $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [job.id, source]
+    );
+
+    await queryable.query(
+      `INSERT INTO service_job_events (job_id, from_status, to_status, actor_id, actor_role, metadata)
+       VALUES ($1, 'completed', 'completed', $2, $3, $4)`,
+      [job.id, actorId, source === 'auto' ? 'system' : source, JSON.stringify({ confirmation: source })]
+    );
+
+    return updated.rows[0];
+  }
+
+  /**
+   * Consumer accepts the finished work
+   */
+  async confirmCompletion(jobId, user) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let job;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM service_jobs WHERE id = $1 FOR UPDATE', [jobId]);
+      job = result.rows[0];
+      const roles = job ? jobService.rolesFor(job, user) : [];
+      if (!job || !roles.length) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Job not found', code: 'JOB_NOT_FOUND' };
+      }
+      if (!roles.includes('consumer')) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Only the consumer can confirm the work', code: 'FORBIDDEN' };
+      }
+      if (job.status !== 'completed') {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Only completed jobs can be confirmed', code: 'JOB_NOT_COMPLETED' };
+      }
+      if (job.confirmed_at) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'This job has already been confirmed', code: 'ALREADY_CONFIRMED' };
+      }
+
+      job = await this.markConfirmed(client, job, { source: 'consumer', actorId: user.id });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error confirming job:', error);
+      return { success: false, message: 'Failed to confirm job', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    await this.afterConfirmed(job, { actorId: user.id });
+
+    return { success: true, message: 'Job confirmed', data: { job: jobService.formatJob(job) } };
+  }
+
+  /**
+   * Confirm completed jobs whose window lapsed without a response
+   */
+  async confirmCompletions() {
+    try {
+      const result = await dbManager.query(
+        `UPDATE service_jobs
+            SET confirmed_at = NOW(), confirmation_source = 'auto', updated_at = NOW()
+          WHERE status = 'completed' AND confirmed_at IS NULL AND confirm_by <= NOW()
+          RETURNING *`
+      );
+
+      for (const job of result.rows) {
+        await dbManager.query(
+          `INSERT INTO service_job_events (job_id, from_status, to_status, actor_role, metadata)
+           VALUES ($1, 'completed', 'completed', 'system', $2)`,
+          [job.id, JSON.stringify({ confirmation: 'auto' })]
+        );
+        await this.afterConfirmed(job);
+      }
+
+      if (result.rows.length) {
+        logger.info('Jobs auto-confirmed', { count: result.rows.length });
+      }
+
+      return { success: true, data: { confirmed: result.rows.length } };
+    } catch (error) {
+      logger.error('Error auto-confirming jobs:', error);
+      return { success: false, message: 'Failed to confirm jobs', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async afterConfirmed(job, { actorId = null } = {}) {
+    await jobService.announce(job, 'confirmed', {
+      payload: { actorId },
+      title: 'Job confirmed',
+      body: job.confirmation_source === 'auto'
+        ? 'Your FixRx job was confirmed automatically. You can now leave a rating.'
+        : 'Your FixRx job was confirmed by the customer.',
+      actorId
+    });
+  }
+
+  /**
+   * Completion notes and photos, for the participants and staff
+   */
+  async getCompletion(jobId, user) {
+    try {
+      const jobResult = await dbManager.query('SELECT * FROM service_jobs WHERE id = $1', [jobId]);
+      const job = jobResult.rows[0];
+      if (!job || !jobService.rolesFor(job, user).length) {
+        return { success: false, message: 'Job not found', code: 'JOB_NOT_FOUND' };
+      }
+
+      const result = await dbManager.query('SELECT * FROM job_completions WHERE job_id = $1', [jobId]);
+      if (!result.rows.length) {
+        return { success: false, message: 'This job has not been completed', code: 'COMPLETION_NOT_FOUND' };
+      }
+
+      const photos = await dbManager.query(
+        'SELECT * FROM job_completion_photos WHERE job_id = $1 ORDER BY sort_order',
+        [jobId]
+      );
+
+      return {
+        success: true,
+        data: {
+          job: jobService.formatJob(job),
+          completion: this.formatCompletion(result.rows[0], photos.rows)
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading job completion:', error);
+      return { success: false, message: 'Failed to load completion', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * One completion photo or its thumbnail
+   */
+  async getPhoto(jobId, photoId, user, { thumbnail = false } = {}) {
+    try {
+      const result = await dbManager.query(
+        `SELECT p.*, j.consumer_id, j.vendor_id
+           FROM job_completion_photos p
+           JOIN service_jobs j ON j.id = p.job_id
+          WHERE p.id = $1 AND p.job_id = $2`,
+        [photoId, jobId]
+      );
+      const row = result.rows[0];
+      if (!row || !jobService.rolesFor(row, user).length) {
+        return { success: false, message: 'Photo not found', code: 'PHOTO_NOT_FOUND' };
+      }
+
+      const buffer = await getStorage('private').get(thumbnail ? row.thumbnail_key : row.storage_key);
+      return { success: true, data: { buffer, contentType: row.content_type } };
+    } catch (error) {
+      logger.error('Error loading completion photo:', error);
+      return { success: false, message: 'Failed to load photo', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Whether `raterId` may rate `ratedId` on a connection request: only the
+   * other participant, and only once its job is confirmed
+   *
+   * @returns {Object|null} Failure, or null when rating is allowed
+   */
+  async ratingFailure(queryable, connectionRequestId, raterId, ratedId) {
+    const result = await queryable.query(
+      'SELECT consumer_id, vendor_id, confirmed_at FROM service_jobs WHERE connection_request_id = $1',
+      [connectionRequestId]
+    );
+    const job = result.rows[0];
+    const participants = job ? [job.consumer_id, job.vendor_id] : [];
+    if (!participants.includes(raterId)) {
+      return { code: 'NOT_FOUND', message: 'Connection request not found' };
+    }
+    if (!participants.includes(ratedId) || ratedId === raterId) {
+      return { code: 'VALIDATION_ERROR', message: 'You can only rate the other party on the request' };
+    }
+    if (!job.confirmed_at) {
+      return { code: 'RATING_LOCKED', message: 'Ratings open once the completed job is confirmed' };
+    }
+    return null;
+  }
+}
+
+module.exports = new JobCompletionService();
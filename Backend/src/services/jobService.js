@@ -0,0 +1,396 @@
+/**
+ * Service Job Service for FixRx
+ * Tracks the work behind a connection request from the first ask to a
+ * finished (or cancelled or disputed) job. Every request has one job; the
+ * allowed moves and who may make them are defined in utils/jobLifecycle.
+ *
+ * Each transition stamps the job, writes an audit row with the actor and
+ * their role, and keeps connection_requests.status in step for the older
+ * endpoints (accepted -> ACCEPTED, cancelled -> DECLINED or CANCELLED). Once
+ * committed, both participants get a job:<status> socket event and the other
+ * side an in-app notification and push.
+ *
+ * Other services drive transitions inside their own transactions through
+ * applyTransition, e.g. sending a quote moves a requested job to quoted.
+ *
+ * Completing a job opens a confirmation window (JOB_CONFIRMATION_DAYS) in
+ * which the consumer confirms or disputes the work; see jobCompletionService.
+ * Once confirmed the job is eligible for payment capture and rating.
+ */
+
+const { dbManager } = require('../config/database');
+const { queueManager } = require('./queueManager');
+const socketManager = require('./socketManager');
+const { TRANSITIONS, TIMESTAMP_COLUMNS, allowedTransitions, checkTransition } = require('../utils/jobLifecycle');
+const { logger } = require('../utils/logger');
+
+const CONFIRMATION_DAYS = parseInt(process.env.JOB_CONFIRMATION_DAYS || '3', 10);
+
+const STATUS_LABELS = {
+  requested: 'requested',
+  quoted: 'quoted',
+  accepted: 'accepted',
+  in_progress: 'started',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  disputed: 'disputed'
+};
+
+class JobService {
+  formatJob(row) {
+    return {
+      id: row.id,
+      connectionRequestId: row.connection_request_id,
+      consumerId: row.consumer_id,
+      vendorId: row.vendor_id,
+      status: row.status,
+      acceptedQuoteId: row.accepted_quote_id,
+      quotedAt: row.quoted_at,
+      acceptedAt: row.accepted_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      cancelledAt: row.cancelled_at,
+      disputedAt: row.disputed_at,
+      cancelledBy: row.cancelled_by,
+      cancellationReason: row.cancellation_reason,
+      disputeReason: row.dispute_reason,
+      confirmBy: row.confirm_by,
+      confirmedAt: row.confirmed_at,
+      confirmationSource: row.confirmation_source,
+      paymentEligible: Boolean(row.confirmed_at),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  participantIds(row) {
+    return [row.consumer_id, row.vendor_id];
+  }
+
+  /**
+   * The roles a user holds on a job: consumer, vendor and/or staff. Admins
+   * only act as staff from a session that passed the two-factor challenge.
+   */
+  rolesFor(job, user) {
+    const roles = [];
+    if (user.id === job.consumer_id) {
+      roles.push('consumer');
+    }
+    if (user.id === job.vendor_id) {
+      roles.push('vendor');
+    }
+    const moderates = (user.permissions || []).includes('services:moderate');
+    if (moderates && (user.role !== 'admin' || user.twoFactorVerified)) {
+      roles.push('staff');
+    }
+    return roles;
+  }
+
+  /**
+   * Create the job for a connection request if it has none yet
+   */
+  async ensureJob(queryable, connection) {
+    await queryable.query(
+      `INSERT INTO service_jobs (connection_request_id, consumer_id, vendor_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (connection_request_id) DO NOTHING`,
+      [connection.id, connection.consumer_id, connection.vendor_id]
+    );
+  }
+
+  async lockJobForRequest(client, connection) {
+    await this.ensureJob(client, connection);
+    const result = await client.query(
+      'SELECT * FROM service_jobs WHERE connection_request_id = $1 FOR UPDATE',
+      [connection.id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Whether the consumer can still dispute a completed job
+   */
+  inConfirmationWindow(job) {
+    return !job.confirmed_at && Boolean(job.confirm_by) && new Date(job.confirm_by) > new Date();
+  }
+
+  /**
+   * Move a locked job to `to` within the caller's transaction
+   *
+   * @returns {Object} { job, from } or { failure }
+   */
+  async applyTransition(client, job, { to, actorId = null, roles, reason = null, metadata = null }) {
+    const failure = checkTransition(job.status, to, roles, { reason });
+    if (failure) {
+      return { failure: { success: false, ...failure } };
+    }
+    if (job.status === 'completed' && to === 'disputed' && !this.inConfirmationWindow(job)) {
+      return {
+        failure: {
+          success: false,
+          message: job.confirmed_at ? 'This job has already been confirmed' : 'The time to dispute this job has passed',
+          code: 'CONFIRMATION_WINDOW_CLOSED'
+        }
+      };
+    }
+    const actingRole = TRANSITIONS[job.status][to].find(role => roles.includes(role));
+
+    const sets = ['status = $2', `${TIMESTAMP_COLUMNS[to]} = NOW()`, 'updated_at = NOW()'];
+    const params = [job.id, to];
+    if (to === 'completed' && job.status === 'disputed') {
+      // Staff settling a dispute in the vendor's favour stands in for the consumer's sign-off
+      sets.push('confirmed_at = NOW()', "confirmation_source = 'staff'");
+    } else if (to === 'completed') {
+      params.push(CONFIRMATION_DAYS);
+      sets.push(`confirm_by = NOW() + make_interval(days => $${params.length})`);
+    }
+    if (to === 'cancelled') {
+      params.push(actorId, reason);
+      sets.push(`cancelled_by = $${params.length - 1}`, `cancellation_reason = $${params.length}`);
+    }
+    if (to === 'disputed') {
+      params.push(reason);
+      sets.push(`dispute_reason = $${params.length}`);
+    }
+
+    const updated = await client.query(
+      `UPDATE service_jobs SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+      params
+    );
+
+    await client.query(
+      `INSERT INTO service_job_events (job_id, from_status, to_status, actor_id, actor_role, reason, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [job.id, job.status, to, actorId, actingRole, reason, metadata ? JSON.stringify(metadata) : null]
+    );
+
+    await this.syncConnectionStatus(client, job, to, actingRole);
+
+    return { job: updated.rows[0], from: job.status };
+  }
+
+  /**
+   * Keep connection_requests.status meaningful for the endpoints that read it
+   */
+  async syncConnectionStatus(client, job, to, actingRole) {
+    let status = null;
+    if (to === 'accepted') {
+      status = 'ACCEPTED';
+    } else if (to === 'cancelled') {
+      const declinedByVendor = ['requested', 'quoted'].includes(job.status) && actingRole === 'vendor';
+      status = declinedByVendor ? 'DECLINED' : 'CANCELLED';
+    }
+    if (!status) {
+      return;
+    }
+
+    await client.query(
+      `UPDATE connection_requests
+          SET status = $2, responded_at = COALESCE(responded_at, NOW()), updated_at = NOW()
+        WHERE id = $1 AND status <> $2`,
+      [job.connection_request_id, status]
+    );
+  }
+
+  /**
+   * Move a job on behalf of a signed-in user
+   */
+  async transition(jobId, user, { status, reason = null }) {
+    return this.runTransition(
+      async (client) => {
+        const result = await client.query('SELECT * FROM service_jobs WHERE id = $1 FOR UPDATE', [jobId]);
+        return result.rows[0];
+      },
+      user,
+      { status, reason }
+    );
+  }
+
+  /**
+   * Move the job behind a connection request, creating it if needed
+   */
+  async transitionForRequest(connectionRequestId, user, { status, reason = null }) {
+    return this.runTransition(
+      async (client) => {
+        const result = await client.query('SELECT * FROM connection_requests WHERE id = $1 FOR UPDATE', [connectionRequestId]);
+        return result.rows[0] ? this.lockJobForRequest(client, result.rows[0]) : null;
+      },
+      user,
+      { status, reason }
+    );
+  }
+
+  /**
+   * Lock the job with `lock`, apply the move and commit
+   */
+  async runTransition(lock, user, { status, reason }) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let applied;
+    let connectionRequest;
+
+    try {
+      await client.query('BEGIN');
+
+      const job = await lock(client);
+      const roles = job ? this.rolesFor(job, user) : [];
+      if (!job || !roles.length) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Job not found', code: 'JOB_NOT_FOUND' };
+      }
+      if (job.status === 'in_progress' && status === 'completed' && !checkTransition(job.status, status, roles)) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          message: 'Submit the completion photos and notes to complete this job',
+          code: 'COMPLETION_PROOF_REQUIRED'
+        };
+      }
+
+      applied = await this.applyTransition(client, job, { to: status, actorId: user.id, roles, reason });
+      if (applied.failure) {
+        await client.query('ROLLBACK');
+        return { ...applied.failure, data: { status: job.status, allowedTransitions: allowedTransitions(job.status, roles) } };
+      }
+
+      const requestResult = await client.query('SELECT * FROM connection_requests WHERE id = $1', [job.connection_request_id]);
+      connectionRequest = requestResult.rows[0];
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error updating job status:', error);
+      return { success: false, message: 'Failed to update job', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    await this.afterTransition(applied.job, applied.from, { actorId: user.id, reason });
+
+    return {
+      success: true,
+      message: `Job ${STATUS_LABELS[applied.job.status]}`,
+      data: { job: this.formatJob(applied.job), connectionRequest }
+    };
+  }
+
+  /**
+   * Socket events for both sides and a notification for the other one
+   */
+  async afterTransition(job, from, { actorId = null, reason = null } = {}) {
+    const body = reason
+      ? `Your FixRx job was marked ${STATUS_LABELS[job.status]}: ${reason}`
+      : `Your FixRx job was marked ${STATUS_LABELS[job.status]}`;
+
+    await this.announce(job, job.status, {
+      payload: { previousStatus: from, actorId, reason },
+      title: `Job ${STATUS_LABELS[job.status]}`,
+      body,
+      actorId
+    });
+  }
+
+  /**
+   * Emit job:<event> to both participants and notify everyone but the actor
+   */
+  async announce(job, event, { payload = {}, title, body, actorId = null }) {
+    try {
+      socketManager.emitJobEvent(event, { ...this.formatJob(job), ...payload }, this.participantIds(job));
+    } catch (error) {
+      logger.warn('Failed to emit job event', { jobId: job.id, event, error: error.message });
+    }
+
+    const data = { type: 'job_status', jobId: job.id, status: job.status, event };
+    const recipients = this.participantIds(job).filter(id => id !== actorId);
+
+    for (const userId of recipients) {
+      try {
+        await dbManager.query(
+          `INSERT INTO notifications (user_id, title, body, category, type, data)
+           VALUES ($1, $2, $3, 'service_requests', 'in_app', $4)`,
+          [userId, title, body, JSON.stringify(data)]
+        );
+        if (queueManager.isInitialized) {
+          await queueManager.addPushJob(userId, title, body, { data });
+        }
+      } catch (error) {
+        logger.warn('Failed to notify about job status', { jobId: job.id, userId, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Jobs the user takes part in, most recently changed first
+   */
+  async listJobs(user, { status = null, connectionRequestId = null, limit = 20, offset = 0 } = {}) {
+    try {
+      const result = await dbManager.query(
+        `SELECT * FROM service_jobs
+          WHERE (consumer_id = $1 OR vendor_id = $1)
+            AND ($2::service_status_enum IS NULL OR status = $2)
+            AND ($3::uuid IS NULL OR connection_request_id = $3)
+          ORDER BY updated_at DESC
+          LIMIT $4 OFFSET $5`,
+        [user.id, status, connectionRequestId, limit, offset]
+      );
+
+      return {
+        success: true,
+        data: {
+          jobs: result.rows.map(row => ({
+            ...this.formatJob(row),
+            allowedTransitions: allowedTransitions(row.status, this.rolesFor(row, user))
+          })),
+          limit,
+          offset
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading jobs:', error);
+      return { success: false, message: 'Failed to load jobs', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * One job with its audit trail and the moves open to the viewer
+   */
+  async getJob(jobId, user) {
+    try {
+      const result = await dbManager.query('SELECT * FROM service_jobs WHERE id = $1', [jobId]);
+      const job = result.rows[0];
+      const roles = job ? this.rolesFor(job, user) : [];
+      if (!job || !roles.length) {
+        return { success: false, message: 'Job not found', code: 'JOB_NOT_FOUND' };
+      }
+
+      const events = await dbManager.query(
+        `SELECT from_status, to_status, actor_id, actor_role, reason, metadata, created_at
+           FROM service_job_events
+          WHERE job_id = $1
+          ORDER BY created_at`,
+        [jobId]
+      );
+
+      return {
+        success: true,
+        data: {
+          job: this.formatJob(job),
+          allowedTransitions: allowedTransitions(job.status, roles),
+          history: events.rows.map(row => ({
+            fromStatus: row.from_status,
+            toStatus: row.to_status,
+            actorId: row.actor_id,
+            actorRole: row.actor_role,
+            reason: row.reason,
+            metadata: row.metadata,
+            createdAt: row.created_at
+          }))
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading job:', error);
+      return { success: false, message: 'Failed to load job', code: 'SERVER_ERROR' };
+    }
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,170 @@
+/**
+ * License Registry Service for FixRx
+ * Looks up contractor licenses in state licensing registries. Every state
+ * runs its own registry, so lookups go through an adapter picked by
+ * LICENSE_REGISTRY_ADAPTER:
+ *   none - no automated lookup; submissions go straight to manual review (default)
+ *   file - JSON records read from LICENSE_REGISTRY_FILE, for development and tests
+ *   http - a registry API or aggregator at LICENSE_REGISTRY_URL
+ * Further adapters can be plugged in with registerAdapter(name, factory).
+ *
+ * An adapter resolves lookup({ licenseNumber, licenseType, state }) to
+ * { found, status, holderName, licenseType, expiresAt } or { found: false }.
+ */
+
+const fs = require('fs/promises');
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+// Registries format the same license as "PL-012345", "pl 012345" or "PL012345"
+const normalizeLicenseNumber = value => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const normalizeState = value => String(value || '').trim().toUpperCase();
+
+class FileLicenseRegistry {
+  constructor({ filePath }) {
+    if (!filePath) {
+      throw new Error('LICENSE_REGISTRY_FILE is required for the file license registry');
+    }
+    this.name = 'file';
+    this.filePath = filePath;
+    this.records = null;
+  }
+
+  async loadRecords() {
+    if (!this.records) {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.records = Array.isArray(parsed) ? parsed : parsed.records || [];
+    }
+    return this.records;
+  }
+
+  async lookup({ licenseNumber, state }) {
+    const records = await this.loadRecords();
+    const record = records.find(entry =>
+      normalizeState(entry.state) === normalizeState(state)
+      && normalizeLicenseNumber(entry.licenseNumber) === normalizeLicenseNumber(licenseNumber));
+
+    if (!record) {
+      return { found: false };
+    }
+
+    return {
+      found: true,
+      status: String(record.status || 'unknown').toLowerCase(),
+      holderName: record.holderName || null,
+      licenseType: record.licenseType || null,
+      expiresAt: record.expiresAt || null
+    };
+  }
+}
+
+class HttpLicenseRegistry {
+  constructor({ baseUrl, apiKey, timeout = 10000 }) {
+    if (!baseUrl) {
+      throw new Error('LICENSE_REGISTRY_URL is required for the http license registry');
+    }
+    this.name = 'http';
+    this.client = axios.create({
+      baseURL: baseUrl.replace(/\/+$/, ''),
+      timeout,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    });
+  }
+
+  async lookup({ licenseNumber, licenseType, state }) {
+    try {
+      const { data } = await this.client.get(
+        `/licenses/${encodeURIComponent(normalizeState(state))}/${encodeURIComponent(normalizeLicenseNumber(licenseNumber))}`,
+        { params: licenseType ? { type: licenseType } : {} }
+      );
+
+      return {
+        found: true,
+        status: String(data.status || 'unknown').toLowerCase(),
+        holderName: data.holderName || data.holder_name || null,
+        licenseType: data.licenseType || data.license_type || null,
+        expiresAt: data.expiresAt || data.expiration_date || null
+      };
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return { found: false };
+      }
+      throw error;
+    }
+  }
+}
+
+class NoLicenseRegistry {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async lookup() {
+    return null;
+  }
+}
+
+class LicenseRegistryService {
+  constructor() {
+    this.factories = {
+      none: () => new NoLicenseRegistry(),
+      file: env => new FileLicenseRegistry({ filePath: env.LICENSE_REGISTRY_FILE }),
+      http: env => new HttpLicenseRegistry({
+        baseUrl: env.LICENSE_REGISTRY_URL,
+        apiKey: env.LICENSE_REGISTRY_API_KEY
+      })
+    };
+    this.adapter = null;
+  }
+
+  /**
+   * Make another registry available under LICENSE_REGISTRY_ADAPTER=<name>
+   */
+  registerAdapter(name, factory) {
+    this.factories[name] = factory;
+  }
+
+  createAdapter(name, env = process.env) {
+    const factory = this.factories[name];
+    if (!factory) {
+      throw new Error(`Unknown LICENSE_REGISTRY_ADAPTER: ${name}`);
+    }
+    return factory(env);
+  }
+
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  getAdapter() {
+    if (!this.adapter) {
+      this.adapter = this.createAdapter((process.env.LICENSE_REGISTRY_ADAPTER || 'none').toLowerCase());
+      logger.info('License registry adapter ready', { adapter: this.adapter.name });
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Look a license up; returns null when no registry is configured
+   */
+  async lookup({ licenseNumber, licenseType = null, state }) {
+    const adapter = this.getAdapter();
+    const result = await adapter.lookup({ licenseNumber, licenseType, state });
+    if (!result) {
+      return null;
+    }
+
+    const expired = Boolean(result.expiresAt) && new Date(result.expiresAt) <= new Date();
+    return {
+      ...result,
+      licenseNumber,
+      state: normalizeState(state),
+      // Evidence for the reviewer, not a decision: admins still approve or reject
+      isValid: result.found && result.status === 'active' && !expired,
+      source: adapter.name,
+      checkedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new LicenseRegistryService();
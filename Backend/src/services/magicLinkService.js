@@ -4,16 +4,20 @@
  */
 
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 const EmailService = require('./email.service');
 const { dbManager } = require('../config/database');
 const { logger } = require('../utils/logger');
+const tokenService = require('./tokenService');
+const identityService = require('./identityService');
+const twoFactorService = require('./twoFactorService');
 
 // EmailService will be instantiated as needed
 
+// Links that prove control of an email for account linking rather than sign-in
+const IDENTITY_LINK_PURPOSE = 'EMAIL_VERIFICATION';
+
 class MagicLinkService {
   constructor() {
-    this.JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
     // Extended expiry for development, normal for production
     this.MAGIC_LINK_EXPIRY = process.env.NODE_ENV === 'development' 
       ? 60 * 60 * 1000  // 1 hour in development
@@ -174,7 +178,7 @@ class MagicLinkService {
   /**
    * Verify magic link and authenticate user
    */
-  async verifyMagicLink(token, email, userAgent = '', ipAddress = '') {
+  async verifyMagicLink(token, email, userAgent = '', ipAddress = '', deviceName = null) {
     try {
  console.log(' MAGIC LINK VERIFICATION START:', { 
         token: token.substring(0, 10) + '...', 
@@ -236,6 +240,14 @@ class MagicLinkService {
         };
       }
 
+      // Account-linking links are confirmed through identityController, never used to sign in
+      if (magicLink.purpose === IDENTITY_LINK_PURPOSE) {
+        return {
+          success: false,
+          message: 'Invalid magic link'
+        };
+      }
+
  console.log(' Step 4: Processing user...');
       let user = null;
       let isNewUser = false;
@@ -270,20 +282,20 @@ class MagicLinkService {
         }
       }
 
+      // Accounts folded into another by the merge tool sign in as the survivor
+      if (user?.merged_into_user_id) {
+        user = await this.findUserById(user.merged_into_user_id);
+      }
+
  console.log(' Step 5: Updating last login...');
       await this.updateUserLastLogin(user.id, ipAddress);
 
- console.log(' Step 6: Generating tokens...');
-      const accessToken = this.generateAccessToken(user);
-      const refreshToken = this.generateRefreshToken(user.id);
-
- console.log(' Step 7: Storing refresh token...');
-      await this.storeRefreshToken(user.id, refreshToken);
-      
- console.log(' Step 8: Marking magic link as used...');
+ console.log(' Step 6: Marking magic link as used...');
       await this.markMagicLinkAsUsed(token);
  console.log(' Magic link marked as used successfully');
 
+      await identityService.recordIdentity(user.id, 'email', magicLink.email);
+
       const { password_hash, ...safeUser } = user;
 
       // Transform snake_case to camelCase for mobile app
@@ -301,6 +313,27 @@ class MagicLinkService {
         updatedAt: safeUser.updated_at
       };
 
+      // Accounts with TOTP enabled get a challenge instead of tokens
+      if (await twoFactorService.isEnabled(user.id)) {
+        logger.info('Magic link verified, two-factor challenge issued', { userId: user.id });
+
+        return {
+          success: true,
+          message: 'Enter the code from your authenticator app to finish signing in',
+          user: transformedUser,
+          ...twoFactorService.buildChallengeData(user.id, { deviceName }),
+          isNewUser
+        };
+      }
+
+ console.log(' Step 7: Generating tokens...');
+      const { refreshToken, sessionId } = await tokenService.issueRefreshToken(user.id, {
+        ipAddress,
+        userAgent,
+        deviceName
+      });
+      const accessToken = tokenService.generateAccessToken(user, { sessionId });
+
  logger.info(`Magic link authentication successful`, {
         userId: user.id,
         email: user.email,
@@ -368,6 +401,86 @@ class MagicLinkService {
     return emailRegex.test(email);
   }
 
+  /**
+   * Send a link proving the signed-in user controls an email they want to link
+   */
+  async sendIdentityLink(userId, email, userAgent = '', ipAddress = '') {
+    try {
+      if (!this.isValidEmail(email)) {
+        return {
+          success: false,
+          message: 'Invalid email format',
+          code: 'INVALID_EMAIL'
+        };
+      }
+
+      const rateLimitCheck = await this.checkRateLimit(email);
+      if (!rateLimitCheck.allowed) {
+        return {
+          success: false,
+          message: `Too many requests. Please try again in ${rateLimitCheck.waitTime} minutes.`,
+          code: 'RATE_LIMIT_EXCEEDED'
+        };
+      }
+
+      const token = this.generateSecureToken();
+      await this.storeMagicLink({
+        email,
+        token,
+        userId,
+        purpose: IDENTITY_LINK_PURPOSE,
+        ipAddress,
+        userAgent,
+        expiresAt: new Date(Date.now() + this.MAGIC_LINK_EXPIRY)
+      });
+
+      const deepLink = `${this.APP_SCHEME}://link-email?token=${token}&email=${encodeURIComponent(email)}`;
+      await this.sendMagicLinkEmail(email, deepLink, IDENTITY_LINK_PURPOSE, '', deepLink);
+
+      logger.info('Identity link email sent', { userId, email });
+
+      return {
+        success: true,
+        message: 'Verification link sent to your email address',
+        expiresIn: this.MAGIC_LINK_EXPIRY / 1000 // seconds
+      };
+    } catch (error) {
+      logger.error('Error sending identity link:', error);
+      return {
+        success: false,
+        message: 'Failed to send verification link. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Consume an identity link; it must belong to the user confirming it
+   */
+  async consumeIdentityLink(token, email, userId) {
+    const magicLink = await this.findMagicLink(token);
+
+    if (!magicLink
+      || magicLink.purpose !== IDENTITY_LINK_PURPOSE
+      || magicLink.user_id !== userId
+      || magicLink.email.toLowerCase() !== `${email}`.toLowerCase()) {
+      return { success: false, message: 'Invalid verification link', code: 'INVALID_LINK' };
+    }
+
+    if (magicLink.is_used) {
+      return { success: false, message: 'This verification link has already been used', code: 'LINK_USED' };
+    }
+
+    if (new Date(magicLink.expires_at) < new Date()) {
+      await this.invalidateMagicLink(token);
+      return { success: false, message: 'Verification link has expired', code: 'LINK_EXPIRED' };
+    }
+
+    await this.markMagicLinkAsUsed(token);
+
+    return { success: true, data: { email: magicLink.email } };
+  }
+
   /**
    * Check rate limiting for magic link requests
    */
@@ -475,9 +588,15 @@ class MagicLinkService {
    * Find user by email
    */
   async findUserByEmail(email) {
+    const linkedUser = await identityService.findUserByIdentity('email', email);
+    if (linkedUser) {
+      return linkedUser;
+    }
+
     const query = `
       SELECT * FROM users 
       WHERE email = $1
+        AND merged_into_user_id IS NULL
     `;
     
     const result = await dbManager.query(query, [email]);
@@ -552,66 +671,15 @@ class MagicLinkService {
     await dbManager.query(query, [userId]);
   }
 
-  /**
-   * Generate JWT access token
-   */
-  generateAccessToken(user) {
-    return jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        userType: user.user_type
-      },
-      this.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
-  }
-
-  /**
-   * Generate JWT refresh token
-   */
-  generateRefreshToken(userId) {
-    return jwt.sign(
-      {
-        userId,
-        type: 'refresh'
-      },
-      process.env.JWT_REFRESH_SECRET || this.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-  }
-
-  /**
-   * Store refresh token
-   */
-  async storeRefreshToken(userId, refreshToken) {
-    // Check if user_sessions table exists, if not use simple approach
-    try {
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-      
-      const query = `
-        INSERT INTO user_sessions (user_id, session_token, refresh_token, expires_at)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (user_id) DO UPDATE SET
-        refresh_token = $3,
-        expires_at = $4,
-        updated_at = CURRENT_TIMESTAMP
-      `;
-      
-      await dbManager.query(query, [userId, crypto.randomUUID(), refreshToken, expiresAt]);
-    } catch (error) {
-      // Fallback: just log the refresh token (not recommended for production)
- logger.info(`Refresh token for user ${userId}: ${refreshToken}`);
-    }
-  }
-
   /**
    * Send magic link email
    */
   async sendMagicLinkEmail(email, magicLinkUrl, purpose, firstName = '', directDeepLink = '') {
     try {
       const isLogin = purpose === 'LOGIN';
-      const subject = isLogin ? 'Your FixRx Login Link' : 'Complete Your FixRx Registration';
+      const subject = purpose === IDENTITY_LINK_PURPOSE
+        ? 'Confirm your email for FixRx'
+        : (isLogin ? 'Your FixRx Login Link' : 'Complete Your FixRx Registration');
 
       const emailService = EmailService.getInstance();
       if (!emailService || !emailService.isConfigured) {
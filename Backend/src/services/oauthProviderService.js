@@ -0,0 +1,184 @@
+/**
+ * OAuth Provider Service for FixRx
+ * Verifies ID tokens from social sign-in providers (Google, Apple, Microsoft)
+ * against each provider's published JWKS and normalizes the profile they
+ * describe, so login and account linking share one verification path.
+ *
+ * Signing keys are cached in memory for the lifetime the provider advertises
+ * (Cache-Control max-age) and refetched early only when a token names a key
+ * id we have not seen, which is how providers roll their keys.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_JWKS_CACHE_TTL_SECONDS = parseInt(process.env.OAUTH_JWKS_CACHE_TTL_SECONDS, 10) || 3600;
+const MIN_JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const splitList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Per-provider settings. Audiences are the client ids this API accepts
+ * (comma-separated, e.g. an iOS bundle id and a web services id for Apple).
+ */
+const PROVIDERS = {
+  google: {
+    jwksUri: () => process.env.OAUTH_GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    audiences: () => splitList(process.env.GOOGLE_CLIENT_ID),
+    isValidIssuer: claims => ['https://accounts.google.com', 'accounts.google.com'].includes(claims.iss),
+    emailVerified: claims => claims.email_verified === true || claims.email_verified === 'true'
+  },
+  apple: {
+    jwksUri: () => process.env.OAUTH_APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+    audiences: () => splitList(process.env.APPLE_CLIENT_ID),
+    isValidIssuer: claims => claims.iss === 'https://appleid.apple.com',
+    // Apple sends booleans as strings
+    emailVerified: claims => claims.email_verified === true || claims.email_verified === 'true'
+  },
+  microsoft: {
+    jwksUri: () => process.env.OAUTH_MICROSOFT_JWKS_URI || 'https://login.microsoftonline.com/common/discovery/v2.0/keys',
+    audiences: () => splitList(process.env.MICROSOFT_CLIENT_ID),
+    isValidIssuer: (claims) => {
+      const tenant = process.env.MICROSOFT_TENANT_ID;
+      if (tenant && !['common', 'organizations', 'consumers'].includes(tenant) && claims.tid !== tenant) {
+        return false;
+      }
+      return Boolean(claims.tid) && claims.iss === `https://login.microsoftonline.com/${claims.tid}/v2.0`;
+    },
+    // Microsoft does not assert ownership of the email claim
+    emailVerified: () => false
+  }
+};
+
+class OAuthProviderService {
+  constructor() {
+    this.jwksCache = new Map();
+  }
+
+  getSupportedProviders() {
+    return Object.keys(PROVIDERS);
+  }
+
+  isSupported(provider) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, provider);
+  }
+
+  isConfigured(provider) {
+    return this.isSupported(provider) && PROVIDERS[provider].audiences().length > 0;
+  }
+
+  clearJwksCache() {
+    this.jwksCache.clear();
+  }
+
+  parseMaxAge(cacheControl) {
+    const match = /max-age=(\d+)/i.exec(cacheControl || '');
+    return match ? parseInt(match[1], 10) : DEFAULT_JWKS_CACHE_TTL_SECONDS;
+  }
+
+  async fetchJwks(jwksUri) {
+    const response = await axios.get(jwksUri, { timeout: 5000 });
+    const keys = Array.isArray(response.data?.keys) ? response.data.keys : [];
+
+    const entry = {
+      keys: new Map(keys.filter(key => key.kid).map(key => [key.kid, key])),
+      expiresAt: Date.now() + this.parseMaxAge(response.headers?.['cache-control']) * 1000,
+      fetchedAt: Date.now()
+    };
+
+    this.jwksCache.set(jwksUri, entry);
+    return entry;
+  }
+
+  /**
+   * Public key for a key id, refetching the JWKS when it is stale or the kid is new
+   */
+  async getSigningKey(jwksUri, kid) {
+    let entry = this.jwksCache.get(jwksUri);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      entry = await this.fetchJwks(jwksUri);
+    } else if (!entry.keys.has(kid) && Date.now() - entry.fetchedAt > MIN_JWKS_REFRESH_INTERVAL_MS) {
+      entry = await this.fetchJwks(jwksUri);
+    }
+
+    const jwk = entry.keys.get(kid);
+    return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+  }
+
+  /**
+   * Verify an ID token and return { provider, subject, email, emailVerified, ... }
+   */
+  async verifyIdToken(provider, idToken, { nonce = null } = {}) {
+    if (!this.isSupported(provider)) {
+      return { success: false, message: `Unsupported provider: ${provider}`, code: 'UNSUPPORTED_PROVIDER' };
+    }
+
+    const config = PROVIDERS[provider];
+    const audiences = config.audiences();
+    if (!audiences.length) {
+      return { success: false, message: `${provider} sign-in is not configured`, code: 'OAUTH_NOT_CONFIGURED' };
+    }
+
+    try {
+      const decoded = jwt.decode(idToken, { complete: true });
+      if (!decoded || !decoded.header || !decoded.header.kid) {
+        return { success: false, message: 'Invalid ID token', code: 'TOKEN_VERIFICATION_ERROR' };
+      }
+
+      let key;
+      try {
+        key = await this.getSigningKey(config.jwksUri(), decoded.header.kid);
+      } catch (error) {
+        logger.error('Failed to fetch provider signing keys', { provider, error: error.message });
+        return { success: false, message: `${provider} sign-in is temporarily unavailable`, code: 'OAUTH_PROVIDER_UNAVAILABLE' };
+      }
+
+      if (!key) {
+        return { success: false, message: 'ID token signed with an unknown key', code: 'TOKEN_VERIFICATION_ERROR' };
+      }
+
+      const claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience: audiences,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      });
+
+      if (!config.isValidIssuer(claims) || !claims.sub) {
+        return { success: false, message: 'Invalid ID token issuer', code: 'TOKEN_VERIFICATION_ERROR' };
+      }
+
+      // Native Apple sign-in hashes the nonce before handing it to Apple
+      if (nonce) {
+        const hashedNonce = crypto.createHash('sha256').update(nonce).digest('hex');
+        if (claims.nonce !== nonce && claims.nonce !== hashedNonce) {
+          return { success: false, message: 'ID token nonce mismatch', code: 'TOKEN_VERIFICATION_ERROR' };
+        }
+      }
+
+      const email = claims.email || (provider === 'microsoft' ? claims.preferred_username : null) || null;
+
+      return {
+        success: true,
+        data: {
+          provider,
+          subject: claims.sub,
+          email: email && email.includes('@') ? email.toLowerCase() : null,
+          emailVerified: Boolean(email) && config.emailVerified(claims),
+          name: claims.name || '',
+          givenName: claims.given_name || '',
+          familyName: claims.family_name || '',
+          picture: claims.picture || null
+        }
+      };
+    } catch (error) {
+      logger.warn('ID token verification failed', { provider, error: error.message });
+      return { success: false, message: 'ID token verification failed', code: 'TOKEN_VERIFICATION_ERROR' };
+    }
+  }
+}
+
+module.exports = new OAuthProviderService();
@@ -1,11 +1,12 @@
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 
 const { dbManager } = require('../config/database');
 const twilioService = require('./twilioService');
-const magicLinkService = require('./magicLinkService');
+const tokenService = require('./tokenService');
+const identityService = require('./identityService');
+const twoFactorService = require('./twoFactorService');
 const { logger } = require('../utils/logger');
 
 const OTP_LENGTH = parseInt(process.env.OTP_CODE_LENGTH || '6', 10);
@@ -14,7 +15,7 @@ const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SEC
 const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
 const OTP_BLOCK_DURATION_MINUTES = parseInt(process.env.OTP_BLOCK_DURATION_MINUTES || '15', 10);
 const OTP_SESSION_EXPIRY_DAYS = parseInt(process.env.OTP_SESSION_EXPIRY_DAYS || '7', 10);
-const OTP_PURPOSES = ['LOGIN', 'REGISTRATION'];
+const OTP_PURPOSES = ['LOGIN', 'REGISTRATION', 'LINK'];
 
 const OTP_DEV_MODE = process.env.OTP_DEV_MODE === 'true';
 const OTP_DEV_CODE = process.env.OTP_DEV_CODE || '123456';
@@ -157,7 +158,7 @@ class OtpService {
   /**
    * Verify OTP code
    */
-  async verifyOtp(rawPhone, code, ipAddress = '', userAgent = '', userType = 'CONSUMER') {
+  async verifyOtp(rawPhone, code, ipAddress = '', userAgent = '', userType = 'CONSUMER', deviceName = null) {
     try {
       const phoneNumber = this.formatPhoneNumber(rawPhone);
 
@@ -169,39 +170,12 @@ class OtpService {
         };
       }
 
-      const verification = await this.findActiveVerification(phoneNumber);
-      if (!verification) {
-        return {
-          success: false,
-          message: 'No active verification found. Please request a new code.',
-          code: 'VERIFICATION_NOT_FOUND'
-        };
+      const check = await this.checkOtpCode(phoneNumber, code);
+      if (!check.success) {
+        return check;
       }
 
-      const now = new Date();
-      if (new Date(verification.expires_at) < now) {
-        await this.markVerificationExpired(verification.id);
-        return {
-          success: false,
-          message: 'Verification code has expired. Please request a new one.',
-          code: 'OTP_EXPIRED'
-        };
-      }
-
-      const hashedInput = this.hashOtpCode(code, verification.otp_code_salt);
-      if (hashedInput !== verification.otp_code_hash) {
-        const attemptsResult = await this.incrementVerificationAttempts(verification);
-        return {
-          success: false,
-          message: attemptsResult.blocked
-            ? 'Too many incorrect attempts. Please try again later.'
-            : 'Invalid verification code. Please try again.',
-          code: attemptsResult.blocked ? 'TOO_MANY_ATTEMPTS' : 'INVALID_CODE',
-          retryAfterSeconds: attemptsResult.retryAfterSeconds
-        };
-      }
-
-      await this.markVerificationVerified(verification.id);
+      const { verification } = check;
 
       const userResult = await this.findOrCreateUserByPhone(phoneNumber, {
         ipAddress,
@@ -210,6 +184,20 @@ class OtpService {
         userType
       });
 
+      // Accounts with TOTP enabled get a challenge instead of tokens
+      if (await twoFactorService.isEnabled(userResult.user.id)) {
+        logger.info('OTP verified, two-factor challenge issued', { phoneNumber, userId: userResult.user.id });
+
+        return {
+          success: true,
+          message: 'Enter the code from your authenticator app to finish signing in',
+          data: {
+            user: this.toSafeUser(userResult.user),
+            ...twoFactorService.buildChallengeData(userResult.user.id, { deviceName })
+          }
+        };
+      }
+
       const sessionToken = await this.createPhoneAuthSession({
         phoneNumber,
         userId: userResult.user.id,
@@ -218,9 +206,12 @@ class OtpService {
         userAgent
       });
 
-      const accessToken = this.generateAccessToken(userResult.user);
-      const refreshToken = this.generateRefreshToken(userResult.user.id);
-      await this.storeRefreshToken(userResult.user.id, refreshToken);
+      const { refreshToken, sessionId } = await tokenService.issueRefreshToken(userResult.user.id, {
+        ipAddress,
+        userAgent,
+        deviceName
+      });
+      const accessToken = tokenService.generateAccessToken(userResult.user, { sessionId });
 
       const safeUser = this.toSafeUser(userResult.user);
 
@@ -252,6 +243,78 @@ class OtpService {
     }
   }
 
+  /**
+   * Check a code against the phone's pending verification and consume it
+   */
+  async checkOtpCode(phoneNumber, code) {
+    const verification = await this.findActiveVerification(phoneNumber);
+    if (!verification) {
+      return {
+        success: false,
+        message: 'No active verification found. Please request a new code.',
+        code: 'VERIFICATION_NOT_FOUND'
+      };
+    }
+
+    const now = new Date();
+    if (new Date(verification.expires_at) < now) {
+      await this.markVerificationExpired(verification.id);
+      return {
+        success: false,
+        message: 'Verification code has expired. Please request a new one.',
+        code: 'OTP_EXPIRED'
+      };
+    }
+
+    const hashedInput = this.hashOtpCode(code, verification.otp_code_salt);
+    if (hashedInput !== verification.otp_code_hash) {
+      const attemptsResult = await this.incrementVerificationAttempts(verification);
+      return {
+        success: false,
+        message: attemptsResult.blocked
+          ? 'Too many incorrect attempts. Please try again later.'
+          : 'Invalid verification code. Please try again.',
+        code: attemptsResult.blocked ? 'TOO_MANY_ATTEMPTS' : 'INVALID_CODE',
+        retryAfterSeconds: attemptsResult.retryAfterSeconds
+      };
+    }
+
+    await this.markVerificationVerified(verification.id);
+
+    return { success: true, verification };
+  }
+
+  /**
+   * Prove control of a phone number without signing in (account linking)
+   */
+  async verifyPhoneOwnership(rawPhone, code) {
+    try {
+      const phoneNumber = this.formatPhoneNumber(rawPhone);
+
+      if (!phoneNumber) {
+        return {
+          success: false,
+          message: 'Invalid phone number format',
+          code: 'INVALID_PHONE'
+        };
+      }
+
+      const check = await this.checkOtpCode(phoneNumber, code);
+      if (!check.success) {
+        return check;
+      }
+
+      return { success: true, data: { phone: phoneNumber } };
+    } catch (error) {
+      logger.error('Error verifying phone ownership:', error);
+      return {
+        success: false,
+        message: 'Failed to verify code. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
   /**
    * Utility & persistence helpers
    */
@@ -534,10 +597,16 @@ class OtpService {
   }
 
   async findUserByPhone(phoneNumber) {
+    const linkedUser = await identityService.findUserByIdentity('phone', phoneNumber);
+    if (linkedUser) {
+      return linkedUser;
+    }
+
     const result = await dbManager.query(
       `SELECT *
          FROM users
         WHERE phone = $1
+          AND merged_into_user_id IS NULL
         LIMIT 1`,
       [phoneNumber]
     );
@@ -556,7 +625,7 @@ class OtpService {
 
     await dbManager.query(
       `UPDATE users
-          SET phone = $1,
+          SET phone = COALESCE(phone, $1),
               phone_verified = TRUE,
               phone_verified_at = NOW(),
               otp_verified = TRUE,
@@ -568,6 +637,8 @@ class OtpService {
       [phoneNumber, ipAddress, userAgent, user.id]
     );
 
+    await identityService.recordIdentity(user.id, 'phone', phoneNumber);
+
     const refreshedUser = await this.findUserById(user.id);
 
     return {
@@ -663,44 +734,6 @@ class OtpService {
     return sessionToken;
   }
 
-  generateAccessToken(user) {
-    const secret = process.env.JWT_SECRET || 'your-secret-key';
-    return jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        userType: user.user_type,
-        phone: user.phone
-      },
-      secret,
-      {
-        expiresIn: process.env.OTP_ACCESS_TOKEN_TTL || '15m'
-      }
-    );
-  }
-
-  generateRefreshToken(userId) {
-    const refreshSecret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET || 'your-secret-key';
-    return jwt.sign(
-      {
-        userId,
-        type: 'refresh'
-      },
-      refreshSecret,
-      {
-        expiresIn: process.env.OTP_REFRESH_TOKEN_TTL || '7d'
-      }
-    );
-  }
-
-  async storeRefreshToken(userId, refreshToken) {
-    try {
-      await magicLinkService.storeRefreshToken(userId, refreshToken);
-    } catch (error) {
-      logger.warn('Failed to store refresh token in user_sessions', { userId, error: error.message });
-    }
-  }
-
   toSafeUser(user) {
     if (!user) return null;
     return {
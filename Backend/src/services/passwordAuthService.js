@@ -0,0 +1,364 @@
+/**
+ * Password Authentication Service for FixRx
+ * Handles email/password registration and login with bcrypt hashing and
+ * lockout after repeated failed attempts
+ */
+
+const bcrypt = require('bcryptjs');
+
+const { dbManager } = require('../config/database');
+const tokenService = require('./tokenService');
+const twoFactorService = require('./twoFactorService');
+const geocodingService = require('./geocodingService');
+const { logger } = require('../utils/logger');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12', 10);
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+
+class PasswordAuthService {
+  /**
+   * Register a new user with a hashed password
+   */
+  async register({ email, password, firstName, lastName, userType = 'consumer', phone = null, metroArea = null }) {
+    try {
+      const normalizedEmail = this.normalizeEmail(email);
+
+      const existingUser = await this.findUserByEmail(normalizedEmail);
+      if (existingUser) {
+        return {
+          success: false,
+          message: 'An account already exists with this email address',
+          code: 'USER_ALREADY_EXISTS'
+        };
+      }
+
+      const passwordHash = await this.hashPassword(password);
+
+      const result = await dbManager.query(
+        `INSERT INTO users (
+            email,
+            password_hash,
+            first_name,
+            last_name,
+            user_type,
+            phone,
+            metro_area,
+            created_at,
+            updated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+          RETURNING *`,
+        [
+          normalizedEmail,
+          passwordHash,
+          firstName,
+          lastName,
+          userType.toLowerCase(),
+          phone,
+          geocodingService.normalizeMetroArea(metroArea)
+        ]
+      );
+
+      const user = result.rows[0];
+
+      logger.info('User registered with password', { userId: user.id, userType: user.user_type });
+
+      return {
+        success: true,
+        message: 'User registered successfully',
+        data: { user: this.toSafeUser(user) }
+      };
+    } catch (error) {
+      logger.error('Error registering user:', error);
+      return {
+        success: false,
+        message: 'Failed to register user. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Verify email/password credentials and issue an access token
+   */
+  async login(email, password, ipAddress = '', userAgent = '', deviceName = null) {
+    try {
+      const normalizedEmail = this.normalizeEmail(email);
+      const now = new Date();
+
+      const lockStatus = await this.isAccountLocked(normalizedEmail, now);
+      if (lockStatus.locked) {
+        return {
+          success: false,
+          message: 'Account temporarily locked due to multiple failed attempts',
+          code: 'ACCOUNT_LOCKED',
+          retryAfterSeconds: lockStatus.retryAfterSeconds
+        };
+      }
+
+      const user = await this.findUserByEmail(normalizedEmail);
+
+      // Users created through magic link, OTP or Google may have no usable
+      // password. Unknown emails still pay for a bcrypt comparison so response
+      // times don't reveal which addresses are registered.
+      let isPasswordValid = false;
+      if (user?.password_hash) {
+        isPasswordValid = await this.verifyPassword(password, user.password_hash);
+      } else {
+        await this.verifyPassword(password, await this.getDummyHash());
+      }
+
+      if (!isPasswordValid) {
+        await this.logLoginAttempt({
+          email: normalizedEmail,
+          userId: user?.id || null,
+          success: false,
+          ipAddress,
+          userAgent
+        });
+
+        return {
+          success: false,
+          message: 'Invalid email or password',
+          code: 'INVALID_CREDENTIALS'
+        };
+      }
+
+      if (user.is_active === false || user.status === 'suspended' || user.status === 'deleted') {
+        return {
+          success: false,
+          message: 'User account is inactive',
+          code: 'USER_INACTIVE'
+        };
+      }
+
+      await this.logLoginAttempt({
+        email: normalizedEmail,
+        userId: user.id,
+        success: true,
+        ipAddress,
+        userAgent
+      });
+      await this.clearFailedAttempts(normalizedEmail);
+
+      await dbManager.query(
+        `UPDATE users
+            SET last_login_at = NOW(),
+                updated_at = NOW()
+          WHERE id = $1`,
+        [user.id]
+      );
+
+      // Accounts with TOTP enabled get a challenge instead of tokens
+      if (await twoFactorService.isEnabled(user.id)) {
+        logger.info('Password verified, two-factor challenge issued', { userId: user.id });
+
+        return {
+          success: true,
+          message: 'Enter the code from your authenticator app to finish signing in',
+          data: {
+            ...twoFactorService.buildChallengeData(user.id, { deviceName }),
+            user: this.toSafeUser(user)
+          }
+        };
+      }
+
+      const { refreshToken, sessionId } = await tokenService.issueRefreshToken(user.id, {
+        ipAddress,
+        userAgent,
+        deviceName
+      });
+      const token = tokenService.generateAccessToken(user, { sessionId });
+
+      logger.info('Password login successful', { userId: user.id });
+
+      return {
+        success: true,
+        message: 'Login successful',
+        data: {
+          token,
+          refreshToken,
+          sessionId,
+          user: this.toSafeUser(user)
+        }
+      };
+    } catch (error) {
+      logger.error('Error during password login:', error);
+      return {
+        success: false,
+        message: 'Failed to log in. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Change (or set a first) password; every token the user already holds stops working
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    try {
+      const result = await dbManager.query('SELECT * FROM users WHERE id = $1 LIMIT 1', [userId]);
+      const user = result.rows[0];
+
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (user.password_hash) {
+        const isPasswordValid = currentPassword
+          ? await this.verifyPassword(currentPassword, user.password_hash)
+          : false;
+
+        if (!isPasswordValid) {
+          return {
+            success: false,
+            message: 'Current password is incorrect',
+            code: 'INVALID_CREDENTIALS'
+          };
+        }
+      }
+
+      const passwordHash = await this.hashPassword(newPassword);
+
+      await dbManager.query(
+        `UPDATE users
+            SET password_hash = $2,
+                updated_at = NOW()
+          WHERE id = $1`,
+        [userId, passwordHash]
+      );
+
+      await tokenService.invalidateUserTokens(userId, 'password_change');
+
+      logger.info('Password changed, all sessions revoked', { userId });
+
+      return {
+        success: true,
+        message: 'Password changed successfully. Please sign in again.'
+      };
+    } catch (error) {
+      logger.error('Error changing password:', error);
+      return {
+        success: false,
+        message: 'Failed to change password. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Utility & persistence helpers
+   */
+  normalizeEmail(email) {
+    return `${email || ''}`.trim().toLowerCase();
+  }
+
+  async hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Hash with the same cost as real ones, created once per process
+   */
+  getDummyHash() {
+    if (!this.dummyHash) {
+      this.dummyHash = bcrypt.hash('fixrx-no-such-account', BCRYPT_ROUNDS);
+    }
+    return this.dummyHash;
+  }
+
+  async verifyPassword(password, passwordHash) {
+    try {
+      return await bcrypt.compare(password, passwordHash);
+    } catch (error) {
+      logger.warn('Password hash comparison failed', { error: error.message });
+      return false;
+    }
+  }
+
+  async findUserByEmail(email) {
+    const result = await dbManager.query(
+      `SELECT *
+         FROM users
+        WHERE LOWER(email) = $1
+        LIMIT 1`,
+      [email]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async logLoginAttempt({ email, userId, success, ipAddress, userAgent }) {
+    try {
+      await dbManager.query(
+        `INSERT INTO login_attempts (email, user_id, success, ip_address, user_agent, attempted_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [email, userId, success, ipAddress, userAgent ? userAgent.substring(0, 255) : null]
+      );
+    } catch (error) {
+      logger.warn('Failed to record login attempt', { email, error: error.message });
+    }
+  }
+
+  /**
+   * An account is locked once it has LOGIN_MAX_FAILED_ATTEMPTS failures inside
+   * the lockout window; the lock lifts when the oldest of those failures ages out.
+   */
+  async isAccountLocked(email, now = new Date()) {
+    const windowStart = new Date(now.getTime() - LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+    const result = await dbManager.query(
+      `SELECT attempted_at
+         FROM login_attempts
+        WHERE email = $1
+          AND success = FALSE
+          AND attempted_at >= $2
+        ORDER BY attempted_at DESC
+        LIMIT $3`,
+      [email, windowStart, LOGIN_MAX_FAILED_ATTEMPTS]
+    );
+
+    if (result.rows.length < LOGIN_MAX_FAILED_ATTEMPTS) {
+      return { locked: false };
+    }
+
+    const oldestFailure = new Date(result.rows[result.rows.length - 1].attempted_at);
+    const unlockAt = oldestFailure.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+
+    return {
+      locked: true,
+      retryAfterSeconds: Math.max(1, Math.ceil((unlockAt - now.getTime()) / 1000))
+    };
+  }
+
+  async clearFailedAttempts(email) {
+    await dbManager.query(
+      `DELETE FROM login_attempts
+        WHERE email = $1
+          AND success = FALSE`,
+      [email]
+    );
+  }
+
+  toSafeUser(user) {
+    if (!user) return null;
+    return {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      userType: user.user_type,
+      role: user.user_type ? user.user_type.toLowerCase() : null,
+      phone: user.phone || null,
+      metroArea: user.metro_area || null,
+      createdAt: user.created_at,
+      updatedAt: user.updated_at
+    };
+  }
+}
+
+module.exports = new PasswordAuthService();
@@ -5,6 +5,7 @@
 
 const Queue = require('bull');
 const { dbManager } = require('../config/database');
+const licenseRegistryService = require('./licenseRegistryService');
 
 class QueueManager {
   constructor() {
@@ -86,6 +87,24 @@ class QueueManager {
         }
       });
 
+      // Periodic housekeeping (e.g. expiring quotes)
+      this.queues.scheduled = new Queue('Scheduled Tasks', {
+        redis: {
+          host: process.env.REDIS_HOST || 'localhost',
+          port: process.env.REDIS_PORT || 6379,
+          password: process.env.REDIS_PASSWORD || null
+        },
+        defaultJobOptions: {
+          removeOnComplete: 50,
+          removeOnFail: 50,
+          attempts: 3,
+          backoff: {
+            type: 'exponential',
+            delay: 10000
+          }
+        }
+      });
+
       // Setup job processors
       this.setupProcessors();
       
@@ -212,7 +231,7 @@ class QueueManager {
 
     // License Verification Processing
     this.queues.verification.process('verify-license', 3, async (job) => {
-      const { vendorId, licenseNumber, licenseType, state } = job.data;
+      const { vendorId, verificationId, licenseNumber, licenseType, state } = job.data;
       
       try {
         // Check cache first
@@ -220,7 +239,7 @@ class QueueManager {
         let verification = await dbManager.getCache(cacheKey);
         
         if (!verification) {
-          // Verify via Verdata/Mesh API (mock implementation)
+          // Look the license up in the configured state registry
           verification = await this.verifyLicense({
             licenseNumber,
             licenseType,
@@ -228,11 +247,13 @@ class QueueManager {
           });
           
           // Cache for 24 hours
-          await dbManager.setCache(cacheKey, verification, 86400);
+          if (verification) {
+            await dbManager.setCache(cacheKey, verification, 86400);
+          }
         }
         
-        // Update vendor record
-        await this.updateVendorVerification(vendorId, verification);
+        // Attach the result to the vendor's submission
+        await this.updateVendorVerification(vendorId, verification, verificationId);
         
         job.progress(100);
         
@@ -243,6 +264,67 @@ class QueueManager {
         throw error;
       }
     });
+
+    // Daily sweep for expiring and lapsed licenses and insurance
+    this.queues.verification.process('check-expirations', 1, async () => {
+      // Loaded lazily: vendorVerificationService queues its registry checks through this manager
+      const vendorVerificationService = require('./vendorVerificationService');
+      const result = await vendorVerificationService.checkExpirations();
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      return result.data;
+    });
+
+    this.queues.verification.add('check-expirations', {}, {
+      jobId: 'verification-expiry-check',
+      repeat: { cron: process.env.VERIFICATION_EXPIRY_CRON || '0 6 * * *' }
+    }).catch(error => console.error('❌ Failed to schedule verification expiry check:', error));
+
+    // Mark lapsed quotes expired and notify both sides
+    this.queues.scheduled.process('expire-quotes', 1, async () => {
+      const quoteService = require('./quoteService');
+      const result = await quoteService.expireQuotes();
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      return result.data;
+    });
+
+    this.queues.scheduled.add('expire-quotes', {}, {
+      jobId: 'quote-expiry-sweep',
+      repeat: { cron: process.env.QUOTE_EXPIRY_CRON || '*/15 * * * *' }
+    }).catch(error => console.error('❌ Failed to schedule quote expiry sweep:', error));
+
+    // Confirm completed jobs the consumer neither confirmed nor disputed in time
+    this.queues.scheduled.process('confirm-completions', 1, async () => {
+      const jobCompletionService = require('./jobCompletionService');
+      const result = await jobCompletionService.confirmCompletions();
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      return result.data;
+    });
+
+    this.queues.scheduled.add('confirm-completions', {}, {
+      jobId: 'job-confirmation-sweep',
+      repeat: { cron: process.env.JOB_CONFIRMATION_CRON || '0 * * * *' }
+    }).catch(error => console.error('❌ Failed to schedule job confirmation sweep:', error));
+
+    // Rebuild the vendor text search index, catching edits made outside the API
+    this.queues.scheduled.process('refresh-search-index', 1, async () => {
+      const vendorSearchIndexService = require('./vendorSearchIndexService');
+      const result = await vendorSearchIndexService.refreshAll();
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      return result.data;
+    });
+
+    this.queues.scheduled.add('refresh-search-index', {}, {
+      jobId: 'search-index-rebuild',
+      repeat: { cron: process.env.SEARCH_INDEX_CRON || '15 3 * * *' }
+    }).catch(error => console.error('❌ Failed to schedule search index rebuild:', error));
   }
 
   setupMonitoring() {
@@ -302,7 +384,8 @@ class QueueManager {
       priority: options.priority || 'normal'
     }, {
       priority: options.priority === 'high' ? 1 : options.priority === 'low' ? 10 : 5,
-      delay: options.delay || 0
+      delay: options.delay || 0,
+      jobId: options.jobId
     });
   }
 
@@ -328,13 +411,25 @@ class QueueManager {
       data: options.data || {},
       topic: options.topic
     }, {
-      priority: options.priority === 'high' ? 1 : 5
+      priority: options.priority === 'high' ? 1 : 5,
+      delay: options.delay || 0,
+      jobId: options.jobId
     });
   }
 
-  async addVerificationJob(vendorId, licenseNumber, licenseType, state) {
+  // Withdraw a queued job (e.g. a reminder for a cancelled appointment)
+  async removeJob(queueName, jobId) {
+    const job = await this.queues[queueName].getJob(jobId);
+    if (job) {
+      await job.remove();
+    }
+    return Boolean(job);
+  }
+
+  async addVerificationJob(vendorId, licenseNumber, licenseType, state, verificationId = null) {
     return await this.queues.verification.add('verify-license', {
       vendorId,
+      verificationId,
       licenseNumber,
       licenseType,
       state
@@ -443,20 +538,18 @@ class QueueManager {
   }
 
   async verifyLicense(licenseData) {
-    // Mock license verification
-    return {
-      isValid: Math.random() > 0.1, // 90% success rate
-      licenseNumber: licenseData.licenseNumber,
-      licenseType: licenseData.licenseType,
-      state: licenseData.state,
-      expirationDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
-      verifiedAt: new Date().toISOString()
-    };
+    // null when no registry adapter is configured (manual review only)
+    return licenseRegistryService.lookup(licenseData);
   }
 
-  async updateVendorVerification(vendorId, verification) {
-    // Mock database update
-    console.log(`📝 Updated vendor ${vendorId} verification:`, verification);
+  async updateVendorVerification(vendorId, verification, verificationId) {
+    if (!verification || !verificationId) {
+      return;
+    }
+
+    const vendorVerificationService = require('./vendorVerificationService');
+    await vendorVerificationService.recordRegistryResult(verificationId, verification);
+    console.log(`📝 Recorded license registry result for vendor ${vendorId}:`, { verificationId, isValid: verification.isValid });
   }
 
   async logCommunication(type, data) {
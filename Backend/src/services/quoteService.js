@@ -0,0 +1,601 @@
+/**
+ * Quote Service for FixRx
+ * Itemized quotes (labor, materials and other lines plus tax) that a vendor
+ * attaches to a connection request.
+ *
+ * A quote is open while pending (awaiting the consumer) or countered (the
+ * consumer asked for changes); a request has at most one open quote. The
+ * vendor revises an open quote to answer a counter or correct it; every
+ * revision is kept, and the consumer accepts a specific revision so a quote
+ * cannot change underneath them. Sending a quote moves the request's job to
+ * quoted and accepting it moves the job (and so the connection request) to
+ * accepted. Open quotes expire at their expiry time: they read as expired
+ * straight away and a scheduled sweep persists the status and notifies both
+ * sides.
+ */
+
+const { dbManager } = require('../config/database');
+const socketManager = require('./socketManager');
+const jobService = require('./jobService');
+const { calculateTotals } = require('../utils/quoteTotals');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_VALID_DAYS = parseInt(process.env.QUOTE_VALID_DAYS || '14', 10);
+const MAX_TOTAL = 99999999.99;
+const OPEN_STATUSES = ['pending', 'countered'];
+
+class QuoteService {
+  currentStatus(row) {
+    if (OPEN_STATUSES.includes(row.status) && new Date(row.expires_at) <= new Date()) {
+      return 'expired';
+    }
+    return row.status;
+  }
+
+  formatRevision(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      revision: row.revision,
+      lineItems: row.line_items,
+      laborTotal: Number(row.labor_total),
+      materialsTotal: Number(row.materials_total),
+      otherTotal: Number(row.other_total),
+      subtotal: Number(row.subtotal),
+      taxRate: Number(row.tax_rate),
+      taxTotal: Number(row.tax_total),
+      total: Number(row.total),
+      notes: row.notes,
+      expiresAt: row.expires_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  formatQuote(row, revision = row.revision_row) {
+    return {
+      id: row.id,
+      connectionRequestId: row.connection_request_id,
+      consumerId: row.consumer_id,
+      vendorId: row.vendor_id,
+      status: this.currentStatus(row),
+      currentRevision: row.current_revision,
+      acceptedRevision: row.accepted_revision,
+      currency: row.currency,
+      total: Number(row.total),
+      expiresAt: row.expires_at,
+      respondedAt: row.responded_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      details: this.formatRevision(revision)
+    };
+  }
+
+  participantIds(row) {
+    return [row.consumer_id, row.vendor_id];
+  }
+
+  /**
+   * Expiry from an explicit time or a number of days from now
+   */
+  resolveExpiry({ expiresAt = null, validDays = null }) {
+    if (expiresAt) {
+      return new Date(expiresAt);
+    }
+    return new Date(Date.now() + (validDays || DEFAULT_VALID_DAYS) * DAY_MS);
+  }
+
+  /**
+   * Price the line items, or explain why the quote cannot be stored
+   */
+  price(lineItems, taxRate) {
+    const totals = calculateTotals(lineItems, taxRate);
+    if (totals.total > MAX_TOTAL) {
+      return { failure: { success: false, message: 'Quote total is too large', code: 'VALIDATION_ERROR' } };
+    }
+    return { totals };
+  }
+
+  async insertRevision(client, quoteId, revision, totals, { notes, expiresAt, actorId }) {
+    const result = await client.query(
+      `INSERT INTO quote_revisions (
+         quote_id, revision, line_items, labor_total, materials_total, other_total,
+         subtotal, tax_rate, tax_total, total, notes, expires_at, created_by
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        quoteId, revision, JSON.stringify(totals.lineItems), totals.laborTotal, totals.materialsTotal, totals.otherTotal,
+        totals.subtotal, totals.taxRate, totals.taxTotal, totals.total, notes || null, expiresAt, actorId
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async recordEvent(client, quoteId, { revision, actorId = null, event, message = null, proposedTotal = null }) {
+    await client.query(
+      `INSERT INTO quote_events (quote_id, revision, actor_id, event, message, proposed_total)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [quoteId, revision, actorId, event, message, proposedTotal]
+    );
+  }
+
+  /**
+   * Attach a quote to a connection request
+   */
+  async createQuote(actorId, connectionRequestId, { lineItems, taxRate = 0, currency = 'USD', notes = null, expiresAt = null, validDays = null }) {
+    const { totals, failure: priceFailure } = this.price(lineItems, taxRate);
+    if (priceFailure) {
+      return priceFailure;
+    }
+    const expiry = this.resolveExpiry({ expiresAt, validDays });
+
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let quote;
+    let revision;
+    let jobChange = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const requestResult = await client.query(
+        `SELECT * FROM connection_requests
+          WHERE id = $1 AND (consumer_id = $2 OR vendor_id = $2)
+          FOR UPDATE`,
+        [connectionRequestId, actorId]
+      );
+      const connection = requestResult.rows[0];
+      if (!connection) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Connection request not found', code: 'CONNECTION_NOT_FOUND' };
+      }
+      if (connection.vendor_id !== actorId) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Only the vendor can quote on a request', code: 'FORBIDDEN' };
+      }
+      if (!['PENDING', 'ACCEPTED'].includes(connection.status)) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'This request is no longer open', code: 'CONNECTION_CLOSED' };
+      }
+
+      // A lapsed quote that the sweep has not reached yet should not block a new one
+      const lapsed = await client.query(
+        `UPDATE quotes SET status = 'expired', updated_at = NOW()
+          WHERE connection_request_id = $1 AND status IN ('pending', 'countered') AND expires_at <= NOW()
+          RETURNING id, current_revision`,
+        [connectionRequestId]
+      );
+      for (const row of lapsed.rows) {
+        await this.recordEvent(client, row.id, { revision: row.current_revision, event: 'expired' });
+      }
+
+      const openResult = await client.query(
+        `SELECT id FROM quotes
+          WHERE connection_request_id = $1 AND status IN ('pending', 'countered')`,
+        [connectionRequestId]
+      );
+      if (openResult.rows.length) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          message: 'This request already has an open quote; revise it instead',
+          code: 'QUOTE_ALREADY_OPEN',
+          data: { quoteId: openResult.rows[0].id }
+        };
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO quotes (connection_request_id, consumer_id, vendor_id, currency, total, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [connection.id, connection.consumer_id, connection.vendor_id, currency, totals.total, expiry]
+      );
+      quote = inserted.rows[0];
+
+      revision = await this.insertRevision(client, quote.id, 1, totals, { notes, expiresAt: expiry, actorId });
+      await this.recordEvent(client, quote.id, { revision: 1, actorId, event: 'sent' });
+
+      const job = await jobService.lockJobForRequest(client, connection);
+      if (job.status === 'requested') {
+        jobChange = await jobService.applyTransition(client, job, {
+          to: 'quoted',
+          actorId,
+          roles: ['vendor'],
+          metadata: { quoteId: quote.id }
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error creating quote:', error);
+      return { success: false, message: 'Failed to create quote', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    this.afterChange('sent', quote, revision);
+    if (jobChange && jobChange.job) {
+      await jobService.afterTransition(jobChange.job, jobChange.from, { actorId });
+    }
+    logger.info('Quote sent', { quoteId: quote.id, connectionRequestId });
+
+    return {
+      success: true,
+      message: 'Quote sent',
+      data: { quote: this.formatQuote(quote, revision) }
+    };
+  }
+
+  /**
+   * Lock a participant's quote for a change by the given side
+   */
+  async lockQuote(client, quoteId, actorId, side) {
+    const result = await client.query(
+      `SELECT * FROM quotes
+        WHERE id = $1 AND (consumer_id = $2 OR vendor_id = $2)
+        FOR UPDATE`,
+      [quoteId, actorId]
+    );
+    const quote = result.rows[0];
+
+    if (!quote) {
+      return { failure: { success: false, message: 'Quote not found', code: 'QUOTE_NOT_FOUND' } };
+    }
+    if (quote[`${side}_id`] !== actorId) {
+      return { failure: { success: false, message: `Only the ${side} can do this`, code: 'FORBIDDEN' } };
+    }
+
+    const status = this.currentStatus(quote);
+    if (status === 'expired') {
+      return { failure: { success: false, message: 'This quote has expired', code: 'QUOTE_EXPIRED' } };
+    }
+    if (!OPEN_STATUSES.includes(status)) {
+      return { failure: { success: false, message: `This quote has been ${status}`, code: 'QUOTE_CLOSED' } };
+    }
+
+    return { quote };
+  }
+
+  async loadRevision(client, quote) {
+    const result = await client.query(
+      'SELECT * FROM quote_revisions WHERE quote_id = $1 AND revision = $2',
+      [quote.id, quote.current_revision]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * New revision of an open quote, e.g. in answer to a counter
+   */
+  async reviseQuote(quoteId, actorId, { lineItems, taxRate = 0, notes = null, expiresAt = null, validDays = null }) {
+    const { totals, failure: priceFailure } = this.price(lineItems, taxRate);
+    if (priceFailure) {
+      return priceFailure;
+    }
+    const expiry = this.resolveExpiry({ expiresAt, validDays });
+
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let quote;
+    let revision;
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await this.lockQuote(client, quoteId, actorId, 'vendor');
+      if (locked.failure) {
+        await client.query('ROLLBACK');
+        return locked.failure;
+      }
+
+      const updated = await client.query(
+        `UPDATE quotes
+            SET current_revision = current_revision + 1, status = 'pending', total = $2,
+                expires_at = $3, updated_at = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [quoteId, totals.total, expiry]
+      );
+      quote = updated.rows[0];
+
+      revision = await this.insertRevision(client, quoteId, quote.current_revision, totals, { notes, expiresAt: expiry, actorId });
+      await this.recordEvent(client, quoteId, { revision: quote.current_revision, actorId, event: 'revised' });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error revising quote:', error);
+      return { success: false, message: 'Failed to revise quote', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    this.afterChange('revised', quote, revision);
+
+    return {
+      success: true,
+      message: 'Quote revised',
+      data: { quote: this.formatQuote(quote, revision) }
+    };
+  }
+
+  /**
+   * Accept the given revision; fails if the vendor has revised it since
+   */
+  async acceptQuote(quoteId, actorId, { revision: acceptedRevision }) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let quote;
+    let revision;
+    let jobChange = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await this.lockQuote(client, quoteId, actorId, 'consumer');
+      if (locked.failure) {
+        await client.query('ROLLBACK');
+        return locked.failure;
+      }
+      if (locked.quote.current_revision !== acceptedRevision) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          message: 'The vendor has revised this quote; review the latest revision',
+          code: 'QUOTE_REVISED',
+          data: { currentRevision: locked.quote.current_revision }
+        };
+      }
+
+      const job = await jobService.lockJobForRequest(client, {
+        id: locked.quote.connection_request_id,
+        consumer_id: locked.quote.consumer_id,
+        vendor_id: locked.quote.vendor_id
+      });
+      if (job.status === 'cancelled') {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'This request is no longer open', code: 'CONNECTION_CLOSED' };
+      }
+
+      const updated = await client.query(
+        `UPDATE quotes
+            SET status = 'accepted', accepted_revision = current_revision, responded_at = NOW(), updated_at = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [quoteId]
+      );
+      quote = updated.rows[0];
+      revision = await this.loadRevision(client, quote);
+
+      // The consumer agreeing to the vendor's price accepts a job still waiting on it
+      if (job.status === 'quoted') {
+        jobChange = await jobService.applyTransition(client, job, {
+          to: 'accepted',
+          actorId,
+          roles: ['consumer'],
+          metadata: { quoteId, revision: quote.current_revision }
+        });
+      }
+      await client.query('UPDATE service_jobs SET accepted_quote_id = $2 WHERE id = $1', [job.id, quoteId]);
+
+      await this.recordEvent(client, quoteId, { revision: quote.current_revision, actorId, event: 'accepted' });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error accepting quote:', error);
+      return { success: false, message: 'Failed to accept quote', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    this.afterChange('accepted', quote, revision);
+    if (jobChange && jobChange.job) {
+      await jobService.afterTransition(jobChange.job, jobChange.from, { actorId });
+    }
+
+    return {
+      success: true,
+      message: 'Quote accepted',
+      data: { quote: this.formatQuote(quote, revision) }
+    };
+  }
+
+  /**
+   * Ask the vendor for changes, optionally naming a price
+   */
+  async counterQuote(quoteId, actorId, { message, proposedTotal = null }) {
+    return this.respond(quoteId, actorId, {
+      event: 'countered',
+      status: 'countered',
+      message,
+      proposedTotal,
+      successMessage: 'Counter-offer sent'
+    });
+  }
+
+  async rejectQuote(quoteId, actorId, { reason = null }) {
+    return this.respond(quoteId, actorId, {
+      event: 'rejected',
+      status: 'rejected',
+      message: reason,
+      successMessage: 'Quote rejected'
+    });
+  }
+
+  /**
+   * Consumer response that moves the quote to another status
+   */
+  async respond(quoteId, actorId, { event, status, message = null, proposedTotal = null, successMessage }) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let quote;
+    let revision;
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await this.lockQuote(client, quoteId, actorId, 'consumer');
+      if (locked.failure) {
+        await client.query('ROLLBACK');
+        return locked.failure;
+      }
+
+      const updated = await client.query(
+        `UPDATE quotes
+            SET status = $2, responded_at = NOW(), updated_at = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [quoteId, status]
+      );
+      quote = updated.rows[0];
+      revision = await this.loadRevision(client, quote);
+
+      await this.recordEvent(client, quoteId, { revision: quote.current_revision, actorId, event, message, proposedTotal });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error recording quote ${event}:`, error);
+      return { success: false, message: 'Failed to update quote', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    this.afterChange(event, quote, revision, { message, proposedTotal });
+
+    return {
+      success: true,
+      message: successMessage,
+      data: { quote: this.formatQuote(quote, revision) }
+    };
+  }
+
+  /**
+   * Persist the expiry of lapsed open quotes and tell both sides
+   */
+  async expireQuotes() {
+    try {
+      const result = await dbManager.query(
+        `UPDATE quotes
+            SET status = 'expired', updated_at = NOW()
+          WHERE status IN ('pending', 'countered') AND expires_at <= NOW()
+          RETURNING *`
+      );
+
+      for (const quote of result.rows) {
+        await dbManager.query(
+          `INSERT INTO quote_events (quote_id, revision, event)
+           VALUES ($1, $2, 'expired')`,
+          [quote.id, quote.current_revision]
+        );
+        this.afterChange('expired', quote, null);
+      }
+
+      if (result.rows.length) {
+        logger.info('Quotes expired', { count: result.rows.length });
+      }
+
+      return { success: true, data: { expired: result.rows.length } };
+    } catch (error) {
+      logger.error('Error expiring quotes:', error);
+      return { success: false, message: 'Failed to expire quotes', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Socket events once a change is committed
+   */
+  afterChange(event, quote, revision, { message = null, proposedTotal = null } = {}) {
+    try {
+      socketManager.emitQuoteEvent(
+        event,
+        { ...this.formatQuote(quote, revision), message, proposedTotal },
+        this.participantIds(quote)
+      );
+    } catch (error) {
+      logger.warn('Failed to emit quote event', { quoteId: quote.id, event, error: error.message });
+    }
+  }
+
+  /**
+   * Quotes on a connection request, newest first, with their latest revision
+   */
+  async listQuotes(connectionRequestId, userId) {
+    try {
+      const requestResult = await dbManager.query(
+        'SELECT id FROM connection_requests WHERE id = $1 AND (consumer_id = $2 OR vendor_id = $2)',
+        [connectionRequestId, userId]
+      );
+      if (!requestResult.rows.length) {
+        return { success: false, message: 'Connection request not found', code: 'CONNECTION_NOT_FOUND' };
+      }
+
+      const result = await dbManager.query(
+        `SELECT q.*, to_jsonb(r) AS revision_row
+           FROM quotes q
+           JOIN quote_revisions r ON r.quote_id = q.id AND r.revision = q.current_revision
+          WHERE q.connection_request_id = $1
+          ORDER BY q.created_at DESC`,
+        [connectionRequestId]
+      );
+
+      return {
+        success: true,
+        data: { quotes: result.rows.map(row => this.formatQuote(row)) }
+      };
+    } catch (error) {
+      logger.error('Error loading quotes:', error);
+      return { success: false, message: 'Failed to load quotes', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * One quote with every revision and its history
+   */
+  async getQuote(quoteId, userId) {
+    try {
+      const result = await dbManager.query(
+        'SELECT * FROM quotes WHERE id = $1 AND (consumer_id = $2 OR vendor_id = $2)',
+        [quoteId, userId]
+      );
+      const quote = result.rows[0];
+      if (!quote) {
+        return { success: false, message: 'Quote not found', code: 'QUOTE_NOT_FOUND' };
+      }
+
+      const [revisions, events] = await Promise.all([
+        dbManager.query('SELECT * FROM quote_revisions WHERE quote_id = $1 ORDER BY revision DESC', [quoteId]),
+        dbManager.query(
+          `SELECT revision, actor_id, event, message, proposed_total, created_at
+             FROM quote_events
+            WHERE quote_id = $1
+            ORDER BY created_at`,
+          [quoteId]
+        )
+      ]);
+
+      return {
+        success: true,
+        data: {
+          quote: this.formatQuote(quote, revisions.rows[0]),
+          revisions: revisions.rows.map(row => this.formatRevision(row)),
+          history: events.rows.map(row => ({
+            revision: row.revision,
+            actorId: row.actor_id,
+            event: row.event,
+            message: row.message,
+            proposedTotal: row.proposed_total === null ? null : Number(row.proposed_total),
+            createdAt: row.created_at
+          }))
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading quote:', error);
+      return { success: false, message: 'Failed to load quote', code: 'SERVER_ERROR' };
+    }
+  }
+}
+
+module.exports = new QuoteService();
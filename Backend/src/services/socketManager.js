@@ -1,5 +1,5 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
+const { resolveIdentity } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 
 class SocketManager {
@@ -47,38 +47,34 @@ class SocketManager {
       });
     });
 
-    this.io.use((socket, next) => {
+    this.io.use(async (socket, next) => {
       try {
         const token = socket.handshake.auth?.token || socket.handshake.query?.token;
         
-        // In development, allow connections without token for testing
         if (!token) {
-          if (process.env.NODE_ENV === 'development') {
-            socket.data = socket.data || {};
-            socket.data.userId = 'dev-user';
-            socket.join('user:dev-user');
-            logger.info('WebSocket: Development connection allowed without token');
-            return next();
-          }
           return next(new Error('AUTH_REQUIRED'));
         }
 
-        const jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
-        const decoded = jwt.verify(token, jwtSecret);
-
-        const userId = decoded.userId || decoded.id;
-        if (!userId) {
-          return next(new Error('INVALID_TOKEN'));
-        }
+        // Same pipeline as the HTTP routes, so revoked or suspended users cannot connect
+        const { user, sessionId } = await resolveIdentity(token, {
+          impersonateUserId: socket.handshake.auth?.impersonateUserId || null,
+          context: {
+            channel: 'socket',
+            ipAddress: socket.handshake.address || null,
+            userAgent: socket.handshake.headers?.['user-agent'] || null
+          }
+        });
 
         socket.data = socket.data || {};
-        socket.data.userId = userId;
-        socket.join(`user:${userId}`);
+        socket.data.userId = user.id;
+        socket.data.user = user;
+        socket.data.sessionId = sessionId;
+        socket.join(`user:${user.id}`);
 
         next();
       } catch (error) {
         logger.error('Socket authentication failed:', error.message);
-        next(new Error('AUTH_FAILED'));
+        next(new Error(error.code || 'AUTH_FAILED'));
       }
     });
 
@@ -130,6 +126,46 @@ class SocketManager {
     this.io.to(`conversation:${conversationId}`).emit('conversation:typing', payload);
   }
 
+  // service:created goes to the vendor the consumer asked
+  emitServiceCreated(request) {
+    if (!this.io || !request) return;
+    this.io.to(`user:${request.vendorId}`).emit('service:created', request);
+  }
+
+  // service:accepted and service:rejected go to the consumer who asked
+  emitServiceAccepted(request, vendorInfo) {
+    if (!this.io || !request) return;
+    this.io.to(`user:${request.consumer_id}`).emit('service:accepted', { request, vendorInfo });
+  }
+
+  emitServiceRejected(request, vendorInfo) {
+    if (!this.io || !request) return;
+    this.io.to(`user:${request.consumer_id}`).emit('service:rejected', { request, vendorInfo });
+  }
+
+  // Send `${prefix}:${event}` once to each participant's user room
+  emitToParticipants(prefix, event, entity, participantIds = []) {
+    if (!this.io || !entity) return;
+    new Set(participantIds.filter(Boolean)).forEach((userId) => {
+      this.io.to(`user:${userId}`).emit(`${prefix}:${event}`, entity);
+    });
+  }
+
+  // quote:sent, quote:revised, quote:countered, quote:accepted, quote:rejected, quote:expired
+  emitQuoteEvent(event, quote, participantIds) {
+    this.emitToParticipants('quote', event, quote, participantIds);
+  }
+
+  // job:<status> whenever a service job changes status, e.g. job:in_progress
+  emitJobEvent(status, job, participantIds) {
+    this.emitToParticipants('job', status, job, participantIds);
+  }
+
+  // appointment:booked, appointment:rescheduled, appointment:cancelled
+  emitAppointmentEvent(event, appointment, participantIds) {
+    this.emitToParticipants('appointment', event, appointment, participantIds);
+  }
+
   close() {
     if (this.io) {
       this.io.close();
@@ -0,0 +1,184 @@
+/**
+ * Storage Service for FixRx
+ * Stores uploaded files behind one interface so the backend can be switched
+ * without touching callers. STORAGE_DRIVER picks the backend:
+ *   local - files under MEDIA_UPLOAD_DIR, served by the API at /media (default)
+ *   s3    - any S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...)
+ *
+ * Every driver exposes put(key, buffer, { contentType }), get(key), delete(key)
+ * and getUrl(key). Keys are relative paths such as portfolio/<vendorId>/<file>.jpg.
+ *
+ * Files are stored in one of two scopes: 'public' (portfolio photos, served
+ * directly) and 'private' (verification documents and job completion photos,
+ * only read back through the API). Private files live in PRIVATE_UPLOAD_DIR or AWS_S3_PRIVATE_BUCKET.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+const trimTrailingSlash = value => value.replace(/\/+$/, '');
+
+class LocalStorageDriver {
+  constructor({ rootDir, publicUrl }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+    this.publicUrl = trimTrailingSlash(publicUrl);
+  }
+
+  resolve(key) {
+    const target = path.resolve(this.rootDir, key);
+    // Keys come from our own code, but never let one escape the upload directory
+    if (!target.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  }
+
+  async put(key, buffer) {
+    const target = this.resolve(key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+    return { key, url: this.getUrl(key) };
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+class S3StorageDriver {
+  constructor({ bucket, region, endpoint, forcePathStyle, publicUrl, credentials, isPrivate = false }) {
+    // Loaded here so the local driver works without the AWS SDK installed
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.cacheControl = isPrivate ? 'private, no-store' : 'public, max-age=31536000, immutable';
+    this.commands = { PutObjectCommand, GetObjectCommand, DeleteObjectCommand };
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials
+    });
+
+    if (publicUrl) {
+      this.publicUrl = trimTrailingSlash(publicUrl);
+    } else if (endpoint) {
+      this.publicUrl = `${trimTrailingSlash(endpoint)}/${bucket}`;
+    } else {
+      this.publicUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+    }
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new this.commands.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      CacheControl: this.cacheControl
+    }));
+    return { key, url: this.getUrl(key) };
+  }
+
+  async get(key) {
+    const object = await this.client.send(new this.commands.GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await object.Body.transformToByteArray());
+  }
+
+  async delete(key) {
+    await this.client.send(new this.commands.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+/**
+ * Build the driver described by the environment for one scope
+ */
+function createStorageDriver(env = process.env, scope = 'public') {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+  const isPrivate = scope === 'private';
+
+  if (driver === 's3') {
+    const bucket = isPrivate ? env.AWS_S3_PRIVATE_BUCKET : env.AWS_S3_BUCKET;
+    // Never fall back to the media bucket: its objects are publicly readable
+    if (isPrivate && (!bucket || bucket === env.AWS_S3_BUCKET)) {
+      throw new Error('AWS_S3_PRIVATE_BUCKET, separate from AWS_S3_BUCKET, is required when STORAGE_DRIVER=s3');
+    }
+    if (!bucket) {
+      throw new Error('AWS_S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+
+    return new S3StorageDriver({
+      bucket,
+      region: env.AWS_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: isPrivate ? null : env.STORAGE_PUBLIC_URL,
+      isPrivate,
+      // Without explicit keys the SDK falls back to its default chain (IAM role, profile, ...)
+      credentials: env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY
+        ? { accessKeyId: env.AWS_ACCESS_KEY_ID, secretAccessKey: env.AWS_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+
+  if (driver !== 'local') {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+
+  if (isPrivate) {
+    return new LocalStorageDriver({
+      rootDir: env.PRIVATE_UPLOAD_DIR || path.join(__dirname, '../../uploads/private'),
+      // Never served; callers keep the storage key and read files back with get()
+      publicUrl: 'private:'
+    });
+  }
+
+  return new LocalStorageDriver({
+    // Kept apart from uploads/contacts, which must never be served publicly
+    rootDir: env.MEDIA_UPLOAD_DIR || path.join(__dirname, '../../uploads/media'),
+    // API_BASE_URL points at /api/v1, while media is served from the server root
+    publicUrl: env.STORAGE_PUBLIC_URL
+      || `${trimTrailingSlash(env.API_BASE_URL || `http://localhost:${env.PORT || 3000}`).replace(/\/api\/v1$/, '')}/media`
+  });
+}
+
+const drivers = {};
+
+/**
+ * The configured storage driver for a scope, created on first use
+ */
+function getStorage(scope = 'public') {
+  if (!drivers[scope]) {
+    drivers[scope] = createStorageDriver(process.env, scope);
+    logger.info('Storage driver ready', { driver: drivers[scope].name, scope });
+  }
+  return drivers[scope];
+}
+
+module.exports = {
+  LocalStorageDriver,
+  S3StorageDriver,
+  createStorageDriver,
+  getStorage
+};
@@ -0,0 +1,501 @@
+/**
+ * Token Service for FixRx
+ * Issues access tokens and rotating refresh tokens shared by the OTP,
+ * magic link, Google and password sign-in flows.
+ *
+ * Every sign-in opens its own device session (a row in user_sessions) which
+ * acts as the token family. Exchanging a refresh token marks it as rotated and
+ * issues a child token; presenting an already-rotated token again means it
+ * leaked, so the whole session is revoked.
+ *
+ * Access tokens carry a jti; logging out denylists it (Redis for fast
+ * lookups, Postgres as the durable record) so the token stops working
+ * immediately.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const { dbManager } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const DENYLIST_CACHE_PREFIX = 'token_denylist:';
+
+class TokenService {
+  getAccessSecret() {
+    return process.env.JWT_SECRET || 'your-secret-key';
+  }
+
+  getRefreshSecret() {
+    return process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Generate a short-lived JWT access token
+   */
+  generateAccessToken(user, { sessionId = null, twoFactorVerified = false } = {}) {
+    const payload = {
+      userId: user.id,
+      email: user.email,
+      userType: user.user_type
+    };
+
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
+
+    if (twoFactorVerified) {
+      payload.mfa = true;
+    }
+
+    return jwt.sign(payload, this.getAccessSecret(), {
+      expiresIn: ACCESS_TOKEN_TTL,
+      jwtid: crypto.randomUUID()
+    });
+  }
+
+  /**
+   * Denylist an access token by jti until it would have expired anyway
+   */
+  async denyAccessToken({ jti, userId = null, expiresAt = null, reason = 'logout' }) {
+    if (!jti) {
+      return false;
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const ttlSeconds = Math.max(1, Math.ceil((expiry.getTime() - Date.now()) / 1000));
+
+    await dbManager.setCache(`${DENYLIST_CACHE_PREFIX}${jti}`, { userId, reason }, ttlSeconds);
+
+    await dbManager.query(
+      `INSERT INTO revoked_access_tokens (jti, user_id, reason, expires_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (jti) DO NOTHING`,
+      [jti, userId, reason, expiry]
+    );
+
+    return true;
+  }
+
+  /**
+   * Denylist the token described by a verified JWT payload
+   */
+  async denyDecodedToken(decoded, reason = 'logout') {
+    if (!decoded) {
+      return false;
+    }
+
+    return this.denyAccessToken({
+      jti: decoded.jti,
+      userId: decoded.userId || decoded.id || null,
+      expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null,
+      reason
+    });
+  }
+
+  /**
+   * A Redis hit is enough; a miss may only mean the key was evicted, lost on a
+   * restart or never written while Redis was down, so Postgres decides and a
+   * denied jti found there is put back into Redis
+   */
+  async isAccessTokenDenied(jti) {
+    if (!jti) {
+      return false;
+    }
+
+    const cacheKey = `${DENYLIST_CACHE_PREFIX}${jti}`;
+    const useCache = Boolean(dbManager.redisClient && dbManager.isConnected);
+    if (useCache && await dbManager.getCache(cacheKey)) {
+      return true;
+    }
+
+    const result = await dbManager.query(
+      `SELECT user_id, reason, expires_at
+         FROM revoked_access_tokens
+        WHERE jti = $1
+          AND expires_at > NOW()
+        LIMIT 1`,
+      [jti]
+    );
+
+    if (!result.rows.length) {
+      return false;
+    }
+
+    if (useCache) {
+      const { user_id: userId, reason, expires_at: expiresAt } = result.rows[0];
+      const ttlSeconds = Math.max(1, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000));
+      await dbManager.setCache(cacheKey, { userId, reason }, ttlSeconds);
+    }
+
+    return true;
+  }
+
+  /**
+   * Invalidate every access token the user already holds: revoke all sessions and
+   * move the user's token cutoff forward so session-less tokens are rejected too
+   */
+  async invalidateUserTokens(userId, reason) {
+    await this.revokeAllSessions(userId, reason);
+
+    await dbManager.query(
+      `UPDATE users
+          SET tokens_valid_after = NOW(),
+              updated_at = NOW()
+        WHERE id = $1`,
+      [userId]
+    );
+  }
+
+  /**
+   * Open a new device session and issue the first refresh token of its family
+   */
+  async issueRefreshToken(userId, { ipAddress = null, userAgent = null, deviceName = null, twoFactorVerified = false } = {}) {
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const sessionResult = await dbManager.query(
+      `INSERT INTO user_sessions (user_id, session_token, device_name, ip_address, user_agent, is_active, expires_at, two_factor_verified)
+       VALUES ($1, $2, $3, $4, $5, TRUE, $6, $7)
+       RETURNING id`,
+      [
+        userId,
+        crypto.randomUUID(),
+        (deviceName || this.deriveDeviceName(userAgent)).substring(0, 100),
+        ipAddress || null,
+        userAgent || null,
+        expiresAt,
+        twoFactorVerified
+      ]
+    );
+
+    const sessionId = sessionResult.rows[0].id;
+    const refreshToken = await this.createRefreshToken({ userId, sessionId, parentId: null, expiresAt });
+
+    return { refreshToken, sessionId, expiresAt };
+  }
+
+  async createRefreshToken({ userId, sessionId, parentId, expiresAt }) {
+    const refreshToken = jwt.sign(
+      {
+        userId,
+        sid: sessionId,
+        type: 'refresh',
+        jti: crypto.randomUUID()
+      },
+      this.getRefreshSecret(),
+      { expiresIn: Math.floor((expiresAt.getTime() - Date.now()) / 1000) }
+    );
+
+    await dbManager.query(
+      `INSERT INTO refresh_tokens (session_id, user_id, token_hash, parent_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [sessionId, userId, this.hashToken(refreshToken), parentId, expiresAt]
+    );
+
+    return refreshToken;
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   */
+  async rotateRefreshToken(refreshToken, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(refreshToken, this.getRefreshSecret());
+      } catch (error) {
+        return {
+          success: false,
+          message: error.name === 'TokenExpiredError' ? 'Refresh token has expired' : 'Invalid refresh token',
+          code: error.name === 'TokenExpiredError' ? 'REFRESH_TOKEN_EXPIRED' : 'INVALID_REFRESH_TOKEN'
+        };
+      }
+
+      if (decoded.type !== 'refresh') {
+        return { success: false, message: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+      }
+
+      const tokenResult = await dbManager.query(
+        `SELECT rt.*,
+                us.is_active AS session_active,
+                us.revoked_at AS session_revoked_at,
+                us.two_factor_verified AS session_two_factor_verified
+           FROM refresh_tokens rt
+           JOIN user_sessions us ON us.id = rt.session_id
+          WHERE rt.token_hash = $1
+          LIMIT 1`,
+        [this.hashToken(refreshToken)]
+      );
+
+      const storedToken = tokenResult.rows[0];
+      if (!storedToken) {
+        return { success: false, message: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+      }
+
+      if (!storedToken.session_active || storedToken.session_revoked_at) {
+        return { success: false, message: 'Session has been revoked', code: 'SESSION_REVOKED' };
+      }
+
+      if (storedToken.rotated_at) {
+        await this.handleTokenReuse(storedToken);
+        return {
+          success: false,
+          message: 'Refresh token has already been used. Please sign in again.',
+          code: 'REFRESH_TOKEN_REUSED'
+        };
+      }
+
+      if (storedToken.revoked_at) {
+        return { success: false, message: 'Refresh token has been revoked', code: 'INVALID_REFRESH_TOKEN' };
+      }
+
+      // Claim the token atomically so two concurrent exchanges cannot both succeed
+      const claimResult = await dbManager.query(
+        `UPDATE refresh_tokens
+            SET rotated_at = NOW()
+          WHERE id = $1
+            AND rotated_at IS NULL
+            AND revoked_at IS NULL
+          RETURNING id`,
+        [storedToken.id]
+      );
+
+      if (!claimResult.rows.length) {
+        await this.handleTokenReuse(storedToken);
+        return {
+          success: false,
+          message: 'Refresh token has already been used. Please sign in again.',
+          code: 'REFRESH_TOKEN_REUSED'
+        };
+      }
+
+      const userResult = await dbManager.query('SELECT * FROM users WHERE id = $1 LIMIT 1', [storedToken.user_id]);
+      const user = userResult.rows[0];
+
+      if (!user || user.is_active === false || user.status === 'suspended' || user.status === 'deleted') {
+        await this.revokeSession(storedToken.session_id, 'user_inactive');
+        return { success: false, message: 'User account is inactive', code: 'USER_INACTIVE' };
+      }
+
+      const newRefreshToken = await this.createRefreshToken({
+        userId: user.id,
+        sessionId: storedToken.session_id,
+        parentId: storedToken.id,
+        expiresAt: new Date(storedToken.expires_at)
+      });
+
+      await dbManager.query(
+        `UPDATE user_sessions
+            SET last_activity_at = CURRENT_TIMESTAMP,
+                ip_address = COALESCE($2, ip_address),
+                user_agent = COALESCE($3, user_agent),
+                updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1`,
+        [storedToken.session_id, ipAddress || null, userAgent || null]
+      );
+
+      return {
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token: this.generateAccessToken(user, {
+            sessionId: storedToken.session_id,
+            twoFactorVerified: Boolean(storedToken.session_two_factor_verified)
+          }),
+          refreshToken: newRefreshToken,
+          expiresIn: this.getAccessTokenTtlSeconds()
+        }
+      };
+    } catch (error) {
+      logger.error('Error rotating refresh token:', error);
+      return {
+        success: false,
+        message: 'Failed to refresh token. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  async handleTokenReuse(storedToken) {
+    logger.warn('Refresh token reuse detected, revoking session', {
+      userId: storedToken.user_id,
+      sessionId: storedToken.session_id,
+      tokenId: storedToken.id
+    });
+
+    await this.revokeSession(storedToken.session_id, 'refresh_token_reuse');
+  }
+
+  /**
+   * Revoke a session and every refresh token in its family
+   */
+  async revokeSession(sessionId, reason = 'revoked') {
+    await dbManager.query(
+      `UPDATE user_sessions
+          SET is_active = FALSE,
+              revoked_at = CURRENT_TIMESTAMP,
+              revoked_reason = $2,
+              updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1`,
+      [sessionId, reason]
+    );
+
+    await dbManager.query(
+      `UPDATE refresh_tokens
+          SET revoked_at = NOW()
+        WHERE session_id = $1
+          AND revoked_at IS NULL`,
+      [sessionId]
+    );
+  }
+
+  /**
+   * Whether an access token's session is still usable
+   */
+  async isSessionActive(sessionId) {
+    const result = await dbManager.query(
+      `SELECT 1
+         FROM user_sessions
+        WHERE id = $1
+          AND is_active = TRUE
+          AND revoked_at IS NULL
+          AND expires_at > NOW()
+        LIMIT 1`,
+      [sessionId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Whether the session was opened (i.e. the user last signed in) within maxAgeSeconds
+   */
+  async isRecentlyAuthenticated(sessionId, maxAgeSeconds) {
+    if (!sessionId) {
+      return false;
+    }
+
+    const result = await dbManager.query(
+      `SELECT 1
+         FROM user_sessions
+        WHERE id = $1
+          AND created_at > NOW() - ($2 * INTERVAL '1 second')
+        LIMIT 1`,
+      [sessionId, maxAgeSeconds]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * List a user's active device sessions, flagging the one making the request
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const result = await dbManager.query(
+      `SELECT id, device_name, ip_address, user_agent, created_at, last_activity_at, expires_at
+         FROM user_sessions
+        WHERE user_id = $1
+          AND is_active = TRUE
+          AND revoked_at IS NULL
+          AND expires_at > NOW()
+        ORDER BY last_activity_at DESC NULLS LAST`,
+      [userId]
+    );
+
+    return result.rows.map(session => ({
+      id: session.id,
+      deviceName: session.device_name,
+      ipAddress: session.ip_address,
+      userAgent: session.user_agent,
+      createdAt: session.created_at,
+      lastActivityAt: session.last_activity_at,
+      expiresAt: session.expires_at,
+      isCurrent: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Revoke one of the user's sessions (sign out a single device)
+   */
+  async revokeUserSession(userId, sessionId, reason = 'user_revoked') {
+    const result = await dbManager.query(
+      `SELECT id
+         FROM user_sessions
+        WHERE id = $1
+          AND user_id = $2
+          AND is_active = TRUE
+          AND revoked_at IS NULL
+        LIMIT 1`,
+      [sessionId, userId]
+    );
+
+    if (!result.rows.length) {
+      return { success: false, message: 'Session not found', code: 'SESSION_NOT_FOUND' };
+    }
+
+    await this.revokeSession(sessionId, reason);
+
+    return { success: true, message: 'Session revoked successfully' };
+  }
+
+  /**
+   * Revoke every active session the user holds (sign out everywhere)
+   */
+  async revokeAllSessions(userId, reason = 'sign_out_everywhere') {
+    const result = await dbManager.query(
+      `UPDATE user_sessions
+          SET is_active = FALSE,
+              revoked_at = CURRENT_TIMESTAMP,
+              revoked_reason = $2,
+              updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1
+          AND is_active = TRUE
+          AND revoked_at IS NULL
+        RETURNING id`,
+      [userId, reason]
+    );
+
+    await dbManager.query(
+      `UPDATE refresh_tokens
+          SET revoked_at = NOW()
+        WHERE user_id = $1
+          AND revoked_at IS NULL`,
+      [userId]
+    );
+
+    return {
+      success: true,
+      message: 'Signed out of all devices',
+      data: { revokedSessions: result.rows.length }
+    };
+  }
+
+  /**
+   * Best-effort human readable device label when the client does not send one
+   */
+  deriveDeviceName(userAgent) {
+    const ua = userAgent || '';
+
+    if (/iPad/i.test(ua)) return 'iPad';
+    if (/iPhone|iOS|CFNetwork|Darwin/i.test(ua)) return 'iPhone';
+    if (/Android|okhttp/i.test(ua)) return 'Android device';
+    if (/Macintosh|Mac OS X/i.test(ua)) return 'Mac';
+    if (/Windows/i.test(ua)) return 'Windows PC';
+    if (/Linux/i.test(ua)) return 'Linux';
+
+    return 'Unknown device';
+  }
+
+  getAccessTokenTtlSeconds() {
+    const decoded = jwt.decode(jwt.sign({}, 'ttl', { expiresIn: ACCESS_TOKEN_TTL }));
+    return decoded.exp - decoded.iat;
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,629 @@
+/**
+ * Two-Factor Authentication Service for FixRx
+ * RFC 6238 TOTP enrollment, verification, recovery codes and the login
+ * challenge that sits between a first factor (OTP, magic link, Google,
+ * password) and the issuing of session tokens.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const { dbManager } = require('../config/database');
+const tokenService = require('./tokenService');
+const { logger } = require('../utils/logger');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'FixRx';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const CHALLENGE_MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_FAILED_ATTEMPTS || '5', 10);
+const CHALLENGE_LOCKOUT_MINUTES = parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES || '15', 10);
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorService {
+  /**
+   * Base32 helpers (authenticator apps expect RFC 4648 base32 secrets)
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const clean = `${input || ''}`.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * HOTP (RFC 4226) for a given counter; TOTP feeds it the current time step
+   */
+  generateHotp(secretBuffer, counter, digits = TOTP_DIGITS) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', secretBuffer).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | ((hmac[offset + 1] & 0xff) << 16)
+      | ((hmac[offset + 2] & 0xff) << 8)
+      | (hmac[offset + 3] & 0xff);
+
+    return (binary % (10 ** digits)).toString().padStart(digits, '0');
+  }
+
+  getTimeStep(timestampMs = Date.now()) {
+    return Math.floor(timestampMs / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  generateTotp(secret, timestampMs = Date.now()) {
+    return this.generateHotp(this.base32Decode(secret), this.getTimeStep(timestampMs));
+  }
+
+  /**
+   * Returns the matched time step, or null; steps at or before lastUsedStep are
+   * rejected so a code cannot be replayed
+   */
+  verifyTotp(secret, code, { timestampMs = Date.now(), lastUsedStep = null } = {}) {
+    const normalized = `${code || ''}`.replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const secretBuffer = this.base32Decode(secret);
+    const currentStep = this.getTimeStep(timestampMs);
+
+    for (let drift = -TOTP_ALLOWED_DRIFT_STEPS; drift <= TOTP_ALLOWED_DRIFT_STEPS; drift += 1) {
+      const step = currentStep + drift;
+      if (lastUsedStep !== null && step <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = this.generateHotp(secretBuffer, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  buildProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: TOTP_ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Secrets are stored encrypted (AES-256-GCM) so a database dump alone cannot mint codes
+   */
+  getEncryptionKey() {
+    const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key';
+    return crypto.createHash('sha256').update(material).digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(`${code}`.trim().toLowerCase().replace(/-/g, '')).digest('hex');
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Persistence helpers
+   */
+  async getSettings(userId) {
+    const result = await dbManager.query(
+      `SELECT *
+         FROM user_two_factor
+        WHERE user_id = $1
+        LIMIT 1`,
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async isEnabled(userId) {
+    const settings = await this.getSettings(userId);
+    return Boolean(settings && settings.enabled_at);
+  }
+
+  async getStatus(userId) {
+    const settings = await this.getSettings(userId);
+    const remaining = settings && settings.enabled_at
+      ? await dbManager.query(
+        `SELECT COUNT(*)::int AS count
+           FROM two_factor_recovery_codes
+          WHERE user_id = $1
+            AND used_at IS NULL`,
+        [userId]
+      )
+      : null;
+
+    return {
+      success: true,
+      data: {
+        enabled: Boolean(settings && settings.enabled_at),
+        enabledAt: settings?.enabled_at || null,
+        recoveryCodesRemaining: remaining ? remaining.rows[0].count : 0
+      }
+    };
+  }
+
+  async replaceRecoveryCodes(userId) {
+    const codes = this.generateRecoveryCodes();
+
+    await dbManager.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+    for (const code of codes) {
+      await dbManager.query(
+        `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+         VALUES ($1, $2)`,
+        [userId, this.hashRecoveryCode(code)]
+      );
+    }
+
+    return codes;
+  }
+
+  async consumeRecoveryCode(userId, code) {
+    const result = await dbManager.query(
+      `UPDATE two_factor_recovery_codes
+          SET used_at = NOW()
+        WHERE user_id = $1
+          AND code_hash = $2
+          AND used_at IS NULL
+        RETURNING id`,
+      [userId, this.hashRecoveryCode(code)]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Check a TOTP code (or a recovery code) against the user's enabled secret
+   */
+  async verifySecondFactor(userId, { code = null, recoveryCode = null } = {}) {
+    const settings = await this.getSettings(userId);
+    if (!settings || !settings.enabled_at) {
+      return { success: false, message: 'Two-factor authentication is not enabled', code: 'TWO_FACTOR_NOT_ENABLED' };
+    }
+
+    if (recoveryCode) {
+      const consumed = await this.consumeRecoveryCode(userId, recoveryCode);
+      if (!consumed) {
+        return { success: false, message: 'Invalid recovery code', code: 'INVALID_TWO_FACTOR_CODE' };
+      }
+
+      logger.warn('Two-factor recovery code used', { userId });
+      return { success: true, method: 'recovery_code' };
+    }
+
+    const step = this.verifyTotp(this.decryptSecret(settings.secret_encrypted), code, {
+      lastUsedStep: settings.last_used_step !== null ? Number(settings.last_used_step) : null
+    });
+
+    if (step === null) {
+      return { success: false, message: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE' };
+    }
+
+    // Only the first request to record this step wins, so concurrent replays fail
+    const claim = await dbManager.query(
+      `UPDATE user_two_factor
+          SET last_used_step = $2,
+              updated_at = NOW()
+        WHERE user_id = $1
+          AND (last_used_step IS NULL OR last_used_step < $2)
+        RETURNING user_id`,
+      [userId, step]
+    );
+
+    if (!claim.rows.length) {
+      return { success: false, message: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE' };
+    }
+
+    return { success: true, method: 'totp' };
+  }
+
+  /**
+   * Enrollment: create a pending secret and hand back the provisioning URI for the QR code
+   */
+  async startEnrollment(user) {
+    try {
+      const existing = await this.getSettings(user.id);
+      if (existing && existing.enabled_at) {
+        return {
+          success: false,
+          message: 'Two-factor authentication is already enabled',
+          code: 'TWO_FACTOR_ALREADY_ENABLED'
+        };
+      }
+
+      const secret = this.generateSecret();
+
+      await dbManager.query(
+        `INSERT INTO user_two_factor (user_id, secret_encrypted, enabled_at, last_used_step)
+         VALUES ($1, $2, NULL, NULL)
+         ON CONFLICT (user_id) DO UPDATE SET
+           secret_encrypted = EXCLUDED.secret_encrypted,
+           enabled_at = NULL,
+           last_used_step = NULL,
+           updated_at = NOW()`,
+        [user.id, this.encryptSecret(secret)]
+      );
+
+      return {
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+          secret,
+          otpauthUrl: this.buildProvisioningUri(secret, user.email || user.phone || user.id)
+        }
+      };
+    } catch (error) {
+      logger.error('Error starting two-factor enrollment:', error);
+      return {
+        success: false,
+        message: 'Failed to start two-factor enrollment. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Enrollment: confirm the authenticator works, enable 2FA and issue recovery codes
+   */
+  async confirmEnrollment(userId, code) {
+    try {
+      const settings = await this.getSettings(userId);
+      if (!settings) {
+        return {
+          success: false,
+          message: 'Start two-factor enrollment first',
+          code: 'TWO_FACTOR_NOT_STARTED'
+        };
+      }
+
+      if (settings.enabled_at) {
+        return {
+          success: false,
+          message: 'Two-factor authentication is already enabled',
+          code: 'TWO_FACTOR_ALREADY_ENABLED'
+        };
+      }
+
+      const step = this.verifyTotp(this.decryptSecret(settings.secret_encrypted), code);
+      if (step === null) {
+        return { success: false, message: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE' };
+      }
+
+      await dbManager.query(
+        `UPDATE user_two_factor
+            SET enabled_at = NOW(),
+                last_used_step = $2,
+                updated_at = NOW()
+          WHERE user_id = $1`,
+        [userId, step]
+      );
+
+      const recoveryCodes = await this.replaceRecoveryCodes(userId);
+
+      logger.info('Two-factor authentication enabled', { userId });
+
+      return {
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data: { recoveryCodes }
+      };
+    } catch (error) {
+      logger.error('Error confirming two-factor enrollment:', error);
+      return {
+        success: false,
+        message: 'Failed to enable two-factor authentication. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  async disable(userId, factor) {
+    try {
+      const verification = await this.verifyWithLockout(userId, factor);
+      if (!verification.success) {
+        return verification;
+      }
+
+      await dbManager.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+      await dbManager.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+
+      logger.warn('Two-factor authentication disabled', { userId });
+
+      return { success: true, message: 'Two-factor authentication disabled' };
+    } catch (error) {
+      logger.error('Error disabling two-factor authentication:', error);
+      return {
+        success: false,
+        message: 'Failed to disable two-factor authentication. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const verification = await this.verifyWithLockout(userId, { code });
+      if (!verification.success) {
+        return verification;
+      }
+
+      const recoveryCodes = await this.replaceRecoveryCodes(userId);
+
+      return {
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        data: { recoveryCodes }
+      };
+    } catch (error) {
+      logger.error('Error regenerating recovery codes:', error);
+      return {
+        success: false,
+        message: 'Failed to regenerate recovery codes. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Login challenge: a short-lived token proving the first factor succeeded
+   */
+  createChallenge(userId, { deviceName = null } = {}) {
+    return jwt.sign(
+      { userId, type: '2fa_challenge', deviceName },
+      tokenService.getAccessSecret(),
+      { expiresIn: CHALLENGE_TTL, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  /**
+   * Build the response a first-factor flow returns instead of tokens when 2FA is on
+   */
+  buildChallengeData(userId, context = {}) {
+    return {
+      requiresTwoFactor: true,
+      challengeToken: this.createChallenge(userId, context)
+    };
+  }
+
+  /**
+   * When the user's challenges are locked after too many wrong codes, or null
+   */
+  async getChallengeLock(userId) {
+    const result = await dbManager.query(
+      `SELECT locked_until
+         FROM user_two_factor
+        WHERE user_id = $1
+          AND locked_until > NOW()`,
+      [userId]
+    );
+
+    return result.rows[0] ? new Date(result.rows[0].locked_until) : null;
+  }
+
+  /**
+   * Count a wrong code; the miss that reaches the limit locks challenges for
+   * the lockout window and starts the count over. Returns the lock, if any.
+   */
+  async recordFailedChallenge(userId) {
+    const result = await dbManager.query(
+      `UPDATE user_two_factor
+          SET failed_attempts = CASE WHEN failed_attempts + 1 >= $2 THEN 0 ELSE failed_attempts + 1 END,
+              locked_until = CASE WHEN failed_attempts + 1 >= $2 THEN NOW() + make_interval(mins => $3) ELSE locked_until END,
+              updated_at = NOW()
+        WHERE user_id = $1
+        RETURNING failed_attempts, locked_until`,
+      [userId, CHALLENGE_MAX_FAILED_ATTEMPTS, CHALLENGE_LOCKOUT_MINUTES]
+    );
+
+    const row = result.rows[0];
+    if (!row || row.failed_attempts !== 0 || !row.locked_until) {
+      return null;
+    }
+
+    logger.warn('Two-factor challenges locked after repeated failures', { userId });
+    return new Date(row.locked_until);
+  }
+
+  async clearFailedChallenges(userId) {
+    await dbManager.query(
+      `UPDATE user_two_factor
+          SET failed_attempts = 0,
+              locked_until = NULL
+        WHERE user_id = $1
+          AND (failed_attempts > 0 OR locked_until IS NOT NULL)`,
+      [userId]
+    );
+  }
+
+  lockedFailure(lockedUntil) {
+    return {
+      success: false,
+      message: 'Too many incorrect codes. Please try again later.',
+      code: 'TOO_MANY_TWO_FACTOR_ATTEMPTS',
+      retryAfterSeconds: Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000))
+    };
+  }
+
+  /**
+   * verifySecondFactor under the failed-attempt limit. Wrong codes count
+   * towards the same lockout on every endpoint that asks for one.
+   */
+  async verifyWithLockout(userId, factor) {
+    const lockedUntil = await this.getChallengeLock(userId);
+    if (lockedUntil) {
+      return this.lockedFailure(lockedUntil);
+    }
+
+    const verification = await this.verifySecondFactor(userId, factor);
+    if (verification.success) {
+      await this.clearFailedChallenges(userId);
+      return verification;
+    }
+
+    if (verification.code === 'INVALID_TWO_FACTOR_CODE') {
+      const lockedAfterMiss = await this.recordFailedChallenge(userId);
+      if (lockedAfterMiss) {
+        return this.lockedFailure(lockedAfterMiss);
+      }
+    }
+    return verification;
+  }
+
+  /**
+   * Complete a login challenge and open a session whose tokens carry the mfa claim
+   */
+  async completeChallenge(challengeToken, { code = null, recoveryCode = null, ipAddress = null, userAgent = null } = {}) {
+    try {
+      let challenge;
+      try {
+        challenge = jwt.verify(challengeToken, tokenService.getAccessSecret());
+      } catch (error) {
+        return {
+          success: false,
+          message: error.name === 'TokenExpiredError' ? 'Challenge has expired. Please sign in again.' : 'Invalid challenge',
+          code: 'INVALID_TWO_FACTOR_CHALLENGE'
+        };
+      }
+
+      if (challenge.type !== '2fa_challenge' || !challenge.userId) {
+        return { success: false, message: 'Invalid challenge', code: 'INVALID_TWO_FACTOR_CHALLENGE' };
+      }
+
+      // A challenge can only be completed once
+      if (await tokenService.isAccessTokenDenied(challenge.jti)) {
+        return { success: false, message: 'Challenge has already been used', code: 'INVALID_TWO_FACTOR_CHALLENGE' };
+      }
+
+      const verification = await this.verifyWithLockout(challenge.userId, { code, recoveryCode });
+      if (!verification.success) {
+        // Burn the challenge so the first factor has to be repeated after the lock
+        if (verification.code === 'TOO_MANY_TWO_FACTOR_ATTEMPTS') {
+          await tokenService.denyDecodedToken(challenge, '2fa_too_many_attempts');
+          return { ...verification, message: 'Too many incorrect codes. Please sign in again later.' };
+        }
+        return verification;
+      }
+
+      await tokenService.denyDecodedToken(challenge, '2fa_challenge_used');
+
+      const userResult = await dbManager.query('SELECT * FROM users WHERE id = $1 LIMIT 1', [challenge.userId]);
+      const user = userResult.rows[0];
+
+      if (!user || user.is_active === false || user.status === 'suspended' || user.status === 'deleted') {
+        return { success: false, message: 'User account is inactive', code: 'USER_INACTIVE' };
+      }
+
+      const { refreshToken, sessionId } = await tokenService.issueRefreshToken(user.id, {
+        ipAddress,
+        userAgent,
+        deviceName: challenge.deviceName || null,
+        twoFactorVerified: true
+      });
+
+      logger.info('Two-factor challenge completed', { userId: user.id, method: verification.method });
+
+      return {
+        success: true,
+        message: 'Two-factor verification successful',
+        data: {
+          token: tokenService.generateAccessToken(user, { sessionId, twoFactorVerified: true }),
+          refreshToken,
+          sessionId,
+          user: {
+            id: user.id,
+            email: user.email,
+            firstName: user.first_name,
+            lastName: user.last_name,
+            userType: user.user_type,
+            phone: user.phone || null
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error completing two-factor challenge:', error);
+      return {
+        success: false,
+        message: 'Failed to verify code. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,86 @@
+/**
+ * User Account Service for FixRx
+ * Handles administrative account status changes (suspension and reinstatement)
+ */
+
+const { dbManager } = require('../config/database');
+const tokenService = require('./tokenService');
+const { logger } = require('../utils/logger');
+
+class UserAccountService {
+  /**
+   * Suspend a user; their sessions and outstanding access tokens stop working immediately
+   */
+  async suspendUser(userId, { reason = null, actorId = null } = {}) {
+    try {
+      const result = await dbManager.query(
+        `UPDATE users
+            SET status = 'suspended',
+                is_active = FALSE,
+                updated_at = NOW()
+          WHERE id = $1
+          RETURNING id, email, status, is_active`,
+        [userId]
+      );
+
+      if (!result.rows.length) {
+        return { success: false, message: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      await tokenService.invalidateUserTokens(userId, 'account_suspended');
+
+      logger.warn('User account suspended', { userId, actorId, reason });
+
+      return {
+        success: true,
+        message: 'User suspended successfully',
+        data: { user: result.rows[0] }
+      };
+    } catch (error) {
+      logger.error('Error suspending user:', error);
+      return {
+        success: false,
+        message: 'Failed to suspend user. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Lift a suspension; the user has to sign in again to get new tokens
+   */
+  async reinstateUser(userId, { actorId = null } = {}) {
+    try {
+      const result = await dbManager.query(
+        `UPDATE users
+            SET status = 'active',
+                is_active = TRUE,
+                updated_at = NOW()
+          WHERE id = $1
+          RETURNING id, email, status, is_active`,
+        [userId]
+      );
+
+      if (!result.rows.length) {
+        return { success: false, message: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      logger.info('User account reinstated', { userId, actorId });
+
+      return {
+        success: true,
+        message: 'User reinstated successfully',
+        data: { user: result.rows[0] }
+      };
+    } catch (error) {
+      logger.error('Error reinstating user:', error);
+      return {
+        success: false,
+        message: 'Failed to reinstate user. Please try again.',
+        code: 'SERVER_ERROR'
+      };
+    }
+  }
+}
+
+module.exports = new UserAccountService();
@@ -0,0 +1,263 @@
+/**
+ * Vendor Availability Service for FixRx
+ * Weekly working hours live on the vendor profile (availability_schedule,
+ * written in the vendor's timezone); time off is kept in vendor_time_off.
+ * Open slots are the working hours left once busy periods (time off and
+ * booked appointments) are taken out, and search and booking use the same
+ * calculation.
+ */
+
+const { dbManager } = require('../config/database');
+const vendorProfileService = require('./vendorProfileService');
+const {
+  isValidTimezone,
+  workingIntervals,
+  subtractIntervals,
+  splitIntoSlots,
+  hasOpening
+} = require('../utils/availabilityCalendar');
+const { logger } = require('../utils/logger');
+
+const MAX_RANGE_DAYS = 31;
+const DEFAULT_SLOT_MINUTES = 60;
+
+class VendorAvailabilityService {
+  // Profiles saved before timezones were collected are read in the platform default
+  resolveTimezone(timezone) {
+    if (isValidTimezone(timezone)) {
+      return timezone;
+    }
+    return isValidTimezone(process.env.DEFAULT_VENDOR_TIMEZONE) ? process.env.DEFAULT_VENDOR_TIMEZONE : 'UTC';
+  }
+
+  formatTimeOff(row) {
+    return {
+      id: row.id,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      reason: row.reason,
+      createdAt: row.created_at
+    };
+  }
+
+  formatInterval({ start, end }) {
+    return { start: start.toISOString(), end: end.toISOString() };
+  }
+
+  async loadProfile(vendorId) {
+    const result = await dbManager.query(
+      'SELECT vendor_id, availability_schedule, timezone FROM vendor_profiles WHERE vendor_id = $1',
+      [vendorId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Busy periods per vendor overlapping [from, to). A rescheduled appointment
+   * is excluded so it does not block its own new time.
+   */
+  async loadBusyPeriods(vendorIds, from, to, { excludeAppointmentId = null } = {}) {
+    const busy = new Map(vendorIds.map(id => [id, []]));
+    if (!vendorIds.length) {
+      return busy;
+    }
+
+    const result = await dbManager.query(
+      `SELECT vendor_id, starts_at, ends_at
+         FROM vendor_time_off
+        WHERE vendor_id = ANY($1)
+          AND starts_at < $3
+          AND ends_at > $2
+       UNION ALL
+       SELECT vendor_id, starts_at, ends_at
+         FROM appointments
+        WHERE vendor_id = ANY($1)
+          AND status = 'scheduled'
+          AND starts_at < $3
+          AND ends_at > $2
+          AND ($4::uuid IS NULL OR id <> $4)`,
+      [vendorIds, from, to, excludeAppointmentId]
+    );
+
+    result.rows.forEach((row) => {
+      busy.get(row.vendor_id).push({ start: new Date(row.starts_at), end: new Date(row.ends_at) });
+    });
+    return busy;
+  }
+
+  openIntervals(schedule, timezone, busy, from, to) {
+    return subtractIntervals(workingIntervals(schedule, this.resolveTimezone(timezone), from, to), busy);
+  }
+
+  /**
+   * Working hours, timezone and upcoming time off
+   */
+  async getSchedule(vendorId) {
+    try {
+      const profile = await this.loadProfile(vendorId);
+      if (!profile) {
+        return { success: false, message: 'Vendor profile not found', code: 'PROFILE_NOT_FOUND' };
+      }
+
+      const timeOff = await dbManager.query(
+        `SELECT * FROM vendor_time_off
+          WHERE vendor_id = $1 AND ends_at > NOW()
+          ORDER BY starts_at`,
+        [vendorId]
+      );
+
+      return {
+        success: true,
+        data: {
+          timezone: this.resolveTimezone(profile.timezone),
+          availabilitySchedule: profile.availability_schedule,
+          timeOff: timeOff.rows.map(row => this.formatTimeOff(row))
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading vendor availability:', error);
+      return { success: false, message: 'Failed to load availability', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Replace the weekly hours and/or timezone; saved through the profile so the
+   * change is versioned and search caches are cleared
+   */
+  async updateSchedule(vendorId, fields, { actorId = null, expectedVersion = null } = {}) {
+    const result = await vendorProfileService.updateProfile(vendorId, fields, { actorId, expectedVersion });
+    if (!result.success) {
+      return result;
+    }
+
+    return this.getSchedule(vendorId);
+  }
+
+  async addTimeOff(vendorId, { startsAt, endsAt, reason = null }) {
+    try {
+      const result = await dbManager.query(
+        `INSERT INTO vendor_time_off (vendor_id, starts_at, ends_at, reason)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [vendorId, startsAt, endsAt, reason]
+      );
+
+      logger.info('Vendor time off added', { vendorId, timeOffId: result.rows[0].id });
+      return { success: true, message: 'Time off added', data: { timeOff: this.formatTimeOff(result.rows[0]) } };
+    } catch (error) {
+      logger.error('Error adding vendor time off:', error);
+      return { success: false, message: 'Failed to add time off', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async removeTimeOff(vendorId, timeOffId) {
+    try {
+      const result = await dbManager.query(
+        'DELETE FROM vendor_time_off WHERE id = $1 AND vendor_id = $2 RETURNING id',
+        [timeOffId, vendorId]
+      );
+
+      if (!result.rows.length) {
+        return { success: false, message: 'Time off not found', code: 'TIME_OFF_NOT_FOUND' };
+      }
+
+      return { success: true, message: 'Time off removed' };
+    } catch (error) {
+      logger.error('Error removing vendor time off:', error);
+      return { success: false, message: 'Failed to remove time off', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Open slots between from and to, in UTC
+   */
+  async getOpenSlots(vendorId, { from, to, slotMinutes = DEFAULT_SLOT_MINUTES }) {
+    const start = new Date(from);
+    const end = new Date(to);
+    if (!(start < end) || end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return {
+        success: false,
+        message: `"to" must be after "from" and at most ${MAX_RANGE_DAYS} days later`,
+        code: 'INVALID_RANGE'
+      };
+    }
+
+    try {
+      const profile = await this.loadProfile(vendorId);
+      if (!profile) {
+        return { success: false, message: 'Vendor profile not found', code: 'PROFILE_NOT_FOUND' };
+      }
+
+      const busy = await this.loadBusyPeriods([vendorId], start, end);
+      const open = this.openIntervals(profile.availability_schedule, profile.timezone, busy.get(vendorId), start, end);
+
+      return {
+        success: true,
+        data: {
+          vendorId,
+          timezone: this.resolveTimezone(profile.timezone),
+          from: start.toISOString(),
+          to: end.toISOString(),
+          slotMinutes,
+          slots: splitIntoSlots(open, slotMinutes).map(slot => this.formatInterval(slot))
+        }
+      };
+    } catch (error) {
+      logger.error('Error calculating vendor availability:', error);
+      return { success: false, message: 'Failed to load availability', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Whether [start, end) fits inside the vendor's working hours with nothing else booked
+   */
+  async isOpen(vendorId, start, end, { excludeAppointmentId = null } = {}) {
+    const profile = await this.loadProfile(vendorId);
+    if (!profile || !profile.availability_schedule) {
+      return false;
+    }
+
+    const busy = await this.loadBusyPeriods([vendorId], start, end, { excludeAppointmentId });
+    const open = this.openIntervals(profile.availability_schedule, profile.timezone, busy.get(vendorId), start, end);
+    return hasOpening(open, (end - start) / (60 * 1000));
+  }
+
+  /**
+   * Search filter: { datetime, durationMinutes } asks for that exact window,
+   * { from, to, durationMinutes } for any opening of that length inside the range
+   */
+  normalizeFilter(filter) {
+    const durationMinutes = Number(filter.durationMinutes) || DEFAULT_SLOT_MINUTES;
+    const from = new Date(filter.datetime || filter.from);
+    const to = filter.datetime
+      ? new Date(from.getTime() + durationMinutes * 60 * 1000)
+      : new Date(filter.to || from.getTime() + 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return null;
+    }
+    return { from, to, durationMinutes };
+  }
+
+  /**
+   * Keep the vendors with an opening in the requested window. Vendors without
+   * structured working hours are left out: their availability is unknown.
+   * Each vendor needs userId, availability (weekly hours) and timezone.
+   */
+  async filterAvailable(vendors, filter) {
+    const window = this.normalizeFilter(filter);
+    if (!window) {
+      return vendors;
+    }
+
+    const scheduled = vendors.filter(vendor => vendor.availability);
+    const busy = await this.loadBusyPeriods(scheduled.map(vendor => vendor.userId), window.from, window.to);
+
+    return scheduled.filter((vendor) => {
+      const open = this.openIntervals(vendor.availability, vendor.timezone, busy.get(vendor.userId), window.from, window.to);
+      return hasOpening(open, window.durationMinutes);
+    });
+  }
+}
+
+module.exports = new VendorAvailabilityService();
@@ -0,0 +1,311 @@
+/**
+ * Vendor Onboarding Service for FixRx
+ * Guides a new vendor through ordered setup steps. Progress lives on the
+ * server so onboarding can be resumed from any device, each step is validated
+ * and written to the vendor profile as it is submitted, and vendors only
+ * appear in search once every required step is done.
+ *
+ * A step can be submitted once every step before it is completed (or skipped,
+ * for optional steps). Completed steps can be submitted again to change them.
+ */
+
+const Joi = require('joi');
+const { dbManager } = require('../config/database');
+const vendorProfileService = require('./vendorProfileService');
+const { profileFields, availabilitySchedule } = require('../utils/vendorProfileValidation');
+const { logger } = require('../utils/logger');
+
+const STEPS = [
+  {
+    step: 1,
+    key: 'basic_information',
+    title: 'Basic Information',
+    description: 'Provide basic business information',
+    required: true,
+    schema: Joi.object({
+      businessName: profileFields.businessName.required(),
+      businessDescription: profileFields.businessDescription,
+      businessPhone: profileFields.businessPhone.required(),
+      businessEmail: profileFields.businessEmail,
+      businessAddress: profileFields.businessAddress.required(),
+      websiteUrl: profileFields.websiteUrl,
+      yearsExperience: profileFields.yearsExperience
+    }),
+    apply: (vendorId, data, actorId) => vendorProfileService.saveFields(vendorId, data, { actorId })
+  },
+  {
+    step: 2,
+    key: 'business_verification',
+    title: 'Business Verification',
+    description: 'Provide your business license and insurance details',
+    required: true,
+    schema: Joi.object({
+      licenseNumber: Joi.string().trim().max(100).required(),
+      insuranceInfo: Joi.object({
+        provider: Joi.string().max(255).required(),
+        policyNumber: Joi.string().max(100).required(),
+        expiresAt: Joi.date().iso().greater('now').required()
+      }).required()
+    }),
+    apply: (vendorId, data, actorId) => vendorProfileService.updateManagedFields(vendorId, data, { actorId })
+  },
+  {
+    step: 3,
+    key: 'service_categories',
+    title: 'Service Categories',
+    description: 'Select your service categories and how far you travel',
+    required: true,
+    schema: Joi.object({
+      serviceCategories: profileFields.serviceCategories.min(1).required(),
+      serviceRadius: profileFields.serviceRadius.required()
+    }),
+    apply: (vendorId, data, actorId) => vendorProfileService.saveFields(vendorId, data, { actorId })
+  },
+  {
+    step: 4,
+    key: 'portfolio',
+    title: 'Portfolio Setup',
+    description: 'Add photos of your work',
+    required: false,
+    schema: Joi.object({
+      portfolioImages: Joi.array().items(Joi.string().uri({ scheme: ['http', 'https'] })).min(1).max(20).required()
+    }),
+    apply: (vendorId, data, actorId) => vendorProfileService.updateManagedFields(vendorId, data, { actorId })
+  },
+  {
+    step: 5,
+    key: 'pricing_availability',
+    title: 'Pricing & Availability',
+    description: 'Set your rates and availability schedule',
+    required: true,
+    schema: Joi.object({
+      hourlyRateMin: profileFields.hourlyRateMin.required(),
+      hourlyRateMax: profileFields.hourlyRateMax.required(),
+      availabilitySchedule: availabilitySchedule.required(),
+      timezone: profileFields.timezone
+    }),
+    apply: (vendorId, data, actorId) => vendorProfileService.saveFields(vendorId, data, { actorId })
+  },
+  {
+    step: 6,
+    key: 'review',
+    title: 'Profile Review',
+    description: 'Review and submit your profile',
+    required: true,
+    schema: Joi.object({
+      confirm: Joi.boolean().valid(true).required().messages({
+        'any.only': 'Confirm your profile to finish onboarding'
+      })
+    }),
+    apply: async () => ({ success: true })
+  }
+];
+
+const DONE_STATUSES = ['completed', 'skipped'];
+
+class VendorOnboardingService {
+  getSteps() {
+    return STEPS.map(({ schema, apply, ...step }) => step);
+  }
+
+  /**
+   * SQL condition that keeps vendors who have not finished onboarding out of search
+   */
+  completedVendorFilter(vendorIdColumn) {
+    return `EXISTS (
+      SELECT 1 FROM vendor_onboarding vo
+       WHERE vo.vendor_id = ${vendorIdColumn}
+         AND vo.status = 'completed'
+    )`;
+  }
+
+  buildState(onboarding, stepRows) {
+    const recorded = new Map(stepRows.map(row => [row.step_number, row]));
+    const currentStep = STEPS.find(step => !DONE_STATUSES.includes(recorded.get(step.step)?.status));
+    const doneCount = STEPS.filter(step => DONE_STATUSES.includes(recorded.get(step.step)?.status)).length;
+    const isCompleted = onboarding.status === 'completed';
+
+    return {
+      id: onboarding.id,
+      status: onboarding.status,
+      currentStep: isCompleted || !currentStep ? null : currentStep.step,
+      totalSteps: STEPS.length,
+      completionPercentage: isCompleted ? 100 : Math.round((doneCount / STEPS.length) * 100),
+      steps: this.getSteps().map((step) => {
+        const row = recorded.get(step.step);
+        let status = 'pending';
+        if (row) {
+          status = row.status;
+        } else if (!isCompleted && currentStep && currentStep.step === step.step) {
+          status = 'in_progress';
+        }
+
+        return {
+          ...step,
+          status,
+          completedAt: row ? row.completed_at : null,
+          // Saved answers let another device pick up where this one stopped
+          data: row ? row.data : null
+        };
+      }),
+      startedAt: onboarding.started_at,
+      completedAt: onboarding.completed_at
+    };
+  }
+
+  async loadState(onboarding) {
+    const steps = await dbManager.query(
+      `SELECT step_number, status, data, completed_at
+         FROM vendor_onboarding_steps
+        WHERE onboarding_id = $1`,
+      [onboarding.id]
+    );
+    return this.buildState(onboarding, steps.rows);
+  }
+
+  async findOnboarding(vendorId, onboardingId = null) {
+    const result = await dbManager.query(
+      `SELECT * FROM vendor_onboarding
+        WHERE vendor_id = $1
+          AND ($2::uuid IS NULL OR id = $2)`,
+      [vendorId, onboardingId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Start onboarding, or return the vendor's existing onboarding to resume it
+   */
+  async startOnboarding(vendorId) {
+    try {
+      const inserted = await dbManager.query(
+        `INSERT INTO vendor_onboarding (vendor_id)
+         VALUES ($1)
+         ON CONFLICT (vendor_id) DO NOTHING
+         RETURNING *`,
+        [vendorId]
+      );
+
+      const onboarding = inserted.rows[0] || await this.findOnboarding(vendorId);
+      const state = await this.loadState(onboarding);
+
+      return {
+        success: true,
+        message: inserted.rows.length ? 'Vendor onboarding started' : 'Resuming vendor onboarding',
+        data: { onboarding: state, created: inserted.rows.length > 0 }
+      };
+    } catch (error) {
+      logger.error('Error starting vendor onboarding:', error);
+      return { success: false, message: 'Failed to start onboarding', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async getOnboarding(vendorId, onboardingId = null) {
+    try {
+      const onboarding = await this.findOnboarding(vendorId, onboardingId);
+      if (!onboarding) {
+        return { success: false, message: 'Onboarding not found', code: 'ONBOARDING_NOT_FOUND' };
+      }
+
+      return { success: true, data: { onboarding: await this.loadState(onboarding) } };
+    } catch (error) {
+      logger.error('Error loading vendor onboarding:', error);
+      return { success: false, message: 'Failed to load onboarding', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Validate and save one step. Optional steps accept { skip: true }.
+   */
+  async submitStep(vendorId, onboardingId, stepNumber, payload = {}, { actorId = null } = {}) {
+    const definition = STEPS.find(step => step.step === stepNumber);
+    if (!definition) {
+      return { success: false, message: `Unknown onboarding step: ${stepNumber}`, code: 'INVALID_STEP' };
+    }
+
+    const skip = payload.skip === true;
+    if (skip && definition.required) {
+      return { success: false, message: `${definition.title} is required and cannot be skipped`, code: 'STEP_REQUIRED' };
+    }
+
+    let data = null;
+    if (!skip) {
+      const { error, value } = definition.schema.validate(payload, { stripUnknown: true });
+      if (error) {
+        return { success: false, message: error.details[0].message, code: 'VALIDATION_ERROR' };
+      }
+      data = value;
+    }
+
+    try {
+      const onboarding = await this.findOnboarding(vendorId, onboardingId);
+      if (!onboarding) {
+        return { success: false, message: 'Onboarding not found', code: 'ONBOARDING_NOT_FOUND' };
+      }
+
+      const state = await this.loadState(onboarding);
+      const blocking = state.steps.find(step => step.step < stepNumber && !DONE_STATUSES.includes(step.status));
+      if (blocking) {
+        return {
+          success: false,
+          message: `Complete step ${blocking.step} (${blocking.title}) first`,
+          code: 'STEP_OUT_OF_ORDER',
+          data: { currentStep: state.currentStep }
+        };
+      }
+
+      if (data) {
+        const applied = await definition.apply(vendorId, data, actorId);
+        if (!applied.success) {
+          return applied;
+        }
+      }
+
+      await dbManager.query(
+        `INSERT INTO vendor_onboarding_steps (onboarding_id, step_number, step_key, status, data, completed_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (onboarding_id, step_number)
+         DO UPDATE SET status = EXCLUDED.status, data = EXCLUDED.data, completed_at = NOW()`,
+        [onboarding.id, stepNumber, definition.key, skip ? 'skipped' : 'completed', data ? JSON.stringify(data) : null]
+      );
+
+      const isFinalStep = stepNumber === STEPS[STEPS.length - 1].step;
+      const updated = await dbManager.query(
+        `UPDATE vendor_onboarding
+            SET current_step = GREATEST(current_step, $2),
+                status = CASE WHEN $3::boolean THEN 'completed' ELSE status END,
+                completed_at = CASE WHEN $3::boolean THEN COALESCE(completed_at, NOW()) ELSE completed_at END,
+                updated_at = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [onboarding.id, Math.min(stepNumber + 1, STEPS.length), isFinalStep]
+      );
+
+      const completedNow = isFinalStep && onboarding.status !== 'completed';
+      if (completedNow) {
+        // The vendor becomes searchable now
+        await vendorProfileService.invalidateSearchCache();
+        logger.info('Vendor onboarding completed', { vendorId, onboardingId: onboarding.id });
+      }
+
+      const nextState = await this.loadState(updated.rows[0]);
+
+      return {
+        success: true,
+        message: skip ? `${definition.title} skipped` : `${definition.title} saved`,
+        data: {
+          onboarding: nextState,
+          nextStep: nextState.currentStep,
+          isCompleted: nextState.status === 'completed',
+          completedNow,
+          completionPercentage: nextState.completionPercentage
+        }
+      };
+    } catch (error) {
+      logger.error('Error saving onboarding step:', error);
+      return { success: false, message: 'Failed to save onboarding step', code: 'SERVER_ERROR' };
+    }
+  }
+}
+
+module.exports = new VendorOnboardingService();
@@ -0,0 +1,241 @@
+/**
+ * Vendor Portfolio Service for FixRx
+ * Uploads, orders, captions and deletes a vendor's portfolio photos. Images
+ * are cleaned up by utils/imageProcessing (orientation, size, EXIF/GPS
+ * removal, thumbnail) and written through the configured storage driver.
+ * The ordered image URLs are mirrored to vendor_profiles.portfolio_images so
+ * profile and search responses stay in step.
+ */
+
+const crypto = require('crypto');
+const { dbManager } = require('../config/database');
+const { getStorage } = require('./storageService');
+const vendorProfileService = require('./vendorProfileService');
+const { processImage } = require('../utils/imageProcessing');
+const { logger } = require('../utils/logger');
+
+const MAX_PORTFOLIO_ITEMS = 20;
+
+class VendorPortfolioService {
+  formatItem(row) {
+    return {
+      id: row.id,
+      imageUrl: row.image_url,
+      thumbnailUrl: row.thumbnail_url,
+      caption: row.caption,
+      width: row.width,
+      height: row.height,
+      sortOrder: row.sort_order,
+      createdAt: row.created_at
+    };
+  }
+
+  async listItems(vendorId) {
+    try {
+      const result = await dbManager.query(
+        `SELECT * FROM vendor_portfolio
+          WHERE vendor_id = $1
+          ORDER BY sort_order, created_at`,
+        [vendorId]
+      );
+
+      return { success: true, data: { items: result.rows.map(row => this.formatItem(row)) } };
+    } catch (error) {
+      logger.error('Error loading vendor portfolio:', error);
+      return { success: false, message: 'Failed to load portfolio', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Process and store one photo, appending it to the end of the portfolio
+   */
+  async uploadItem(vendorId, file, { caption = null } = {}) {
+    let processed;
+    try {
+      processed = await processImage(file.buffer);
+    } catch (error) {
+      if (error.code === 'INVALID_IMAGE') {
+        return { success: false, message: error.message, code: 'INVALID_IMAGE' };
+      }
+      logger.error('Error processing portfolio image:', error);
+      return { success: false, message: 'Failed to process image', code: 'SERVER_ERROR' };
+    }
+
+    const storage = getStorage();
+    const baseKey = `portfolio/${vendorId}/${crypto.randomUUID()}`;
+    const stored = [];
+
+    try {
+      const count = await dbManager.query('SELECT COUNT(*) AS total FROM vendor_portfolio WHERE vendor_id = $1', [vendorId]);
+      if (Number(count.rows[0].total) >= MAX_PORTFOLIO_ITEMS) {
+        return {
+          success: false,
+          message: `A portfolio can hold at most ${MAX_PORTFOLIO_ITEMS} images`,
+          code: 'PORTFOLIO_FULL'
+        };
+      }
+
+      const image = await storage.put(`${baseKey}.jpg`, processed.image.buffer, { contentType: processed.image.contentType });
+      stored.push(image.key);
+      const thumbnail = await storage.put(`${baseKey}_thumb.jpg`, processed.thumbnail.buffer, { contentType: processed.thumbnail.contentType });
+      stored.push(thumbnail.key);
+
+      const result = await dbManager.query(
+        `INSERT INTO vendor_portfolio (
+           vendor_id, caption, image_url, storage_key, thumbnail_url, thumbnail_key,
+           content_type, file_size, width, height, sort_order
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+           (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM vendor_portfolio WHERE vendor_id = $1))
+         RETURNING *`,
+        [
+          vendorId, caption, image.url, image.key, thumbnail.url, thumbnail.key,
+          processed.image.contentType, processed.image.size, processed.image.width, processed.image.height
+        ]
+      );
+
+      await this.syncProfileImages(vendorId);
+      logger.info('Portfolio image uploaded', { vendorId, itemId: result.rows[0].id, bytes: processed.image.size });
+
+      return {
+        success: true,
+        message: 'Portfolio image uploaded',
+        data: { item: this.formatItem(result.rows[0]) }
+      };
+    } catch (error) {
+      logger.error('Error saving portfolio image:', error);
+      await this.removeFiles(stored);
+      return { success: false, message: 'Failed to save portfolio image', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async updateCaption(vendorId, itemId, caption) {
+    try {
+      const result = await dbManager.query(
+        `UPDATE vendor_portfolio
+            SET caption = $3, updated_at = NOW()
+          WHERE id = $1 AND vendor_id = $2
+          RETURNING *`,
+        [itemId, vendorId, caption]
+      );
+
+      if (!result.rows.length) {
+        return { success: false, message: 'Portfolio item not found', code: 'PORTFOLIO_ITEM_NOT_FOUND' };
+      }
+
+      return { success: true, message: 'Caption updated', data: { item: this.formatItem(result.rows[0]) } };
+    } catch (error) {
+      logger.error('Error updating portfolio caption:', error);
+      return { success: false, message: 'Failed to update caption', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Set the display order; itemIds must list every item in the portfolio exactly once
+   */
+  async reorderItems(vendorId, itemIds) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT id FROM vendor_portfolio WHERE vendor_id = $1 FOR UPDATE',
+        [vendorId]
+      );
+      const known = new Set(existing.rows.map(row => row.id));
+      const complete = itemIds.length === known.size && itemIds.every(id => known.has(id));
+
+      if (!complete) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          message: 'The new order must list every portfolio item exactly once',
+          code: 'INVALID_ORDER'
+        };
+      }
+
+      await client.query(
+        `UPDATE vendor_portfolio vp
+            SET sort_order = ordered.position - 1, updated_at = NOW()
+           FROM unnest($2::uuid[]) WITH ORDINALITY AS ordered(id, position)
+          WHERE vp.id = ordered.id AND vp.vendor_id = $1`,
+        [vendorId, itemIds]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error reordering portfolio:', error);
+      return { success: false, message: 'Failed to reorder portfolio', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    await this.syncProfileImages(vendorId);
+    const items = await this.listItems(vendorId);
+    return items.success ? { ...items, message: 'Portfolio reordered' } : items;
+  }
+
+  async deleteItem(vendorId, itemId) {
+    try {
+      const result = await dbManager.query(
+        'DELETE FROM vendor_portfolio WHERE id = $1 AND vendor_id = $2 RETURNING *',
+        [itemId, vendorId]
+      );
+
+      if (!result.rows.length) {
+        return { success: false, message: 'Portfolio item not found', code: 'PORTFOLIO_ITEM_NOT_FOUND' };
+      }
+
+      const row = result.rows[0];
+      await this.removeFiles([row.storage_key, row.thumbnail_key]);
+      await this.syncProfileImages(vendorId);
+
+      return { success: true, message: 'Portfolio item deleted', data: { itemId } };
+    } catch (error) {
+      logger.error('Error deleting portfolio item:', error);
+      return { success: false, message: 'Failed to delete portfolio item', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Best-effort file cleanup; a leftover file is harmless, a failed request is not
+   */
+  async removeFiles(keys) {
+    const storage = getStorage();
+    await Promise.all(keys.filter(Boolean).map(async (key) => {
+      try {
+        await storage.delete(key);
+      } catch (error) {
+        logger.warn('Failed to delete stored file', { key, error: error.message });
+      }
+    }));
+  }
+
+  async syncProfileImages(vendorId) {
+    try {
+      const result = await dbManager.query(
+        `SELECT image_url FROM vendor_portfolio
+          WHERE vendor_id = $1
+          ORDER BY sort_order, created_at`,
+        [vendorId]
+      );
+
+      const saved = await vendorProfileService.updateManagedFields(
+        vendorId,
+        { portfolioImages: result.rows.map(row => row.image_url) },
+        { actorId: vendorId }
+      );
+      // Vendors can upload photos before their profile exists; it picks them up on the next sync
+      if (!saved.success && saved.code !== 'PROFILE_NOT_FOUND') {
+        logger.warn('Failed to sync portfolio images to vendor profile', { vendorId, code: saved.code });
+      }
+    } catch (error) {
+      logger.warn('Failed to sync portfolio images to vendor profile', { vendorId, error: error.message });
+    }
+  }
+}
+
+module.exports = new VendorPortfolioService();
@@ -0,0 +1,323 @@
+/**
+ * Vendor Profile Service for FixRx
+ * Creates and edits vendor business profiles. Every change bumps the profile
+ * version and is written to vendor_profile_history as a field-by-field diff,
+ * and cached search results are dropped and the vendor's text search document
+ * rebuilt so edits show up in search at once.
+ */
+
+const { dbManager } = require('../config/database');
+const vendorSearchIndexService = require('./vendorSearchIndexService');
+const geocodingService = require('./geocodingService');
+const { logger } = require('../utils/logger');
+
+// API field -> vendor_profiles column for everything a vendor may edit
+const EDITABLE_FIELDS = {
+  businessName: 'business_name',
+  businessDescription: 'business_description',
+  businessPhone: 'business_phone',
+  businessEmail: 'business_email',
+  businessAddress: 'business_address',
+  websiteUrl: 'website_url',
+  yearsExperience: 'years_experience',
+  serviceCategories: 'service_categories',
+  serviceRadius: 'service_radius',
+  hourlyRateMin: 'hourly_rate_min',
+  hourlyRateMax: 'hourly_rate_max',
+  availabilitySchedule: 'availability_schedule',
+  timezone: 'timezone'
+};
+
+// Fields set by onboarding and verification rather than the profile endpoints
+const MANAGED_FIELDS = {
+  licenseNumber: 'license_number',
+  insuranceInfo: 'insurance_info',
+  portfolioImages: 'portfolio_images'
+};
+
+const JSON_COLUMNS = ['business_address', 'availability_schedule', 'insurance_info', 'portfolio_images'];
+const NUMERIC_COLUMNS = ['service_radius', 'hourly_rate_min', 'hourly_rate_max', 'years_experience'];
+
+// Cached search results that embed vendor profile data
+const SEARCH_CACHE_PATTERNS = ['geo_search:*', 'nearby:*'];
+
+class VendorProfileService {
+  /**
+   * Comparable form of a column value (pg returns NUMERIC as strings)
+   */
+  normalizeValue(column, value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (NUMERIC_COLUMNS.includes(column)) {
+      return Number(value);
+    }
+    return value;
+  }
+
+  isSameValue(column, a, b) {
+    return JSON.stringify(this.normalizeValue(column, a)) === JSON.stringify(this.normalizeValue(column, b));
+  }
+
+  toColumnValue(column, value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    return JSON_COLUMNS.includes(column) ? JSON.stringify(value) : value;
+  }
+
+  async invalidateSearchCache() {
+    await Promise.all(SEARCH_CACHE_PATTERNS.map(pattern => dbManager.flushCache(pattern)));
+  }
+
+  async getProfile(vendorId) {
+    try {
+      const result = await dbManager.query('SELECT * FROM vendor_profiles WHERE vendor_id = $1', [vendorId]);
+
+      if (!result.rows.length) {
+        return { success: false, message: 'Vendor profile not found', code: 'PROFILE_NOT_FOUND' };
+      }
+
+      return { success: true, data: { profile: result.rows[0] } };
+    } catch (error) {
+      logger.error('Error loading vendor profile:', error);
+      return { success: false, message: 'Failed to load vendor profile', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Create a profile; a vendor has at most one
+   */
+  async createProfile(vendorId, fields, { actorId = null } = {}) {
+    return this.saveProfile(vendorId, fields, { actorId, mode: 'create' });
+  }
+
+  /**
+   * Replace every editable field (omitted fields are cleared); creates the profile if missing
+   */
+  async replaceProfile(vendorId, fields, { actorId = null, expectedVersion = null } = {}) {
+    return this.saveProfile(vendorId, fields, { actorId, expectedVersion, mode: 'replace' });
+  }
+
+  /**
+   * Change only the fields given
+   */
+  async updateProfile(vendorId, fields, { actorId = null, expectedVersion = null } = {}) {
+    return this.saveProfile(vendorId, fields, { actorId, expectedVersion, mode: 'update' });
+  }
+
+  /**
+   * Change only the fields given, creating the profile if the vendor has none yet
+   */
+  async saveFields(vendorId, fields, { actorId = null } = {}) {
+    return this.saveProfile(vendorId, fields, { actorId, mode: 'upsert' });
+  }
+
+  /**
+   * Set credentials or portfolio images on an existing profile
+   */
+  async updateManagedFields(vendorId, fields, { actorId = null } = {}) {
+    return this.saveProfile(vendorId, fields, { actorId, mode: 'update', fieldMap: MANAGED_FIELDS });
+  }
+
+  async saveProfile(vendorId, fields, { actorId, expectedVersion = null, mode, fieldMap = EDITABLE_FIELDS }) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query('SELECT * FROM vendor_profiles WHERE vendor_id = $1 FOR UPDATE', [vendorId]);
+      const current = existing.rows[0] || null;
+
+      const failure = this.checkPreconditions(current, { expectedVersion, mode });
+      if (failure) {
+        await client.query('ROLLBACK');
+        return failure;
+      }
+
+      const next = {};
+      const changes = {};
+      Object.entries(fieldMap).forEach(([field, column]) => {
+        const provided = Object.prototype.hasOwnProperty.call(fields, field);
+        if (!provided && current && mode !== 'replace') {
+          next[column] = current[column];
+          return;
+        }
+
+        const value = provided ? fields[field] : null;
+        next[column] = value;
+        if (!this.isSameValue(column, current ? current[column] : null, value)) {
+          changes[field] = {
+            from: this.normalizeValue(column, current ? current[column] : null),
+            to: this.normalizeValue(column, value)
+          };
+        }
+      });
+
+      const rateMin = this.normalizeValue('hourly_rate_min', next.hourly_rate_min);
+      const rateMax = this.normalizeValue('hourly_rate_max', next.hourly_rate_max);
+      if (rateMin !== null && rateMax !== null && rateMin > rateMax) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Minimum hourly rate cannot exceed the maximum', code: 'INVALID_RATE_RANGE' };
+      }
+
+      const columns = Object.values(fieldMap);
+      if (columns.includes('business_name') && !next.business_name) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'Business name is required', code: 'VALIDATION_ERROR' };
+      }
+
+      if (current && !Object.keys(changes).length) {
+        await client.query('ROLLBACK');
+        return { success: true, message: 'No changes to save', data: { profile: current, changes: {} } };
+      }
+
+      const values = columns.map(column => this.toColumnValue(column, next[column]));
+      let saved;
+
+      if (current) {
+        const assignments = columns.map((column, index) => `${column} = $${index + 2}`).join(', ');
+        saved = await client.query(
+          `UPDATE vendor_profiles
+              SET ${assignments}, version = version + 1, updated_at = NOW()
+            WHERE vendor_id = $1
+            RETURNING *`,
+          [vendorId, ...values]
+        );
+      } else {
+        const placeholders = columns.map((_column, index) => `$${index + 2}`).join(', ');
+        saved = await client.query(
+          `INSERT INTO vendor_profiles (vendor_id, ${columns.join(', ')})
+           VALUES ($1, ${placeholders})
+           RETURNING *`,
+          [vendorId, ...values]
+        );
+      }
+
+      const profile = saved.rows[0];
+
+      await this.syncVendorRecord(client, profile);
+
+      await client.query(
+        `INSERT INTO vendor_profile_history (vendor_id, version, changed_by, changes)
+         VALUES ($1, $2, $3, $4)`,
+        [vendorId, profile.version, actorId, JSON.stringify(changes)]
+      );
+
+      await client.query('COMMIT');
+
+      await this.invalidateSearchCache();
+      await vendorSearchIndexService.refreshVendors([vendorId]);
+      logger.info('Vendor profile saved', { vendorId, version: profile.version, fields: Object.keys(changes) });
+
+      return {
+        success: true,
+        message: current ? 'Vendor profile updated successfully' : 'Vendor profile created successfully',
+        data: { profile, changes, created: !current }
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // Two first saves racing for the same vendor
+      if (error.code === '23505') {
+        return { success: false, message: 'Vendor profile already exists', code: 'PROFILE_EXISTS' };
+      }
+      logger.error('Error saving vendor profile:', error);
+      return { success: false, message: 'Failed to save vendor profile', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mirror the profile onto the vendor's vendors row, which search reads,
+   * creating it on the first save. Coordinates come from the address ZIP and
+   * are kept as they are when it does not resolve.
+   */
+  async syncVendorRecord(client, profile) {
+    const address = profile.business_address || {};
+    const place = address.zipCode ? geocodingService.resolve({ zip: address.zipCode }) : null;
+    const values = [
+      profile.vendor_id,
+      profile.business_name,
+      profile.business_description || null,
+      profile.service_categories || [],
+      JSON.stringify(address),
+      profile.website_url || null,
+      this.toColumnValue('availability_schedule', profile.availability_schedule),
+      place ? place.latitude : null,
+      place ? place.longitude : null
+    ];
+
+    const updated = await client.query(
+      `UPDATE vendors
+          SET business_name = $2, business_description = $3, service_categories = $4,
+              business_address = $5, website_url = $6, availability_schedule = $7,
+              latitude = COALESCE($8, latitude), longitude = COALESCE($9, longitude),
+              updated_at = NOW()
+        WHERE user_id = $1`,
+      values
+    );
+
+    if (!updated.rowCount) {
+      await client.query(
+        `INSERT INTO vendors (user_id, business_name, business_description, service_categories,
+                              business_address, website_url, availability_schedule, latitude, longitude)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        values
+      );
+    }
+  }
+
+  checkPreconditions(current, { expectedVersion, mode }) {
+    if (mode === 'create' && current) {
+      return { success: false, message: 'Vendor profile already exists', code: 'PROFILE_EXISTS' };
+    }
+
+    if (mode === 'update' && !current) {
+      return { success: false, message: 'Vendor profile not found', code: 'PROFILE_NOT_FOUND' };
+    }
+
+    // Clients that send the version they edited get lost-update protection
+    if (expectedVersion !== null && current && current.version !== expectedVersion) {
+      return {
+        success: false,
+        message: 'Vendor profile was changed by someone else; reload and try again',
+        code: 'VERSION_CONFLICT',
+        data: { currentVersion: current.version }
+      };
+    }
+
+    return null;
+  }
+
+  async getHistory(vendorId, { limit = 20, offset = 0 } = {}) {
+    try {
+      const result = await dbManager.query(
+        `SELECT version, changed_by, changes, created_at
+           FROM vendor_profile_history
+          WHERE vendor_id = $1
+          ORDER BY version DESC
+          LIMIT $2 OFFSET $3`,
+        [vendorId, limit, offset]
+      );
+
+      return {
+        success: true,
+        data: {
+          history: result.rows.map(row => ({
+            version: row.version,
+            changedBy: row.changed_by,
+            changes: row.changes,
+            createdAt: row.created_at
+          }))
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading vendor profile history:', error);
+      return { success: false, message: 'Failed to load profile history', code: 'SERVER_ERROR' };
+    }
+  }
+}
+
+module.exports = new VendorProfileService();
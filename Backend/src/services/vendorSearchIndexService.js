@@ -0,0 +1,104 @@
+/**
+ * Vendor Search Index Service for FixRx
+ * Keeps vendor_search_documents, the full-text side of vendor search, in
+ * step with what it is built from: business name and service categories
+ * (weight A), description and titles of past jobs (B) and review comments
+ * (C). `terms` holds the short name and category text the trigram index
+ * matches misspellings against; `body` is the longer text snippets come from.
+ *
+ * Profile saves and new ratings refresh their vendor right away and a nightly
+ * job rebuilds everything, which also catches edits made outside the API.
+ */
+
+const { dbManager } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+// Most recent reviews and jobs that go into a vendor's document
+const MAX_REVIEWS = 50;
+const MAX_JOB_TITLES = 50;
+
+// $1: users.id of the vendors to refresh, or NULL for every vendor
+const REFRESH_SQL = `
+  INSERT INTO vendor_search_documents (vendor_id, document, terms, body, updated_at)
+  SELECT
+    v.id,
+    setweight(to_tsvector('english', concat_ws(' ', d.name, d.categories)), 'A') ||
+    setweight(to_tsvector('english', concat_ws(' ', d.description, d.job_titles)), 'B') ||
+    setweight(to_tsvector('english', COALESCE(d.reviews, '')), 'C'),
+    lower(concat_ws(' ', d.name, d.categories)),
+    concat_ws(E'\\n', d.description, d.reviews),
+    NOW()
+  FROM vendors v
+  LEFT JOIN vendor_profiles vp ON vp.vendor_id = v.user_id
+  CROSS JOIN LATERAL (
+    SELECT
+      COALESCE(vp.business_name, v.business_name) AS name,
+      array_to_string(COALESCE(vp.service_categories, v.service_categories), ' ') AS categories,
+      COALESCE(vp.business_description, v.business_description) AS description,
+      (SELECT string_agg(s.title, ' ')
+         FROM (SELECT title FROM services WHERE vendor_id = v.id ORDER BY created_at DESC LIMIT ${MAX_JOB_TITLES}) s
+      ) AS job_titles,
+      (SELECT string_agg(r.comment, E'\\n')
+         FROM (
+           SELECT comment FROM ratings
+            WHERE vendor_id = v.id AND comment IS NOT NULL AND comment <> ''
+            ORDER BY created_at DESC
+            LIMIT ${MAX_REVIEWS}
+         ) r
+      ) AS reviews
+  ) d
+  WHERE $1::uuid[] IS NULL OR v.user_id = ANY($1)
+  ON CONFLICT (vendor_id) DO UPDATE SET
+    document = EXCLUDED.document,
+    terms = EXCLUDED.terms,
+    body = EXCLUDED.body,
+    updated_at = EXCLUDED.updated_at
+`;
+
+class VendorSearchIndexService {
+  /**
+   * Rebuild the documents of the given vendors (users.id)
+   */
+  async refreshVendors(vendorUserIds) {
+    if (!vendorUserIds.length) {
+      return { success: true, data: { refreshed: 0 } };
+    }
+
+    try {
+      const result = await dbManager.query(REFRESH_SQL, [vendorUserIds]);
+      return { success: true, data: { refreshed: result.rowCount } };
+    } catch (error) {
+      logger.error('Error refreshing vendor search documents:', error);
+      return { success: false, message: 'Failed to refresh search index', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async refreshAll() {
+    try {
+      const result = await dbManager.query(REFRESH_SQL, [null]);
+      logger.info('Vendor search index rebuilt', { vendors: result.rowCount });
+      return { success: true, data: { refreshed: result.rowCount } };
+    } catch (error) {
+      logger.error('Error rebuilding vendor search index:', error);
+      return { success: false, message: 'Failed to rebuild search index', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Fill the index on the first start after the migration instead of
+   * leaving text search empty until the nightly rebuild
+   */
+  async ensureBuilt() {
+    const result = await dbManager.query(`
+      SELECT EXISTS (SELECT 1 FROM vendors) AS has_vendors,
+             EXISTS (SELECT 1 FROM vendor_search_documents) AS has_documents
+    `);
+    const { has_vendors: hasVendors, has_documents: hasDocuments } = result.rows[0];
+    if (hasVendors && !hasDocuments) {
+      return this.refreshAll();
+    }
+    return { success: true, data: { refreshed: 0 } };
+  }
+}
+
+module.exports = new VendorSearchIndexService();
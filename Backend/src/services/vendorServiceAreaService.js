@@ -0,0 +1,118 @@
+/**
+ * Vendor Service Area Service for FixRx
+ * The places a vendor works: circles around a point, or polygons drawn on a
+ * map (stored as GeoJSON, [lng, lat] order). With PostGIS each area also gets
+ * a geography column that search checks with ST_Covers; without it the areas
+ * are kept but search falls back to the vendor's own location and radius.
+ */
+
+const { dbManager } = require('../config/database');
+const { geoSearchService } = require('./geoSearchService');
+const vendorProfileService = require('./vendorProfileService');
+const { logger } = require('../utils/logger');
+
+class VendorServiceAreaService {
+  formatArea(row) {
+    const area = { id: row.id, type: row.kind, label: row.label };
+
+    if (row.kind === 'radius') {
+      area.center = { lat: parseFloat(row.center_latitude), lng: parseFloat(row.center_longitude) };
+      area.radiusKm = parseFloat(row.radius_km);
+    } else {
+      area.coordinates = row.boundary.coordinates[0];
+    }
+
+    return area;
+  }
+
+  // GeoJSON rings must end where they start
+  toBoundary(coordinates) {
+    const ring = coordinates.map(([lng, lat]) => [lng, lat]);
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      ring.push([...first]);
+    }
+    return { type: 'Polygon', coordinates: [ring] };
+  }
+
+  async listAreas(vendorId) {
+    try {
+      const result = await dbManager.query(
+        `SELECT id, kind, label, center_latitude, center_longitude, radius_km, boundary
+           FROM vendor_service_areas
+          WHERE vendor_id = $1
+          ORDER BY created_at ASC, id ASC`,
+        [vendorId]
+      );
+
+      return {
+        success: true,
+        data: {
+          areas: result.rows.map(row => this.formatArea(row)),
+          coverageSearch: geoSearchService.mode === 'postgis'
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading service areas:', error);
+      return { success: false, message: 'Failed to load service areas', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async insertArea(client, vendorId, area) {
+    const postgis = geoSearchService.mode === 'postgis';
+
+    if (area.type === 'radius') {
+      return client.query(
+        `INSERT INTO vendor_service_areas (vendor_id, kind, label, center_latitude, center_longitude, radius_km${postgis ? ', area' : ''})
+         VALUES ($1, 'radius', $2, $3::float8, $4::float8, $5::float8${postgis
+           ? ', ST_Buffer(ST_SetSRID(ST_MakePoint($4::float8, $3::float8), 4326)::geography, $5::float8 * 1000)'
+           : ''})`,
+        [vendorId, area.label || null, area.center.lat, area.center.lng, area.radiusKm]
+      );
+    }
+
+    const boundary = JSON.stringify(this.toBoundary(area.coordinates));
+    return client.query(
+      `INSERT INTO vendor_service_areas (vendor_id, kind, label, boundary${postgis ? ', area' : ''})
+       VALUES ($1, 'polygon', $2, $3::text::jsonb${postgis ? ', ST_GeogFromGeoJSON($3::text)' : ''})`,
+      [vendorId, area.label || null, boundary]
+    );
+  }
+
+  /**
+   * Replace all of a vendor's service areas; an empty list goes back to
+   * matching on the vendor's location and search radius
+   */
+  async replaceAreas(vendorId, areas) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM vendor_service_areas WHERE vendor_id = $1', [vendorId]);
+      for (const area of areas) {
+        await this.insertArea(client, vendorId, area);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // PostGIS rejects polygons it cannot build a geography from
+      if (error.code === 'XX000' || error.code === '22023') {
+        return { success: false, message: `Invalid service area: ${error.message}`, code: 'INVALID_AREA' };
+      }
+      logger.error('Error saving service areas:', error);
+      return { success: false, message: 'Failed to save service areas', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    await vendorProfileService.invalidateSearchCache();
+    logger.info('Vendor service areas saved', { vendorId, count: areas.length });
+
+    const result = await this.listAreas(vendorId);
+    return result.success ? { ...result, message: 'Service areas saved' } : result;
+  }
+}
+
+module.exports = new VendorServiceAreaService();
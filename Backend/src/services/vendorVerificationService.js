@@ -0,0 +1,688 @@
+/**
+ * Vendor Verification Service for FixRx
+ * Vendors submit their contractor license and insurance certificate; admins
+ * review each submission from a queue, with notes, and approve or reject it.
+ * License numbers are checked against the state registry (see
+ * licenseRegistryService) and the result is attached as evidence.
+ *
+ * A vendor is verified while both their license and insurance are approved
+ * and unexpired. An approved document stays in force until a newer
+ * submission of the same type is approved. Approved documents are flagged
+ * ahead of their expiry date, and rejected once it passes.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { dbManager } = require('../config/database');
+const { queueManager } = require('./queueManager');
+const licenseRegistryService = require('./licenseRegistryService');
+const vendorProfileService = require('./vendorProfileService');
+const { getStorage } = require('./storageService');
+const { logger } = require('../utils/logger');
+
+const DOCUMENT_TYPES = ['license', 'insurance'];
+const OPEN_STATUSES = ['pending', 'in_review'];
+const EXPIRY_WARNING_DAYS = parseInt(process.env.VERIFICATION_EXPIRY_WARNING_DAYS, 10) || 30;
+
+// Decisions an admin may take from each status
+const REVIEW_TRANSITIONS = {
+  pending: ['in_review', 'approved', 'rejected'],
+  in_review: ['approved', 'rejected'],
+  approved: ['rejected'],
+  rejected: ['in_review']
+};
+
+const DOCUMENT_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png'
+};
+
+class VendorVerificationService {
+  formatVerification(row) {
+    return {
+      id: row.id,
+      vendorId: row.vendor_id,
+      documentType: row.document_type,
+      status: row.status,
+      licenseNumber: row.license_number,
+      licenseType: row.license_type,
+      licenseState: row.license_state,
+      insuranceProvider: row.insurance_provider,
+      policyNumber: row.policy_number,
+      coverageAmount: row.coverage_amount === null || row.coverage_amount === undefined ? null : Number(row.coverage_amount),
+      hasDocument: Boolean(row.document_key),
+      expiresAt: row.expires_at,
+      registryResult: row.registry_result,
+      registryCheckedAt: row.registry_checked_at,
+      reviewNotes: row.review_notes,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      expiryFlaggedAt: row.expiry_flagged_at,
+      supersededAt: row.superseded_at,
+      submittedAt: row.submitted_at
+    };
+  }
+
+  async recordEvent(queryable, verificationId, { actorId = null, event, fromStatus = null, toStatus = null, note = null }) {
+    await queryable.query(
+      `INSERT INTO vendor_verification_events (verification_id, actor_id, event, from_status, to_status, note)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [verificationId, actorId, event, fromStatus, toStatus, note]
+    );
+  }
+
+  async notifyVendor(vendorId, title, body, data = {}) {
+    try {
+      await dbManager.query(
+        `INSERT INTO notifications (user_id, title, body, category, type, data)
+         VALUES ($1, $2, $3, 'system', 'in_app', $4)`,
+        [vendorId, title, body, JSON.stringify(data)]
+      );
+    } catch (error) {
+      logger.warn('Failed to notify vendor about verification', { vendorId, error: error.message });
+    }
+  }
+
+  /**
+   * The vendor's current submissions and overall verification state
+   */
+  async getVendorVerification(vendorId) {
+    try {
+      const result = await dbManager.query(
+        `SELECT * FROM vendor_verifications
+          WHERE vendor_id = $1 AND superseded_at IS NULL
+          ORDER BY submitted_at DESC`,
+        [vendorId]
+      );
+
+      return {
+        success: true,
+        data: {
+          ...this.summarize(result.rows),
+          documents: result.rows.map(row => this.formatVerification(row))
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading vendor verification:', error);
+      return { success: false, message: 'Failed to load verification status', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Overall state from a vendor's current (non-superseded) submissions
+   */
+  summarize(rows, today = new Date()) {
+    const todayDate = today.toISOString().slice(0, 10);
+    const isInForce = row => row.status === 'approved'
+      && (!row.expires_at || new Date(row.expires_at).toISOString().slice(0, 10) >= todayDate);
+
+    const verifiedTypes = DOCUMENT_TYPES.filter(type => rows.some(row => row.document_type === type && isInForce(row)));
+    const isVerified = verifiedTypes.length === DOCUMENT_TYPES.length;
+
+    let status = 'pending';
+    if (isVerified) {
+      status = 'approved';
+    } else if (rows.some(row => row.status === 'in_review')) {
+      status = 'in_review';
+    } else if (rows.some(row => row.status === 'rejected') && !rows.some(row => row.status === 'pending')) {
+      status = 'rejected';
+    }
+
+    return {
+      isVerified,
+      status,
+      missing: DOCUMENT_TYPES.filter(type => !verifiedTypes.includes(type))
+    };
+  }
+
+  /**
+   * Recompute vendor_profiles.is_verified and vendors.verification_status
+   */
+  async refreshVendorStatus(vendorId) {
+    const result = await dbManager.query(
+      'SELECT * FROM vendor_verifications WHERE vendor_id = $1 AND superseded_at IS NULL',
+      [vendorId]
+    );
+    const summary = this.summarize(result.rows);
+
+    await dbManager.query('UPDATE vendor_profiles SET is_verified = $2 WHERE vendor_id = $1', [vendorId, summary.isVerified]);
+    await dbManager.query(
+      'UPDATE vendors SET verification_status = $2, updated_at = NOW() WHERE user_id = $1',
+      [vendorId, summary.status]
+    );
+    // Search results filter and badge on is_verified
+    await vendorProfileService.invalidateSearchCache();
+
+    return summary;
+  }
+
+  /**
+   * Store a new submission, replacing any of the same type that is still undecided
+   */
+  async createSubmission(vendorId, documentType, columns) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const replaced = await client.query(
+        `UPDATE vendor_verifications
+            SET superseded_at = NOW(), updated_at = NOW()
+          WHERE vendor_id = $1 AND document_type = $2
+            AND superseded_at IS NULL AND status <> 'approved'
+          RETURNING id`,
+        [vendorId, documentType]
+      );
+
+      const names = Object.keys(columns);
+      const inserted = await client.query(
+        `INSERT INTO vendor_verifications (vendor_id, document_type, ${names.join(', ')})
+         VALUES ($1, $2, ${names.map((_name, index) => `$${index + 3}`).join(', ')})
+         RETURNING *`,
+        [vendorId, documentType, ...Object.values(columns)]
+      );
+      const verification = inserted.rows[0];
+
+      await this.recordEvent(client, verification.id, {
+        actorId: vendorId,
+        event: 'submitted',
+        toStatus: 'pending',
+        note: replaced.rows.length ? `Replaces ${replaced.rows.map(row => row.id).join(', ')}` : null
+      });
+
+      await client.query('COMMIT');
+      return verification;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async submitLicense(vendorId, { licenseNumber, licenseType = null, state, expiresAt = null }) {
+    try {
+      const verification = await this.createSubmission(vendorId, 'license', {
+        license_number: licenseNumber,
+        license_type: licenseType,
+        license_state: state.toUpperCase(),
+        expires_at: expiresAt
+      });
+
+      await this.scheduleRegistryCheck(verification);
+      logger.info('License submitted for verification', { vendorId, verificationId: verification.id });
+
+      return {
+        success: true,
+        message: 'License submitted for verification',
+        data: { verification: this.formatVerification(verification) }
+      };
+    } catch (error) {
+      logger.error('Error submitting license:', error);
+      return { success: false, message: 'Failed to submit license', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async submitInsurance(vendorId, { provider, policyNumber, coverageAmount = null, expiresAt }, file) {
+    const extension = DOCUMENT_EXTENSIONS[file.mimetype];
+    if (!extension) {
+      return { success: false, message: 'Certificates must be PDF, JPEG or PNG files', code: 'INVALID_DOCUMENT' };
+    }
+
+    const storage = getStorage('private');
+    const key = `verification/${vendorId}/${crypto.randomUUID()}${extension}`;
+
+    try {
+      await storage.put(key, file.buffer, { contentType: file.mimetype });
+    } catch (error) {
+      logger.error('Error storing insurance certificate:', error);
+      return { success: false, message: 'Failed to store certificate', code: 'SERVER_ERROR' };
+    }
+
+    try {
+      const verification = await this.createSubmission(vendorId, 'insurance', {
+        insurance_provider: provider,
+        policy_number: policyNumber,
+        coverage_amount: coverageAmount,
+        expires_at: expiresAt,
+        document_key: key,
+        document_content_type: file.mimetype
+      });
+
+      logger.info('Insurance submitted for verification', { vendorId, verificationId: verification.id });
+
+      return {
+        success: true,
+        message: 'Insurance certificate submitted for verification',
+        data: { verification: this.formatVerification(verification) }
+      };
+    } catch (error) {
+      logger.error('Error submitting insurance:', error);
+      await storage.delete(key).catch(() => {});
+      return { success: false, message: 'Failed to submit insurance', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Queue a registry lookup, or run it now when the job queue is unavailable
+   */
+  async scheduleRegistryCheck(verification) {
+    if (queueManager.isInitialized) {
+      try {
+        await queueManager.addVerificationJob(
+          verification.vendor_id,
+          verification.license_number,
+          verification.license_type,
+          verification.license_state,
+          verification.id
+        );
+        return;
+      } catch (error) {
+        logger.warn('Failed to queue license registry check, running inline', { error: error.message });
+      }
+    }
+
+    await this.runRegistryCheck(verification.id);
+  }
+
+  async runRegistryCheck(verificationId) {
+    try {
+      const result = await dbManager.query('SELECT * FROM vendor_verifications WHERE id = $1', [verificationId]);
+      const verification = result.rows[0];
+      if (!verification || verification.document_type !== 'license') {
+        return { success: false, message: 'License submission not found', code: 'VERIFICATION_NOT_FOUND' };
+      }
+
+      const lookup = await licenseRegistryService.lookup({
+        licenseNumber: verification.license_number,
+        licenseType: verification.license_type,
+        state: verification.license_state
+      });
+      if (lookup) {
+        await this.recordRegistryResult(verificationId, lookup);
+      }
+
+      return { success: true, data: { registryResult: lookup } };
+    } catch (error) {
+      // A registry outage must not lose the submission; admins can re-run the check
+      logger.error('License registry check failed:', error);
+      return { success: false, message: 'License registry lookup failed', code: 'REGISTRY_UNAVAILABLE' };
+    }
+  }
+
+  /**
+   * Attach a registry lookup to a license submission as review evidence
+   */
+  async recordRegistryResult(verificationId, lookup) {
+    await dbManager.query(
+      `UPDATE vendor_verifications
+          SET registry_result = $2,
+              registry_checked_at = NOW(),
+              expires_at = COALESCE(expires_at, $3::date),
+              updated_at = NOW()
+        WHERE id = $1`,
+      [verificationId, JSON.stringify(lookup), lookup.expiresAt || null]
+    );
+
+    let note = 'License not found in the state registry';
+    if (lookup.found) {
+      note = `Registry status: ${lookup.status}${lookup.expiresAt ? `, expires ${lookup.expiresAt}` : ''}`;
+    }
+    await this.recordEvent(dbManager, verificationId, { event: 'registry_checked', note });
+  }
+
+  /**
+   * Review queue, oldest first. status: pending | in_review | approved | rejected | expiring
+   */
+  async listQueue({ status = null, documentType = null, limit = 50, offset = 0 } = {}) {
+    const conditions = ['vv.superseded_at IS NULL'];
+    const params = [];
+
+    if (status === 'expiring') {
+      conditions.push("vv.status = 'approved' AND vv.expiry_flagged_at IS NOT NULL");
+    } else {
+      params.push(status ? [status] : OPEN_STATUSES);
+      conditions.push(`vv.status = ANY($${params.length}::verification_status_enum[])`);
+    }
+
+    if (documentType) {
+      params.push(documentType);
+      conditions.push(`vv.document_type = $${params.length}`);
+    }
+
+    params.push(limit, offset);
+
+    try {
+      const result = await dbManager.query(
+        `SELECT vv.*, u.first_name, u.last_name, u.email, vp.business_name,
+                COUNT(*) OVER() AS total_count
+           FROM vendor_verifications vv
+           JOIN users u ON u.id = vv.vendor_id
+           LEFT JOIN vendor_profiles vp ON vp.vendor_id = vv.vendor_id
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY ${status === 'expiring' ? 'vv.expires_at' : 'vv.submitted_at'} ASC
+          LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+
+      return {
+        success: true,
+        data: {
+          verifications: result.rows.map(row => ({
+            ...this.formatVerification(row),
+            vendor: {
+              id: row.vendor_id,
+              name: [row.first_name, row.last_name].filter(Boolean).join(' '),
+              email: row.email,
+              businessName: row.business_name
+            }
+          })),
+          total: result.rows.length ? Number(result.rows[0].total_count) : 0,
+          limit,
+          offset
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading verification queue:', error);
+      return { success: false, message: 'Failed to load verification queue', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async getVerification(verificationId) {
+    try {
+      const result = await dbManager.query('SELECT * FROM vendor_verifications WHERE id = $1', [verificationId]);
+      if (!result.rows.length) {
+        return { success: false, message: 'Verification not found', code: 'VERIFICATION_NOT_FOUND' };
+      }
+
+      const events = await dbManager.query(
+        `SELECT event, actor_id, from_status, to_status, note, created_at
+           FROM vendor_verification_events
+          WHERE verification_id = $1
+          ORDER BY created_at`,
+        [verificationId]
+      );
+
+      return {
+        success: true,
+        data: {
+          verification: this.formatVerification(result.rows[0]),
+          events: events.rows.map(row => ({
+            event: row.event,
+            actorId: row.actor_id,
+            fromStatus: row.from_status,
+            toStatus: row.to_status,
+            note: row.note,
+            createdAt: row.created_at
+          }))
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading verification:', error);
+      return { success: false, message: 'Failed to load verification', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * The uploaded certificate, for reviewers
+   */
+  async getDocument(verificationId) {
+    try {
+      const result = await dbManager.query(
+        'SELECT vendor_id, document_type, document_key, document_content_type FROM vendor_verifications WHERE id = $1',
+        [verificationId]
+      );
+      const row = result.rows[0];
+      if (!row || !row.document_key) {
+        return { success: false, message: 'Document not found', code: 'DOCUMENT_NOT_FOUND' };
+      }
+
+      const buffer = await getStorage('private').get(row.document_key);
+      return {
+        success: true,
+        data: {
+          buffer,
+          contentType: row.document_content_type,
+          filename: `${row.document_type}-${row.vendor_id}${path.extname(row.document_key)}`
+        }
+      };
+    } catch (error) {
+      logger.error('Error loading verification document:', error);
+      return { success: false, message: 'Failed to load document', code: 'SERVER_ERROR' };
+    }
+  }
+
+  async addNote(verificationId, actorId, note) {
+    try {
+      const result = await dbManager.query('SELECT status FROM vendor_verifications WHERE id = $1', [verificationId]);
+      if (!result.rows.length) {
+        return { success: false, message: 'Verification not found', code: 'VERIFICATION_NOT_FOUND' };
+      }
+
+      await this.recordEvent(dbManager, verificationId, { actorId, event: 'note', note });
+      return { success: true, message: 'Note added' };
+    } catch (error) {
+      logger.error('Error adding verification note:', error);
+      return { success: false, message: 'Failed to add note', code: 'SERVER_ERROR' };
+    }
+  }
+
+  /**
+   * Move a submission to in_review, approved or rejected
+   */
+  async reviewVerification(verificationId, actorId, { decision, notes = null, expiresAt = null }) {
+    const pool = await dbManager.getConnection();
+    const client = await pool.connect();
+    let verification;
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query('SELECT * FROM vendor_verifications WHERE id = $1 FOR UPDATE', [verificationId]);
+      const current = existing.rows[0];
+      const failure = this.checkReview(current, { decision, notes, expiresAt });
+      if (failure) {
+        await client.query('ROLLBACK');
+        return failure;
+      }
+
+      const updated = await client.query(
+        `UPDATE vendor_verifications
+            SET status = $2,
+                review_notes = COALESCE($3, review_notes),
+                expires_at = COALESCE($4::date, expires_at),
+                reviewed_by = $5,
+                reviewed_at = NOW(),
+                expiry_flagged_at = CASE WHEN $2 = 'approved' THEN NULL ELSE expiry_flagged_at END,
+                updated_at = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [verificationId, decision, notes, expiresAt, actorId]
+      );
+      verification = updated.rows[0];
+
+      if (decision === 'approved') {
+        // The newly approved document replaces the one in force
+        await client.query(
+          `UPDATE vendor_verifications
+              SET superseded_at = NOW(), updated_at = NOW()
+            WHERE vendor_id = $1 AND document_type = $2 AND id <> $3 AND superseded_at IS NULL`,
+          [current.vendor_id, current.document_type, verificationId]
+        );
+      }
+
+      await this.recordEvent(client, verificationId, {
+        actorId,
+        event: 'reviewed',
+        fromStatus: current.status,
+        toStatus: decision,
+        note: notes
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error reviewing verification:', error);
+      return { success: false, message: 'Failed to review verification', code: 'SERVER_ERROR' };
+    } finally {
+      client.release();
+    }
+
+    const summary = await this.afterReview(verification, actorId);
+
+    return {
+      success: true,
+      message: `Verification ${decision.replace('_', ' ')}`,
+      data: { verification: this.formatVerification(verification), vendorStatus: summary }
+    };
+  }
+
+  checkReview(current, { decision, notes, expiresAt }) {
+    if (!current) {
+      return { success: false, message: 'Verification not found', code: 'VERIFICATION_NOT_FOUND' };
+    }
+
+    if (current.superseded_at) {
+      return { success: false, message: 'A newer submission has replaced this one', code: 'VERIFICATION_SUPERSEDED' };
+    }
+
+    if (!(REVIEW_TRANSITIONS[current.status] || []).includes(decision)) {
+      return {
+        success: false,
+        message: `Cannot move a ${current.status} submission to ${decision}`,
+        code: 'INVALID_TRANSITION'
+      };
+    }
+
+    if (decision === 'rejected' && !notes) {
+      return { success: false, message: 'Notes are required to reject a submission', code: 'NOTES_REQUIRED' };
+    }
+
+    // Expiry tracking needs a date for every approved document
+    if (decision === 'approved' && !current.expires_at && !expiresAt) {
+      return { success: false, message: 'An expiry date is required to approve', code: 'EXPIRY_REQUIRED' };
+    }
+
+    return null;
+  }
+
+  async afterReview(verification, actorId) {
+    let summary = null;
+    try {
+      summary = await this.refreshVendorStatus(verification.vendor_id);
+
+      if (verification.status === 'approved') {
+        await this.syncProfile(verification, actorId);
+      }
+    } catch (error) {
+      logger.error('Error updating vendor after verification review:', error);
+    }
+
+    if (verification.status === 'approved' || verification.status === 'rejected') {
+      const label = verification.document_type === 'license' ? 'license' : 'insurance certificate';
+      await this.notifyVendor(
+        verification.vendor_id,
+        verification.status === 'approved' ? `Your ${label} was approved` : `Your ${label} was not approved`,
+        verification.status === 'approved'
+          ? `Your ${label} has been verified.`
+          : `Your ${label} could not be verified: ${verification.review_notes}`,
+        { verificationId: verification.id, status: verification.status }
+      );
+    }
+
+    return summary;
+  }
+
+  /**
+   * Copy approved credentials onto the vendor profile
+   */
+  async syncProfile(verification, actorId) {
+    const fields = verification.document_type === 'license'
+      ? { licenseNumber: verification.license_number }
+      : {
+        insuranceInfo: {
+          provider: verification.insurance_provider,
+          policyNumber: verification.policy_number,
+          expiresAt: verification.expires_at
+        }
+      };
+
+    const saved = await vendorProfileService.updateManagedFields(verification.vendor_id, fields, { actorId });
+    if (!saved.success && saved.code !== 'PROFILE_NOT_FOUND') {
+      logger.warn('Failed to copy verified credentials to vendor profile', { vendorId: verification.vendor_id, code: saved.code });
+    }
+  }
+
+  /**
+   * Flag approved documents that expire within warningDays and reject lapsed ones
+   */
+  async checkExpirations({ warningDays = EXPIRY_WARNING_DAYS } = {}) {
+    try {
+      const flagged = await dbManager.query(
+        `UPDATE vendor_verifications
+            SET expiry_flagged_at = NOW(), updated_at = NOW()
+          WHERE status = 'approved' AND superseded_at IS NULL AND expiry_flagged_at IS NULL
+            AND expires_at >= CURRENT_DATE AND expires_at <= CURRENT_DATE + $1::int
+          RETURNING *`,
+        [warningDays]
+      );
+
+      for (const row of flagged.rows) {
+        await this.recordEvent(dbManager, row.id, { event: 'expiry_flagged', note: `Expires ${this.formatDate(row.expires_at)}` });
+        await this.notifyVendor(
+          row.vendor_id,
+          `Your ${row.document_type} expires soon`,
+          `Your ${row.document_type} expires on ${this.formatDate(row.expires_at)}. Submit a renewed one to stay verified.`,
+          { verificationId: row.id, expiresAt: row.expires_at }
+        );
+      }
+
+      const expired = await dbManager.query(
+        `UPDATE vendor_verifications
+            SET status = 'rejected', review_notes = 'Expired', reviewed_at = NOW(), updated_at = NOW()
+          WHERE status = 'approved' AND superseded_at IS NULL AND expires_at < CURRENT_DATE
+          RETURNING *`
+      );
+
+      for (const row of expired.rows) {
+        await this.recordEvent(dbManager, row.id, {
+          event: 'expired',
+          fromStatus: 'approved',
+          toStatus: 'rejected',
+          note: `Expired ${this.formatDate(row.expires_at)}`
+        });
+        await this.notifyVendor(
+          row.vendor_id,
+          `Your ${row.document_type} has expired`,
+          `Your ${row.document_type} expired on ${this.formatDate(row.expires_at)}. Submit a renewed one to be verified again.`,
+          { verificationId: row.id }
+        );
+      }
+
+      const affectedVendors = [...new Set(expired.rows.map(row => row.vendor_id))];
+      for (const vendorId of affectedVendors) {
+        await this.refreshVendorStatus(vendorId);
+      }
+
+      if (flagged.rows.length || expired.rows.length) {
+        logger.info('Verification expiry check', { flagged: flagged.rows.length, expired: expired.rows.length });
+      }
+
+      return {
+        success: true,
+        data: { flagged: flagged.rows.length, expired: expired.rows.length, vendorsUnverified: affectedVendors.length }
+      };
+    } catch (error) {
+      logger.error('Error checking verification expirations:', error);
+      return { success: false, message: 'Failed to check expirations', code: 'SERVER_ERROR' };
+    }
+  }
+
+  formatDate(value) {
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+  }
+}
+
+module.exports = new VendorVerificationService();
@@ -0,0 +1,172 @@
+/**
+ * Availability Calendar
+ * Turns a vendor's weekly working hours, kept in the vendor's own time zone,
+ * into concrete UTC intervals, takes busy time out of them and cuts what is
+ * left into bookable slots. Time zones are resolved with the Intl API, so
+ * daylight-saving changes follow the IANA database Node ships with.
+ */
+
+const { WEEKDAYS } = require('./vendorProfileValidation');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getLocalParts = (date, timeZone) => getFormatter(timeZone)
+  .formatToParts(date)
+  .reduce((parts, { type, value }) => (type === 'literal' ? parts : { ...parts, [type]: Number(value) }), {});
+
+// Milliseconds the zone is ahead of UTC at the given instant
+const getZoneOffset = (date, timeZone) => {
+  const parts = getLocalParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time ('2026-03-08', '09:30') happens in a zone
+ */
+const zonedTimeToUtc = (localDate, time, timeZone) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset at the guess can differ from the offset at the answer across a DST change
+  let instant = wallClock - getZoneOffset(new Date(wallClock), timeZone);
+  const corrected = wallClock - getZoneOffset(new Date(instant), timeZone);
+  if (corrected !== instant) {
+    instant = corrected;
+  }
+  return new Date(instant);
+};
+
+const toLocalDate = (date, timeZone) => {
+  const { year, month, day } = getLocalParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const addDays = (localDate, days) => new Date(Date.parse(`${localDate}T00:00:00Z`) + days * DAY_MS)
+  .toISOString()
+  .slice(0, 10);
+
+const weekdayOf = localDate => WEEKDAYS[(new Date(`${localDate}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = new Date(Math.max(last.end, interval.end));
+    } else {
+      merged.push({ start: new Date(interval.start), end: new Date(interval.end) });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Working hours between from and to as UTC intervals
+ */
+const workingIntervals = (schedule, timeZone, from, to) => {
+  if (!schedule) {
+    return [];
+  }
+
+  const intervals = [];
+  // Start a day early: the vendor's local day can begin before `from` in UTC
+  const lastDay = toLocalDate(to, timeZone);
+  for (let day = addDays(toLocalDate(from, timeZone), -1); day <= lastDay; day = addDays(day, 1)) {
+    (schedule[weekdayOf(day)] || []).forEach(({ start, end }) => {
+      const startsAt = zonedTimeToUtc(day, start, timeZone);
+      const endsAt = zonedTimeToUtc(day, end, timeZone);
+      const clippedStart = new Date(Math.max(startsAt, from));
+      const clippedEnd = new Date(Math.min(endsAt, to));
+      if (clippedStart < clippedEnd) {
+        intervals.push({ start: clippedStart, end: clippedEnd });
+      }
+    });
+  }
+
+  return mergeIntervals(intervals);
+};
+
+/**
+ * Remove busy periods (time off, bookings) from open intervals
+ */
+const subtractIntervals = (open, busy) => {
+  const blocks = mergeIntervals(busy.map(({ start, end }) => ({ start: new Date(start), end: new Date(end) })));
+
+  return open.flatMap((interval) => {
+    const remaining = [];
+    let cursor = interval.start;
+    blocks.forEach((block) => {
+      if (block.end <= cursor || block.start >= interval.end) {
+        return;
+      }
+      if (block.start > cursor) {
+        remaining.push({ start: cursor, end: block.start });
+      }
+      cursor = new Date(Math.max(cursor, block.end));
+    });
+    if (cursor < interval.end) {
+      remaining.push({ start: cursor, end: interval.end });
+    }
+    return remaining;
+  });
+};
+
+/**
+ * Cut open intervals into back-to-back slots of the given length
+ */
+const splitIntoSlots = (intervals, slotMinutes) => {
+  const length = slotMinutes * MINUTE_MS;
+  return intervals.flatMap(({ start, end }) => {
+    const slots = [];
+    for (let slotStart = start.getTime(); slotStart + length <= end.getTime(); slotStart += length) {
+      slots.push({ start: new Date(slotStart), end: new Date(slotStart + length) });
+    }
+    return slots;
+  });
+};
+
+const hasOpening = (intervals, durationMinutes) =>
+  intervals.some(({ start, end }) => end - start >= durationMinutes * MINUTE_MS);
+
+module.exports = {
+  isValidTimezone,
+  zonedTimeToUtc,
+  toLocalDate,
+  workingIntervals,
+  subtractIntervals,
+  splitIntoSlots,
+  hasOpening
+};
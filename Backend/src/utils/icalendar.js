@@ -0,0 +1,125 @@
+/**
+ * iCalendar (RFC 5545) Builder for FixRx
+ * Renders appointments as VEVENTs for calendar feeds and .ics attachments.
+ *
+ * Times are written in UTC so no VTIMEZONE block is needed. Calendar apps
+ * match events by UID and take the copy with the highest SEQUENCE, so a
+ * reschedule or cancellation replaces the event they already have.
+ */
+
+const PRODUCT_ID = '-//FixRx//Appointments//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (section 3.3.11)
+ */
+const escapeText = (value) => `${value}`
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * UTC DATE-TIME form, e.g. 20261019T150000Z
+ */
+const formatDateTime = (value) => new Date(value).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line at 75 octets (section 3.1) without splitting a
+ * multi-byte character; continuation lines start with a single space
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Content lines for one VEVENT
+ */
+const eventLines = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+    `DTSTART:${formatDateTime(event.startsAt)}`,
+    `DTEND:${formatDateTime(event.endsAt)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (event.createdAt) {
+    lines.push(`CREATED:${formatDateTime(event.createdAt)}`);
+  }
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * A complete VCALENDAR object with CRLF line endings
+ *
+ * @param {Array<Object>} events - { uid, startsAt, endsAt, summary, description?,
+ *   location?, url?, sequence?, cancelled?, createdAt?, updatedAt? }
+ * @param {Object} options - { name?: calendar name shown by the client,
+ *   method?: iTIP method, refreshMinutes?: suggested polling interval }
+ */
+const buildCalendar = (events, { name = null, method = 'PUBLISH', refreshMinutes = null } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  events.forEach(event => lines.push(...eventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildCalendar
+};
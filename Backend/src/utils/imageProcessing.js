@@ -0,0 +1,63 @@
+/**
+ * Image Processing
+ * Normalizes uploaded photos before they are stored: applies the camera's
+ * EXIF orientation, caps the size, re-encodes as JPEG and builds a square
+ * thumbnail. sharp drops all metadata on output unless asked to keep it, so
+ * the EXIF block, including GPS coordinates of job-site photos, never
+ * reaches storage.
+ */
+
+const { AppError } = require('./errorHandler');
+
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'heif', 'avif'];
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 400;
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const invalidImage = message => new AppError(message, 400, 'INVALID_IMAGE');
+
+/**
+ * Returns { image, thumbnail }, each { buffer, contentType, width, height, size }
+ */
+async function processImage(input) {
+  // Native module; loaded on first upload so the API starts even where its binary is missing
+  const sharp = require('sharp');
+
+  let metadata;
+  try {
+    metadata = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw invalidImage('File is not a readable image');
+  }
+
+  if (!SUPPORTED_FORMATS.includes(metadata.format)) {
+    throw invalidImage(`Unsupported image format: ${metadata.format || 'unknown'}`);
+  }
+
+  // rotate() with no angle bakes in the EXIF orientation before the metadata is dropped
+  const image = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 85, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(image.data)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover', position: 'attention' })
+    .jpeg({ quality: 75 })
+    .toBuffer({ resolveWithObject: true });
+
+  const describe = ({ data, info }) => ({
+    buffer: data,
+    contentType: 'image/jpeg',
+    width: info.width,
+    height: info.height,
+    size: info.size
+  });
+
+  return { image: describe(image), thumbnail: describe(thumbnail) };
+}
+
+module.exports = {
+  processImage,
+  SUPPORTED_FORMATS
+};
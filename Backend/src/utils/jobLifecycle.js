@@ -0,0 +1,88 @@
+/**
+ * Service Job Lifecycle for FixRx
+ * Allowed status transitions of a service job and who may make them.
+ *
+ *   requested -> quoted -> accepted -> in_progress -> completed
+ *   (requested may also be accepted directly; any open job may be
+ *   cancelled; in_progress and completed jobs may be disputed, and staff
+ *   settle a dispute as completed or cancelled)
+ *
+ * Roles are the job's consumer, its vendor, and staff holding the
+ * services:moderate permission.
+ */
+
+const STATUSES = ['requested', 'quoted', 'accepted', 'in_progress', 'completed', 'cancelled', 'disputed'];
+
+const TRANSITIONS = {
+  requested: {
+    quoted: ['vendor'],
+    accepted: ['vendor'],
+    cancelled: ['consumer', 'vendor', 'staff']
+  },
+  quoted: {
+    accepted: ['consumer'],
+    cancelled: ['consumer', 'vendor', 'staff']
+  },
+  accepted: {
+    in_progress: ['vendor'],
+    cancelled: ['consumer', 'vendor', 'staff']
+  },
+  in_progress: {
+    completed: ['vendor'],
+    cancelled: ['vendor', 'staff'],
+    disputed: ['consumer']
+  },
+  completed: {
+    disputed: ['consumer']
+  },
+  disputed: {
+    completed: ['staff'],
+    cancelled: ['staff']
+  },
+  cancelled: {}
+};
+
+// Moves that must be explained
+const REASON_REQUIRED = ['cancelled', 'disputed'];
+
+// Column recording when a job last entered each status
+const TIMESTAMP_COLUMNS = {
+  quoted: 'quoted_at',
+  accepted: 'accepted_at',
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at',
+  disputed: 'disputed_at'
+};
+
+/**
+ * Statuses the given roles can move a job in `from` to
+ */
+const allowedTransitions = (from, roles) => Object.entries(TRANSITIONS[from] || {})
+  .filter(([, allowed]) => allowed.some(role => roles.includes(role)))
+  .map(([to]) => to);
+
+/**
+ * Why `roles` cannot move a job from `from` to `to`, or null when they can
+ */
+const checkTransition = (from, to, roles, { reason = null } = {}) => {
+  const allowed = (TRANSITIONS[from] || {})[to];
+  if (!allowed) {
+    return { code: 'INVALID_TRANSITION', message: `A ${from.replace('_', ' ')} job cannot become ${to.replace('_', ' ')}` };
+  }
+  if (!allowed.some(role => roles.includes(role))) {
+    return { code: 'FORBIDDEN', message: `Only the ${allowed.join(' or ')} can mark this job ${to.replace('_', ' ')}` };
+  }
+  if (REASON_REQUIRED.includes(to) && !(reason && `${reason}`.trim())) {
+    return { code: 'REASON_REQUIRED', message: `A reason is required to mark a job ${to}` };
+  }
+  return null;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  TIMESTAMP_COLUMNS,
+  allowedTransitions,
+  checkTransition
+};
@@ -0,0 +1,59 @@
+/**
+ * Quote Totals for FixRx
+ * Prices itemized quotes. Amounts are summed in whole cents so that line
+ * items, category totals and tax always add up to the quoted total.
+ */
+
+const CATEGORIES = ['labor', 'materials', 'other'];
+
+const toCents = value => Math.round(Number(value) * 100);
+const fromCents = cents => cents / 100;
+
+/**
+ * @param {Array<Object>} lineItems - { category, description, quantity, unitPrice, taxable? }
+ * @param {number} taxRate - Percentage applied to taxable lines, e.g. 8.25
+ * @returns {Object} Priced line items with laborTotal, materialsTotal,
+ *   otherTotal, subtotal, taxTotal and total
+ */
+const calculateTotals = (lineItems, taxRate = 0) => {
+  const categoryCents = { labor: 0, materials: 0, other: 0 };
+  let taxableCents = 0;
+
+  const priced = lineItems.map((item) => {
+    const amountCents = Math.round(Number(item.quantity) * toCents(item.unitPrice));
+    const taxable = item.taxable !== false;
+
+    categoryCents[item.category] += amountCents;
+    if (taxable) {
+      taxableCents += amountCents;
+    }
+
+    return {
+      category: item.category,
+      description: item.description,
+      quantity: Number(item.quantity),
+      unitPrice: fromCents(toCents(item.unitPrice)),
+      taxable,
+      amount: fromCents(amountCents)
+    };
+  });
+
+  const subtotalCents = categoryCents.labor + categoryCents.materials + categoryCents.other;
+  const taxCents = Math.round(taxableCents * Number(taxRate || 0) / 100);
+
+  return {
+    lineItems: priced,
+    laborTotal: fromCents(categoryCents.labor),
+    materialsTotal: fromCents(categoryCents.materials),
+    otherTotal: fromCents(categoryCents.other),
+    subtotal: fromCents(subtotalCents),
+    taxRate: Number(taxRate || 0),
+    taxTotal: fromCents(taxCents),
+    total: fromCents(subtotalCents + taxCents)
+  };
+};
+
+module.exports = {
+  CATEGORIES,
+  calculateTotals
+};
@@ -0,0 +1,117 @@
+/**
+ * Search Query for FixRx
+ * Turns what a consumer typed into a Postgres tsquery, expanded with trade
+ * synonyms, and reads the highlighted snippets ts_headline returns.
+ */
+
+const MAX_TERMS = 10;
+
+// Words consumers type -> words vendors write. Each term matches itself or
+// any of these; multi-word entries are matched as phrases.
+const SYNONYMS = {
+  ac: ['hvac', 'air conditioning'],
+  aircon: ['hvac', 'air conditioning'],
+  hvac: ['heating', 'air conditioning'],
+  furnace: ['heating', 'hvac'],
+  heater: ['heating', 'hvac'],
+  plumber: ['plumbing'],
+  plumbing: ['plumber'],
+  faucet: ['tap', 'plumbing'],
+  toilet: ['plumbing'],
+  leak: ['plumbing'],
+  leaky: ['leak', 'plumbing'],
+  electrician: ['electrical'],
+  electrical: ['electrician'],
+  wiring: ['electrical'],
+  handyman: ['repair', 'maintenance'],
+  roofer: ['roofing'],
+  roof: ['roofing'],
+  painter: ['painting'],
+  carpenter: ['carpentry'],
+  landscaper: ['landscaping', 'lawn'],
+  lawn: ['landscaping'],
+  gardener: ['landscaping', 'gardening'],
+  maid: ['cleaning'],
+  cleaner: ['cleaning'],
+  exterminator: ['pest control'],
+  pest: ['pest control', 'exterminator'],
+  fridge: ['refrigerator', 'appliance'],
+  washer: ['washing machine', 'appliance'],
+  locksmith: ['lock'],
+  drywall: ['sheetrock']
+};
+
+// ts_headline markers; control characters never appear in profile text
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+
+/**
+ * Normalized text and the tsquery source for a search, or null when nothing
+ * searchable is left. Terms are reduced to [a-z0-9] so the tsquery source
+ * cannot carry operators of its own.
+ */
+const parseSearchQuery = (input) => {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const terms = input
+    .toLowerCase()
+    .replace(/\ba\/c\b/g, 'ac')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+
+  if (!terms.length) {
+    return null;
+  }
+
+  const groups = [...new Set(terms)].map((term) => {
+    const alternatives = [term, ...(SYNONYMS[term] || [])]
+      .map(phrase => phrase.split(' ').join(' <-> '));
+    return `(${alternatives.join(' | ')})`;
+  });
+
+  return {
+    text: terms.join(' '),
+    terms,
+    // Any term may match; ranking puts vendors matching more of them first
+    tsquery: groups.join(' | ')
+  };
+};
+
+/**
+ * ts_headline output -> { text, highlights: [[start, end], ...] } with the
+ * markers removed and offsets into the returned text
+ */
+const parseHeadline = (headline) => {
+  if (!headline) {
+    return null;
+  }
+
+  const highlights = [];
+  let text = '';
+  let start = null;
+  for (const char of headline) {
+    if (char === HIGHLIGHT_START) {
+      start = text.length;
+    } else if (char === HIGHLIGHT_STOP) {
+      if (start !== null) {
+        highlights.push([start, text.length]);
+      }
+      start = null;
+    } else {
+      text += char;
+    }
+  }
+
+  return { text, highlights };
+};
+
+module.exports = {
+  SYNONYMS,
+  HEADLINE_OPTIONS,
+  parseSearchQuery,
+  parseHeadline
+};
@@ -0,0 +1,69 @@
+/**
+ * Vendor Profile Validation
+ * Joi rules for vendor profile fields, shared by the profile endpoints and
+ * the onboarding steps that write the same fields
+ */
+
+const Joi = require('joi');
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': 'Times must use 24-hour HH:MM format'
+});
+
+const daySlots = Joi.array().items(Joi.object({
+  start: timeOfDay.required(),
+  end: timeOfDay.required()
+})).max(10);
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// { monday: [{ start: '08:00', end: '17:00' }], ..., sunday: [] }
+const availabilitySchedule = Joi.object(
+  WEEKDAYS.reduce((days, day) => ({ ...days, [day]: daySlots }), {})
+).custom((schedule, helpers) => {
+  const invalid = Object.values(schedule).flat().find(slot => slot.start >= slot.end);
+  return invalid ? helpers.message('Each availability slot must end after it starts') : schedule;
+});
+
+// IANA zone the weekly schedule is written in, e.g. America/Chicago
+const timezone = Joi.string().max(64).custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message('timezone must be an IANA time zone such as America/Chicago');
+  }
+});
+
+const profileFields = {
+  businessName: Joi.string().trim().min(2).max(255),
+  businessDescription: Joi.string().max(5000).allow('', null),
+  businessPhone: Joi.string().pattern(/^\+?[0-9\s\-()]{7,20}$/).allow(null).messages({
+    'string.pattern.base': 'Please provide a valid business phone number'
+  }),
+  businessEmail: Joi.string().email().allow(null),
+  businessAddress: Joi.object({
+    street: Joi.string().max(255).allow(''),
+    city: Joi.string().max(100).allow(''),
+    state: Joi.string().max(50).allow(''),
+    zipCode: Joi.string().max(20).allow(''),
+    country: Joi.string().max(50).allow('')
+  }).allow(null),
+  websiteUrl: Joi.string().uri({ scheme: ['http', 'https'] }).allow(null),
+  yearsExperience: Joi.number().integer().min(0).max(100).allow(null),
+  serviceCategories: Joi.array().items(Joi.string().trim().max(100)).unique().max(20).allow(null),
+  serviceRadius: Joi.number().positive().max(500).allow(null),
+  hourlyRateMin: Joi.number().min(0).max(100000).precision(2).allow(null),
+  hourlyRateMax: Joi.number().min(0).max(100000).precision(2).allow(null),
+  availabilitySchedule: availabilitySchedule.allow(null),
+  timezone: timezone.allow(null),
+  // Version the client last read; a mismatch is rejected instead of overwriting
+  version: Joi.number().integer().min(1)
+};
+
+module.exports = {
+  WEEKDAYS,
+  availabilitySchedule,
+  timezone,
+  profileFields
+};
@@ -0,0 +1,161 @@
+/**
+ * Access Control Tests
+ * Tests for database-backed role permissions, the permission cache and
+ * requirePermission
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const accessControlService = require('../src/services/accessControlService');
+const { requirePermission } = require('../src/middleware');
+const { statements } = require('../src/scripts/migrate');
+
+const USER_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+
+// Columns the migrations give the users table
+const userColumns = () => {
+  const created = statements.find(statement => /CREATE TABLE IF NOT EXISTS users\s*\(/.test(statement));
+  const columns = [...created.matchAll(/^\s+([a-z_]+)\s+\w/gm)].map(match => match[1]);
+  const added = statements.flatMap(statement =>
+    [...statement.matchAll(/ALTER TABLE users\s+ADD COLUMN IF NOT EXISTS (\w+)/g)].map(match => match[1]));
+  return [...columns, ...added];
+};
+
+const mockRoleTables = ({ grants = [] } = {}) => jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+  if (text.includes('FROM roles r')) {
+    return {
+      rows: [
+        { name: 'consumer', display_name: 'Service Consumer', description: null, is_system: true, permissions: ['profile:read', 'vendors:search'] },
+        { name: 'support_agent', display_name: 'Support Agent', description: null, is_system: false, permissions: ['users:read', 'audit:read'] }
+      ]
+    };
+  }
+  if (text.includes('FROM user_roles ur')) {
+    return { rows: grants.map(name => ({ name })) };
+  }
+  throw new Error(`Unexpected query: ${text}`);
+});
+
+describe('Access control service', () => {
+  beforeEach(() => {
+    accessControlService.clearCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    accessControlService.clearCache();
+  });
+
+  it('should combine the base role with granted roles', async () => {
+    mockRoleTables({ grants: ['support_agent'] });
+
+    const access = await accessControlService.getUserAccess(USER_ID, 'consumer');
+
+    expect(access.roles).toEqual(['consumer', 'support_agent']);
+    expect(access.permissions).toEqual(expect.arrayContaining(['profile:read', 'vendors:search', 'users:read', 'audit:read']));
+  });
+
+  it('should serve repeat lookups from the cache', async () => {
+    const query = mockRoleTables();
+
+    await accessControlService.getUserPermissions(USER_ID, 'consumer');
+    await accessControlService.getUserPermissions(USER_ID, 'consumer');
+
+    expect(query).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fall back to built-in permissions when the tables are unavailable', async () => {
+    jest.spyOn(dbManager, 'query').mockRejectedValue(new Error('relation "roles" does not exist'));
+
+    const access = await accessControlService.getUserAccess(USER_ID, 'vendor');
+
+    expect(access.roles).toEqual(['vendor']);
+    expect(access.permissions).toContain('portfolio:write');
+  });
+
+  it('should list a user\'s roles from columns the users table has', async () => {
+    const query = mockRoleTables({ grants: ['support_agent'] });
+    const roleTables = query.getMockImplementation();
+    query.mockImplementation(async (text, params) => {
+      if (text.includes('FROM users')) {
+        return { rows: [{ id: USER_ID, user_type: 'CONSUMER' }] };
+      }
+      if (text.includes('FROM user_roles ur') && text.includes('ur.granted_at')) {
+        return { rows: [{ name: 'support_agent', display_name: 'Support Agent', granted_by: null, reason: null, granted_at: null }] };
+      }
+      return roleTables(text, params);
+    });
+
+    const result = await accessControlService.listUserRoles(USER_ID);
+
+    const [sql] = query.mock.calls.find(([text]) => text.includes('FROM users'));
+    const selected = sql.match(/SELECT (.+) FROM users/)[1].split(',').map(column => column.trim());
+    expect(userColumns()).toEqual(expect.arrayContaining(selected));
+    expect(result.data.baseRole).toBe('consumer');
+    expect(result.data.grants.map(grant => grant.role)).toEqual(['support_agent']);
+  });
+
+  it('should reject invalid role names', async () => {
+    const result = await accessControlService.createRole({ name: 'Support Agent', displayName: 'Support Agent' });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('INVALID_ROLE');
+  });
+});
+
+describe('requirePermission', () => {
+  const runMiddleware = async (permission, user) => {
+    const req = { user, path: '/test' };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+    await requirePermission(permission)(req, res, next);
+    return { res, next };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    accessControlService.clearCache();
+  });
+
+  it('should allow a permission that comes from a granted role', async () => {
+    mockRoleTables({ grants: ['support_agent'] });
+
+    const { next } = await runMiddleware('audit:read', { id: USER_ID, role: 'consumer', permissions: [] });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should deny a permission no role provides', async () => {
+    mockRoleTables();
+
+    const { res, next } = await runMiddleware('audit:read', { id: USER_ID, role: 'consumer', permissions: [] });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('Access API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to list roles', async () => {
+    const response = await request(app)
+      .get('/api/v1/access/roles')
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication to grant a role', async () => {
+    await request(app)
+      .post(`/api/v1/access/users/${USER_ID}/roles`)
+      .send({ role: 'support_agent' })
+      .expect(401);
+  });
+});
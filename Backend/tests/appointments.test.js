@@ -0,0 +1,236 @@
+/**
+ * Appointment Tests
+ * Tests for booking against vendor availability, conflict detection,
+ * rescheduling, cancellation, reminders and socket events
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const { queueManager } = require('../src/services/queueManager');
+const socketManager = require('../src/services/socketManager');
+const appointmentService = require('../src/services/appointmentService');
+const vendorAvailabilityService = require('../src/services/vendorAvailabilityService');
+
+const CONSUMER_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const CONNECTION_ID = '7c6b5a49-3827-4615-9f0e-d1c2b3a49586';
+const APPOINTMENT_ID = '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d6e';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Three days out, on the hour, so both reminders are still ahead
+const startsAt = new Date(Math.ceil((Date.now() + 72 * HOUR_MS) / HOUR_MS) * HOUR_MS);
+const endsAt = new Date(startsAt.getTime() + HOUR_MS);
+
+const acceptedConnection = {
+  id: CONNECTION_ID,
+  consumer_id: CONSUMER_ID,
+  vendor_id: VENDOR_ID,
+  status: 'ACCEPTED'
+};
+
+const scheduledAppointment = {
+  id: APPOINTMENT_ID,
+  connection_request_id: CONNECTION_ID,
+  consumer_id: CONSUMER_ID,
+  vendor_id: VENDOR_ID,
+  appointment_type: 'site_visit',
+  status: 'scheduled',
+  starts_at: startsAt,
+  ends_at: endsAt,
+  timezone: 'America/Chicago',
+  reminder_jobs: [{ queue: 'push', jobId: 'old-push' }, { queue: 'sms', jobId: 'old-sms' }]
+};
+
+/**
+ * Transaction client answering the booking queries
+ */
+const mockTransaction = ({ connection = acceptedConnection, appointment = scheduledAppointment, conflicts = [], insertError = null } = {}) => {
+  const client = {
+    query: jest.fn(async (text, params) => {
+      if (text.includes('FROM connection_requests')) {
+        return { rows: connection ? [connection] : [] };
+      }
+      if (text.includes('FROM appointments') && text.includes('FOR UPDATE')) {
+        return { rows: appointment ? [appointment] : [] };
+      }
+      if (text.includes('FROM appointments')) {
+        return { rows: conflicts };
+      }
+      if (text.startsWith('INSERT INTO appointments')) {
+        if (insertError) {
+          throw insertError;
+        }
+        return { rows: [{ ...scheduledAppointment, reminder_jobs: [], starts_at: params[4], ends_at: params[5] }] };
+      }
+      if (text.startsWith('UPDATE appointments') && text.includes("'cancelled'")) {
+        return { rows: [{ ...appointment, status: 'cancelled', cancellation_reason: params[2] }] };
+      }
+      if (text.startsWith('UPDATE appointments')) {
+        return { rows: [{ ...appointment, starts_at: params[1], ends_at: params[2] }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+  return client;
+};
+
+describe('Appointment service', () => {
+  let wasInitialized;
+
+  beforeEach(() => {
+    wasInitialized = queueManager.isInitialized;
+    queueManager.isInitialized = true;
+    jest.spyOn(vendorAvailabilityService, 'isOpen').mockResolvedValue(true);
+    jest.spyOn(vendorAvailabilityService, 'loadProfile').mockResolvedValue({ timezone: 'America/Chicago' });
+    jest.spyOn(queueManager, 'addPushJob').mockResolvedValue({});
+    jest.spyOn(queueManager, 'addSMSJob').mockResolvedValue({});
+    jest.spyOn(queueManager, 'removeJob').mockResolvedValue(true);
+    jest.spyOn(socketManager, 'emitAppointmentEvent').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    queueManager.isInitialized = wasInitialized;
+    jest.restoreAllMocks();
+  });
+
+  it('should only book on accepted connection requests', async () => {
+    const client = mockTransaction({ connection: { ...acceptedConnection, status: 'PENDING' } });
+
+    const result = await appointmentService.bookAppointment(CONSUMER_ID, { connectionRequestId: CONNECTION_ID, startsAt, endsAt });
+
+    expect(result.code).toBe('CONNECTION_NOT_ACCEPTED');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('should refuse a slot that overlaps another appointment', async () => {
+    mockTransaction({ conflicts: [{ id: 'other', starts_at: startsAt, ends_at: endsAt }] });
+
+    const result = await appointmentService.bookAppointment(CONSUMER_ID, { connectionRequestId: CONNECTION_ID, startsAt, endsAt });
+
+    expect(result.code).toBe('APPOINTMENT_CONFLICT');
+    expect(result.data.conflicts[0]).not.toHaveProperty('id');
+  });
+
+  it('should refuse a slot outside the vendor\'s availability', async () => {
+    mockTransaction();
+    vendorAvailabilityService.isOpen.mockResolvedValue(false);
+
+    const result = await appointmentService.bookAppointment(CONSUMER_ID, { connectionRequestId: CONNECTION_ID, startsAt, endsAt });
+
+    expect(result.code).toBe('OUTSIDE_AVAILABILITY');
+  });
+
+  it('should report a lost race for the same slot as a conflict', async () => {
+    mockTransaction({ insertError: Object.assign(new Error('conflicting key value violates exclusion constraint'), { code: '23P01' }) });
+
+    const result = await appointmentService.bookAppointment(CONSUMER_ID, { connectionRequestId: CONNECTION_ID, startsAt, endsAt });
+
+    expect(result.code).toBe('APPOINTMENT_CONFLICT');
+  });
+
+  it('should book, queue reminders for both participants and notify them', async () => {
+    const client = mockTransaction();
+    const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text, params) => {
+      if (text.startsWith('SELECT id, phone FROM users')) {
+        return { rows: [{ id: CONSUMER_ID, phone: '+15555550100' }, { id: VENDOR_ID, phone: null }] };
+      }
+      if (text.startsWith('UPDATE appointments SET reminder_jobs')) {
+        return { rows: [{ ...scheduledAppointment, reminder_jobs: JSON.parse(params[1]) }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await appointmentService.bookAppointment(CONSUMER_ID, {
+      connectionRequestId: CONNECTION_ID,
+      startsAt,
+      endsAt,
+      type: 'site_visit'
+    });
+
+    expect(result.success).toBe(true);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    // 24h and 1h reminders: push for both, SMS only where there is a phone number
+    expect(queueManager.addPushJob).toHaveBeenCalledTimes(4);
+    expect(queueManager.addSMSJob).toHaveBeenCalledTimes(2);
+    const [, , { delay }] = queueManager.addSMSJob.mock.calls[0];
+    expect(delay).toBeGreaterThan(47 * HOUR_MS);
+    const [, params] = query.mock.calls.find(([text]) => text.startsWith('UPDATE appointments SET reminder_jobs'));
+    expect(JSON.parse(params[1])).toHaveLength(6);
+    expect(socketManager.emitAppointmentEvent).toHaveBeenCalledWith(
+      'booked',
+      expect.objectContaining({ id: APPOINTMENT_ID, status: 'scheduled' }),
+      [CONSUMER_ID, VENDOR_ID]
+    );
+  });
+
+  it('should keep the length and replace reminders when rescheduling', async () => {
+    const client = mockTransaction();
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+    const newStart = new Date(startsAt.getTime() + 24 * HOUR_MS);
+
+    const result = await appointmentService.rescheduleAppointment(APPOINTMENT_ID, VENDOR_ID, {
+      startsAt: newStart,
+      reason: 'Crew running late on another job'
+    });
+
+    expect(result.success).toBe(true);
+    const [, params] = client.query.mock.calls.find(([text]) => text.includes('reschedule_count + 1'));
+    expect(params[2].getTime() - params[1].getTime()).toBe(HOUR_MS);
+    expect(vendorAvailabilityService.isOpen).toHaveBeenCalledWith(VENDOR_ID, newStart, expect.any(Date), { excludeAppointmentId: APPOINTMENT_ID });
+    expect(queueManager.removeJob).toHaveBeenCalledWith('push', 'old-push');
+    expect(queueManager.removeJob).toHaveBeenCalledWith('sms', 'old-sms');
+    expect(socketManager.emitAppointmentEvent).toHaveBeenCalledWith(
+      'rescheduled',
+      expect.objectContaining({ reason: 'Crew running late on another job' }),
+      [CONSUMER_ID, VENDOR_ID]
+    );
+  });
+
+  it('should cancel with a reason and withdraw the reminders', async () => {
+    mockTransaction();
+
+    const result = await appointmentService.cancelAppointment(APPOINTMENT_ID, CONSUMER_ID, { reason: 'Fixed it myself' });
+
+    expect(result.data.appointment).toMatchObject({ status: 'cancelled', cancellationReason: 'Fixed it myself' });
+    expect(queueManager.removeJob).toHaveBeenCalledTimes(2);
+    expect(queueManager.addPushJob).not.toHaveBeenCalled();
+  });
+
+  it('should not change a cancelled appointment', async () => {
+    mockTransaction({ appointment: { ...scheduledAppointment, status: 'cancelled' } });
+
+    const result = await appointmentService.rescheduleAppointment(APPOINTMENT_ID, CONSUMER_ID, {
+      startsAt,
+      reason: 'Try again'
+    });
+
+    expect(result.code).toBe('APPOINTMENT_CANCELLED');
+  });
+});
+
+describe('Appointment API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to book', async () => {
+    const response = await request(app)
+      .post('/api/v1/appointments')
+      .send({ connectionRequestId: CONNECTION_ID, startsAt: startsAt.toISOString() })
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication to list appointments', async () => {
+    await request(app)
+      .get('/api/v1/appointments')
+      .expect(401);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Authentication Pipeline Tests
+ * Tests for strategy selection and token rejection in middleware/auth
+ */
+
+const jwt = require('jsonwebtoken');
+const { resolveIdentity, registerAuthStrategy, AuthError } = require('../src/middleware/auth');
+const impersonationService = require('../src/services/impersonationService');
+
+describe('Authentication pipeline', () => {
+  it('should reject tokens that are not JWTs', async () => {
+    await expect(resolveIdentity('not-a-jwt')).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  it('should reject tokens no strategy recognises', async () => {
+    const token = jwt.sign({ email: 'test@example.com' }, process.env.JWT_SECRET || 'your-secret-key');
+
+    await expect(resolveIdentity(token)).rejects.toMatchObject({ code: 'INVALID_TOKEN_PAYLOAD' });
+  });
+
+  it('should reject local tokens signed with the wrong secret', async () => {
+    const token = jwt.sign({ userId: 'user-123' }, 'not-the-secret');
+
+    await expect(resolveIdentity(token)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  it('should reject Auth0 tokens signed with the wrong secret', async () => {
+    const token = jwt.sign({ sub: 'auth0|123' }, 'not-the-secret');
+
+    await expect(resolveIdentity(token)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  it('should reject expired tokens', async () => {
+    const token = jwt.sign(
+      { userId: 'user-123', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET || 'your-secret-key'
+    );
+
+    await expect(resolveIdentity(token)).rejects.toMatchObject({ code: 'TOKEN_EXPIRED' });
+  });
+
+  it('should consult registered strategies before the built-in ones', async () => {
+    registerAuthStrategy({
+      name: 'test',
+      supports: claims => claims.iss === 'test-issuer',
+      verify: async () => {
+        throw new AuthError('Rejected by test strategy', 'TEST_REJECTED');
+      }
+    });
+
+    const token = jwt.sign({ userId: 'user-123', iss: 'test-issuer' }, 'any-secret');
+
+    await expect(resolveIdentity(token)).rejects.toMatchObject({ code: 'TEST_REJECTED' });
+  });
+
+  it('should refuse incomplete strategies', () => {
+    expect(() => registerAuthStrategy({ name: 'broken' })).toThrow();
+  });
+});
+
+describe('Impersonation', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    ['NODE_ENV', 'AUTH_IMPERSONATION_ENABLED'].forEach((key) => {
+      if (originalEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = originalEnv[key];
+      }
+    });
+  });
+
+  it('should be disabled unless explicitly enabled', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.AUTH_IMPERSONATION_ENABLED;
+
+    expect(impersonationService.isEnabled()).toBe(false);
+  });
+
+  it('should be enabled outside production when opted in', () => {
+    process.env.NODE_ENV = 'development';
+    process.env.AUTH_IMPERSONATION_ENABLED = 'true';
+
+    expect(impersonationService.isEnabled()).toBe(true);
+  });
+
+  it('should never be enabled in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.AUTH_IMPERSONATION_ENABLED = 'true';
+
+    expect(impersonationService.isEnabled()).toBe(false);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Calendar Tests
+ * Tests for the iCalendar builder, vendor feed tokens and the .ics files
+ * attached to appointment emails
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const EmailService = require('../src/services/email.service');
+const calendarService = require('../src/services/calendarService');
+const appointmentService = require('../src/services/appointmentService');
+const { buildCalendar, escapeText, foldLine } = require('../src/utils/icalendar');
+
+const CONSUMER_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const APPOINTMENT_ID = '2b3c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d6e';
+const FEED_TOKEN = 'ab'.repeat(32);
+
+const appointmentRow = {
+  id: APPOINTMENT_ID,
+  consumer_id: CONSUMER_ID,
+  vendor_id: VENDOR_ID,
+  appointment_type: 'site_visit',
+  status: 'scheduled',
+  starts_at: new Date('2026-11-02T15:00:00Z'),
+  ends_at: new Date('2026-11-02T16:00:00Z'),
+  timezone: 'America/Chicago',
+  notes: 'Leaking pipe under the sink; side door',
+  sequence: 0,
+  created_at: new Date('2026-10-19T12:00:00Z'),
+  updated_at: new Date('2026-10-19T12:00:00Z'),
+  consumer_first_name: 'Dana',
+  consumer_last_name: 'Reyes',
+  consumer_email: 'dana@example.com',
+  vendor_first_name: 'Sam',
+  vendor_last_name: 'Okafor',
+  vendor_email: 'sam@example.com',
+  vendor_business_name: 'Okafor Plumbing'
+};
+
+/**
+ * Unfold a calendar into its logical content lines
+ */
+const contentLines = calendar => calendar.replace(/\r\n /g, '').split('\r\n');
+
+describe('iCalendar builder', () => {
+  it('should escape text values', () => {
+    expect(escapeText('Pipe; sink, and\nside door \\ gate')).toBe('Pipe\\; sink\\, and\\nside door \\\\ gate');
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    lines.slice(1).forEach(line => expect(line.startsWith(' ')).toBe(true));
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  it('should write UTC times, SEQUENCE and STATUS with CRLF line endings', () => {
+    const calendar = buildCalendar([{
+      uid: 'appointment-1@fixrx.com',
+      startsAt: '2026-11-02T15:00:00.000Z',
+      endsAt: '2026-11-02T16:00:00.000Z',
+      summary: 'FixRx site visit',
+      sequence: 2,
+      cancelled: true
+    }]);
+
+    expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/\n/);
+    expect(contentLines(calendar)).toEqual(expect.arrayContaining([
+      'DTSTART:20261102T150000Z',
+      'DTEND:20261102T160000Z',
+      'SEQUENCE:2',
+      'STATUS:CANCELLED'
+    ]));
+  });
+});
+
+describe('Calendar service', () => {
+  const originalBaseUrl = process.env.API_BASE_URL;
+
+  afterEach(() => {
+    process.env.API_BASE_URL = originalBaseUrl;
+    jest.restoreAllMocks();
+  });
+
+  it('should store only the token hash and return the feed URL once', async () => {
+    process.env.API_BASE_URL = 'https://api.fixrx.com/api/v1';
+    const query = jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [{ created_at: new Date() }] });
+
+    const result = await calendarService.createFeed(VENDOR_ID);
+
+    const token = result.data.url.match(/feeds\/([0-9a-f]{64})\.ics$/)[1];
+    expect(result.data.url).toBe(`https://api.fixrx.com/api/v1/calendar/feeds/${token}.ics`);
+    expect(result.data.webcalUrl).toBe(`webcal://api.fixrx.com/api/v1/calendar/feeds/${token}.ics`);
+    const [, params] = query.mock.calls[0];
+    expect(params).toEqual([VENDOR_ID, calendarService.hashToken(token)]);
+    expect(params).not.toContain(token);
+  });
+
+  it('should not serve a feed for an unknown token', async () => {
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+
+    const result = await calendarService.renderFeed(FEED_TOKEN);
+
+    expect(result.code).toBe('FEED_NOT_FOUND');
+  });
+
+  it('should list the vendor\'s appointments, keeping cancelled ones as cancelled', async () => {
+    jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+      if (text.includes('UPDATE vendor_calendar_feeds')) {
+        return { rows: [{ vendor_id: VENDOR_ID }] };
+      }
+      return {
+        rows: [
+          appointmentRow,
+          { ...appointmentRow, id: 'cancelled-1', status: 'cancelled', sequence: 1, cancellation_reason: 'Fixed it myself' }
+        ]
+      };
+    });
+
+    const result = await calendarService.renderFeed(FEED_TOKEN);
+    const lines = contentLines(result.data.calendar);
+
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toEqual(expect.arrayContaining([
+      `UID:appointment-${APPOINTMENT_ID}@fixrx.com`,
+      'SUMMARY:FixRx site visit with Dana Reyes',
+      'STATUS:CONFIRMED',
+      'STATUS:CANCELLED',
+      'DESCRIPTION:Leaking pipe under the sink\\; side door\\nCancelled: Fixed it myself',
+      'X-WR-CALNAME:FixRx appointments'
+    ]));
+  });
+});
+
+describe('Appointment emails', () => {
+  let sendNotificationEmail;
+
+  beforeEach(() => {
+    sendNotificationEmail = jest.fn().mockResolvedValue({ success: true });
+    jest.spyOn(EmailService, 'getInstance').mockReturnValue({ sendNotificationEmail });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should email both participants an .ics worded for each of them', async () => {
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [{ ...appointmentRow, sequence: 1 }] });
+
+    await appointmentService.sendCalendarEmails('rescheduled', appointmentRow, { reason: 'Crew <late>' });
+
+    expect(sendNotificationEmail).toHaveBeenCalledTimes(2);
+    const [to, subject, content, , , { attachments }] = sendNotificationEmail.mock.calls[1];
+    expect(to).toBe('sam@example.com');
+    expect(subject).toBe('Appointment rescheduled');
+    expect(content).toContain('(Crew &lt;late&gt;)');
+    expect(attachments[0]).toMatchObject({ type: 'text/calendar', filename: `fixrx-appointment-${APPOINTMENT_ID}.ics` });
+
+    const calendar = Buffer.from(attachments[0].content, 'base64').toString();
+    expect(contentLines(calendar)).toEqual(expect.arrayContaining(['SEQUENCE:1', 'SUMMARY:FixRx site visit with Dana Reyes']));
+    const consumerCalendar = Buffer.from(sendNotificationEmail.mock.calls[0][5].attachments[0].content, 'base64').toString();
+    expect(contentLines(consumerCalendar)).toContain('SUMMARY:FixRx site visit with Okafor Plumbing');
+  });
+
+  it('should bump the sequence when cancelling', async () => {
+    const client = {
+      query: jest.fn(async (text) => {
+        if (text.includes('FOR UPDATE')) {
+          return { rows: [appointmentRow] };
+        }
+        if (text.startsWith('UPDATE appointments')) {
+          return { rows: [{ ...appointmentRow, status: 'cancelled', sequence: 1, reminder_jobs: [] }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+    jest.spyOn(require('../src/services/socketManager'), 'emitAppointmentEvent').mockImplementation(() => {});
+
+    const result = await appointmentService.cancelAppointment(APPOINTMENT_ID, CONSUMER_ID, { reason: 'Fixed it myself' });
+
+    expect(result.data.appointment.sequence).toBe(1);
+    const [text] = client.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE appointments'));
+    expect(text).toContain('sequence = sequence + 1');
+  });
+});
+
+describe('Calendar API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should serve the feed as text/calendar', async () => {
+    jest.spyOn(calendarService, 'renderFeed').mockResolvedValue({
+      success: true,
+      data: { calendar: buildCalendar([]) }
+    });
+
+    const response = await request(app)
+      .get(`/api/v1/calendar/feeds/${FEED_TOKEN}.ics`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(calendarService.renderFeed).toHaveBeenCalledWith(FEED_TOKEN);
+  });
+
+  it('should reject malformed feed tokens without a lookup', async () => {
+    jest.spyOn(calendarService, 'renderFeed');
+
+    await request(app)
+      .get('/api/v1/calendar/feeds/not-a-token.ics')
+      .expect(404);
+
+    expect(calendarService.renderFeed).not.toHaveBeenCalled();
+  });
+
+  it('should require authentication to manage the feed', async () => {
+    const response = await request(app)
+      .post('/api/v1/vendors/calendar-feed')
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication to download an appointment', async () => {
+    await request(app)
+      .get(`/api/v1/appointments/${APPOINTMENT_ID}/ics`)
+      .expect(401);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Geocoding Tests
+ * Tests for the offline ZIP centroid / metro-area lookups, normalizing metro names and
+ * searching by ZIP or metro instead of coordinates
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const { geoSearchService } = require('../src/services/geoSearchService');
+const geocodingService = require('../src/services/geocodingService');
+
+const mockSearch = () => {
+  jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+  jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+  return jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+};
+
+const searchCall = query => query.mock.calls.find(([text]) => text.includes('FROM vendors v'));
+
+describe('Geocoding service', () => {
+  it('should normalize the ways people write a metro', () => {
+    expect(geocodingService.normalizeMetroArea('chicago')).toBe('Chicago, IL');
+    expect(geocodingService.normalizeMetroArea(' Chicago,  Illinois ')).toBe('Chicago, IL');
+    expect(geocodingService.normalizeMetroArea('NYC')).toBe('New York, NY');
+    expect(geocodingService.normalizeMetroArea('Washington D.C.')).toBe('Washington, DC');
+    expect(geocodingService.normalizeMetroArea('Boise,  ID')).toBe('Boise, ID');
+    expect(geocodingService.normalizeMetroArea('  ')).toBeNull();
+  });
+
+  it('should resolve a ZIP to its own centroid and its metro\'s radius', () => {
+    expect(geocodingService.resolve({ zip: '60614-3301' })).toEqual({
+      name: 'Chicago, IL',
+      latitude: 41.922747,
+      longitude: -87.647153,
+      radiusKm: 50,
+      source: 'zip',
+      zip: '60614'
+    });
+    expect(geocodingService.resolve({ zip: '60606' }).latitude).not.toBe(41.922747);
+    expect(geocodingService.resolve({ zip: '02134' }).name).toBe('Boston, MA');
+  });
+
+  it('should resolve a ZIP outside every listed metro', () => {
+    expect(geocodingService.resolve({ zip: '59901' })).toEqual({
+      name: null,
+      latitude: 48.230565,
+      longitude: -114.403313,
+      radiusKm: 25,
+      source: 'zip',
+      zip: '59901'
+    });
+    expect(geocodingService.resolve({ zip: '00000' })).toBeNull();
+    expect(geocodingService.resolve({ zip: 'abcde' })).toBeNull();
+  });
+
+  it('should list every metro the app offers', () => {
+    const names = geocodingService.listMetroAreas().map(metro => metro.name);
+
+    expect(names).toHaveLength(29);
+    expect(names).toContain('San Jose, CA');
+  });
+});
+
+describe('Searching by ZIP or metro', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should search around the metro with its radius', async () => {
+    const query = mockSearch();
+
+    const result = await geoSearchService.searchVendors({ metroArea: 'austin tx' });
+
+    const [, params] = searchCall(query);
+    expect(params.slice(0, 2)).toEqual([30.2672, -97.7431]);
+    expect(result.searchParams).toMatchObject({
+      center: { lat: 30.2672, lng: -97.7431 },
+      radiusKm: 40,
+      geocoded: { source: 'metroArea', zip: null, metroArea: 'Austin, TX' }
+    });
+  });
+
+  it('should keep an explicit radius and prefer coordinates', async () => {
+    mockSearch();
+
+    const zip = await geoSearchService.searchVendors({ zip: '78701', radiusKm: 5 });
+    expect(zip.searchParams.radiusKm).toBe(5);
+
+    const point = await geoSearchService.searchVendors({ lat: 41.88, lng: -87.63, metroArea: 'Austin, TX', radiusKm: 5 });
+    expect(point.searchParams).toMatchObject({ center: { lat: 41.88, lng: -87.63 }, geocoded: null });
+  });
+
+  it('should refuse a place it does not know', async () => {
+    await expect(geoSearchService.searchVendors({ metroArea: 'Atlantis' }))
+      .rejects.toMatchObject({ code: 'LOCATION_NOT_FOUND' });
+  });
+});
+
+describe('Geocoding API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should geocode a ZIP and 404 on unknown ones', async () => {
+    const response = await request(app)
+      .get('/api/v1/search/geocode?zip=98101')
+      .expect(200);
+    expect(response.body.data.location).toMatchObject({ name: 'Seattle, WA', latitude: 47.610902, radiusKm: 45 });
+
+    const missing = await request(app)
+      .get('/api/v1/search/geocode?zip=00000')
+      .expect(404);
+    expect(missing.body.code).toBe('LOCATION_NOT_FOUND');
+  });
+
+  it('should take one kind of location only', async () => {
+    const response = await request(app)
+      .get('/api/v1/search/nearby?zip=98101&metroArea=Seattle')
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should search by ZIP, defaulting to a 10km radius', async () => {
+    mockSearch();
+
+    const response = await request(app)
+      .post('/api/v1/search/vendors')
+      .send({ location: { zip: '98101' } })
+      .expect(200);
+
+    expect(response.body.data.searchParams).toMatchObject({ radiusKm: 10, geocoded: { zip: '98101', metroArea: 'Seattle, WA' } });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Identity Linking Tests
+ * Tests for identifier normalization, merge validation and endpoint authentication
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const identityService = require('../src/services/identityService');
+
+const SOURCE_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const TARGET_ID = '8a7b6c5d-4e3f-4a2b-9c1d-0e9f8a7b6c5d';
+
+/**
+ * Merge SOURCE_ID into TARGET_ID against a schema with `columns` and return
+ * every statement the merge ran
+ */
+const runMerge = async (columns, { failOn = null } = {}) => {
+  const client = {
+    release: jest.fn(),
+    query: jest.fn(async (text) => {
+      if (failOn && text.includes(failOn.text)) {
+        throw failOn.error;
+      }
+      if (text.includes('FROM users WHERE id = ANY')) {
+        return { rows: [{ id: SOURCE_ID }, { id: TARGET_ID }] };
+      }
+      if (text.includes('information_schema.columns')) {
+        return {
+          rows: columns.map((column) => {
+            const [table_name, column_name] = column.split('.');
+            return { table_name, column_name };
+          })
+        };
+      }
+      return { rows: [], rowCount: 1 };
+    })
+  };
+  jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+  jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [], rowCount: 0 });
+
+  const result = await identityService.mergeUsers(SOURCE_ID, TARGET_ID);
+  return { result, statements: client.query.mock.calls.map(([text]) => text.replace(/\s+/g, ' ').trim()) };
+};
+
+describe('Identity service', () => {
+  it('should normalize email identifiers to lowercase', () => {
+    expect(identityService.normalizeIdentifier('email', '  Vendor@Example.COM ')).toBe('vendor@example.com');
+  });
+
+  it('should leave phone and Google identifiers as verified', () => {
+    expect(identityService.normalizeIdentifier('phone', '+15551234567')).toBe('+15551234567');
+    expect(identityService.normalizeIdentifier('google', '1098765432')).toBe('1098765432');
+  });
+
+  it('should only support phone, email and Google, Apple or Microsoft identities', () => {
+    expect(identityService.isSupportedProvider('phone')).toBe(true);
+    expect(identityService.isSupportedProvider('apple')).toBe(true);
+    expect(identityService.isSupportedProvider('microsoft')).toBe(true);
+    expect(identityService.isSupportedProvider('facebook')).toBe(false);
+  });
+
+  it('should refuse to merge an account into itself', async () => {
+    const userId = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+    const result = await identityService.mergeUsers(userId, userId);
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('INVALID_MERGE');
+  });
+});
+
+describe('Merging accounts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the target\'s vendor profile and history over the source\'s', async () => {
+    const { result, statements } = await runMerge(['vendor_profiles.vendor_id', 'vendor_profile_history.vendor_id']);
+
+    expect(result.success).toBe(true);
+    ['vendor_profiles', 'vendor_profile_history'].forEach((table) => {
+      expect(statements).toContain(
+        `DELETE FROM ${table} s WHERE s.vendor_id = $1 AND EXISTS (SELECT 1 FROM ${table} t WHERE t.vendor_id = $2 AND TRUE)`
+      );
+      expect(statements).toContain(`UPDATE ${table} SET vendor_id = $2 WHERE vendor_id = $1`);
+    });
+  });
+
+  it('should move both sides of connections, appointments, quotes and jobs', async () => {
+    const tables = ['connection_requests', 'appointments', 'quotes', 'service_jobs'];
+    const { result, statements } = await runMerge(tables.flatMap(table => [`${table}.consumer_id`, `${table}.vendor_id`]));
+
+    expect(result.success).toBe(true);
+    tables.forEach((table) => {
+      expect(statements).toContain(`UPDATE ${table} SET consumer_id = $2 WHERE consumer_id = $1`);
+      expect(statements).toContain(`UPDATE ${table} SET vendor_id = $2 WHERE vendor_id = $1`);
+    });
+  });
+
+  it('should refuse to merge vendors with overlapping appointments', async () => {
+    const overlap = Object.assign(new Error('conflicting key value violates exclusion constraint'), { code: '23P01' });
+
+    const { result, statements } = await runMerge(
+      ['appointments.consumer_id', 'appointments.vendor_id'],
+      { failOn: { text: 'UPDATE appointments SET vendor_id', error: overlap } }
+    );
+
+    expect(result.code).toBe('MERGE_CONFLICT');
+    expect(statements).toContain('ROLLBACK');
+  });
+
+  it('should refuse to merge two requests to the same vendor and service', async () => {
+    const duplicate = Object.assign(new Error('duplicate key value violates unique constraint'), {
+      code: '23505',
+      table: 'connection_requests',
+      constraint: 'connection_requests_consumer_id_vendor_id_service_id_key'
+    });
+
+    const { result, statements } = await runMerge(
+      ['connection_requests.consumer_id', 'connection_requests.vendor_id'],
+      { failOn: { text: 'UPDATE connection_requests SET consumer_id', error: duplicate } }
+    );
+
+    expect(result.code).toBe('MERGE_CONFLICT');
+    expect(result.message).toMatch(/same vendor and service/);
+    expect(result.data.table).toBe('connection_requests');
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+    expect(statements.some(statement => statement.startsWith('DELETE FROM connection_requests'))).toBe(false);
+  });
+});
+
+describe('Identity API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to list identities', async () => {
+    const response = await request(app)
+      .get('/api/v1/auth/identities')
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication to unlink an identity', async () => {
+    await request(app)
+      .delete('/api/v1/auth/identities/3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b')
+      .expect(401);
+  });
+
+  it('should require authentication to merge accounts', async () => {
+    await request(app)
+      .post('/api/v1/admin/users/3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b/merge')
+      .send({ targetUserId: '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d' })
+      .expect(401);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Job Completion Tests
+ * Tests for completion photos, the consumer's confirm/dispute window, the
+ * auto-confirmation sweep and unlocking ratings
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// sharp is a native module; these tests only need processImage to return buffers
+jest.mock('sharp', () => () => {
+  const pipeline = {
+    metadata: async () => ({ format: 'jpeg' }),
+    rotate: () => pipeline,
+    resize: () => pipeline,
+    jpeg: () => pipeline,
+    toBuffer: async () => ({ data: Buffer.from('processed-jpeg'), info: { width: 800, height: 600, size: 14 } })
+  };
+  return pipeline;
+});
+
+const PRIVATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fixrx-private-'));
+process.env.PRIVATE_UPLOAD_DIR = PRIVATE_DIR;
+
+const { dbManager } = require('../src/config/database');
+const socketManager = require('../src/services/socketManager');
+const jobService = require('../src/services/jobService');
+const jobCompletionService = require('../src/services/jobCompletionService');
+
+const CONSUMER_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const CONNECTION_ID = '7c6b5a49-3827-4615-9f0e-d1c2b3a49586';
+const JOB_ID = '9e8d7c6b-5a49-4382-a716-f5e4d3c2b1a0';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const consumer = { id: CONSUMER_ID, role: 'consumer', permissions: [] };
+const vendor = { id: VENDOR_ID, role: 'vendor', permissions: [] };
+
+const job = (status, extra = {}) => ({
+  id: JOB_ID,
+  connection_request_id: CONNECTION_ID,
+  consumer_id: CONSUMER_ID,
+  vendor_id: VENDOR_ID,
+  status,
+  ...extra
+});
+
+const photo = name => ({ originalname: name, mimetype: 'image/jpeg', buffer: Buffer.from(name) });
+
+/**
+ * Pool and transaction client holding one job
+ */
+const mockJob = (row) => {
+  jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+    if (text.startsWith('SELECT * FROM service_jobs')) {
+      return { rows: [row] };
+    }
+    return { rows: [] };
+  });
+
+  const client = {
+    query: jest.fn(async (text, params) => {
+      if (text.includes('FROM service_jobs')) {
+        return { rows: [row] };
+      }
+      if (text.startsWith('UPDATE service_jobs SET status')) {
+        return { rows: [{ ...row, status: params[1], confirm_by: new Date(Date.now() + 3 * DAY_MS) }] };
+      }
+      if (text.includes('SET confirmed_at')) {
+        return { rows: [{ ...row, confirmed_at: new Date(), confirmation_source: params[1] }] };
+      }
+      if (text.startsWith('INSERT INTO job_completions')) {
+        return { rows: [{ job_id: params[0], submitted_by: params[1], notes: params[2] }] };
+      }
+      if (text.startsWith('INSERT INTO job_completion_photos')) {
+        return { rows: [{ id: `photo-${params[8]}`, job_id: params[0], kind: params[1], width: 800, height: 600 }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+  return client;
+};
+
+afterAll(() => {
+  fs.rmSync(PRIVATE_DIR, { recursive: true, force: true });
+  delete process.env.PRIVATE_UPLOAD_DIR;
+});
+
+describe('Job completion', () => {
+  beforeEach(() => {
+    jest.spyOn(socketManager, 'emitJobEvent').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should require at least one after photo', async () => {
+    const result = await jobCompletionService.submitCompletion(JOB_ID, vendor, { files: { before: [photo('before.jpg')] } });
+
+    expect(result.code).toBe('PHOTOS_REQUIRED');
+  });
+
+  it('should only let the vendor complete the work', async () => {
+    mockJob(job('in_progress'));
+
+    const result = await jobCompletionService.submitCompletion(JOB_ID, consumer, { files: { after: [photo('after.jpg')] } });
+
+    expect(result.code).toBe('FORBIDDEN');
+    expect(fs.readdirSync(PRIVATE_DIR)).toEqual([]);
+  });
+
+  it('should store the photos privately, complete the job and open the confirmation window', async () => {
+    const client = mockJob(job('in_progress'));
+
+    const result = await jobCompletionService.submitCompletion(JOB_ID, vendor, {
+      notes: 'Replaced the valve',
+      files: { before: [photo('before.jpg')], after: [photo('after-1.jpg'), photo('after-2.jpg')] }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.completion.notes).toBe('Replaced the valve');
+    expect(result.data.completion.photos.map(item => item.kind)).toEqual(['before', 'after', 'after']);
+    expect(result.data.completion.photos[0].url).toBe(`/api/v1/jobs/${JOB_ID}/completion/photos/photo-0`);
+    expect(fs.readdirSync(path.join(PRIVATE_DIR, 'jobs', JOB_ID, 'completion'))).toHaveLength(6);
+
+    const [text, params] = client.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE service_jobs SET status'));
+    expect(text).toContain('confirm_by = NOW() + make_interval(days => $3)');
+    expect(params).toEqual([JOB_ID, 'completed', 3]);
+    expect(socketManager.emitJobEvent).toHaveBeenCalledWith('completed', expect.objectContaining({ id: JOB_ID }), [CONSUMER_ID, VENDOR_ID]);
+  });
+
+  it('should not complete an in-progress job without proof', async () => {
+    mockJob(job('in_progress'));
+
+    const result = await jobService.transition(JOB_ID, vendor, { status: 'completed' });
+
+    expect(result.code).toBe('COMPLETION_PROOF_REQUIRED');
+  });
+
+  it('should let the consumer confirm once and make the job payable', async () => {
+    const client = mockJob(job('completed', { confirm_by: new Date(Date.now() + DAY_MS) }));
+
+    const result = await jobCompletionService.confirmCompletion(JOB_ID, consumer);
+
+    expect(result.data.job).toMatchObject({ confirmationSource: 'consumer', paymentEligible: true });
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO service_job_events'),
+      [JOB_ID, CONSUMER_ID, 'consumer', JSON.stringify({ confirmation: 'consumer' })]
+    );
+    expect(socketManager.emitJobEvent).toHaveBeenCalledWith('confirmed', expect.anything(), [CONSUMER_ID, VENDOR_ID]);
+
+    mockJob(job('completed', { confirmed_at: new Date() }));
+    expect((await jobCompletionService.confirmCompletion(JOB_ID, consumer)).code).toBe('ALREADY_CONFIRMED');
+  });
+
+  it('should not let the vendor confirm their own work', async () => {
+    mockJob(job('completed', { confirm_by: new Date(Date.now() + DAY_MS) }));
+
+    const result = await jobCompletionService.confirmCompletion(JOB_ID, vendor);
+
+    expect(result.code).toBe('FORBIDDEN');
+  });
+
+  it('should accept a dispute only inside the window', async () => {
+    mockJob(job('completed', { confirm_by: new Date(Date.now() + DAY_MS) }));
+    const open = await jobService.transition(JOB_ID, consumer, { status: 'disputed', reason: 'Still leaking' });
+    expect(open.data.job.status).toBe('disputed');
+
+    mockJob(job('completed', { confirm_by: new Date(Date.now() - 1000) }));
+    const closed = await jobService.transition(JOB_ID, consumer, { status: 'disputed', reason: 'Still leaking' });
+    expect(closed.code).toBe('CONFIRMATION_WINDOW_CLOSED');
+  });
+
+  it('should auto-confirm lapsed windows and tell both sides', async () => {
+    const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+      if (text.includes("confirmation_source = 'auto'")) {
+        return { rows: [job('completed', { confirmed_at: new Date(), confirmation_source: 'auto' })] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await jobCompletionService.confirmCompletions();
+
+    expect(result.data.confirmed).toBe(1);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO service_job_events'), [JOB_ID, JSON.stringify({ confirmation: 'auto' })]);
+    const notified = query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO notifications')).map(([, params]) => params[0]);
+    expect(notified).toEqual([CONSUMER_ID, VENDOR_ID]);
+  });
+
+  it('should unlock rating the other party once the job is confirmed', async () => {
+    const queryable = { query: jest.fn(async () => ({ rows: [job('completed')] })) };
+    expect((await jobCompletionService.ratingFailure(queryable, CONNECTION_ID, CONSUMER_ID, VENDOR_ID)).code).toBe('RATING_LOCKED');
+
+    queryable.query.mockResolvedValue({ rows: [job('completed', { confirmed_at: new Date() })] });
+    expect(await jobCompletionService.ratingFailure(queryable, CONNECTION_ID, CONSUMER_ID, VENDOR_ID)).toBeNull();
+    expect((await jobCompletionService.ratingFailure(queryable, CONNECTION_ID, CONSUMER_ID, CONSUMER_ID)).code).toBe('VALIDATION_ERROR');
+  });
+});
+
+describe('Job completion API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to confirm a job', async () => {
+    const response = await request(app)
+      .post(`/api/v1/jobs/${JOB_ID}/completion/confirm`)
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+});
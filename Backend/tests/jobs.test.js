@@ -0,0 +1,203 @@
+/**
+ * Job Tests
+ * Tests for the service job lifecycle: allowed transitions, who may make
+ * them, the audit trail and keeping connection requests in step
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const socketManager = require('../src/services/socketManager');
+const jobService = require('../src/services/jobService');
+const { allowedTransitions, checkTransition } = require('../src/utils/jobLifecycle');
+
+const CONSUMER_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const ADMIN_ID = '6b5a4938-2716-4f5e-8d3c-2b1a09f8e7d6';
+const CONNECTION_ID = '7c6b5a49-3827-4615-9f0e-d1c2b3a49586';
+const JOB_ID = '9e8d7c6b-5a49-4382-a716-f5e4d3c2b1a0';
+
+const consumer = { id: CONSUMER_ID, role: 'consumer', permissions: [] };
+const vendor = { id: VENDOR_ID, role: 'vendor', permissions: [] };
+const admin = { id: ADMIN_ID, role: 'admin', permissions: ['services:moderate'], twoFactorVerified: true };
+
+const job = (status) => ({
+  id: JOB_ID,
+  connection_request_id: CONNECTION_ID,
+  consumer_id: CONSUMER_ID,
+  vendor_id: VENDOR_ID,
+  status
+});
+
+/**
+ * Transaction client holding a job in the given status
+ */
+const mockTransaction = (status) => {
+  const client = {
+    query: jest.fn(async (text, params) => {
+      if (text.includes('FROM service_jobs')) {
+        return { rows: status ? [job(status)] : [] };
+      }
+      if (text.startsWith('UPDATE service_jobs SET status')) {
+        return { rows: [{ ...job(status), status: params[1] }] };
+      }
+      if (text.startsWith('SELECT * FROM connection_requests')) {
+        return { rows: [{ id: CONNECTION_ID, status: 'ACCEPTED' }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+  return client;
+};
+
+describe('Job lifecycle rules', () => {
+  it('should only offer each party its own moves', () => {
+    expect(allowedTransitions('accepted', ['vendor'])).toEqual(['in_progress', 'cancelled']);
+    expect(allowedTransitions('accepted', ['consumer'])).toEqual(['cancelled']);
+    expect(allowedTransitions('in_progress', ['consumer'])).toEqual(['disputed']);
+    expect(allowedTransitions('cancelled', ['consumer', 'vendor', 'staff'])).toEqual([]);
+  });
+
+  it('should tell an impossible move from one made by the wrong party', () => {
+    expect(checkTransition('requested', 'completed', ['vendor']).code).toBe('INVALID_TRANSITION');
+    expect(checkTransition('quoted', 'accepted', ['vendor']).code).toBe('FORBIDDEN');
+    expect(checkTransition('disputed', 'completed', ['consumer']).code).toBe('FORBIDDEN');
+    expect(checkTransition('disputed', 'completed', ['staff'])).toBeNull();
+  });
+
+  it('should require a reason to cancel or dispute', () => {
+    expect(checkTransition('accepted', 'cancelled', ['consumer'], { reason: '  ' }).code).toBe('REASON_REQUIRED');
+    expect(checkTransition('completed', 'disputed', ['consumer'], { reason: 'Leak is back' })).toBeNull();
+  });
+});
+
+describe('Job service', () => {
+  beforeEach(() => {
+    jest.spyOn(socketManager, 'emitJobEvent').mockImplementation(() => {});
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should let only staff with two-factor act as staff', () => {
+    expect(jobService.rolesFor(job('disputed'), admin)).toEqual(['staff']);
+    expect(jobService.rolesFor(job('disputed'), { ...admin, twoFactorVerified: false })).toEqual([]);
+    expect(jobService.rolesFor(job('disputed'), vendor)).toEqual(['vendor']);
+  });
+
+  it('should start work, audit it and notify the consumer', async () => {
+    const client = mockTransaction('accepted');
+
+    const result = await jobService.transition(JOB_ID, vendor, { status: 'in_progress' });
+
+    expect(result.success).toBe(true);
+    expect(result.data.job.status).toBe('in_progress');
+    const [text] = client.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE service_jobs'));
+    expect(text).toContain('started_at = NOW()');
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO service_job_events'),
+      [JOB_ID, 'accepted', 'in_progress', VENDOR_ID, 'vendor', null, null]
+    );
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(socketManager.emitJobEvent).toHaveBeenCalledWith(
+      'in_progress',
+      expect.objectContaining({ id: JOB_ID, previousStatus: 'accepted' }),
+      [CONSUMER_ID, VENDOR_ID]
+    );
+    expect(dbManager.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO notifications'), [
+      CONSUMER_ID,
+      'Job started',
+      'Your FixRx job was marked started',
+      expect.any(String)
+    ]);
+  });
+
+  it('should refuse to complete a job that never started', async () => {
+    const client = mockTransaction('accepted');
+
+    const result = await jobService.transition(JOB_ID, vendor, { status: 'completed' });
+
+    expect(result.code).toBe('INVALID_TRANSITION');
+    expect(result.data).toEqual({ status: 'accepted', allowedTransitions: ['in_progress', 'cancelled'] });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(socketManager.emitJobEvent).not.toHaveBeenCalled();
+  });
+
+  it('should not let the consumer mark the work complete', async () => {
+    mockTransaction('in_progress');
+
+    const result = await jobService.transition(JOB_ID, consumer, { status: 'completed' });
+
+    expect(result.code).toBe('FORBIDDEN');
+  });
+
+  it('should hide jobs from users outside them', async () => {
+    mockTransaction('accepted');
+
+    const result = await jobService.transition(JOB_ID, { id: ADMIN_ID, role: 'consumer', permissions: [] }, { status: 'cancelled', reason: 'No' });
+
+    expect(result.code).toBe('JOB_NOT_FOUND');
+  });
+
+  it('should record a cancellation and cancel the connection request', async () => {
+    const client = mockTransaction('accepted');
+
+    const result = await jobService.transition(JOB_ID, consumer, { status: 'cancelled', reason: 'Found someone sooner' });
+
+    expect(result.success).toBe(true);
+    const [text, params] = client.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE service_jobs'));
+    expect(text).toContain('cancellation_reason');
+    expect(params).toEqual([JOB_ID, 'cancelled', CONSUMER_ID, 'Found someone sooner']);
+    const [, requestParams] = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE connection_requests'));
+    expect(requestParams).toEqual([CONNECTION_ID, 'CANCELLED']);
+  });
+
+  it('should treat the vendor cancelling a new request as declining it', async () => {
+    const client = mockTransaction('requested');
+
+    await jobService.transitionForRequest(CONNECTION_ID, vendor, { status: 'cancelled', reason: 'Fully booked' });
+
+    const [, requestParams] = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE connection_requests'));
+    expect(requestParams).toEqual([CONNECTION_ID, 'DECLINED']);
+  });
+
+  it('should let staff settle a dispute', async () => {
+    const client = mockTransaction('disputed');
+
+    const result = await jobService.transition(JOB_ID, admin, { status: 'completed' });
+
+    expect(result.success).toBe(true);
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO service_job_events'),
+      [JOB_ID, 'disputed', 'completed', ADMIN_ID, 'staff', null, null]
+    );
+  });
+});
+
+describe('Job API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to list jobs', async () => {
+    const response = await request(app)
+      .get('/api/v1/jobs')
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication to move a job', async () => {
+    await request(app)
+      .post(`/api/v1/jobs/${JOB_ID}/transitions`)
+      .send({ status: 'in_progress' })
+      .expect(401);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Migration Tests
+ * Tests that re-running migrate on every deploy leaves existing data alone.
+ * The database test runs when MIGRATE_TEST_DATABASE_URL points at a scratch
+ * database.
+ */
+
+const { Pool } = require('pg');
+const { statements, runMigrations } = require('../src/scripts/migrate');
+
+const fakePool = () => {
+  const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+  return { client, connect: jest.fn().mockResolvedValue(client) };
+};
+
+describe('Migrations', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not limit users to one session', () => {
+    const sessionStatements = statements.filter(statement => /user_sessions/.test(statement));
+
+    expect(sessionStatements.some(statement => /DELETE\s+FROM\s+user_sessions/i.test(statement))).toBe(false);
+    expect(sessionStatements.some(statement => /UNIQUE\s+INDEX[\s\S]*user_sessions\s*\(\s*user_id\s*\)/i.test(statement))).toBe(false);
+  });
+
+  it('should mark vendors that predate onboarding as onboarded', () => {
+    const backfill = statements.find(statement => /INSERT INTO vendor_onboarding/.test(statement));
+
+    expect(backfill).toMatch(/FROM vendor_profiles/);
+    expect(backfill).toMatch(/SELECT user_id FROM vendors/);
+    expect(backfill).toMatch(/ON CONFLICT \(vendor_id\) DO NOTHING/);
+  });
+
+  it('should run every statement again on a second run', async () => {
+    const pool = fakePool();
+
+    await runMigrations(pool);
+    await runMigrations(pool);
+
+    expect(pool.client.query).toHaveBeenCalledTimes(statements.length * 2);
+    expect(pool.client.release).toHaveBeenCalledTimes(2);
+  });
+});
+
+const describeWithDatabase = process.env.MIGRATE_TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('Migrations against a database', () => {
+  let pool;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pool = new Pool({ connectionString: process.env.MIGRATE_TEST_DATABASE_URL });
+    await runMigrations(pool);
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await pool.end();
+  });
+
+  it('should keep every session of a user on a second run', async () => {
+    const { rows: [user] } = await pool.query(`
+      INSERT INTO users (email, password_hash, first_name, last_name, user_type)
+      VALUES ('migrate-' || gen_random_uuid() || '@example.com', 'x', 'Sam', 'Rivera', 'consumer')
+      RETURNING id
+    `);
+    await pool.query(`
+      INSERT INTO user_sessions (user_id, session_token, expires_at)
+      SELECT $1, gen_random_uuid()::text, NOW() + INTERVAL '1 day' FROM generate_series(1, 2)
+    `, [user.id]);
+
+    await runMigrations(pool);
+
+    const { rows: [{ count }] } = await pool.query('SELECT COUNT(*)::int AS count FROM user_sessions WHERE user_id = $1', [user.id]);
+    expect(count).toBe(2);
+
+    await pool.query('DELETE FROM users WHERE id = $1', [user.id]);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * OAuth Provider Tests
+ * Tests for ID token verification against a locally served JWKS (Apple,
+ * Microsoft and Google) and the provider-agnostic sign-in endpoint
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const oauthProviderService = require('../src/services/oauthProviderService');
+const identityService = require('../src/services/identityService');
+const tokenService = require('../src/services/tokenService');
+const twoFactorService = require('../src/services/twoFactorService');
+
+const KEY_ID = 'fixrx-test-key';
+const TENANT_ID = '9188040d-6c67-4c5b-b112-36a304b66dad';
+
+const ENV_KEYS = [
+  'OAUTH_GOOGLE_JWKS_URI', 'OAUTH_APPLE_JWKS_URI', 'OAUTH_MICROSOFT_JWKS_URI',
+  'GOOGLE_CLIENT_ID', 'APPLE_CLIENT_ID', 'MICROSOFT_CLIENT_ID', 'MICROSOFT_TENANT_ID'
+];
+
+// Generated per run, so no private key has to live in the repo
+let signingKey;
+let jwks;
+
+beforeAll(() => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  signingKey = privateKey;
+  jwks = JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+const signIdToken = (claims, { kid = KEY_ID, expiresIn = '10m' } = {}) =>
+  jwt.sign(claims, signingKey, { algorithm: 'RS256', keyid: kid, expiresIn });
+
+describe('OAuth provider ID token verification', () => {
+  let server;
+  let jwksRequests = 0;
+  const savedEnv = {};
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      jwksRequests += 1;
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=600' });
+      res.end(jwks);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const jwksUri = `http://127.0.0.1:${server.address().port}/keys`;
+    ENV_KEYS.forEach((key) => { savedEnv[key] = process.env[key]; });
+    Object.assign(process.env, {
+      OAUTH_GOOGLE_JWKS_URI: jwksUri,
+      OAUTH_APPLE_JWKS_URI: jwksUri,
+      OAUTH_MICROSOFT_JWKS_URI: jwksUri,
+      GOOGLE_CLIENT_ID: 'google-client-id.apps.googleusercontent.com',
+      APPLE_CLIENT_ID: 'com.fixrx.app,com.fixrx.web',
+      MICROSOFT_CLIENT_ID: 'ms-client-id'
+    });
+    delete process.env.MICROSOFT_TENANT_ID;
+  });
+
+  beforeEach(() => {
+    oauthProviderService.clearJwksCache();
+    jwksRequests = 0;
+  });
+
+  afterAll(async () => {
+    ENV_KEYS.forEach((key) => {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    });
+    oauthProviderService.clearJwksCache();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should verify an Apple ID token for any configured client id', async () => {
+    const idToken = signIdToken({
+      iss: 'https://appleid.apple.com',
+      aud: 'com.fixrx.web',
+      sub: '001234.abcdef',
+      email: 'Vendor@PrivateRelay.AppleId.com',
+      email_verified: 'true'
+    });
+
+    const result = await oauthProviderService.verifyIdToken('apple', idToken);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({
+      provider: 'apple',
+      subject: '001234.abcdef',
+      email: 'vendor@privaterelay.appleid.com',
+      emailVerified: true
+    });
+  });
+
+  it('should verify a Microsoft ID token and never trust its email as verified', async () => {
+    const idToken = signIdToken({
+      iss: `https://login.microsoftonline.com/${TENANT_ID}/v2.0`,
+      aud: 'ms-client-id',
+      tid: TENANT_ID,
+      sub: 'AAAAAAAAAAAAAAAAAAAAAIkzqFVrSaSaFHy782bbtaQ',
+      preferred_username: 'consumer@contoso.com',
+      name: 'Contoso Consumer'
+    });
+
+    const result = await oauthProviderService.verifyIdToken('microsoft', idToken);
+
+    expect(result.success).toBe(true);
+    expect(result.data.email).toBe('consumer@contoso.com');
+    expect(result.data.emailVerified).toBe(false);
+    expect(result.data.name).toBe('Contoso Consumer');
+  });
+
+  it('should reject tokens for another audience or issuer', async () => {
+    const wrongAudience = signIdToken({ iss: 'https://appleid.apple.com', aud: 'com.other.app', sub: 'apple-user' });
+    const wrongIssuer = signIdToken({ iss: 'https://evil.example.com', aud: 'com.fixrx.app', sub: 'apple-user' });
+    const wrongTenantIssuer = signIdToken({
+      iss: 'https://login.microsoftonline.com/another-tenant/v2.0',
+      aud: 'ms-client-id',
+      tid: TENANT_ID,
+      sub: 'ms-user'
+    });
+
+    for (const [provider, idToken] of [['apple', wrongAudience], ['apple', wrongIssuer], ['microsoft', wrongTenantIssuer]]) {
+      const result = await oauthProviderService.verifyIdToken(provider, idToken);
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('TOKEN_VERIFICATION_ERROR');
+    }
+  });
+
+  it('should accept a raw or SHA-256 hashed nonce and reject a mismatch', async () => {
+    const hashedNonce = require('crypto').createHash('sha256').update('raw-nonce').digest('hex');
+    const idToken = signIdToken({ iss: 'https://appleid.apple.com', aud: 'com.fixrx.app', sub: 'apple-user', nonce: hashedNonce });
+
+    expect((await oauthProviderService.verifyIdToken('apple', idToken, { nonce: 'raw-nonce' })).success).toBe(true);
+    expect((await oauthProviderService.verifyIdToken('apple', idToken, { nonce: hashedNonce })).success).toBe(true);
+    expect((await oauthProviderService.verifyIdToken('apple', idToken, { nonce: 'other-nonce' })).success).toBe(false);
+  });
+
+  it('should reject tokens signed with an unknown key', async () => {
+    const idToken = signIdToken({ iss: 'https://appleid.apple.com', aud: 'com.fixrx.app', sub: 'apple-user' }, { kid: 'rotated-key' });
+
+    const result = await oauthProviderService.verifyIdToken('apple', idToken);
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('TOKEN_VERIFICATION_ERROR');
+  });
+
+  it('should serve repeat verifications from the cached JWKS', async () => {
+    const idToken = signIdToken({
+      iss: 'https://accounts.google.com',
+      aud: 'google-client-id.apps.googleusercontent.com',
+      sub: '1098765432',
+      email: 'consumer@example.com',
+      email_verified: true
+    });
+
+    await oauthProviderService.verifyIdToken('google', idToken);
+    await oauthProviderService.verifyIdToken('google', idToken);
+    const result = await oauthProviderService.verifyIdToken('google', idToken);
+
+    expect(result.success).toBe(true);
+    expect(jwksRequests).toBe(1);
+  });
+
+  it('should read the JWKS lifetime from Cache-Control', () => {
+    expect(oauthProviderService.parseMaxAge('public, max-age=21600, must-revalidate')).toBe(21600);
+    expect(oauthProviderService.parseMaxAge(undefined)).toBe(3600);
+  });
+
+  it('should report unsupported providers', async () => {
+    const result = await oauthProviderService.verifyIdToken('facebook', 'token');
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('UNSUPPORTED_PROVIDER');
+  });
+});
+
+describe('OAuth sign-in API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should return 404 for an unsupported provider', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/oauth/facebook/verify')
+      .send({ idToken: 'token' })
+      .expect(404);
+
+    expect(response.body.code).toBe('UNSUPPORTED_PROVIDER');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should issue the same short-lived access token as other sign-ins', async () => {
+    const user = { id: '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b', email: 'sam@example.com', user_type: 'CONSUMER' };
+    jest.spyOn(oauthProviderService, 'verifyIdToken').mockResolvedValue({
+      success: true,
+      data: { provider: 'apple', subject: '001234.abcdef', email: user.email, emailVerified: true }
+    });
+    jest.spyOn(identityService, 'findUserByIdentity').mockResolvedValue(user);
+    jest.spyOn(twoFactorService, 'isEnabled').mockResolvedValue(false);
+    jest.spyOn(tokenService, 'issueRefreshToken').mockResolvedValue({ refreshToken: 'refresh-token', sessionId: 'session-1' });
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+
+    const response = await request(app)
+      .post('/api/v1/auth/oauth/apple/verify')
+      .send({ idToken: 'token' })
+      .expect(200);
+
+    const claims = jwt.decode(response.body.token);
+    expect(claims.exp - claims.iat).toBe(15 * 60);
+    expect(claims.sid).toBe('session-1');
+  });
+
+  it('should require an ID token', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/oauth/apple/verify')
+      .send({})
+      .expect(400);
+
+    expect(response.body.code).toBe('MISSING_TOKEN');
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Password Authentication Tests
+ * Tests for email/password login behavior and registration, login and token
+ * refresh validation
+ */
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const passwordAuthService = require('../src/services/passwordAuthService');
+
+const USER_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const EMAIL = 'sam@example.com';
+
+/**
+ * In-memory users and login_attempts behind dbManager.query
+ */
+const mockLoginTables = ({ user = { id: USER_ID, email: EMAIL, password_hash: '$2a$12$hash', is_active: true, status: 'active' } } = {}) => {
+  const attempts = [];
+  const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text, params = []) => {
+    if (text.includes('DELETE FROM login_attempts')) {
+      const remaining = attempts.filter(attempt => attempt.email !== params[0] || attempt.success);
+      attempts.splice(0, attempts.length, ...remaining);
+      return { rows: [] };
+    }
+    if (text.includes('FROM login_attempts')) {
+      const [email, windowStart, limit] = params;
+      const rows = attempts
+        .filter(attempt => attempt.email === email && !attempt.success && attempt.attempted_at >= windowStart)
+        .sort((a, b) => b.attempted_at - a.attempted_at)
+        .slice(0, limit);
+      return { rows };
+    }
+    if (text.includes('INSERT INTO login_attempts')) {
+      attempts.push({ email: params[0], success: params[2], attempted_at: new Date() });
+      return { rows: [] };
+    }
+    if (text.includes('FROM users')) {
+      return { rows: user && params[0] === user.email ? [user] : [] };
+    }
+    if (text.includes('INSERT INTO user_sessions')) {
+      return { rows: [{ id: 'session-1' }] };
+    }
+    return { rows: [] };
+  });
+  return { attempts, query };
+};
+
+const failures = attempts => attempts.filter(attempt => !attempt.success);
+
+describe('Password login', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should lock an account after five failures and say when to retry', async () => {
+    const { attempts } = mockLoginTables();
+    const compare = jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      const result = await passwordAuthService.login(EMAIL, 'wrong-password');
+      expect(result.code).toBe('INVALID_CREDENTIALS');
+    }
+    const locked = await passwordAuthService.login(EMAIL, 'Password123!');
+
+    expect(failures(attempts)).toHaveLength(5);
+    expect(locked.code).toBe('ACCOUNT_LOCKED');
+    expect(locked.retryAfterSeconds).toBeGreaterThan(14 * 60);
+    expect(locked.retryAfterSeconds).toBeLessThanOrEqual(15 * 60);
+    expect(compare).toHaveBeenCalledTimes(5);
+  });
+
+  it('should lift the lock when the oldest failure leaves the window', async () => {
+    const { attempts } = mockLoginTables();
+    const now = new Date('2026-10-19T12:00:00Z');
+    [10, 8, 6, 4, 2].forEach((minutesAgo) => {
+      attempts.push({ email: EMAIL, success: false, attempted_at: new Date(now.getTime() - minutesAgo * 60000) });
+    });
+
+    expect(await passwordAuthService.isAccountLocked(EMAIL, now)).toEqual({ locked: true, retryAfterSeconds: 5 * 60 });
+    expect(await passwordAuthService.isAccountLocked(EMAIL, new Date(now.getTime() + 5 * 60000 + 1000))).toEqual({ locked: false });
+  });
+
+  it('should clear earlier failures on a successful login', async () => {
+    const { attempts } = mockLoginTables();
+    jest.spyOn(bcrypt, 'compare').mockResolvedValueOnce(false).mockResolvedValueOnce(false).mockResolvedValue(true);
+
+    await passwordAuthService.login(EMAIL, 'wrong-password');
+    await passwordAuthService.login(EMAIL, 'wrong-password');
+    const result = await passwordAuthService.login(EMAIL, 'Password123!');
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ token: expect.any(String), refreshToken: expect.any(String), sessionId: 'session-1' });
+    expect(failures(attempts)).toHaveLength(0);
+  });
+
+  it('should not sign in a suspended user', async () => {
+    const { query } = mockLoginTables({
+      user: { id: USER_ID, email: EMAIL, password_hash: '$2a$12$hash', is_active: true, status: 'suspended' }
+    });
+    jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+
+    const result = await passwordAuthService.login(EMAIL, 'Password123!');
+
+    expect(result.code).toBe('USER_INACTIVE');
+    expect(query.mock.calls.some(([text]) => text.includes('INSERT INTO user_sessions'))).toBe(false);
+  });
+
+  it('should spend a bcrypt comparison on emails with no account', async () => {
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+    const compare = jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+
+    const result = await passwordAuthService.login('nobody@example.com', 'Password123!');
+
+    expect(result.code).toBe('INVALID_CREDENTIALS');
+    expect(compare).toHaveBeenCalledTimes(1);
+    expect(compare.mock.calls[0][1]).toMatch(/^\$2[aby]\$12\$/);
+  });
+});
+
+describe('Password Authentication API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  describe('POST /api/v1/auth/register', () => {
+    it('should reject passwords shorter than 8 characters', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          email: 'test@example.com',
+          password: 'short',
+          firstName: 'Test',
+          lastName: 'User'
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should reject missing password', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          email: 'test@example.com',
+          firstName: 'Test',
+          lastName: 'User'
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/v1/auth/login', () => {
+    it('should reject missing password', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({
+          email: 'test@example.com'
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /api/v1/auth/refresh', () => {
+    it('should reject missing refresh token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should reject a malformed refresh token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: 'not-a-jwt' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+  });
+});
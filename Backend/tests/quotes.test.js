@@ -0,0 +1,320 @@
+/**
+ * Quote Tests
+ * Tests for pricing, sending, revising, accepting, countering and expiring
+ * quotes on connection requests
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const socketManager = require('../src/services/socketManager');
+const quoteService = require('../src/services/quoteService');
+const { calculateTotals } = require('../src/utils/quoteTotals');
+
+const CONSUMER_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const CONNECTION_ID = '7c6b5a49-3827-4615-9f0e-d1c2b3a49586';
+const QUOTE_ID = '4d5e6f7a-8b9c-4d0e-9f1a-2b3c4d5e6f7a';
+
+const JOB_ID = '9e8d7c6b-5a49-4382-a716-f5e4d3c2b1a0';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const lineItems = [
+  { category: 'labor', description: 'Replace water heater', quantity: 3, unitPrice: 85 },
+  { category: 'materials', description: '40 gal heater', quantity: 1, unitPrice: 649.99 },
+  { category: 'other', description: 'Haul-away fee', quantity: 1, unitPrice: 40, taxable: false }
+];
+
+const pendingConnection = {
+  id: CONNECTION_ID,
+  consumer_id: CONSUMER_ID,
+  vendor_id: VENDOR_ID,
+  status: 'PENDING'
+};
+
+const openQuote = {
+  id: QUOTE_ID,
+  connection_request_id: CONNECTION_ID,
+  consumer_id: CONSUMER_ID,
+  vendor_id: VENDOR_ID,
+  status: 'pending',
+  current_revision: 2,
+  currency: 'USD',
+  total: '983.48',
+  expires_at: new Date(Date.now() + 7 * DAY_MS)
+};
+
+const requestedJob = {
+  id: JOB_ID,
+  connection_request_id: CONNECTION_ID,
+  consumer_id: CONSUMER_ID,
+  vendor_id: VENDOR_ID,
+  status: 'requested'
+};
+
+/**
+ * Transaction client answering the quote and job queries
+ */
+const mockTransaction = ({ connection = pendingConnection, quote = openQuote, openQuotes = [], job = requestedJob } = {}) => {
+  const client = {
+    query: jest.fn(async (text, params) => {
+      if (text.includes('FROM connection_requests')) {
+        return { rows: connection ? [connection] : [] };
+      }
+      if (text.includes('FROM service_jobs')) {
+        return { rows: [job] };
+      }
+      if (text.startsWith('UPDATE service_jobs SET status')) {
+        return { rows: [{ ...job, status: params[1] }] };
+      }
+      if (text.includes('FROM quotes') && text.includes('FOR UPDATE')) {
+        return { rows: quote ? [quote] : [] };
+      }
+      if (text.startsWith('SELECT id FROM quotes')) {
+        return { rows: openQuotes };
+      }
+      if (text.startsWith('INSERT INTO quotes')) {
+        return { rows: [{ ...openQuote, current_revision: 1, total: params[4], expires_at: params[5] }] };
+      }
+      if (text.startsWith('INSERT INTO quote_revisions')) {
+        return { rows: [{ quote_id: params[0], revision: params[1], line_items: JSON.parse(params[2]), total: params[9] }] };
+      }
+      if (text.includes('current_revision = current_revision + 1')) {
+        return { rows: [{ ...quote, status: 'pending', current_revision: quote.current_revision + 1, total: params[1] }] };
+      }
+      if (text.startsWith('UPDATE quotes') && text.includes("'accepted'")) {
+        return { rows: [{ ...quote, status: 'accepted', accepted_revision: quote.current_revision }] };
+      }
+      if (text.startsWith('UPDATE quotes') && params && params[1]) {
+        return { rows: [{ ...quote, status: params[1] }] };
+      }
+      if (text.startsWith('SELECT * FROM quote_revisions')) {
+        return { rows: [{ quote_id: QUOTE_ID, revision: quote.current_revision, line_items: [], total: quote.total }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+  return client;
+};
+
+describe('Quote totals', () => {
+  it('should add up in cents and only tax taxable lines', () => {
+    const totals = calculateTotals(lineItems, 8.25);
+
+    expect(totals.laborTotal).toBe(255);
+    expect(totals.materialsTotal).toBe(649.99);
+    expect(totals.otherTotal).toBe(40);
+    expect(totals.subtotal).toBe(944.99);
+    // 8.25% of 904.99
+    expect(totals.taxTotal).toBe(74.66);
+    expect(totals.total).toBe(1019.65);
+    expect(totals.lineItems[1]).toMatchObject({ amount: 649.99, taxable: true });
+  });
+
+  it('should not drift on fractional quantities', () => {
+    const totals = calculateTotals([{ category: 'labor', description: 'Tile', quantity: 0.1, unitPrice: 0.2 }, { category: 'labor', description: 'Grout', quantity: 0.2, unitPrice: 0.1 }]);
+
+    expect(totals.total).toBe(0.04);
+  });
+});
+
+describe('Quote service', () => {
+  beforeEach(() => {
+    jest.spyOn(socketManager, 'emitQuoteEvent').mockImplementation(() => {});
+    jest.spyOn(socketManager, 'emitJobEvent').mockImplementation(() => {});
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only let the vendor quote', async () => {
+    const client = mockTransaction();
+
+    const result = await quoteService.createQuote(CONSUMER_ID, CONNECTION_ID, { lineItems });
+
+    expect(result.code).toBe('FORBIDDEN');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('should point at the open quote instead of opening a second', async () => {
+    mockTransaction({ openQuotes: [{ id: QUOTE_ID }] });
+
+    const result = await quoteService.createQuote(VENDOR_ID, CONNECTION_ID, { lineItems });
+
+    expect(result.code).toBe('QUOTE_ALREADY_OPEN');
+    expect(result.data.quoteId).toBe(QUOTE_ID);
+  });
+
+  it('should refuse to quote on a declined request', async () => {
+    mockTransaction({ connection: { ...pendingConnection, status: 'DECLINED' } });
+
+    const result = await quoteService.createQuote(VENDOR_ID, CONNECTION_ID, { lineItems });
+
+    expect(result.code).toBe('CONNECTION_CLOSED');
+  });
+
+  it('should send a priced first revision and notify both sides', async () => {
+    const client = mockTransaction();
+
+    const result = await quoteService.createQuote(VENDOR_ID, CONNECTION_ID, { lineItems, taxRate: 8.25, validDays: 7 });
+
+    expect(result.success).toBe(true);
+    expect(result.data.quote).toMatchObject({ status: 'pending', currentRevision: 1, total: 1019.65 });
+    expect(result.data.quote.details.lineItems).toHaveLength(3);
+    expect(new Date(result.data.quote.expiresAt).getTime()).toBeGreaterThan(Date.now() + 6 * DAY_MS);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO quote_events'), [QUOTE_ID, 1, VENDOR_ID, 'sent', null, null]);
+    expect(socketManager.emitQuoteEvent).toHaveBeenCalledWith('sent', expect.objectContaining({ id: QUOTE_ID }), [CONSUMER_ID, VENDOR_ID]);
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO service_job_events'),
+      [JOB_ID, 'requested', 'quoted', VENDOR_ID, 'vendor', null, JSON.stringify({ quoteId: QUOTE_ID })]
+    );
+    expect(socketManager.emitJobEvent).toHaveBeenCalledWith('quoted', expect.objectContaining({ id: JOB_ID }), [CONSUMER_ID, VENDOR_ID]);
+  });
+
+  it('should answer a counter-offer with a new pending revision', async () => {
+    mockTransaction({ quote: { ...openQuote, status: 'countered' } });
+
+    const result = await quoteService.reviseQuote(QUOTE_ID, VENDOR_ID, { lineItems: lineItems.slice(0, 2) });
+
+    expect(result.data.quote).toMatchObject({ status: 'pending', currentRevision: 3, total: 904.99 });
+    expect(socketManager.emitQuoteEvent).toHaveBeenCalledWith('revised', expect.anything(), [CONSUMER_ID, VENDOR_ID]);
+  });
+
+  it('should not accept a revision the vendor has replaced', async () => {
+    mockTransaction();
+
+    const result = await quoteService.acceptQuote(QUOTE_ID, CONSUMER_ID, { revision: 1 });
+
+    expect(result.code).toBe('QUOTE_REVISED');
+    expect(result.data.currentRevision).toBe(2);
+  });
+
+  it('should accept the current revision and the quoted job and request with it', async () => {
+    const client = mockTransaction({ job: { ...requestedJob, status: 'quoted' } });
+
+    const result = await quoteService.acceptQuote(QUOTE_ID, CONSUMER_ID, { revision: 2 });
+
+    expect(result.data.quote).toMatchObject({ status: 'accepted', acceptedRevision: 2 });
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO service_job_events'),
+      [JOB_ID, 'quoted', 'accepted', CONSUMER_ID, 'consumer', null, JSON.stringify({ quoteId: QUOTE_ID, revision: 2 })]
+    );
+    const [, params] = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE connection_requests'));
+    expect(params).toEqual([CONNECTION_ID, 'ACCEPTED']);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('accepted_quote_id'), [JOB_ID, QUOTE_ID]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('should not accept a quote on a cancelled job', async () => {
+    const client = mockTransaction({ job: { ...requestedJob, status: 'cancelled' } });
+
+    const result = await quoteService.acceptQuote(QUOTE_ID, CONSUMER_ID, { revision: 2 });
+
+    expect(result.code).toBe('CONNECTION_CLOSED');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('should not accept an expired quote', async () => {
+    mockTransaction({ quote: { ...openQuote, expires_at: new Date(Date.now() - 1000) } });
+
+    const result = await quoteService.acceptQuote(QUOTE_ID, CONSUMER_ID, { revision: 2 });
+
+    expect(result.code).toBe('QUOTE_EXPIRED');
+  });
+
+  it('should only let the consumer counter', async () => {
+    mockTransaction();
+
+    const result = await quoteService.counterQuote(QUOTE_ID, VENDOR_ID, { message: 'Lower please' });
+
+    expect(result.code).toBe('FORBIDDEN');
+  });
+
+  it('should record a counter-offer with the proposed total', async () => {
+    const client = mockTransaction();
+
+    const result = await quoteService.counterQuote(QUOTE_ID, CONSUMER_ID, { message: 'Can you do 900?', proposedTotal: 900 });
+
+    expect(result.data.quote.status).toBe('countered');
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO quote_events'),
+      [QUOTE_ID, 2, CONSUMER_ID, 'countered', 'Can you do 900?', 900]
+    );
+    expect(socketManager.emitQuoteEvent).toHaveBeenCalledWith(
+      'countered',
+      expect.objectContaining({ message: 'Can you do 900?', proposedTotal: 900 }),
+      [CONSUMER_ID, VENDOR_ID]
+    );
+  });
+
+  it('should not reopen a rejected quote', async () => {
+    mockTransaction({ quote: { ...openQuote, status: 'rejected' } });
+
+    const result = await quoteService.reviseQuote(QUOTE_ID, VENDOR_ID, { lineItems });
+
+    expect(result.code).toBe('QUOTE_CLOSED');
+  });
+
+  it('should expire lapsed quotes and notify both sides', async () => {
+    const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+      if (text.includes("SET status = 'expired'")) {
+        return { rows: [{ ...openQuote, status: 'expired' }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await quoteService.expireQuotes();
+
+    expect(result.data.expired).toBe(1);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO quote_events'), [QUOTE_ID, 2]);
+    expect(socketManager.emitQuoteEvent).toHaveBeenCalledWith('expired', expect.objectContaining({ status: 'expired' }), [CONSUMER_ID, VENDOR_ID]);
+  });
+});
+
+describe('Quote socket events', () => {
+  afterEach(() => {
+    socketManager.io = null;
+  });
+
+  it('should send each participant one event in their user room', () => {
+    const emit = jest.fn();
+    const to = jest.fn(() => ({ emit }));
+    socketManager.io = { to };
+
+    socketManager.emitQuoteEvent('sent', openQuote, [CONSUMER_ID, VENDOR_ID, CONSUMER_ID, null]);
+
+    expect(to.mock.calls).toEqual([[`user:${CONSUMER_ID}`], [`user:${VENDOR_ID}`]]);
+    expect(emit).toHaveBeenCalledWith('quote:sent', openQuote);
+    expect(emit).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Quote API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to send a quote', async () => {
+    const response = await request(app)
+      .post(`/api/v1/connections/requests/${CONNECTION_ID}/quotes`)
+      .send({ lineItems })
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication to accept a quote', async () => {
+    await request(app)
+      .post(`/api/v1/quotes/${QUOTE_ID}/accept`)
+      .send({ revision: 1 })
+      .expect(401);
+  });
+});
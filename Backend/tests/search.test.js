@@ -0,0 +1,223 @@
+/**
+ * Search Tests
+ * Tests for the public vendor search: radius filtering, the no-coordinates
+ * fallback, cursor pagination and the route response shape
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const { geoSearchService } = require('../src/services/geoSearchService');
+
+const vendorRow = (id, extra = {}) => ({
+  id,
+  user_id: `user-${id}`,
+  first_name: 'Sam',
+  last_name: 'Rivera',
+  business_name: `Vendor ${id}`,
+  latitude: '41.880000',
+  longitude: '-87.630000',
+  distance_km: 1.5,
+  avg_rating: 4.5,
+  total_ratings: 2,
+  service_categories: ['Plumbing'],
+  ...extra
+});
+
+/**
+ * Answer the vendor search query with `rows` and record the SQL
+ */
+const mockSearch = (rows) => {
+  jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+  jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+  return jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+    if (text.includes('FROM vendors v')) {
+      return { rows };
+    }
+    return { rows: [] };
+  });
+};
+
+const searchCall = query => query.mock.calls.find(([text]) => text.includes('FROM vendors v'));
+
+describe('Vendor search service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should filter by radius and match categories regardless of case', async () => {
+    const query = mockSearch([vendorRow('a')]);
+
+    const result = await geoSearchService.searchVendors({ lat: 41.88, lng: -87.63, radiusKm: 5, serviceCategories: ['plumbing'] });
+
+    const [sql, params] = searchCall(query);
+    expect(sql).toContain('v.latitude BETWEEN $3 AND $4');
+    expect(sql).toContain('<= $7');
+    expect(sql).toContain('lower(c.name) = ANY($8)');
+    expect(params[6]).toBe(5);
+    expect(params[7]).toEqual(['plumbing']);
+    expect(result.vendors[0].searchMeta).toMatchObject({ distanceKm: 1.5, hasCoordinates: true });
+    expect(result.searchParams.center).toEqual({ lat: 41.88, lng: -87.63 });
+  });
+
+  it('should fall back to rating order without a center', async () => {
+    const query = mockSearch([vendorRow('a', { distance_km: null })]);
+
+    const result = await geoSearchService.searchVendors({ sortBy: 'distance' });
+
+    const [sql, params] = searchCall(query);
+    expect(sql).not.toContain('v.latitude BETWEEN');
+    expect(sql).toContain('ORDER BY avg_rating DESC');
+    expect(params).toEqual([]);
+    expect(result.searchParams).toMatchObject({ center: null, radiusKm: null, sortBy: 'rating' });
+    expect(result.vendors[0].location.distance).toBeNull();
+  });
+
+  it('should list vendors without coordinates last only when asked', async () => {
+    const query = mockSearch([vendorRow('a'), vendorRow('b', { latitude: null, longitude: null, distance_km: null })]);
+
+    const result = await geoSearchService.searchVendors({ lat: 41.88, lng: -87.63, radiusKm: 5, includeUnlocated: true });
+
+    const [sql] = searchCall(query);
+    expect(sql).toContain('OR v.latitude IS NULL OR v.longitude IS NULL');
+    expect(sql).toContain('ORDER BY (v.latitude IS NULL OR v.longitude IS NULL) ASC, distance_km ASC NULLS LAST, v.id ASC');
+    expect(result.vendors[1].searchMeta).toMatchObject({ distanceKm: null, hasCoordinates: false });
+  });
+
+  it('should page with a cursor tied to the search', async () => {
+    const query = mockSearch([vendorRow('a'), vendorRow('b'), vendorRow('c')]);
+    const search = { lat: 41.88, lng: -87.63, radiusKm: 5, maxResults: 2 };
+
+    const first = await geoSearchService.searchVendors(search);
+
+    expect(first.vendors).toHaveLength(2);
+    expect(first.pagination).toMatchObject({ limit: 2, hasMore: true });
+    expect(searchCall(query)[0]).toContain('LIMIT 3');
+
+    query.mockClear();
+    await geoSearchService.searchVendors({ ...search, cursor: first.pagination.nextCursor });
+    expect(searchCall(query)[0]).toContain('OFFSET 2');
+
+    await expect(geoSearchService.searchVendors({ ...search, radiusKm: 50, cursor: first.pagination.nextCursor }))
+      .rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+  });
+});
+
+describe('Search after profile setup', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * In-memory vendor_profiles and vendors behind the profile transaction, and
+   * a search query that returns the stored vendors inside its bounding box
+   */
+  const mockVendorTables = () => {
+    const profiles = [];
+    const vendors = [];
+    const client = {
+      query: jest.fn(async (text, params = []) => {
+        if (text.startsWith('SELECT * FROM vendor_profiles')) {
+          return { rows: profiles.filter(row => row.vendor_id === params[0]) };
+        }
+        if (text.includes('INSERT INTO vendor_profiles')) {
+          const columns = text.match(/vendor_profiles \(([^)]+)\)/)[1].split(', ');
+          const row = { version: 1 };
+          columns.forEach((column, index) => {
+            row[column] = column === 'business_address' && params[index] ? JSON.parse(params[index]) : params[index];
+          });
+          profiles.push(row);
+          return { rows: [row] };
+        }
+        if (text.includes('UPDATE vendors')) {
+          return { rows: [], rowCount: vendors.filter(row => row.user_id === params[0]).length };
+        }
+        if (text.includes('INSERT INTO vendors')) {
+          const [userId, businessName, , serviceCategories, , , , latitude, longitude] = params;
+          vendors.push({ id: `vendor-${vendors.length + 1}`, user_id: userId, business_name: businessName, service_categories: serviceCategories, latitude, longitude });
+          return { rows: [], rowCount: 1 };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+    jest.spyOn(dbManager, 'flushCache').mockResolvedValue(true);
+    jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+    jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+    jest.spyOn(dbManager, 'query').mockImplementation(async (text, params = []) => {
+      if (text.includes('FROM vendors v')) {
+        const [, , minLat, maxLat, minLng, maxLng] = params;
+        const rows = vendors
+          .filter(row => row.latitude >= minLat && row.latitude <= maxLat && row.longitude >= minLng && row.longitude <= maxLng)
+          .map(row => vendorRow(row.id, row));
+        return { rows };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+    return { vendors };
+  };
+
+  it('should find a vendor whose profile was just created', async () => {
+    const { vendors } = mockVendorTables();
+    const vendorProfileService = require('../src/services/vendorProfileService');
+
+    const created = await vendorProfileService.createProfile('user-new', {
+      businessName: 'Lakeshore Plumbing',
+      businessAddress: { street: '233 S Wacker Dr', city: 'Chicago', state: 'IL', zipCode: '60606' },
+      serviceCategories: ['Plumbing']
+    });
+
+    expect(created.success).toBe(true);
+    expect(vendors).toHaveLength(1);
+    expect(vendors[0]).toMatchObject({ user_id: 'user-new', business_name: 'Lakeshore Plumbing' });
+
+    const result = await geoSearchService.searchVendors({ lat: 41.88, lng: -87.63, radiusKm: 10 });
+
+    expect(result.vendors.map(vendor => vendor.id)).toEqual([vendors[0].id]);
+  });
+});
+
+describe('Search API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should need a point for nearby search', async () => {
+    const response = await request(app)
+      .get('/api/v1/search/nearby?radius=5')
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should return the shared shape with a next cursor', async () => {
+    mockSearch([vendorRow('a'), vendorRow('b')]);
+
+    const response = await request(app)
+      .get('/api/v1/search/nearby?lat=41.88&lng=-87.63&radius=5&limit=1')
+      .expect(200);
+
+    expect(response.body.data.vendors).toHaveLength(1);
+    expect(response.body.data.searchParams.radiusKm).toBe(5);
+    expect(response.body.data.pagination.nextCursor).toEqual(expect.any(String));
+  });
+
+  it('should reject a cursor from another search', async () => {
+    mockSearch([]);
+
+    const response = await request(app)
+      .post('/api/v1/search/vendors')
+      .send({ location: { lat: 41.88, lng: -87.63 }, cursor: 'bm90LWEtY3Vyc29y' })
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_CURSOR');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Search Facet Tests
+ * Tests for filter chip counts: the buckets, sharing the search's filters and
+ * the facets endpoint
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const { geoSearchService } = require('../src/services/geoSearchService');
+const vendorAvailabilityService = require('../src/services/vendorAvailabilityService');
+
+const facetRow = {
+  total: '12',
+  verified: '5',
+  unrated: '3',
+  unpriced: '2',
+  unlocated: '0',
+  rating_0: '2',
+  rating_1: '6',
+  rating_2: '8',
+  rating_3: '9',
+  price_0: '4',
+  price_1: '7',
+  price_2: '5',
+  price_3: '3',
+  ring_0: '1',
+  ring_1: '6',
+  ring_2: '9',
+  ring_3: '12',
+  categories: [{ value: 'plumbing', label: 'Plumbing', count: 8 }, { value: 'hvac', label: 'HVAC', count: 4 }]
+};
+
+/**
+ * Answer the facet query with facetRow and record the SQL
+ */
+const mockFacets = (candidates = []) => {
+  jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+  jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+  return jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+    if (text.includes('WITH matched AS')) {
+      return { rows: [facetRow] };
+    }
+    if (text.includes('vp.availability_schedule, vp.timezone')) {
+      return { rows: candidates };
+    }
+    return { rows: [] };
+  });
+};
+
+const facetCall = query => query.mock.calls.find(([text]) => text.includes('WITH matched AS'));
+
+describe('Search facets', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should count every bucket on the filtered set', async () => {
+    const query = mockFacets();
+
+    const result = await geoSearchService.getFacets({ lat: 41.88, lng: -87.63, radiusKm: 20, serviceCategories: ['Plumbing'], verified: true });
+
+    const [sql, params] = facetCall(query);
+    expect(sql).toContain('lower(c.name) = ANY($8)');
+    expect(sql).toContain('COALESCE(vp.is_verified, false) = $9');
+    expect(params.slice(7, 9)).toEqual([['plumbing'], true]);
+    expect(sql).toContain('in_service_area OR distance_km <= $');
+    expect(params.slice(-4)).toEqual([1, 5, 10, 20]);
+
+    expect(result.facets).toMatchObject({
+      total: 12,
+      categories: [{ value: 'plumbing', label: 'Plumbing', count: 8 }, { value: 'hvac', label: 'HVAC', count: 4 }],
+      ratings: [{ minRating: 4.5, count: 2 }, { minRating: 4, count: 6 }, { minRating: 3, count: 8 }, { minRating: 2, count: 9 }],
+      unrated: 3,
+      priceBands: [
+        { min: 0, max: 50, count: 4 },
+        { min: 50, max: 100, count: 7 },
+        { min: 100, max: 150, count: 5 },
+        { min: 150, max: null, count: 3 }
+      ],
+      verified: [{ verified: true, count: 5 }, { verified: false, count: 7 }],
+      distanceRings: [{ radiusKm: 1, count: 1 }, { radiusKm: 5, count: 6 }, { radiusKm: 10, count: 9 }, { radiusKm: 20, count: 12 }]
+    });
+    expect(dbManager.setCache).toHaveBeenCalledWith(expect.stringMatching(/^geo_search:facets:/), result.facets, 300);
+  });
+
+  it('should leave out distance rings without a center', async () => {
+    const query = mockFacets();
+
+    const result = await geoSearchService.getFacets({ q: 'plumber' });
+
+    expect(facetCall(query)[0]).toContain('JOIN vendor_search_documents sd');
+    expect(facetCall(query)[0]).not.toContain('ring_0');
+    expect(result.facets.distanceRings).toBeNull();
+  });
+
+  it('should count only vendors open in the availability window', async () => {
+    const query = mockFacets([
+      { id: 'a', user_id: 'user-a', availability_schedule: {}, timezone: 'UTC' },
+      { id: 'b', user_id: 'user-b', availability_schedule: {}, timezone: 'UTC' }
+    ]);
+    jest.spyOn(vendorAvailabilityService, 'filterAvailable').mockImplementation(async vendors => vendors.slice(0, 1));
+
+    await geoSearchService.getFacets({ availability: { datetime: '2026-11-02T15:00:00Z' } });
+
+    const [sql, params] = facetCall(query);
+    expect(sql).toContain('v.id = ANY($1)');
+    expect(params[0]).toEqual(['a']);
+    expect(dbManager.setCache).not.toHaveBeenCalled();
+  });
+
+  it('should treat a price range without max as open-ended', async () => {
+    jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+    jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+    const query = jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+
+    await geoSearchService.searchVendors({ priceRange: { min: 150, max: null } });
+
+    const [sql, params] = query.mock.calls.find(([text]) => text.includes('FROM vendors v'));
+    expect(sql).toContain('(TRUE AND (vp.hourly_rate_max IS NULL OR vp.hourly_rate_max >= $1))');
+    expect(params).toEqual([150]);
+  });
+});
+
+describe('Search facets API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return facets for a search body', async () => {
+    mockFacets();
+
+    const response = await request(app)
+      .post('/api/v1/search/facets')
+      .send({ location: { metroArea: 'Chicago, IL' }, serviceCategories: ['Plumbing'] })
+      .expect(200);
+
+    expect(response.body.data.facets.total).toBe(12);
+    expect(response.body.data.searchParams).toMatchObject({ radiusKm: 50, geocoded: { metroArea: 'Chicago, IL' } });
+  });
+
+  it('should add facets to search results when asked', async () => {
+    mockFacets();
+
+    const response = await request(app)
+      .post('/api/v1/search/vendors')
+      .send({ location: { lat: 41.88, lng: -87.63 }, facets: true })
+      .expect(200);
+
+    expect(response.body.data.vendors).toEqual([]);
+    expect(response.body.data.facets.ratings).toHaveLength(4);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Service Area Tests
+ * Tests for vendor service areas, choosing between PostGIS and lat/lng search
+ * and matching vendors whose areas cover the searched point
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const { geoSearchService } = require('../src/services/geoSearchService');
+const vendorProfileService = require('../src/services/vendorProfileService');
+const vendorServiceAreaService = require('../src/services/vendorServiceAreaService');
+const vendorServiceAreaController = require('../src/controllers/vendorServiceAreaController');
+
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+
+const polygon = [[-87.7, 41.8], [-87.6, 41.8], [-87.6, 41.9], [-87.7, 41.9]];
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const mockTransaction = () => {
+  const client = { query: jest.fn(async () => ({ rows: [] })), release: jest.fn() };
+  jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+  return client;
+};
+
+describe('Search mode', () => {
+  const originalMode = process.env.GEO_SEARCH_MODE;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalMode === undefined) {
+      delete process.env.GEO_SEARCH_MODE;
+    } else {
+      process.env.GEO_SEARCH_MODE = originalMode;
+    }
+  });
+
+  it('should use PostGIS once the extension and area column exist', async () => {
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [{ extversion: '3.4.2', has_area_column: true }] });
+
+    expect(await geoSearchService.detectMode()).toBe('postgis');
+  });
+
+  it('should fall back to lat/lng without the extension or when forced', async () => {
+    const query = jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+    process.env.GEO_SEARCH_MODE = 'postgis';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await geoSearchService.detectMode()).toBe('latlng');
+    expect(console.warn).toHaveBeenCalled();
+
+    process.env.GEO_SEARCH_MODE = 'latlng';
+    query.mockClear();
+    expect(await geoSearchService.detectMode()).toBe('latlng');
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('Coverage search', () => {
+  beforeEach(() => {
+    geoSearchService.mode = 'postgis';
+    jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+    jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    geoSearchService.mode = 'latlng';
+    jest.restoreAllMocks();
+  });
+
+  it('should match vendors whose area covers the point, or who are in range without areas', async () => {
+    const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+      if (text.includes('FROM vendors v')) {
+        return { rows: [{ id: 'a', user_id: VENDOR_ID, latitude: '41.9', longitude: '-87.5', distance_km: 25, in_service_area: true, service_categories: [] }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await geoSearchService.searchVendors({ lat: 41.85, lng: -87.65, radiusKm: 5 });
+
+    const [sql, params] = query.mock.calls.find(([text]) => text.includes('FROM vendors v'));
+    expect(sql).toContain('ST_Covers(sa.area, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography)');
+    expect(sql).toContain('ST_DWithin(');
+    expect(sql).not.toContain('v.latitude BETWEEN');
+    expect(params.slice(0, 3)).toEqual([-87.65, 41.85, 5000]);
+    expect(result.searchParams.mode).toBe('postgis');
+    expect(result.vendors[0].searchMeta).toMatchObject({ distanceKm: 25, matchedBy: 'service_area' });
+  });
+});
+
+describe('Vendor service areas', () => {
+  afterEach(() => {
+    geoSearchService.mode = 'latlng';
+    jest.restoreAllMocks();
+  });
+
+  it('should close polygons and build geographies in PostGIS mode', async () => {
+    geoSearchService.mode = 'postgis';
+    const client = mockTransaction();
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+    const flush = jest.spyOn(vendorProfileService, 'invalidateSearchCache').mockResolvedValue();
+
+    const result = await vendorServiceAreaService.replaceAreas(VENDOR_ID, [
+      { type: 'radius', center: { lat: 41.88, lng: -87.63 }, radiusKm: 15 },
+      { type: 'polygon', coordinates: polygon, label: 'North side' }
+    ]);
+
+    expect(result.success).toBe(true);
+    const inserts = client.query.mock.calls.filter(([text]) => text.startsWith('INSERT INTO vendor_service_areas'));
+    expect(inserts[0][0]).toContain('ST_Buffer(');
+    expect(inserts[1][0]).toContain('ST_GeogFromGeoJSON($3::text)');
+    expect(JSON.parse(inserts[1][1][2]).coordinates[0]).toEqual([...polygon, polygon[0]]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(flush).toHaveBeenCalled();
+  });
+
+  it('should store areas without geographies when PostGIS is missing', async () => {
+    const client = mockTransaction();
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+    jest.spyOn(vendorProfileService, 'invalidateSearchCache').mockResolvedValue();
+
+    await vendorServiceAreaService.replaceAreas(VENDOR_ID, [{ type: 'polygon', coordinates: polygon }]);
+
+    const [text] = client.query.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO vendor_service_areas'));
+    expect(text).not.toContain('area)');
+    expect(text).not.toContain('ST_');
+  });
+
+  it('should reject polygons with too few distinct points', async () => {
+    const replace = jest.spyOn(vendorServiceAreaService, 'replaceAreas');
+    const res = mockResponse();
+
+    await vendorServiceAreaController.replaceAreas({
+      user: { id: VENDOR_ID },
+      body: { areas: [{ type: 'polygon', coordinates: [[-87.7, 41.8], [-87.6, 41.8], [-87.7, 41.8]] }] }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(replace).not.toHaveBeenCalled();
+  });
+
+  it('should not take a radius on a polygon', async () => {
+    const res = mockResponse();
+
+    await vendorServiceAreaController.replaceAreas({
+      user: { id: VENDOR_ID },
+      body: { areas: [{ type: 'polygon', coordinates: polygon, radiusKm: 5 }] }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].code).toBe('VALIDATION_ERROR');
+  });
+});
+
+describe('Service area API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to change service areas', async () => {
+    const response = await request(app)
+      .put('/api/v1/vendors/service-areas')
+      .send({ areas: [] })
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+});
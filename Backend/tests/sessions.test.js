@@ -0,0 +1,73 @@
+/**
+ * Device Session Tests
+ * Tests for logout and session list/revoke endpoint authentication
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+describe('Device Sessions API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  describe('GET /api/v1/auth/sessions', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/sessions')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('NO_TOKEN');
+    });
+  });
+
+  describe('DELETE /api/v1/auth/sessions', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .delete('/api/v1/auth/sessions')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/v1/auth/sessions/:id', () => {
+    it('should reject tokens signed with the wrong secret', async () => {
+      const token = jwt.sign({ userId: 'user-123', sid: 'session-123' }, 'not-the-secret');
+
+      const response = await request(app)
+        .delete('/api/v1/auth/sessions/00000000-0000-0000-0000-000000000000')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('INVALID_TOKEN');
+    });
+  });
+
+  describe('POST /api/v1/auth/logout', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/logout')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('NO_TOKEN');
+    });
+  });
+
+  describe('POST /api/v1/admin/users/:id/suspend', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/users/00000000-0000-0000-0000-000000000000/suspend')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
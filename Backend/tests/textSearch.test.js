@@ -0,0 +1,169 @@
+/**
+ * Text Search Tests
+ * Tests for free-text vendor search: synonyms, typo tolerance, relevance
+ * ranking, highlighted snippets and keeping the index current
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const { geoSearchService } = require('../src/services/geoSearchService');
+const vendorSearchIndexService = require('../src/services/vendorSearchIndexService');
+const { parseSearchQuery, parseHeadline } = require('../src/utils/searchQuery');
+
+const vendorRow = (id, extra = {}) => ({
+  id,
+  user_id: `user-${id}`,
+  first_name: 'Sam',
+  last_name: 'Rivera',
+  business_name: `Vendor ${id}`,
+  latitude: '41.880000',
+  longitude: '-87.630000',
+  distance_km: 1.5,
+  avg_rating: 4,
+  total_ratings: 2,
+  service_categories: ['Plumbing'],
+  ...extra
+});
+
+/**
+ * Answer the search with `rows` and the snippet lookup with `snippets`
+ */
+const mockSearch = (rows, snippets = []) => {
+  jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+  jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+  return jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+    if (text.includes('FROM vendors v')) {
+      return { rows };
+    }
+    if (text.includes('ts_headline')) {
+      return { rows: snippets };
+    }
+    return { rows: [] };
+  });
+};
+
+const searchCall = query => query.mock.calls.find(([text]) => text.includes('FROM vendors v'));
+
+describe('Search query parsing', () => {
+  it('should expand synonyms and keep operators out of the tsquery', () => {
+    const parsed = parseSearchQuery('A/C repair & (drop table)!');
+
+    expect(parsed.text).toBe('ac repair drop table');
+    expect(parsed.tsquery).toBe('(ac | hvac | air <-> conditioning) | (repair) | (drop) | (table)');
+    expect(parseSearchQuery(' ?! ')).toBeNull();
+  });
+
+  it('should turn headline markers into highlight offsets', () => {
+    const snippet = parseHeadline('Fixed a \u0002leaky\u0003 \u0002faucet\u0003 fast');
+
+    expect(snippet.text).toBe('Fixed a leaky faucet fast');
+    expect(snippet.highlights).toEqual([[8, 13], [14, 20]]);
+    expect(snippet.text.slice(14, 20)).toBe('faucet');
+  });
+});
+
+describe('Text search', () => {
+  afterEach(() => {
+    geoSearchService.typoTolerance = false;
+    jest.restoreAllMocks();
+  });
+
+  it('should rank by a blend of text relevance and match score', async () => {
+    const query = mockSearch([
+      vendorRow('b', { text_score: 0.2, avg_rating: 5 }),
+      vendorRow('a', { text_score: 0.9, avg_rating: 3 })
+    ], [{ vendor_id: 'a', snippet: 'Fixed a \u0002leaky\u0003 faucet' }]);
+
+    const result = await geoSearchService.searchVendors({ lat: 41.88, lng: -87.63, radiusKm: 5, q: 'leaky faucet' });
+
+    const [sql, params] = searchCall(query);
+    expect(sql).toContain('JOIN vendor_search_documents sd ON sd.vendor_id = v.id');
+    expect(sql).toContain("sd.document @@ to_tsquery('english', $8)");
+    expect(sql).not.toContain('<%');
+    expect(sql).toContain('LIMIT 500');
+    expect(params[7]).toBe('(leaky | leak | plumbing) | (faucet | tap | plumbing)');
+    expect(result.searchParams).toMatchObject({ sortBy: 'relevance', query: 'leaky faucet' });
+    expect(result.vendors.map(vendor => vendor.id)).toEqual(['a', 'b']);
+    expect(result.vendors[0].searchMeta.relevanceScore).toBeGreaterThan(result.vendors[1].searchMeta.relevanceScore);
+    expect(result.vendors[0].searchMeta.snippet).toEqual({ text: 'Fixed a leaky faucet', highlights: [[8, 13]] });
+    expect(result.vendors[1].searchMeta.snippet).toBeNull();
+  });
+
+  it('should match misspellings when pg_trgm is installed', async () => {
+    geoSearchService.typoTolerance = true;
+    const query = mockSearch([]);
+
+    await geoSearchService.searchVendors({ q: 'electrition' });
+
+    const [sql, params] = searchCall(query);
+    expect(sql).toContain('$2 <% sd.terms');
+    expect(sql).toContain('word_similarity($2, sd.terms)');
+    expect(params[1]).toBe('electrition');
+  });
+
+  it('should keep an explicit order and fall back without a query', async () => {
+    const query = mockSearch([vendorRow('a')]);
+
+    const sorted = await geoSearchService.searchVendors({ lat: 41.88, lng: -87.63, q: 'plumber', sortBy: 'rating' });
+    expect(sorted.searchParams.sortBy).toBe('rating');
+    expect(searchCall(query)[0]).not.toContain('LIMIT 500');
+
+    const plain = await geoSearchService.searchVendors({ lat: 41.88, lng: -87.63, sortBy: 'relevance' });
+    expect(plain.searchParams.sortBy).toBe('distance');
+  });
+});
+
+describe('Search index', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should rebuild only the vendors asked for', async () => {
+    const query = jest.spyOn(dbManager, 'query').mockResolvedValue({ rowCount: 1, rows: [] });
+
+    const result = await vendorSearchIndexService.refreshVendors(['user-a']);
+
+    expect(result.data.refreshed).toBe(1);
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO vendor_search_documents');
+    expect(sql).toContain('ON CONFLICT (vendor_id) DO UPDATE');
+    expect(params).toEqual([['user-a']]);
+  });
+
+  it('should build the index once when vendors exist but it is empty', async () => {
+    const query = jest.spyOn(dbManager, 'query')
+      .mockResolvedValueOnce({ rows: [{ has_vendors: true, has_documents: false }] })
+      .mockResolvedValueOnce({ rowCount: 3, rows: [] });
+
+    const result = await vendorSearchIndexService.ensureBuilt();
+
+    expect(result.data.refreshed).toBe(3);
+    expect(query.mock.calls[1][1]).toEqual([null]);
+  });
+});
+
+describe('Text search API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should search by text and rank by relevance', async () => {
+    mockSearch([vendorRow('a', { text_score: 0.5 })]);
+
+    const response = await request(app)
+      .post('/api/v1/search/vendors')
+      .send({ q: 'AC repair' })
+      .expect(200);
+
+    expect(response.body.data.searchParams).toMatchObject({ query: 'ac repair', sortBy: 'relevance' });
+    expect(response.body.data.vendors[0].searchMeta.relevanceScore).toEqual(expect.any(Number));
+  });
+});
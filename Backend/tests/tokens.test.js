@@ -0,0 +1,183 @@
+/**
+ * Token Tests
+ * Tests for refresh token rotation and reuse detection, and the access token
+ * denylist
+ */
+
+const { dbManager } = require('../src/config/database');
+const tokenService = require('../src/services/tokenService');
+
+const JTI = '6b1f2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+const USER_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+
+/**
+ * In-memory user_sessions and refresh_tokens behind dbManager.query
+ */
+const mockTokenTables = () => {
+  const sessions = [];
+  const tokens = [];
+  const user = { id: USER_ID, email: 'sam@example.com', user_type: 'CONSUMER', is_active: true, status: 'active' };
+
+  jest.spyOn(dbManager, 'query').mockImplementation(async (text, params = []) => {
+    if (text.includes('INSERT INTO user_sessions')) {
+      const session = { id: `session-${sessions.length + 1}`, is_active: true, revoked_at: null, revoked_reason: null };
+      sessions.push(session);
+      return { rows: [{ id: session.id }] };
+    }
+    if (text.includes('INSERT INTO refresh_tokens')) {
+      const [sessionId, userId, tokenHash, parentId, expiresAt] = params;
+      tokens.push({
+        id: `token-${tokens.length + 1}`,
+        session_id: sessionId,
+        user_id: userId,
+        token_hash: tokenHash,
+        parent_id: parentId,
+        expires_at: expiresAt,
+        rotated_at: null,
+        revoked_at: null
+      });
+      return { rows: [] };
+    }
+    if (text.includes('FROM refresh_tokens rt')) {
+      const token = tokens.find(row => row.token_hash === params[0]);
+      const session = token && sessions.find(row => row.id === token.session_id);
+      return {
+        rows: token ? [{ ...token, session_active: session.is_active, session_revoked_at: session.revoked_at }] : []
+      };
+    }
+    if (text.includes('SET rotated_at = NOW()')) {
+      const token = tokens.find(row => row.id === params[0] && !row.rotated_at && !row.revoked_at);
+      if (token) {
+        token.rotated_at = new Date();
+      }
+      return { rows: token ? [{ id: token.id }] : [] };
+    }
+    if (text.includes('SET is_active = FALSE')) {
+      Object.assign(sessions.find(row => row.id === params[0]), { is_active: false, revoked_at: new Date(), revoked_reason: params[1] });
+      return { rows: [] };
+    }
+    if (text.includes('UPDATE refresh_tokens') && text.includes('SET revoked_at = NOW()')) {
+      tokens.filter(row => row.session_id === params[0] && !row.revoked_at).forEach((row) => { row.revoked_at = new Date(); });
+      return { rows: [] };
+    }
+    if (text.includes('FROM users')) {
+      return { rows: [user] };
+    }
+    return { rows: [] };
+  });
+
+  return { sessions, tokens };
+};
+
+describe('Refresh token rotation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should swap a refresh token for a new pair in the same session', async () => {
+    const { tokens } = mockTokenTables();
+    const { refreshToken, sessionId } = await tokenService.issueRefreshToken(USER_ID);
+
+    const result = await tokenService.rotateRefreshToken(refreshToken);
+
+    expect(result.success).toBe(true);
+    expect(result.data.refreshToken).not.toBe(refreshToken);
+    expect(tokens).toHaveLength(2);
+    expect(tokens[1]).toMatchObject({ session_id: sessionId, parent_id: tokens[0].id });
+    expect(tokens[0].rotated_at).toEqual(expect.any(Date));
+  });
+
+  it('should revoke the whole session when a rotated token is replayed', async () => {
+    const { sessions, tokens } = mockTokenTables();
+    const { refreshToken } = await tokenService.issueRefreshToken(USER_ID);
+    const rotated = await tokenService.rotateRefreshToken(refreshToken);
+
+    const replayed = await tokenService.rotateRefreshToken(refreshToken);
+
+    expect(replayed.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(sessions[0]).toMatchObject({ is_active: false, revoked_reason: 'refresh_token_reuse' });
+    expect(tokens.every(token => token.revoked_at)).toBe(true);
+
+    const child = await tokenService.rotateRefreshToken(rotated.data.refreshToken);
+    expect(child.code).toBe('SESSION_REVOKED');
+  });
+
+  it('should leave the user\'s other sessions signed in', async () => {
+    const { sessions } = mockTokenTables();
+    const phone = await tokenService.issueRefreshToken(USER_ID);
+    const laptop = await tokenService.issueRefreshToken(USER_ID);
+    await tokenService.rotateRefreshToken(phone.refreshToken);
+
+    await tokenService.rotateRefreshToken(phone.refreshToken);
+
+    expect(sessions.map(session => session.is_active)).toEqual([false, true]);
+    expect((await tokenService.rotateRefreshToken(laptop.refreshToken)).success).toBe(true);
+  });
+});
+
+describe('Access token denylist', () => {
+  let savedRedis;
+  let savedConnected;
+
+  beforeEach(() => {
+    savedRedis = dbManager.redisClient;
+    savedConnected = dbManager.isConnected;
+    dbManager.redisClient = {};
+    dbManager.isConnected = true;
+  });
+
+  afterEach(() => {
+    dbManager.redisClient = savedRedis;
+    dbManager.isConnected = savedConnected;
+    jest.restoreAllMocks();
+  });
+
+  it('should answer from Redis without asking Postgres', async () => {
+    jest.spyOn(dbManager, 'getCache').mockResolvedValue({ userId: USER_ID, reason: 'logout' });
+    const query = jest.spyOn(dbManager, 'query');
+
+    await expect(tokenService.isAccessTokenDenied(JTI)).resolves.toBe(true);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('should check Postgres on a Redis miss and refill Redis', async () => {
+    jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+    const setCache = jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+    const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+    const query = jest.spyOn(dbManager, 'query').mockResolvedValue({
+      rows: [{ user_id: USER_ID, reason: 'logout', expires_at: expiresAt }]
+    });
+
+    await expect(tokenService.isAccessTokenDenied(JTI)).resolves.toBe(true);
+
+    expect(query.mock.calls[0][0]).toContain('FROM revoked_access_tokens');
+    expect(query.mock.calls[0][1]).toEqual([JTI]);
+    const [key, value, ttlSeconds] = setCache.mock.calls[0];
+    expect(key).toBe(`token_denylist:${JTI}`);
+    expect(value).toEqual({ userId: USER_ID, reason: 'logout' });
+    expect(ttlSeconds).toBeGreaterThan(590);
+    expect(ttlSeconds).toBeLessThanOrEqual(600);
+  });
+
+  it('should allow a token neither store denies', async () => {
+    jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+    const setCache = jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+
+    await expect(tokenService.isAccessTokenDenied(JTI)).resolves.toBe(false);
+    expect(setCache).not.toHaveBeenCalled();
+  });
+
+  it('should use Postgres alone while Redis is down', async () => {
+    dbManager.isConnected = false;
+    const getCache = jest.spyOn(dbManager, 'getCache');
+    const setCache = jest.spyOn(dbManager, 'setCache');
+    jest.spyOn(dbManager, 'query').mockResolvedValue({
+      rows: [{ user_id: USER_ID, reason: 'logout', expires_at: new Date(Date.now() + 60000) }]
+    });
+
+    await expect(tokenService.isAccessTokenDenied(JTI)).resolves.toBe(true);
+    expect(getCache).not.toHaveBeenCalled();
+    expect(setCache).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Two-Factor Authentication Tests
+ * Tests for TOTP generation (RFC 6238 vectors), secret handling, challenge
+ * validation and locking challenges after repeated wrong codes
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { dbManager } = require('../src/config/database');
+const tokenService = require('../src/services/tokenService');
+const twoFactorService = require('../src/services/twoFactorService');
+const { resolveIdentity } = require('../src/middleware/auth');
+
+describe('TOTP', () => {
+  // RFC 6238 Appendix B, SHA1 seed "12345678901234567890"
+  const rfcSecret = Buffer.from('12345678901234567890', 'ascii');
+
+  it('should match the RFC 6238 SHA1 test vectors', () => {
+    expect(twoFactorService.generateHotp(rfcSecret, 1, 8)).toBe('94287082');
+    expect(twoFactorService.generateHotp(rfcSecret, twoFactorService.getTimeStep(1111111109 * 1000), 8)).toBe('07081804');
+    expect(twoFactorService.generateHotp(rfcSecret, twoFactorService.getTimeStep(1234567890 * 1000), 8)).toBe('89005924');
+  });
+
+  it('should round-trip base32 secrets', () => {
+    const encoded = twoFactorService.base32Encode(rfcSecret);
+
+    expect(encoded).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(twoFactorService.base32Decode(encoded).equals(rfcSecret)).toBe(true);
+  });
+
+  it('should accept codes within one step of drift and refuse replays', () => {
+    const secret = twoFactorService.generateSecret();
+    const now = Date.now();
+    const previousCode = twoFactorService.generateTotp(secret, now - 30 * 1000);
+
+    const step = twoFactorService.verifyTotp(secret, previousCode, { timestampMs: now });
+
+    expect(step).toBe(twoFactorService.getTimeStep(now) - 1);
+    expect(twoFactorService.verifyTotp(secret, previousCode, { timestampMs: now, lastUsedStep: step })).toBeNull();
+    expect(twoFactorService.verifyTotp(secret, 'abcdef', { timestampMs: now })).toBeNull();
+  });
+
+  it('should encrypt secrets at rest', () => {
+    const secret = twoFactorService.generateSecret();
+    const encrypted = twoFactorService.encryptSecret(secret);
+
+    expect(encrypted).not.toContain(secret);
+    expect(twoFactorService.decryptSecret(encrypted)).toBe(secret);
+  });
+
+  it('should build an otpauth provisioning URI', () => {
+    const uri = twoFactorService.buildProvisioningUri('JBSWY3DPEHPK3PXP', 'vendor@example.com');
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/FixRx%3Avendor%40example\.com\?/);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+    expect(uri).toContain('issuer=FixRx');
+  });
+});
+
+describe('Two-factor challenge lockout', () => {
+  const USER_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+  let secret;
+  let state;
+
+  /**
+   * In-memory user_two_factor row behind dbManager.query
+   */
+  const mockTwoFactorRow = () => {
+    secret = twoFactorService.generateSecret();
+    state = { failedAttempts: 0, lockedUntil: null, lastUsedStep: null };
+
+    jest.spyOn(dbManager, 'query').mockImplementation(async (text, params = []) => {
+      if (text.includes('SELECT locked_until')) {
+        return { rows: state.lockedUntil > new Date() ? [{ locked_until: state.lockedUntil }] : [] };
+      }
+      if (text.includes('SELECT *') && text.includes('FROM user_two_factor')) {
+        return {
+          rows: [{
+            user_id: USER_ID,
+            secret_encrypted: twoFactorService.encryptSecret(secret),
+            enabled_at: new Date(),
+            last_used_step: state.lastUsedStep
+          }]
+        };
+      }
+      if (text.includes('failed_attempts + 1')) {
+        const [, max, minutes] = params;
+        const attempts = state.failedAttempts + 1;
+        state.failedAttempts = attempts >= max ? 0 : attempts;
+        state.lockedUntil = attempts >= max ? new Date(Date.now() + minutes * 60000) : state.lockedUntil;
+        return { rows: [{ failed_attempts: state.failedAttempts, locked_until: state.lockedUntil }] };
+      }
+      if (text.includes('SET failed_attempts = 0')) {
+        state.failedAttempts = 0;
+        state.lockedUntil = null;
+        return { rows: [] };
+      }
+      if (text.includes('SET last_used_step')) {
+        state.lastUsedStep = params[1];
+        return { rows: [{ user_id: USER_ID }] };
+      }
+      if (text.includes('FROM users')) {
+        return { rows: [{ id: USER_ID, email: 'sam@example.com', user_type: 'VENDOR' }] };
+      }
+      return { rows: [] };
+    });
+    jest.spyOn(tokenService, 'isAccessTokenDenied').mockResolvedValue(false);
+    jest.spyOn(tokenService, 'issueRefreshToken').mockResolvedValue({ refreshToken: 'refresh-token', sessionId: 'session-1' });
+    return jest.spyOn(tokenService, 'denyDecodedToken').mockResolvedValue(true);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should lock challenges on the fifth wrong code and burn the challenge', async () => {
+    const deny = mockTwoFactorRow();
+    const challengeToken = twoFactorService.createChallenge(USER_ID);
+
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      const miss = await twoFactorService.completeChallenge(challengeToken, { code: '000000' });
+      expect(miss.code).toBe('INVALID_TWO_FACTOR_CODE');
+    }
+    const locked = await twoFactorService.completeChallenge(challengeToken, { code: '000000' });
+
+    expect(locked.code).toBe('TOO_MANY_TWO_FACTOR_ATTEMPTS');
+    expect(locked.retryAfterSeconds).toBeGreaterThan(14 * 60);
+    expect(deny).toHaveBeenCalledWith(expect.objectContaining({ jti: jwt.decode(challengeToken).jti }), '2fa_too_many_attempts');
+  });
+
+  it('should refuse even the right code while locked', async () => {
+    mockTwoFactorRow();
+    state.lockedUntil = new Date(Date.now() + 60000);
+
+    const result = await twoFactorService.completeChallenge(twoFactorService.createChallenge(USER_ID), {
+      code: twoFactorService.generateTotp(secret)
+    });
+
+    expect(result.code).toBe('TOO_MANY_TWO_FACTOR_ATTEMPTS');
+    expect(state.lastUsedStep).toBeNull();
+  });
+
+  it('should clear earlier misses once a code is right', async () => {
+    mockTwoFactorRow();
+    const challengeToken = twoFactorService.createChallenge(USER_ID);
+    await twoFactorService.completeChallenge(challengeToken, { code: '000000' });
+    expect(state.failedAttempts).toBe(1);
+
+    const result = await twoFactorService.completeChallenge(challengeToken, { code: twoFactorService.generateTotp(secret) });
+
+    expect(result.success).toBe(true);
+    expect(state.failedAttempts).toBe(0);
+  });
+
+  it('should count wrong codes sent to disable towards the same lock', async () => {
+    mockTwoFactorRow();
+
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      expect((await twoFactorService.disable(USER_ID, { code: '000000' })).code).toBe('INVALID_TWO_FACTOR_CODE');
+    }
+    const locked = await twoFactorService.disable(USER_ID, { code: '000000' });
+    expect(locked.code).toBe('TOO_MANY_TWO_FACTOR_ATTEMPTS');
+
+    const rightCode = await twoFactorService.regenerateRecoveryCodes(USER_ID, twoFactorService.generateTotp(secret));
+    expect(rightCode.code).toBe('TOO_MANY_TWO_FACTOR_ATTEMPTS');
+    expect(dbManager.query.mock.calls.some(([text]) => text.includes('DELETE FROM user_two_factor'))).toBe(false);
+  });
+});
+
+describe('Two-factor challenge', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should not accept a challenge token as an access token', async () => {
+    const challengeToken = twoFactorService.createChallenge('user-123');
+
+    await expect(resolveIdentity(challengeToken)).rejects.toMatchObject({ code: 'INVALID_TOKEN_TYPE' });
+  });
+
+  it('should reject challenge completion without a code', async () => {
+    const challengeToken = jwt.sign(
+      { userId: 'user-123', type: '2fa_challenge' },
+      process.env.JWT_SECRET || 'your-secret-key'
+    );
+
+    const response = await request(app)
+      .post('/api/v1/auth/2fa/challenge')
+      .send({ challengeToken })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should need a recent sign-in to disable or replace recovery codes', async () => {
+    const token = tokenService.generateAccessToken({ id: 'user-123', email: 'sam@example.com', user_type: 'VENDOR' }, { sessionId: 'session-1' });
+    jest.spyOn(tokenService, 'isAccessTokenDenied').mockResolvedValue(false);
+    jest.spyOn(tokenService, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(tokenService, 'isRecentlyAuthenticated').mockResolvedValue(false);
+    jest.spyOn(dbManager, 'query').mockImplementation(async text => ({
+      rows: text.includes('FROM users') ? [{ id: 'user-123', email: 'sam@example.com', user_type: 'VENDOR', is_active: true, status: 'active' }] : []
+    }));
+    const disable = jest.spyOn(twoFactorService, 'disable');
+
+    for (const path of ['/api/v1/auth/2fa/disable', '/api/v1/auth/2fa/recovery-codes']) {
+      const response = await request(app)
+        .post(path)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '123456' })
+        .expect(403);
+      expect(response.body.code).toBe('REAUTHENTICATION_REQUIRED');
+    }
+    expect(disable).not.toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+
+  it('should require authentication to enroll', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/2fa/enroll')
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+});
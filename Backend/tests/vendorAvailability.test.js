@@ -0,0 +1,187 @@
+/**
+ * Vendor Availability Tests
+ * Tests for timezone-aware working hours, time off, open slots and the
+ * search availability filter
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const {
+  zonedTimeToUtc,
+  workingIntervals,
+  subtractIntervals,
+  splitIntoSlots
+} = require('../src/utils/availabilityCalendar');
+const vendorAvailabilityService = require('../src/services/vendorAvailabilityService');
+const { geoSearchService } = require('../src/services/geoSearchService');
+
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const OTHER_VENDOR_ID = '6a5b4c3d-2e1f-4a0b-9c8d-7e6f5a4b3c2d';
+
+const weekdayHours = { start: '09:00', end: '12:00' };
+const mondayOnly = { monday: [weekdayHours] };
+
+const iso = intervals => intervals.map(({ start, end }) => [start.toISOString(), end.toISOString()]);
+
+describe('Availability calendar', () => {
+  it('should follow daylight-saving changes in the vendor timezone', () => {
+    // New York moves to EDT on 2026-03-08
+    expect(zonedTimeToUtc('2026-03-06', '09:00', 'America/New_York').toISOString()).toBe('2026-03-06T14:00:00.000Z');
+    expect(zonedTimeToUtc('2026-03-09', '09:00', 'America/New_York').toISOString()).toBe('2026-03-09T13:00:00.000Z');
+  });
+
+  it('should place working hours on the vendor\'s local day', () => {
+    // Monday 09:00-12:00 in Tokyo is Sunday evening in UTC
+    const intervals = workingIntervals(
+      mondayOnly,
+      'Asia/Tokyo',
+      new Date('2026-10-18T00:00:00Z'),
+      new Date('2026-10-20T00:00:00Z')
+    );
+
+    expect(iso(intervals)).toEqual([['2026-10-19T00:00:00.000Z', '2026-10-19T03:00:00.000Z']]);
+  });
+
+  it('should take busy periods out and cut what is left into slots', () => {
+    const open = [{ start: new Date('2026-10-19T14:00:00Z'), end: new Date('2026-10-19T17:00:00Z') }];
+    const remaining = subtractIntervals(open, [
+      { start: new Date('2026-10-19T15:00:00Z'), end: new Date('2026-10-19T15:30:00Z') }
+    ]);
+
+    expect(iso(remaining)).toEqual([
+      ['2026-10-19T14:00:00.000Z', '2026-10-19T15:00:00.000Z'],
+      ['2026-10-19T15:30:00.000Z', '2026-10-19T17:00:00.000Z']
+    ]);
+    expect(splitIntoSlots(remaining, 60)).toHaveLength(2);
+  });
+});
+
+describe('Vendor availability service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return open slots around time off', async () => {
+    jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+      if (text.includes('FROM vendor_profiles')) {
+        return { rows: [{ vendor_id: VENDOR_ID, availability_schedule: mondayOnly, timezone: 'America/Chicago' }] };
+      }
+      if (text.includes('FROM vendor_time_off')) {
+        // 10:00-11:00 Chicago time
+        return { rows: [{ vendor_id: VENDOR_ID, starts_at: '2026-10-19T15:00:00Z', ends_at: '2026-10-19T16:00:00Z' }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await vendorAvailabilityService.getOpenSlots(VENDOR_ID, {
+      from: '2026-10-19T00:00:00Z',
+      to: '2026-10-20T00:00:00Z',
+      slotMinutes: 60
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.timezone).toBe('America/Chicago');
+    expect(result.data.slots).toEqual([
+      { start: '2026-10-19T14:00:00.000Z', end: '2026-10-19T15:00:00.000Z' },
+      { start: '2026-10-19T16:00:00.000Z', end: '2026-10-19T17:00:00.000Z' }
+    ]);
+  });
+
+  it('should refuse ranges longer than a month', async () => {
+    const result = await vendorAvailabilityService.getOpenSlots(VENDOR_ID, {
+      from: '2026-10-01T00:00:00Z',
+      to: '2026-12-01T00:00:00Z'
+    });
+
+    expect(result.code).toBe('INVALID_RANGE');
+  });
+
+  it('should only keep vendors open for the requested window', async () => {
+    jest.spyOn(dbManager, 'query').mockResolvedValue({
+      rows: [{ vendor_id: OTHER_VENDOR_ID, starts_at: '2026-10-19T00:00:00Z', ends_at: '2026-10-26T00:00:00Z' }]
+    });
+
+    const vendors = [
+      { userId: VENDOR_ID, availability: mondayOnly, timezone: 'UTC' },
+      { userId: OTHER_VENDOR_ID, availability: mondayOnly, timezone: 'UTC' },
+      { userId: 'no-hours', availability: null, timezone: null }
+    ];
+
+    const open = await vendorAvailabilityService.filterAvailable(vendors, { datetime: '2026-10-19T10:00:00Z', durationMinutes: 90 });
+    const tooLong = await vendorAvailabilityService.filterAvailable(vendors, { datetime: '2026-10-19T11:00:00Z', durationMinutes: 90 });
+
+    expect(open.map(vendor => vendor.userId)).toEqual([VENDOR_ID]);
+    expect(tooLong).toEqual([]);
+  });
+});
+
+describe('Search availability filter', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should drop vendors who are not working at the requested time', async () => {
+    const row = {
+      id: 'vendor-row',
+      latitude: '41.880000',
+      longitude: '-87.630000',
+      distance_km: 1.2,
+      avg_rating: 4.5,
+      total_ratings: 3,
+      service_categories: ['plumbing']
+    };
+    jest.spyOn(dbManager, 'getCache').mockResolvedValue(null);
+    jest.spyOn(dbManager, 'setCache').mockResolvedValue(true);
+    const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+      if (text.includes('FROM vendors v')) {
+        return {
+          rows: [
+            { ...row, user_id: VENDOR_ID, availability_schedule: mondayOnly, timezone: 'America/Chicago' },
+            { ...row, user_id: OTHER_VENDOR_ID, availability_schedule: { tuesday: [weekdayHours] }, timezone: 'America/Chicago' }
+          ]
+        };
+      }
+      return { rows: [] };
+    });
+
+    const result = await geoSearchService.searchVendors({
+      lat: 41.88,
+      lng: -87.63,
+      radiusKm: 10,
+      serviceCategories: [],
+      maxResults: 10,
+      availability: { datetime: '2026-10-19T15:00:00Z', durationMinutes: 60 }
+    });
+
+    expect(result.vendors.map(vendor => vendor.userId)).toEqual([VENDOR_ID]);
+    const [searchSql] = query.mock.calls.find(([text]) => text.includes('FROM vendors v'));
+    expect(searchSql).toContain('LIMIT 500');
+  });
+});
+
+describe('Vendor availability API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to change working hours', async () => {
+    const response = await request(app)
+      .put('/api/v1/vendors/availability')
+      .send({ timezone: 'America/Chicago' })
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require a date range for open slots', async () => {
+    const response = await request(app)
+      .get(`/api/v1/vendors/${VENDOR_ID}/availability`)
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Vendor Onboarding Tests
+ * Tests for step ordering, optional steps, completion and the search gate
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const vendorOnboardingService = require('../src/services/vendorOnboardingService');
+const vendorProfileService = require('../src/services/vendorProfileService');
+
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const ONBOARDING_ID = '7a2b3c4d-5e6f-4a1b-8c9d-0e1f2a3b4c5d';
+
+const onboardingRow = {
+  id: ONBOARDING_ID,
+  vendor_id: VENDOR_ID,
+  status: 'in_progress',
+  current_step: 1,
+  started_at: '2026-10-01T10:00:00.000Z',
+  completed_at: null
+};
+
+const doneSteps = (...numbers) => numbers.map(step_number => ({
+  step_number,
+  status: 'completed',
+  data: {},
+  completed_at: '2026-10-01T10:05:00.000Z'
+}));
+
+// In-memory stand-in for vendor_onboarding and vendor_onboarding_steps
+const mockOnboardingTables = (stepRows = [], onboarding = onboardingRow) => {
+  const steps = new Map(stepRows.map(row => [row.step_number, row]));
+  let stored = onboarding ? { ...onboarding } : null;
+
+  const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text, params) => {
+    if (text.includes('FROM vendor_onboarding_steps')) {
+      return { rows: [...steps.values()] };
+    }
+    if (text.includes('INSERT INTO vendor_onboarding_steps')) {
+      steps.set(params[1], { step_number: params[1], status: params[3], data: params[4], completed_at: new Date() });
+      return { rows: [] };
+    }
+    if (text.includes('UPDATE vendor_onboarding')) {
+      stored = {
+        ...stored,
+        current_step: Math.max(stored.current_step, params[1]),
+        status: params[2] ? 'completed' : stored.status
+      };
+      return { rows: [stored] };
+    }
+    if (text.includes('FROM vendor_onboarding')) {
+      return { rows: stored ? [stored] : [] };
+    }
+    return { rows: [] };
+  });
+
+  return { query };
+};
+
+describe('Vendor onboarding service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reject a step submitted before the earlier ones', async () => {
+    mockOnboardingTables(doneSteps(1));
+    const save = jest.spyOn(vendorProfileService, 'saveFields');
+
+    const result = await vendorOnboardingService.submitStep(VENDOR_ID, ONBOARDING_ID, 3, {
+      serviceCategories: ['Plumbing'],
+      serviceRadius: 25
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('STEP_OUT_OF_ORDER');
+    expect(result.data.currentStep).toBe(2);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('should save a valid step to the profile and advance', async () => {
+    mockOnboardingTables(doneSteps(1, 2));
+    const save = jest.spyOn(vendorProfileService, 'saveFields').mockResolvedValue({ success: true, data: {} });
+
+    const result = await vendorOnboardingService.submitStep(VENDOR_ID, ONBOARDING_ID, 3, {
+      serviceCategories: ['Plumbing', 'Water Heaters'],
+      serviceRadius: 25
+    }, { actorId: VENDOR_ID });
+
+    expect(result.success).toBe(true);
+    expect(save).toHaveBeenCalledWith(
+      VENDOR_ID,
+      { serviceCategories: ['Plumbing', 'Water Heaters'], serviceRadius: 25 },
+      { actorId: VENDOR_ID }
+    );
+    expect(result.data.nextStep).toBe(4);
+    expect(result.data.completionPercentage).toBe(50);
+  });
+
+  it('should validate step fields before touching the database', async () => {
+    const { query } = mockOnboardingTables();
+
+    const result = await vendorOnboardingService.submitStep(VENDOR_ID, ONBOARDING_ID, 1, { businessName: 'R' });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('VALIDATION_ERROR');
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('should let the optional portfolio step be skipped but not required ones', async () => {
+    mockOnboardingTables(doneSteps(1, 2, 3));
+
+    const skipped = await vendorOnboardingService.submitStep(VENDOR_ID, ONBOARDING_ID, 4, { skip: true });
+    expect(skipped.success).toBe(true);
+    expect(skipped.data.onboarding.steps[3].status).toBe('skipped');
+    expect(skipped.data.nextStep).toBe(5);
+
+    const required = await vendorOnboardingService.submitStep(VENDOR_ID, ONBOARDING_ID, 5, { skip: true });
+    expect(required.success).toBe(false);
+    expect(required.code).toBe('STEP_REQUIRED');
+  });
+
+  it('should complete onboarding on review and clear cached search results', async () => {
+    mockOnboardingTables(doneSteps(1, 2, 3, 4, 5));
+    const flush = jest.spyOn(dbManager, 'flushCache').mockResolvedValue(true);
+
+    const result = await vendorOnboardingService.submitStep(VENDOR_ID, ONBOARDING_ID, 6, { confirm: true });
+
+    expect(result.success).toBe(true);
+    expect(result.data.isCompleted).toBe(true);
+    expect(result.data.completedNow).toBe(true);
+    expect(result.data.completionPercentage).toBe(100);
+    expect(result.data.nextStep).toBeNull();
+    expect(flush).toHaveBeenCalledWith('geo_search:*');
+  });
+
+  it('should resume the existing onboarding when started again', async () => {
+    const { query } = mockOnboardingTables(doneSteps(1, 2));
+
+    const result = await vendorOnboardingService.startOnboarding(VENDOR_ID);
+
+    expect(result.success).toBe(true);
+    expect(result.data.created).toBe(false);
+    expect(result.data.onboarding.currentStep).toBe(3);
+    expect(result.data.onboarding.completionPercentage).toBe(33);
+    expect(query.mock.calls[0][0]).toContain('ON CONFLICT (vendor_id) DO NOTHING');
+  });
+
+  it('should not find another vendor\'s onboarding', async () => {
+    mockOnboardingTables([], null);
+
+    const result = await vendorOnboardingService.getOnboarding(VENDOR_ID, ONBOARDING_ID);
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('ONBOARDING_NOT_FOUND');
+  });
+
+  it('should only match vendors with completed onboarding in search', () => {
+    const filter = vendorOnboardingService.completedVendorFilter('u.id');
+
+    expect(filter).toContain('vo.vendor_id = u.id');
+    expect(filter).toContain("vo.status = 'completed'");
+  });
+});
+
+describe('Vendor onboarding API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to start onboarding', async () => {
+    const response = await request(app)
+      .post('/api/v1/vendors/onboarding/start')
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication to submit a step', async () => {
+    await request(app)
+      .put(`/api/v1/vendors/onboarding/${ONBOARDING_ID}/step/1`)
+      .send({ businessName: 'Rodriguez Plumbing' })
+      .expect(401);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Vendor Portfolio Tests
+ * Tests for image processing, the storage drivers and portfolio management
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// sharp is a native module; the tests only check how the pipeline is driven
+jest.mock('sharp', () => {
+  const pipelines = [];
+  const sharp = () => {
+    const pipeline = {
+      metadata: jest.fn(async () => sharp.inputMetadata),
+      rotate: jest.fn(() => pipeline),
+      resize: jest.fn(() => pipeline),
+      jpeg: jest.fn(() => pipeline),
+      withMetadata: jest.fn(() => pipeline),
+      toBuffer: jest.fn(async () => ({ data: Buffer.from('processed-jpeg'), info: { width: 800, height: 600, size: 14 } }))
+    };
+    pipelines.push(pipeline);
+    return pipeline;
+  };
+  sharp.pipelines = pipelines;
+  sharp.inputMetadata = { format: 'jpeg' };
+  return sharp;
+});
+
+const MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fixrx-media-'));
+process.env.MEDIA_UPLOAD_DIR = MEDIA_DIR;
+process.env.STORAGE_PUBLIC_URL = 'https://api.fixrx.test/media';
+
+const sharp = require('sharp');
+const { dbManager } = require('../src/config/database');
+const { processImage } = require('../src/utils/imageProcessing');
+const { LocalStorageDriver, createStorageDriver } = require('../src/services/storageService');
+const vendorPortfolioService = require('../src/services/vendorPortfolioService');
+const vendorProfileService = require('../src/services/vendorProfileService');
+
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const ITEM_A = '0b6f2c1e-1a2b-4c3d-8e9f-0a1b2c3d4e5f';
+const ITEM_B = '9c8d7e6f-5a4b-4c3d-9e2f-1a0b9c8d7e6f';
+
+beforeEach(() => {
+  sharp.pipelines.length = 0;
+  sharp.inputMetadata = { format: 'jpeg' };
+});
+
+afterAll(() => {
+  fs.rmSync(MEDIA_DIR, { recursive: true, force: true });
+  delete process.env.MEDIA_UPLOAD_DIR;
+  delete process.env.STORAGE_PUBLIC_URL;
+});
+
+describe('Portfolio image processing', () => {
+  it('should apply orientation and re-encode without carrying metadata over', async () => {
+    const result = await processImage(Buffer.from('raw-photo'));
+
+    const [, main, thumbnail] = sharp.pipelines;
+    expect(main.rotate).toHaveBeenCalledWith();
+    expect(main.resize).toHaveBeenCalledWith(2048, 2048, expect.objectContaining({ fit: 'inside', withoutEnlargement: true }));
+    expect(thumbnail.resize).toHaveBeenCalledWith(400, 400, expect.objectContaining({ fit: 'cover' }));
+    // Keeping metadata would carry the EXIF GPS block into storage
+    sharp.pipelines.forEach(pipeline => expect(pipeline.withMetadata).not.toHaveBeenCalled());
+
+    expect(result.image).toMatchObject({ contentType: 'image/jpeg', width: 800, height: 600 });
+    expect(result.thumbnail.buffer).toBeInstanceOf(Buffer);
+  });
+
+  it('should reject files that are not a supported image format', async () => {
+    sharp.inputMetadata = { format: 'svg' };
+
+    await expect(processImage(Buffer.from('<svg/>'))).rejects.toMatchObject({ code: 'INVALID_IMAGE' });
+  });
+});
+
+describe('Storage drivers', () => {
+  it('should write, address and delete files with the local driver', async () => {
+    const driver = new LocalStorageDriver({ rootDir: MEDIA_DIR, publicUrl: 'http://localhost:3000/media/' });
+
+    const stored = await driver.put('portfolio/vendor-1/photo.jpg', Buffer.from('jpeg'));
+
+    expect(stored.url).toBe('http://localhost:3000/media/portfolio/vendor-1/photo.jpg');
+    expect(fs.readFileSync(path.join(MEDIA_DIR, 'portfolio/vendor-1/photo.jpg'), 'utf8')).toBe('jpeg');
+
+    await driver.delete('portfolio/vendor-1/photo.jpg');
+    expect(fs.existsSync(path.join(MEDIA_DIR, 'portfolio/vendor-1/photo.jpg'))).toBe(false);
+    await expect(driver.delete('portfolio/vendor-1/photo.jpg')).resolves.toBeUndefined();
+  });
+
+  it('should refuse keys that leave the upload directory', async () => {
+    const driver = new LocalStorageDriver({ rootDir: MEDIA_DIR, publicUrl: 'http://localhost:3000/media' });
+
+    await expect(driver.put('../contacts/export.csv', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+
+  it('should address local media from the server root when API_BASE_URL includes /api/v1', () => {
+    const driver = createStorageDriver({ API_BASE_URL: 'https://api.fixrx.test/api/v1' });
+
+    expect(driver.getUrl('portfolio/a.jpg')).toBe('https://api.fixrx.test/media/portfolio/a.jpg');
+  });
+
+  it('should build an S3-compatible driver from the environment', () => {
+    const driver = createStorageDriver({
+      STORAGE_DRIVER: 's3',
+      AWS_S3_BUCKET: 'fixrx-media',
+      S3_ENDPOINT: 'http://minio.local:9000/',
+      S3_FORCE_PATH_STYLE: 'true'
+    });
+
+    expect(driver.name).toBe('s3');
+    expect(driver.getUrl('portfolio/a.jpg')).toBe('http://minio.local:9000/fixrx-media/portfolio/a.jpg');
+  });
+
+  it('should require a bucket for the S3 driver', () => {
+    expect(() => createStorageDriver({ STORAGE_DRIVER: 's3' })).toThrow('AWS_S3_BUCKET');
+  });
+
+  it('should not put private files in the public media bucket', () => {
+    const env = { STORAGE_DRIVER: 's3', AWS_S3_BUCKET: 'fixrx-media' };
+
+    expect(() => createStorageDriver(env, 'private')).toThrow('AWS_S3_PRIVATE_BUCKET');
+    expect(() => createStorageDriver({ ...env, AWS_S3_PRIVATE_BUCKET: 'fixrx-media' }, 'private')).toThrow('AWS_S3_PRIVATE_BUCKET');
+    expect(createStorageDriver({ ...env, AWS_S3_PRIVATE_BUCKET: 'fixrx-private' }, 'private').bucket).toBe('fixrx-private');
+  });
+});
+
+describe('Vendor portfolio service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store the processed image and thumbnail and sync the profile', async () => {
+    const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text, params) => {
+      if (text.includes('COUNT(*)')) {
+        return { rows: [{ total: '2' }] };
+      }
+      if (text.includes('INSERT INTO vendor_portfolio')) {
+        return { rows: [{ id: ITEM_A, image_url: params[2], thumbnail_url: params[4], caption: params[1], sort_order: 2 }] };
+      }
+      if (text.includes('SELECT image_url')) {
+        return { rows: [{ image_url: 'https://api.fixrx.test/media/portfolio/existing.jpg' }] };
+      }
+      return { rows: [] };
+    });
+    const sync = jest.spyOn(vendorProfileService, 'updateManagedFields').mockResolvedValue({ success: true });
+
+    const result = await vendorPortfolioService.uploadItem(VENDOR_ID, { buffer: Buffer.from('raw') }, { caption: 'Kitchen remodel' });
+
+    expect(result.success).toBe(true);
+    expect(result.data.item.caption).toBe('Kitchen remodel');
+    expect(result.data.item.imageUrl).toMatch(new RegExp(`^https://api.fixrx.test/media/portfolio/${VENDOR_ID}/.+\\.jpg$`));
+    expect(result.data.item.thumbnailUrl).toMatch(/_thumb\.jpg$/);
+
+    const [, params] = query.mock.calls.find(([text]) => text.includes('INSERT INTO vendor_portfolio'));
+    expect(fs.existsSync(path.join(MEDIA_DIR, params[3]))).toBe(true);
+    expect(fs.existsSync(path.join(MEDIA_DIR, params[5]))).toBe(true);
+    expect(sync).toHaveBeenCalledWith(
+      VENDOR_ID,
+      { portfolioImages: ['https://api.fixrx.test/media/portfolio/existing.jpg'] },
+      { actorId: VENDOR_ID }
+    );
+  });
+
+  it('should refuse uploads once the portfolio is full', async () => {
+    jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [{ total: '20' }] });
+
+    const result = await vendorPortfolioService.uploadItem(VENDOR_ID, { buffer: Buffer.from('raw') });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('PORTFOLIO_FULL');
+  });
+
+  it('should only accept an order that lists every item', async () => {
+    const client = {
+      query: jest.fn(async (text) => {
+        if (text.includes('FOR UPDATE')) {
+          return { rows: [{ id: ITEM_A }, { id: ITEM_B }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+
+    const result = await vendorPortfolioService.reorderItems(VENDOR_ID, [ITEM_B]);
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('INVALID_ORDER');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should delete the stored files with the item', async () => {
+    const driver = new LocalStorageDriver({ rootDir: MEDIA_DIR, publicUrl: 'https://api.fixrx.test/media' });
+    await driver.put('portfolio/delete-me.jpg', Buffer.from('jpeg'));
+    await driver.put('portfolio/delete-me_thumb.jpg', Buffer.from('jpeg'));
+
+    jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+      if (text.startsWith('DELETE FROM vendor_portfolio')) {
+        return { rows: [{ id: ITEM_A, storage_key: 'portfolio/delete-me.jpg', thumbnail_key: 'portfolio/delete-me_thumb.jpg' }] };
+      }
+      return { rows: [] };
+    });
+    jest.spyOn(vendorProfileService, 'updateManagedFields').mockResolvedValue({ success: false, code: 'PROFILE_NOT_FOUND' });
+
+    const result = await vendorPortfolioService.deleteItem(VENDOR_ID, ITEM_A);
+
+    expect(result.success).toBe(true);
+    expect(fs.existsSync(path.join(MEDIA_DIR, 'portfolio/delete-me.jpg'))).toBe(false);
+    expect(fs.existsSync(path.join(MEDIA_DIR, 'portfolio/delete-me_thumb.jpg'))).toBe(false);
+  });
+});
+
+describe('Vendor portfolio API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to upload a photo', async () => {
+    const response = await request(app)
+      .post('/api/v1/vendors/portfolio')
+      .attach('image', Buffer.from('raw'), 'photo.jpg')
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication to reorder the portfolio', async () => {
+    await request(app)
+      .put('/api/v1/vendors/portfolio/order')
+      .send({ itemIds: [ITEM_A] })
+      .expect(401);
+  });
+});
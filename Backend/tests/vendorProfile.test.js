@@ -0,0 +1,179 @@
+/**
+ * Vendor Profile Tests
+ * Tests for partial updates, versioned history, search cache invalidation
+ * and profile validation
+ */
+
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const vendorProfileService = require('../src/services/vendorProfileService');
+const vendorController = require('../src/controllers/vendorController');
+
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+
+const storedProfile = {
+  vendor_id: VENDOR_ID,
+  business_name: 'Rodriguez Plumbing',
+  business_description: 'Residential plumbing',
+  hourly_rate_min: '45.00',
+  hourly_rate_max: '90.00',
+  service_radius: '25.00',
+  availability_schedule: { monday: [{ start: '08:00', end: '17:00' }] },
+  version: 3
+};
+
+const mockProfileTransaction = (current = storedProfile) => {
+  const client = {
+    query: jest.fn(async (text, params) => {
+      if (text.startsWith('SELECT * FROM vendor_profiles')) {
+        return { rows: current ? [current] : [] };
+      }
+      if (text.includes('UPDATE vendor_profiles')) {
+        return { rows: [{ ...current, version: current.version + 1 }] };
+      }
+      if (text.includes('INSERT INTO vendor_profiles')) {
+        return { rows: [{ vendor_id: params[0], version: 1 }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+  const flush = jest.spyOn(dbManager, 'flushCache').mockResolvedValue(true);
+  return { client, flush };
+};
+
+const historyInsert = client => client.query.mock.calls.find(([text]) => text.includes('INSERT INTO vendor_profile_history'));
+
+describe('Vendor profile service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should update only the fields sent and record the diff', async () => {
+    const { client, flush } = mockProfileTransaction();
+
+    const result = await vendorProfileService.updateProfile(VENDOR_ID, { hourlyRateMax: 120, serviceRadius: 25 }, { actorId: VENDOR_ID });
+
+    expect(result.success).toBe(true);
+    expect(result.data.changes).toEqual({ hourlyRateMax: { from: 90, to: 120 } });
+    expect(result.data.profile.version).toBe(4);
+
+    const [, params] = historyInsert(client);
+    expect(params[1]).toBe(4);
+    expect(JSON.parse(params[3])).toEqual({ hourlyRateMax: { from: 90, to: 120 } });
+    expect(flush).toHaveBeenCalledWith('geo_search:*');
+  });
+
+  it('should not bump the version when nothing changed', async () => {
+    const { client, flush } = mockProfileTransaction();
+
+    const result = await vendorProfileService.updateProfile(VENDOR_ID, { businessName: 'Rodriguez Plumbing', hourlyRateMin: 45 });
+
+    expect(result.success).toBe(true);
+    expect(result.data.changes).toEqual({});
+    expect(historyInsert(client)).toBeUndefined();
+    expect(flush).not.toHaveBeenCalled();
+  });
+
+  it('should reject an edit based on an older version', async () => {
+    mockProfileTransaction();
+
+    const result = await vendorProfileService.updateProfile(VENDOR_ID, { businessName: 'New Name' }, { expectedVersion: 2 });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('VERSION_CONFLICT');
+    expect(result.data.currentVersion).toBe(3);
+  });
+
+  it('should reject a minimum rate above the stored maximum', async () => {
+    mockProfileTransaction();
+
+    const result = await vendorProfileService.updateProfile(VENDOR_ID, { hourlyRateMin: 150 });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('INVALID_RATE_RANGE');
+  });
+
+  it('should clear omitted fields on replace', async () => {
+    const { client } = mockProfileTransaction();
+
+    const result = await vendorProfileService.replaceProfile(VENDOR_ID, { businessName: 'Rodriguez Plumbing' });
+
+    expect(result.success).toBe(true);
+    expect(Object.keys(result.data.changes)).toEqual(
+      expect.arrayContaining(['businessDescription', 'hourlyRateMin', 'hourlyRateMax', 'serviceRadius', 'availabilitySchedule'])
+    );
+    expect(historyInsert(client)).toBeDefined();
+  });
+
+  it('should refuse to create a second profile', async () => {
+    mockProfileTransaction();
+
+    const result = await vendorProfileService.createProfile(VENDOR_ID, { businessName: 'Another Business' });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('PROFILE_EXISTS');
+  });
+});
+
+describe('Vendor profile validation', () => {
+  const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reject availability slots that end before they start', async () => {
+    const res = mockResponse();
+
+    await vendorController.updateProfile(
+      { user: { id: VENDOR_ID }, body: { availabilitySchedule: { monday: [{ start: '17:00', end: '08:00' }] } } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should pass the client version separately from the profile fields', async () => {
+    const update = jest.spyOn(vendorProfileService, 'updateProfile').mockResolvedValue({ success: true, data: {} });
+
+    await vendorController.updateProfile(
+      { user: { id: VENDOR_ID }, body: { businessName: 'Rodriguez Plumbing & Heating', version: 3 } },
+      mockResponse()
+    );
+
+    expect(update).toHaveBeenCalledWith(
+      VENDOR_ID,
+      { businessName: 'Rodriguez Plumbing & Heating' },
+      { actorId: VENDOR_ID, expectedVersion: 3 }
+    );
+  });
+});
+
+describe('Vendor profile API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to update a profile', async () => {
+    const response = await request(app)
+      .patch('/api/v1/vendors/profile')
+      .send({ hourlyRateMax: 120 })
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication to replace a profile', async () => {
+    await request(app)
+      .put('/api/v1/vendors/profile')
+      .send({ businessName: 'Rodriguez Plumbing' })
+      .expect(401);
+  });
+});
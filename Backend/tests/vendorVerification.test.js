@@ -0,0 +1,228 @@
+/**
+ * Vendor Verification Tests
+ * Tests for the license registry adapter, review decisions, verified status
+ * and expiry tracking
+ */
+
+const path = require('path');
+const request = require('supertest');
+const { dbManager } = require('../src/config/database');
+const licenseRegistryService = require('../src/services/licenseRegistryService');
+const vendorVerificationService = require('../src/services/vendorVerificationService');
+const vendorProfileService = require('../src/services/vendorProfileService');
+
+const VENDOR_ID = '3f1c9a4e-8b2d-4e6f-9a1b-2c3d4e5f6a7b';
+const ADMIN_ID = '8e7d6c5b-4a39-4281-9f0e-1d2c3b4a5968';
+const VERIFICATION_ID = '5d4c3b2a-1f0e-4d9c-8b7a-6f5e4d3c2b1a';
+
+const registryFile = path.join(__dirname, 'fixtures/license-registry.json');
+
+const pendingLicense = {
+  id: VERIFICATION_ID,
+  vendor_id: VENDOR_ID,
+  document_type: 'license',
+  status: 'pending',
+  license_number: 'PL-104233',
+  license_state: 'CA',
+  expires_at: null,
+  superseded_at: null
+};
+
+const mockReviewTransaction = (current) => {
+  const client = {
+    query: jest.fn(async (text, params) => {
+      if (text.includes('FOR UPDATE')) {
+        return { rows: current ? [current] : [] };
+      }
+      if (text.includes('SET status = $2')) {
+        return { rows: [{ ...current, status: params[1], review_notes: params[2], expires_at: params[3] || current.expires_at }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  jest.spyOn(dbManager, 'getConnection').mockResolvedValue({ connect: async () => client });
+  return client;
+};
+
+describe('License registry', () => {
+  beforeAll(() => {
+    licenseRegistryService.setAdapter(licenseRegistryService.createAdapter('file', { LICENSE_REGISTRY_FILE: registryFile }));
+  });
+
+  afterAll(() => {
+    licenseRegistryService.setAdapter(null);
+  });
+
+  it('should match licenses regardless of formatting', async () => {
+    const result = await licenseRegistryService.lookup({ licenseNumber: 'pl 104233', state: 'ca' });
+
+    expect(result).toMatchObject({
+      found: true,
+      status: 'active',
+      holderName: 'Rodriguez Plumbing',
+      isValid: true,
+      source: 'file'
+    });
+  });
+
+  it('should not treat expired or suspended licenses as valid', async () => {
+    const expired = await licenseRegistryService.lookup({ licenseNumber: 'EL-55821', state: 'TX' });
+    const suspended = await licenseRegistryService.lookup({ licenseNumber: 'B998877', state: 'CA' });
+
+    expect(expired.found).toBe(true);
+    expect(expired.isValid).toBe(false);
+    expect(suspended.status).toBe('suspended');
+    expect(suspended.isValid).toBe(false);
+  });
+
+  it('should report licenses missing from the registry', async () => {
+    const result = await licenseRegistryService.lookup({ licenseNumber: 'PL-104233', state: 'NV' });
+
+    expect(result.found).toBe(false);
+    expect(result.isValid).toBe(false);
+  });
+
+  it('should accept additional adapters', async () => {
+    licenseRegistryService.registerAdapter('static', () => ({
+      name: 'static',
+      lookup: async () => ({ found: true, status: 'active', expiresAt: null })
+    }));
+
+    const adapter = licenseRegistryService.createAdapter('static');
+
+    expect(adapter.name).toBe('static');
+    expect(() => licenseRegistryService.createAdapter('unknown')).toThrow('Unknown LICENSE_REGISTRY_ADAPTER');
+  });
+});
+
+describe('Vendor verification service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only count a vendor as verified with an approved, unexpired license and insurance', () => {
+    const today = new Date('2026-10-19T12:00:00Z');
+    const license = { document_type: 'license', status: 'approved', expires_at: '2027-06-30' };
+    const insurance = { document_type: 'insurance', status: 'approved', expires_at: '2026-10-19' };
+
+    expect(vendorVerificationService.summarize([license, insurance], today)).toMatchObject({ isVerified: true, status: 'approved' });
+    expect(vendorVerificationService.summarize([license, { ...insurance, expires_at: '2026-10-18' }], today))
+      .toMatchObject({ isVerified: false, missing: ['insurance'] });
+    expect(vendorVerificationService.summarize([license, { ...insurance, status: 'in_review' }], today).status).toBe('in_review');
+  });
+
+  it('should attach the registry lookup to a license submission', async () => {
+    licenseRegistryService.setAdapter(licenseRegistryService.createAdapter('file', { LICENSE_REGISTRY_FILE: registryFile }));
+    const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+      if (text.startsWith('SELECT * FROM vendor_verifications')) {
+        return { rows: [pendingLicense] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await vendorVerificationService.runRegistryCheck(VERIFICATION_ID);
+    licenseRegistryService.setAdapter(null);
+
+    expect(result.success).toBe(true);
+    expect(result.data.registryResult.isValid).toBe(true);
+    const [, params] = query.mock.calls.find(([text]) => text.includes('SET registry_result'));
+    expect(JSON.parse(params[1]).holderName).toBe('Rodriguez Plumbing');
+    expect(params[2]).toBe('2030-06-30');
+  });
+
+  it('should require notes to reject a submission', async () => {
+    const client = mockReviewTransaction(pendingLicense);
+
+    const result = await vendorVerificationService.reviewVerification(VERIFICATION_ID, ADMIN_ID, { decision: 'rejected' });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('NOTES_REQUIRED');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('should require an expiry date to approve', async () => {
+    mockReviewTransaction(pendingLicense);
+
+    const result = await vendorVerificationService.reviewVerification(VERIFICATION_ID, ADMIN_ID, { decision: 'approved' });
+
+    expect(result.code).toBe('EXPIRY_REQUIRED');
+  });
+
+  it('should refuse to reopen an approved submission for review', async () => {
+    mockReviewTransaction({ ...pendingLicense, status: 'approved', expires_at: '2030-06-30' });
+
+    const result = await vendorVerificationService.reviewVerification(VERIFICATION_ID, ADMIN_ID, { decision: 'in_review' });
+
+    expect(result.code).toBe('INVALID_TRANSITION');
+  });
+
+  it('should approve, replace the previous document and refresh the vendor', async () => {
+    const client = mockReviewTransaction(pendingLicense);
+    const refresh = jest.spyOn(vendorVerificationService, 'refreshVendorStatus').mockResolvedValue({ isVerified: false, status: 'pending' });
+    const sync = jest.spyOn(vendorProfileService, 'updateManagedFields').mockResolvedValue({ success: true });
+    const query = jest.spyOn(dbManager, 'query').mockResolvedValue({ rows: [] });
+
+    const result = await vendorVerificationService.reviewVerification(VERIFICATION_ID, ADMIN_ID, {
+      decision: 'approved',
+      notes: 'Matches the CSLB record',
+      expiresAt: '2030-06-30'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.verification.status).toBe('approved');
+    expect(client.query.mock.calls.some(([text]) => text.includes('SET superseded_at = NOW()'))).toBe(true);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(refresh).toHaveBeenCalledWith(VENDOR_ID);
+    expect(sync).toHaveBeenCalledWith(VENDOR_ID, { licenseNumber: 'PL-104233' }, { actorId: ADMIN_ID });
+    expect(query.mock.calls.some(([text]) => text.includes('INSERT INTO notifications'))).toBe(true);
+  });
+
+  it('should flag expiring documents and reject lapsed ones', async () => {
+    const query = jest.spyOn(dbManager, 'query').mockImplementation(async (text) => {
+      if (text.includes('SET expiry_flagged_at = NOW()')) {
+        return { rows: [{ id: 'soon', vendor_id: VENDOR_ID, document_type: 'insurance', expires_at: new Date('2026-11-01') }] };
+      }
+      if (text.includes("SET status = 'rejected'")) {
+        return { rows: [{ id: 'lapsed', vendor_id: VENDOR_ID, document_type: 'license', expires_at: new Date('2026-10-01') }] };
+      }
+      return { rows: [] };
+    });
+    const refresh = jest.spyOn(vendorVerificationService, 'refreshVendorStatus').mockResolvedValue({ isVerified: false });
+
+    const result = await vendorVerificationService.checkExpirations({ warningDays: 30 });
+
+    expect(result.data).toEqual({ flagged: 1, expired: 1, vendorsUnverified: 1 });
+    expect(refresh).toHaveBeenCalledWith(VENDOR_ID);
+    const notifications = query.mock.calls.filter(([text]) => text.includes('INSERT INTO notifications'));
+    expect(notifications.map(([, params]) => params[1])).toEqual([
+      'Your insurance expires soon',
+      'Your license has expired'
+    ]);
+  });
+});
+
+describe('Vendor verification API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { fixRxApp } = require('../src/app');
+    await fixRxApp.initialize();
+    app = fixRxApp.app;
+  });
+
+  it('should require authentication to submit a license', async () => {
+    const response = await request(app)
+      .post('/api/v1/vendors/verification/license')
+      .send({ licenseNumber: 'PL-104233', state: 'CA' })
+      .expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  it('should require authentication for the review queue', async () => {
+    await request(app)
+      .get('/api/v1/admin/verifications')
+      .expect(401);
+  });
+});
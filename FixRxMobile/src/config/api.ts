@@ -6,10 +6,19 @@ const API_CONFIG = {
       REGISTER: '/api/v1/auth/register',
       LOGIN: '/api/v1/auth/login',
       LOGOUT: '/api/v1/auth/logout',
+      REFRESH: '/api/v1/auth/refresh',
+      SESSIONS: '/api/v1/auth/sessions',
+      TWO_FACTOR_CHALLENGE: '/api/v1/auth/2fa/challenge',
+      IDENTITIES: '/api/v1/auth/identities',
+      OAUTH: '/api/v1/auth/oauth',
       MAGIC_LINK: '/api/v1/auth/magic-link/send',
       VERIFY_OTP: '/api/v1/auth/verify-otp',
     },
 
+    VENDOR: {
+      PROFILE: '/api/v1/vendors/profile',
+    },
+
     USERS: {
       PROFILE: '/api/v1/users/profile',
       UPDATE: '/api/v1/users/profile',
@@ -28,6 +28,28 @@ export interface AuthTokens {
   refreshToken?: string;
 }
 
+export interface DeviceSession {
+  id: string;
+  deviceName: string | null;
+  ipAddress: string | null;
+  userAgent: string | null;
+  createdAt: string;
+  lastActivityAt: string | null;
+  expiresAt: string;
+  isCurrent: boolean;
+}
+
+export type SocialProvider = 'google' | 'apple' | 'microsoft';
+
+export interface LinkedIdentity {
+  id: string;
+  provider: 'phone' | 'email' | SocialProvider;
+  identifier: string;
+  verifiedAt: string;
+  lastUsedAt: string | null;
+  createdAt: string;
+}
+
 export interface LoginCredentials {
   email: string;
   password: string;
@@ -87,9 +109,9 @@ class AuthService {
    * @param credentials Login credentials
    * @returns Promise with authentication response
    */
-  async login(credentials: LoginCredentials): Promise<ApiResponse<{ user: AuthUser; token: string }>> {
+  async login(credentials: LoginCredentials): Promise<ApiResponse<{ user: AuthUser; token: string; refreshToken?: string }>> {
     const backendCall = () =>
-      apiClient.post<{ user: AuthUser; token: string }>(
+      apiClient.post<{ user: AuthUser; token: string; refreshToken?: string }>(
         API_ENDPOINTS.AUTH.LOGIN,
         credentials
       );
@@ -110,13 +132,13 @@ class AuthService {
       token: `mock_token_${Date.now()}`,
     };
 
-    const response = await this.useBackendOrMock<{ user: AuthUser; token: string }>(
+    const response = await this.useBackendOrMock<{ user: AuthUser; token: string; refreshToken?: string }>(
       backendCall,
       mockData
     );
 
     if (response.success && response.data) {
-      await this.saveAuthData(response.data.user, response.data.token);
+      await this.saveAuthData(response.data.user, response.data.token, response.data.refreshToken);
     }
 
     return response;
@@ -125,10 +147,10 @@ class AuthService {
   // Login via Google OAuth using ID token
   async loginWithGoogle(
     idToken: string
-  ): Promise<ApiResponse<{ user: AuthUser; token: string; isNewUser: boolean }>> {
+  ): Promise<ApiResponse<{ user: AuthUser; token: string; refreshToken?: string; isNewUser: boolean }>> {
     const backendCall = () =>
-      apiClient.post<{ user: AuthUser; token: string; isNewUser: boolean }>(
-        API_ENDPOINTS.AUTH.OAUTH.GOOGLE_VERIFY,
+      apiClient.post<{ user: AuthUser; token: string; refreshToken?: string; isNewUser: boolean }>(
+        `${API_ENDPOINTS.AUTH.OAUTH}/google/verify`,
         { idToken }
       );
 
@@ -148,7 +170,26 @@ class AuthService {
     const response = await this.useBackendOrMock(backendCall, mockData);
 
     if (response.success && response.data) {
-      await this.saveAuthData(response.data.user, response.data.token);
+      await this.saveAuthData(response.data.user, response.data.token, response.data.refreshToken);
+    }
+
+    return response;
+  }
+
+  // Login via Apple or Microsoft (or Google) using the provider's ID token.
+  // Apple only returns the user's name on first sign-in, so pass it through.
+  async loginWithSocialProvider(
+    provider: SocialProvider,
+    idToken: string,
+    options: { nonce?: string; firstName?: string; lastName?: string } = {}
+  ): Promise<ApiResponse<{ user: AuthUser; token: string; refreshToken?: string; isNewUser: boolean }>> {
+    const response = await apiClient.post<{ user: AuthUser; token: string; refreshToken?: string; isNewUser: boolean }>(
+      `${API_ENDPOINTS.AUTH.OAUTH}/${provider}/verify`,
+      { idToken, ...options }
+    );
+
+    if (response.success && response.data?.token) {
+      await this.saveAuthData(response.data.user, response.data.token, response.data.refreshToken);
     }
 
     return response;
@@ -175,6 +216,104 @@ class AuthService {
     };
   }
 
+  // Exchange the stored refresh token for a new access/refresh token pair
+  async refreshSession(): Promise<ApiResponse<{ token: string; refreshToken: string }>> {
+    try {
+      const refreshToken = await AsyncStorage.getItem(AuthService.REFRESH_TOKEN_KEY);
+      if (!refreshToken) {
+        return {
+          success: false,
+          message: 'No refresh token available',
+          error: 'NO_REFRESH_TOKEN',
+        };
+      }
+
+      const response = await apiClient.post<{ token: string; refreshToken: string }>(
+        API_ENDPOINTS.AUTH.REFRESH,
+        { refreshToken }
+      );
+
+      if (response.success && response.data) {
+        const user = await this.getStoredUser();
+        if (user) {
+          await this.saveAuthData(user, response.data.token, response.data.refreshToken);
+        }
+      }
+
+      return response;
+    } catch (error) {
+      console.error('Token refresh failed:', error);
+      return {
+        success: false,
+        message: 'Failed to refresh session',
+        error: 'NETWORK_ERROR',
+      };
+    }
+  }
+
+  // List the devices the user is signed in on
+  async getSessions(): Promise<ApiResponse<{ sessions: DeviceSession[] }>> {
+    return apiClient.get<{ sessions: DeviceSession[] }>(API_ENDPOINTS.AUTH.SESSIONS);
+  }
+
+  // Sign out a single device
+  async revokeSession(sessionId: string): Promise<ApiResponse> {
+    return apiClient.delete(`${API_ENDPOINTS.AUTH.SESSIONS}/${sessionId}`);
+  }
+
+  // Sign out of every device, including this one
+  async signOutEverywhere(): Promise<ApiResponse> {
+    const response = await apiClient.delete(API_ENDPOINTS.AUTH.SESSIONS);
+    await this.clearAuthData();
+    return response;
+  }
+
+  // Finish a login that returned requiresTwoFactor with a TOTP or recovery code
+  async completeTwoFactorChallenge(
+    challengeToken: string,
+    factor: { code?: string; recoveryCode?: string }
+  ): Promise<ApiResponse<{ user: AuthUser; token: string; refreshToken: string }>> {
+    const response = await apiClient.post<{ user: AuthUser; token: string; refreshToken: string }>(
+      API_ENDPOINTS.AUTH.TWO_FACTOR_CHALLENGE,
+      { challengeToken, ...factor }
+    );
+
+    if (response.success && response.data) {
+      await this.saveAuthData(response.data.user, response.data.token, response.data.refreshToken);
+    }
+
+    return response;
+  }
+
+  // List the phone numbers, emails and social accounts linked to this account
+  async getLinkedIdentities(): Promise<ApiResponse<{ identities: LinkedIdentity[] }>> {
+    return apiClient.get<{ identities: LinkedIdentity[] }>(API_ENDPOINTS.AUTH.IDENTITIES);
+  }
+
+  // Send a code to a phone number to link (requires a recent sign-in)
+  async startPhoneLink(phone: string): Promise<ApiResponse> {
+    return apiClient.post(`${API_ENDPOINTS.AUTH.IDENTITIES}/phone`, { phone });
+  }
+
+  // Link a phone number with the code sent to it
+  async confirmPhoneLink(phone: string, code: string): Promise<ApiResponse<{ identity: LinkedIdentity }>> {
+    return apiClient.post<{ identity: LinkedIdentity }>(`${API_ENDPOINTS.AUTH.IDENTITIES}/phone/verify`, { phone, code });
+  }
+
+  // Link a Google, Apple or Microsoft account with a fresh ID token
+  async linkSocialAccount(
+    provider: SocialProvider,
+    idToken: string,
+    nonce?: string
+  ): Promise<ApiResponse<{ identity: LinkedIdentity }>> {
+    return apiClient.post<{ identity: LinkedIdentity }>(`${API_ENDPOINTS.AUTH.IDENTITIES}/oauth/${provider}`, { idToken, nonce });
+  }
+
+  // Unlink an identity (the last one cannot be removed)
+  async unlinkIdentity(identityId: string): Promise<ApiResponse> {
+    return apiClient.delete(`${API_ENDPOINTS.AUTH.IDENTITIES}/${identityId}`);
+  }
+
   // Get user profile
   async getProfile(): Promise<ApiResponse<AuthUser>> {
     const backendCall = () => apiClient.get<AuthUser>(API_ENDPOINTS.AUTH.PROFILE);
@@ -412,7 +551,7 @@ class AuthService {
         };
 
         // Save auth data using existing method
-        await this.saveAuthData(authUser, result.data.token);
+        await this.saveAuthData(authUser, result.data.token, result.data.refreshToken);
 
         return {
           success: true,
@@ -32,6 +32,7 @@ export interface MagicLinkAuthResponse {
   data?: {
     user?: MagicLinkUser;
     token?: string;
+    refreshToken?: string;
     isNewUser?: boolean;
     expiresIn?: number;
   };
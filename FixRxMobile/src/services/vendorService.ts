@@ -157,9 +157,9 @@ class VendorService {
     return this.useBackendOrMock(backendCall, mockData);
   }
 
-  // Update vendor profile
+  // Update vendor profile (only the fields sent are changed)
   async updateProfile(profileData: Partial<VendorProfile>): Promise<ApiResponse<VendorProfile>> {
-    const backendCall = () => apiClient.put(API_ENDPOINTS.VENDOR.PROFILE, profileData);
+    const backendCall = () => apiClient.patch(API_ENDPOINTS.VENDOR.PROFILE, profileData);
     
     const mockData: VendorProfile = {
       id: 'vendor_123',